@@ -26,6 +26,36 @@ test.describe('MCP Server Backend Module', () => {
     await expect(frame.locator('#remote-setup')).toBeVisible();
   });
 
+  test('config generator produces client specific config and merges it', async () => {
+    await frame.locator('#config-generator-tab').click();
+    await expect(frame.locator('#config-generator')).toBeVisible();
+
+    await frame.locator('#config-client').selectOption('vscode');
+    await expect(frame.locator('#config-path')).toContainText('.vscode/mcp.json');
+    const vscodeConfig = JSON.parse(await frame.locator('#generated-config').inputValue());
+    const [serverKey] = Object.keys(vscodeConfig.servers);
+    expect(vscodeConfig.servers[serverKey].url).toMatch(/\/mcp$/);
+
+    await frame.locator('#config-client').selectOption('cursor');
+    await frame.locator('#config-existing').fill('{"mcpServers": {"other": {"url": "https://example.com/mcp"}}}');
+    await frame.locator('#config-merge-btn').click();
+    const merged = JSON.parse(await frame.locator('#generated-config').inputValue());
+    expect(Object.keys(merged.mcpServers)).toEqual(['other', serverKey]);
+
+    await frame.locator('#config-client').selectOption('local-cli');
+    await expect(frame.locator('#config-create-token-btn')).toBeHidden();
+    await expect(frame.locator('#generated-config')).toHaveValue(/mcp:server/);
+  });
+
+  test('config generator embeds a freshly created token', async () => {
+    await frame.locator('#config-generator-tab').click();
+    await frame.locator('#config-client').selectOption('windsurf');
+    await frame.locator('#config-create-token-btn').click();
+
+    await expect(frame.locator('#generated-config')).toHaveValue(/"Authorization": "Bearer [0-9a-f]{64}"/, { timeout: 15000 });
+    await expect(frame.locator('#tokens-container')).toContainText('Windsurf', { timeout: 10000 });
+  });
+
   test('create token via central button shows name modal then token modal', async ({ page }) => {
     const createBtn = frame.locator('#create-token-btn');
     await expect(createBtn).toBeVisible();
@@ -60,6 +90,211 @@ test.describe('MCP Server Backend Module', () => {
     await expect(tokensContainer.locator('td', { hasText: 'test-token' })).toBeVisible();
   });
 
+  test('create read-only token shows scope in token table', async ({ page }) => {
+    await frame.locator('#create-token-btn').click();
+
+    const nameModal = page.locator('.modal').filter({ hasText: 'Create Token' });
+    await expect(nameModal).toBeVisible({ timeout: 15000 });
+    await nameModal.locator('#modal-token-name-input').fill('read-only-token');
+    await nameModal.locator('#modal-token-scope-read_only').check();
+    await nameModal.getByRole('button', { name: 'Create', exact: true }).click();
+
+    const tokenModal = page.locator('.modal').filter({ hasText: 'Token Created' });
+    await expect(tokenModal).toBeVisible({ timeout: 15000 });
+    await tokenModal.locator('button', { hasText: 'I have copied the token' }).click();
+
+    const row = frame.locator('#tokens-container tr', { hasText: 'read-only-token' }).first();
+    await expect(row.locator('.mcp-scope-badge')).toHaveText('Read-only', { timeout: 10000 });
+  });
+
+  test('create token with a 7 day lifetime and renew it', async ({ page }) => {
+    await frame.locator('#create-token-btn').click();
+
+    const nameModal = page.locator('.modal').filter({ hasText: 'Create Token' });
+    await expect(nameModal).toBeVisible({ timeout: 15000 });
+    await nameModal.locator('#modal-token-name-input').fill('short-lived-token');
+    await nameModal.locator('#modal-token-lifetime-select').selectOption({ label: '7 days' });
+    await nameModal.getByRole('button', { name: 'Create', exact: true }).click();
+
+    const tokenModal = page.locator('.modal').filter({ hasText: 'Token Created' });
+    await expect(tokenModal).toBeVisible({ timeout: 15000 });
+    await tokenModal.locator('button', { hasText: 'I have copied the token' }).click();
+
+    const row = frame.locator('#tokens-container tr', { hasText: 'short-lived-token' }).first();
+    await expect(row.locator('.mcp-expires-soon')).toBeVisible({ timeout: 10000 });
+
+    await row.locator('.renew-token-btn').click();
+    const renewModal = page.locator('.modal').filter({ hasText: 'Renew Token' });
+    await expect(renewModal).toBeVisible({ timeout: 15000 });
+    await renewModal.locator('#modal-renew-lifetime-select').selectOption({ label: '90 days' });
+    await renewModal.getByRole('button', { name: 'Renew', exact: true }).click();
+
+    await expect(row.locator('.mcp-expires-soon')).toHaveCount(0, { timeout: 10000 });
+  });
+
+  test('rotate token shows the new secret once', async ({ page }) => {
+    const rotateBtn = frame.locator('.rotate-token-btn').first();
+    test.skip(!(await rotateBtn.isVisible({ timeout: 3000 }).catch(() => false)),
+      'No tokens exist to rotate — create tokens first');
+
+    await rotateBtn.click();
+    const confirmModal = page.locator('.modal').filter({ hasText: 'Rotate Token' });
+    await expect(confirmModal).toBeVisible({ timeout: 15000 });
+    await confirmModal.getByRole('button', { name: 'Rotate', exact: true }).click();
+
+    const tokenModal = page.locator('.modal').filter({ hasText: 'Token Rotated' });
+    await expect(tokenModal).toBeVisible({ timeout: 15000 });
+    expect(await tokenModal.locator('#modal-token-value').inputValue()).toMatch(/^[0-9a-f]{64}$/);
+    await expect(tokenModal).toContainText('previous secret stays valid until');
+    await tokenModal.locator('button', { hasText: 'I have copied the token' }).click();
+
+    await expect(frame.locator('.mcp-previous-secret').first()).toBeVisible({ timeout: 10000 });
+  });
+
+  test('activity panel expands below a token', async () => {
+    const activityBtn = frame.locator('.activity-token-btn').first();
+    test.skip(!(await activityBtn.isVisible({ timeout: 3000 }).catch(() => false)),
+      'No tokens exist — create tokens first');
+
+    await activityBtn.click();
+    const panel = frame.locator('.mcp-activity-panel').first();
+    await expect(panel).toBeVisible({ timeout: 10000 });
+    await expect(panel.locator('.mcp-activity-bar')).toHaveCount(7, { timeout: 10000 });
+
+    await panel.locator('.mcp-activity-days').selectOption('30');
+    await expect(panel.locator('.mcp-activity-bar')).toHaveCount(30, { timeout: 10000 });
+
+    await activityBtn.click();
+    await expect(frame.locator('.mcp-activity-panel')).toHaveCount(0);
+  });
+
+  test('rate limits show consumption bars', async ({ page }) => {
+    const limitsBtn = frame.locator('.rate-limits-token-btn').first();
+    test.skip(!(await limitsBtn.isVisible({ timeout: 3000 }).catch(() => false)),
+      'No tokens exist — create tokens first');
+
+    const tokenId = await limitsBtn.getAttribute('data-token-id');
+    await limitsBtn.click();
+    const limitsModal = page.locator('.modal').filter({ hasText: 'Edit rate limits' });
+    await expect(limitsModal).toBeVisible({ timeout: 15000 });
+    await limitsModal.locator('#modal-rate-limit-requestsPerMinute').fill('100');
+    await limitsModal.locator('#modal-rate-limit-writesPerHour').fill('20');
+    await limitsModal.getByRole('button', { name: 'Save', exact: true }).click();
+
+    const bars = frame.locator(`.mcp-rate-limits[data-token-id="${tokenId}"]`);
+    await expect(bars.locator('.mcp-rate-limit')).toHaveCount(2, { timeout: 10000 });
+    await expect(bars).toContainText('Requests per minute');
+  });
+
+  test('traffic inspector starts and stops a capture', async () => {
+    const startBtn = frame.locator('#inspector-start-btn');
+    test.skip(!(await startBtn.isEnabled({ timeout: 3000 }).catch(() => false)),
+      'No tokens exist — create tokens first');
+
+    await frame.locator('#inspector-duration-select').selectOption('15');
+    await startBtn.click();
+    await expect(frame.locator('#inspector-status')).toContainText('Capturing until', { timeout: 10000 });
+    await expect(frame.locator('.mcp-debug-capture').first()).toBeVisible({ timeout: 10000 });
+
+    await frame.locator('#inspector-stop-btn').click();
+    await expect(frame.locator('#inspector-status')).toContainText('Not capturing', { timeout: 10000 });
+    await expect(startBtn).toBeVisible();
+  });
+
+  test('admin overview lists tokens of all users', async () => {
+    const adminCard = frame.locator('#admin-tokens');
+    test.skip(!(await adminCard.isVisible({ timeout: 3000 }).catch(() => false)),
+      'Logged in user is not an admin');
+
+    const container = adminCard.locator('#admin-tokens-container');
+    await expect(container.locator('table, p')).toBeVisible({ timeout: 10000 });
+
+    await adminCard.locator('#admin-tokens-search').fill('no-such-token-or-user');
+    await expect(container).toContainText('No active tokens found', { timeout: 10000 });
+    await adminCard.locator('#admin-tokens-search').fill('');
+  });
+
+  test('tool settings list every tool with a tools/list preview', async () => {
+    const card = frame.locator('#tool-settings');
+    test.skip(!(await card.isVisible({ timeout: 3000 }).catch(() => false)),
+      'Logged in user is not an admin');
+
+    const row = card.locator('tr[data-tool-name="WriteTable"]');
+    await expect(row).toBeVisible({ timeout: 10000 });
+    await expect(row.locator('[data-tool-enabled]')).toBeChecked();
+    await expect(row).toContainText('writes');
+
+    await card.locator('summary', { hasText: 'Preview of tools/list' }).click();
+    await expect(card.locator('#tool-settings-preview')).toContainText('"name": "ReadTable"');
+  });
+
+  test('webhook test event shows up in the delivery log', async ({ page }) => {
+    const card = frame.locator('#webhooks');
+    test.skip(!(await card.isVisible({ timeout: 3000 }).catch(() => false)),
+      'Logged in user is not an admin');
+
+    await card.locator('#webhooks-add-btn').click();
+    const modal = page.locator('.modal').filter({ hasText: 'Add webhook' });
+    await expect(modal).toBeVisible({ timeout: 15000 });
+    await modal.locator('#webhook-title').fill('e2e-webhook');
+    // Nothing listens on the discard port, so the delivery fails right away
+    await modal.locator('#webhook-url').fill('http://127.0.0.1:9/hook');
+    await modal.getByRole('button', { name: 'Save', exact: true }).click();
+
+    const row = card.locator('#webhooks-container tr', { hasText: 'e2e-webhook' });
+    await expect(row).toBeVisible({ timeout: 10000 });
+    await row.locator('[data-webhook-action="test"]').click();
+
+    const delivery = card.locator('#webhook-deliveries-container tr', { hasText: 'test' }).first();
+    await expect(delivery).toContainText('Failed', { timeout: 15000 });
+
+    await row.locator('[data-webhook-action="delete"]').click();
+    const confirm = page.locator('.modal').filter({ hasText: 'Delete webhook' });
+    await confirm.getByRole('button', { name: 'Delete', exact: true }).click();
+    await expect(row).toHaveCount(0, { timeout: 10000 });
+  });
+
+  test('create token bound to a workspace shows the workspace', async ({ page }) => {
+    await frame.locator('#create-token-btn').click();
+
+    const nameModal = page.locator('.modal').filter({ hasText: 'Create Token' });
+    await expect(nameModal).toBeVisible({ timeout: 15000 });
+    const workspaceSelect = nameModal.locator('#modal-token-workspace');
+    if (!(await workspaceSelect.isVisible().catch(() => false))) {
+      await nameModal.getByRole('button', { name: 'Cancel' }).click();
+      test.skip(true, 'User has no writable workspace');
+    }
+
+    await nameModal.locator('#modal-token-name-input').fill('workspace-token');
+    const workspaceTitle = await workspaceSelect.locator('option').nth(1).textContent();
+    await workspaceSelect.selectOption({ index: 1 });
+    await nameModal.getByRole('button', { name: 'Create', exact: true }).click();
+
+    const tokenModal = page.locator('.modal').filter({ hasText: 'Token Created' });
+    await expect(tokenModal).toBeVisible({ timeout: 15000 });
+    await tokenModal.locator('button', { hasText: 'I have copied the token' }).click();
+
+    const row = frame.locator('#tokens-container tr', { hasText: 'workspace-token' }).first();
+    await expect(row.locator('.mcp-token-workspace')).toContainText(workspaceTitle ?? '', { timeout: 10000 });
+  });
+
+  test('pending changes panel loads', async () => {
+    const container = frame.locator('#pending-changes-container');
+    await expect(container.locator('.mcp-change-group, p')).not.toHaveCount(0, { timeout: 10000 });
+    await expect(container).not.toContainText('Loading changes');
+
+    await frame.locator('#pending-changes-refresh-btn').click();
+    await expect(container).not.toContainText('Error loading changes', { timeout: 10000 });
+  });
+
+  test('effective permissions explorer lists tables', async () => {
+    await frame.locator('#permissions-load-btn').click();
+
+    const container = frame.locator('#permissions-container');
+    await expect(container.locator('.mcp-permissions-tables tr[data-table="tt_content"]')).toBeVisible({ timeout: 15000 });
+    await expect(container).not.toContainText('Error loading permissions');
+  });
+
   test('revoke token shows confirmation modal', async ({ page }) => {
     // Need existing tokens — check if any revoke buttons exist
     const revokeBtn = frame.locator('.revoke-token-btn').first();
@@ -75,6 +310,10 @@ test.describe('MCP Server Backend Module', () => {
     await expect(modal).not.toBeVisible({ timeout: 5000 });
   });
 
+  test('device authorization panel lists pending requests', async () => {
+    await expect(frame.locator('#device-authorizations-container')).toContainText('No device is waiting for approval.', { timeout: 10000 });
+  });
+
   test('refresh tokens button works', async () => {
     const refreshBtn = frame.locator('#refresh-tokens-btn');
     await expect(refreshBtn).toBeVisible();
@@ -82,8 +321,63 @@ test.describe('MCP Server Backend Module', () => {
     await expect(frame.locator('#tokens-container')).toBeVisible();
   });
 
-  test('endpoint status indicators exist', async () => {
-    await expect(frame.locator('.endpoint-status').first()).toBeVisible({ timeout: 10000 });
+  test('token list filters, sorts and selects tokens', async () => {
+    const container = frame.locator('#tokens-container');
+    await frame.locator('#tokens-search').fill('no-such-token');
+    await expect(container).toContainText('No tokens match the filter.', { timeout: 10000 });
+    await frame.locator('#tokens-search').fill('');
+
+    const sortButton = container.locator('[data-token-sort="client_name"]');
+    await expect(sortButton).toBeVisible({ timeout: 10000 });
+    await sortButton.click();
+    await expect(container.locator('th[aria-sort="ascending"]')).toContainText('Client Name', { timeout: 10000 });
+
+    await container.locator('.mcp-token-select').first().check();
+    await expect(frame.locator('#tokens-bulk-revoke-btn')).toBeEnabled();
+    await expect(frame.locator('#tokens-bulk-revoke-btn')).toContainText('Revoke selected (1)');
+  });
+
+  test('connection diagnostics run all steps', async () => {
+    await frame.locator('#run-diagnostics-btn').click();
+
+    const steps = frame.locator('#diagnostics-steps .mcp-diagnostics-step');
+    await expect(steps).toHaveCount(6);
+    await expect(frame.locator('#diagnostics-steps .mcp-diagnostics-step.pending, #diagnostics-steps .mcp-diagnostics-step.checking'))
+      .toHaveCount(0, { timeout: 30000 });
+    await expect(steps.first()).toHaveClass(/pass/);
+    await expect(steps.first().locator('details summary')).toContainText('Raw request and response');
+    await expect(frame.locator('#run-diagnostics-btn')).toBeEnabled();
+  });
+
+  test('tool playground renders a form and runs a read-only tool', async () => {
+    await frame.locator('#playground-tool-select').selectOption('ReadTable');
+    await expect(frame.locator('#playground-arg-table')).toBeVisible({ timeout: 10000 });
+    await expect(frame.locator('#playground-write-warning')).toBeHidden();
+
+    await frame.locator('#playground-arg-table').selectOption('pages');
+    await frame.locator('#playground-run-btn').click();
+
+    await expect(frame.locator('#playground-result')).toBeVisible({ timeout: 15000 });
+    await expect(frame.locator('#playground-output-text')).toContainText('"records"');
+    await expect(frame.locator('#playground-result-meta')).toContainText('Success');
+  });
+
+  test('tool playground warns about write tools', async () => {
+    await frame.locator('#playground-tool-select').selectOption('WriteTable');
+    await expect(frame.locator('#playground-write-warning')).toBeVisible({ timeout: 10000 });
+  });
+
+  test('schema browser shows table schema', async () => {
+    const entry = frame.locator('#schema-tables [data-schema-table="tt_content"]');
+    await expect(entry).toBeVisible({ timeout: 15000 });
+    await expect(frame.locator('#schema-output')).toContainText('ACCESSIBLE TABLES');
+
+    await frame.locator('#schema-search').fill('tt_content');
+    await expect(frame.locator('#schema-tables [data-schema-table="pages"]')).toHaveCount(0);
+
+    await entry.click();
+    await expect(frame.locator('#schema-output')).toContainText('TABLE SCHEMA: tt_content', { timeout: 15000 });
+    await expect(frame.locator('#schema-type-select')).toBeVisible();
   });
 
   test('copy buttons exist', async () => {
@@ -11,7 +11,13 @@ use Symfony\Component\Console\Input\InputOption;
 use Symfony\Component\Console\Output\OutputInterface;
 use TYPO3\CMS\Core\Utility\GeneralUtility;
 use TYPO3\CMS\Core\Database\ConnectionPool;
+use Hn\McpServer\Service\DebugCaptureService;
+use Hn\McpServer\Service\DeviceAuthorizationService;
 use Hn\McpServer\Service\OAuthService;
+use Hn\McpServer\Service\TokenActivityService;
+use Hn\McpServer\Service\TokenRateLimitService;
+use Hn\McpServer\Service\TokenScopeService;
+use Hn\McpServer\Service\WebhookService;
 
 /**
  * OAuth token management for MCP server
@@ -27,7 +33,8 @@ class OAuthManageCommand extends Command
             ->addOption('client-name', 'c', InputOption::VALUE_OPTIONAL, 'Client name for authorization URL', 'MCP Client')
             ->addOption('token-id', 't', InputOption::VALUE_OPTIONAL, 'Token ID to revoke (for revoke action)')
             ->addOption('all', 'a', InputOption::VALUE_NONE, 'Revoke all tokens for user (for revoke action)')
-            ->addOption('ttl-days', null, InputOption::VALUE_OPTIONAL, 'Token lifetime in days (for create action; default 30)');
+            ->addOption('ttl-days', null, InputOption::VALUE_OPTIONAL, 'Token lifetime in days (for create action; default 30, limited by the maxTokenLifetimeDays extension setting)')
+            ->addOption('scope', 's', InputOption::VALUE_OPTIONAL, 'Token scope (for create action): "full", "read-only" or a comma-separated list of tool names', 'full');
     }
 
     protected function execute(InputInterface $input, OutputInterface $output): int
@@ -110,14 +117,23 @@ class OAuthManageCommand extends Command
         }
         $ttlSeconds = $ttlDays !== null ? (int)$ttlDays * 86400 : null;
 
+        $scopeOption = (string)$input->getOption('scope');
+        $tokenScopeService = GeneralUtility::makeInstance(TokenScopeService::class);
+        $scope = match ($scopeOption) {
+            'full', '' => $tokenScopeService->buildScope(TokenScopeService::TYPE_FULL),
+            'read-only' => $tokenScopeService->buildScope(TokenScopeService::TYPE_READ_ONLY),
+            default => $tokenScopeService->buildScope(TokenScopeService::TYPE_TOOLS, GeneralUtility::trimExplode(',', $scopeOption, true)),
+        };
+
         $oauthService = GeneralUtility::makeInstance(OAuthService::class);
-        $token = $oauthService->createToken((int)$user['uid'], $clientName, $ttlSeconds);
+        $token = $oauthService->createToken((int)$user['uid'], $clientName, $ttlSeconds, $scope);
 
         $output->writeln("<info>Access token created for user '$username':</info>");
         $output->writeln("");
         $output->writeln($token['access_token']);
         $output->writeln("");
         $output->writeln("Client: <info>$clientName</info>");
+        $output->writeln("Scope: <info>" . $tokenScopeService->getScopeLabel($scope) . "</info>");
         $output->writeln("Expires: <info>" . date('Y-m-d H:i:s', $token['expires']) . "</info>");
         $output->writeln("");
         $output->writeln("<comment>Store it now — it cannot be retrieved later (only a hash is kept).</comment>");
@@ -141,6 +157,7 @@ class OAuthManageCommand extends Command
         }
 
         $oauthService = GeneralUtility::makeInstance(OAuthService::class);
+        $tokenScopeService = GeneralUtility::makeInstance(TokenScopeService::class);
         $tokens = $oauthService->getUserTokens($user['uid']);
 
         if (empty($tokens)) {
@@ -158,6 +175,7 @@ class OAuthManageCommand extends Command
 
             $output->writeln("Token ID: <info>{$token['uid']}</info>");
             $output->writeln("Client: <info>{$token['client_name']}</info>");
+            $output->writeln("Scope: <info>" . $tokenScopeService->getScopeLabel((string)$token['scope']) . "</info>");
             $output->writeln("Created: <info>$created</info>");
             $output->writeln("Expires: <info>$expires</info>");
             $output->writeln("Last Used: <info>$lastUsed</info>");
@@ -208,8 +226,17 @@ class OAuthManageCommand extends Command
     {
         $oauthService = GeneralUtility::makeInstance(OAuthService::class);
         $oauthService->cleanupExpired();
-        
-        $output->writeln("<info>Cleanup completed - expired tokens and authorization codes removed</info>");
+        GeneralUtility::makeInstance(DeviceAuthorizationService::class)->cleanupExpired();
+        GeneralUtility::makeInstance(TokenRateLimitService::class)->cleanupExpired();
+        $removedMessages = GeneralUtility::makeInstance(DebugCaptureService::class)->cleanupExpired();
+
+        $removedEntries = GeneralUtility::makeInstance(TokenActivityService::class)->cleanupOldEntries();
+        $removedDeliveries = GeneralUtility::makeInstance(WebhookService::class)->cleanupOldDeliveries();
+
+        $output->writeln("<info>Cleanup completed - expired tokens, authorization codes, device codes and rate limit counters removed</info>");
+        $output->writeln("<info>Removed $removedEntries activity log entries past the retention period</info>");
+        $output->writeln("<info>Removed $removedMessages captured debug messages</info>");
+        $output->writeln("<info>Removed $removedDeliveries webhook deliveries past the retention period</info>");
         return Command::SUCCESS;
     }
 
@@ -0,0 +1,126 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Command;
+
+use Symfony\Component\Console\Command\Command;
+use Symfony\Component\Console\Input\InputArgument;
+use Symfony\Component\Console\Input\InputInterface;
+use Symfony\Component\Console\Input\InputOption;
+use Symfony\Component\Console\Output\OutputInterface;
+use TYPO3\CMS\Core\Utility\ExtensionManagementUtility;
+use TYPO3\CMS\Core\Utility\GeneralUtility;
+use Hn\McpServer\Service\RecordingExportService;
+use Hn\McpServer\Service\SessionRecordingService;
+
+/**
+ * Recording Export Command - Turns MCP sessions recorded in the backend
+ * module into LLM tests
+ */
+class RecordingExportCommand extends Command
+{
+    public function __construct(
+        private readonly SessionRecordingService $sessionRecordingService,
+        private readonly RecordingExportService $recordingExportService,
+    ) {
+        parent::__construct();
+    }
+
+    protected function configure(): void
+    {
+        $this
+            ->setDescription('List recorded MCP sessions and export them as LLM tests')
+            ->setHelp('Sessions are recorded in the MCP Server backend module. The export writes an LLM test and its CSV fixtures below Tests/Llm of the output directory.')
+            ->addArgument('action', InputArgument::REQUIRED, 'Action to perform: list, export')
+            ->addArgument('recording', InputArgument::OPTIONAL, 'Recording ID (required for export action)')
+            ->addOption('output-dir', 'o', InputOption::VALUE_OPTIONAL, 'Directory to export to (default: the mcp_server extension)')
+            ->addOption('force', 'f', InputOption::VALUE_NONE, 'Overwrite existing files');
+    }
+
+    protected function execute(InputInterface $input, OutputInterface $output): int
+    {
+        try {
+            switch ($input->getArgument('action')) {
+                case 'list':
+                    return $this->listRecordings($output);
+                case 'export':
+                    return $this->exportRecording($input, $output);
+                default:
+                    $output->writeln('<error>Invalid action. Use: list or export</error>');
+                    return Command::FAILURE;
+            }
+        } catch (\Throwable $e) {
+            $output->writeln("<error>Error: {$e->getMessage()}</error>");
+            return Command::FAILURE;
+        }
+    }
+
+    private function listRecordings(OutputInterface $output): int
+    {
+        $recordings = $this->sessionRecordingService->getRecordings(null);
+        if ($recordings === []) {
+            $output->writeln('<info>No recorded sessions found</info>');
+            return Command::SUCCESS;
+        }
+
+        $output->writeln('<info>Recorded sessions:</info>');
+        foreach ($recordings as $recording) {
+            $output->writeln(sprintf(
+                '- ID %d: "%s" with %s by user %d, %s, %d tool call(s), %d write(s)%s',
+                $recording['uid'],
+                $recording['title'],
+                $recording['client_name'],
+                $recording['be_user_uid'],
+                date('Y-m-d H:i', $recording['crdate']),
+                $recording['tool_calls'],
+                $recording['writes'],
+                $recording['stopped'] === 0 ? ' (recording)' : ''
+            ));
+        }
+
+        return Command::SUCCESS;
+    }
+
+    private function exportRecording(InputInterface $input, OutputInterface $output): int
+    {
+        $recordingId = $input->getArgument('recording');
+        if (!is_string($recordingId) || !ctype_digit($recordingId)) {
+            $output->writeln('<error>A recording ID is required for export. Use "list" to see all recordings.</error>');
+            return Command::FAILURE;
+        }
+
+        $recording = $this->sessionRecordingService->getRecording((int)$recordingId, null);
+        if ($recording === null) {
+            $output->writeln("<error>Recording $recordingId not found</error>");
+            return Command::FAILURE;
+        }
+
+        $outputDir = rtrim((string)($input->getOption('output-dir') ?: ExtensionManagementUtility::extPath('mcp_server')), '/');
+        $files = $this->recordingExportService->export($recording);
+
+        if (!$input->getOption('force')) {
+            foreach (array_keys($files) as $path) {
+                if (file_exists($outputDir . '/' . $path)) {
+                    $output->writeln("<error>$outputDir/$path already exists. Use --force to overwrite.</error>");
+                    return Command::FAILURE;
+                }
+            }
+        }
+
+        foreach ($files as $path => $content) {
+            GeneralUtility::mkdir_deep(dirname($outputDir . '/' . $path));
+            if (file_put_contents($outputDir . '/' . $path, $content) === false) {
+                $output->writeln("<error>Could not write $outputDir/$path</error>");
+                return Command::FAILURE;
+            }
+            $output->writeln("Written: $outputDir/$path");
+        }
+
+        $output->writeln('');
+        $output->writeln('<info>Review the prompt and assertions, then run the test with:</info>');
+        $output->writeln('composer test:llm -- --filter ' . basename((string)array_key_first($files), '.php'));
+
+        return Command::SUCCESS;
+    }
+}
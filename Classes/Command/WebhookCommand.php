@@ -0,0 +1,91 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Command;
+
+use Symfony\Component\Console\Command\Command;
+use Symfony\Component\Console\Input\InputArgument;
+use Symfony\Component\Console\Input\InputInterface;
+use Symfony\Component\Console\Input\InputOption;
+use Symfony\Component\Console\Output\OutputInterface;
+use Hn\McpServer\Service\WebhookService;
+
+/**
+ * Webhook Command - Retries failed webhook deliveries, meant to run from the
+ * scheduler every few minutes
+ */
+class WebhookCommand extends Command
+{
+    public function __construct(
+        private readonly WebhookService $webhookService,
+    ) {
+        parent::__construct();
+    }
+
+    protected function configure(): void
+    {
+        $this
+            ->setDescription('Retry pending MCP webhook deliveries and list webhooks')
+            ->setHelp('Webhooks are configured by admins in the MCP Server backend module. Deliveries are sent after the MCP request; those that fail or were not sent are retried with an increasing delay by the deliver action.')
+            ->addArgument('action', InputArgument::REQUIRED, 'Action to perform: deliver, list')
+            ->addOption('limit', 'l', InputOption::VALUE_OPTIONAL, 'Maximum number of deliveries to send (for deliver action)', '100');
+    }
+
+    protected function execute(InputInterface $input, OutputInterface $output): int
+    {
+        try {
+            switch ($input->getArgument('action')) {
+                case 'deliver':
+                    return $this->deliver($input, $output);
+                case 'list':
+                    return $this->listWebhooks($output);
+                default:
+                    $output->writeln('<error>Invalid action. Use: deliver or list</error>');
+                    return Command::FAILURE;
+            }
+        } catch (\Throwable $e) {
+            $output->writeln("<error>Error: {$e->getMessage()}</error>");
+            return Command::FAILURE;
+        }
+    }
+
+    private function deliver(InputInterface $input, OutputInterface $output): int
+    {
+        $result = $this->webhookService->deliverDue(max(1, (int)$input->getOption('limit')));
+
+        $output->writeln(sprintf(
+            '<info>%d delivered, %d failed for good, %d scheduled for another attempt</info>',
+            $result[WebhookService::STATUS_DELIVERED],
+            $result[WebhookService::STATUS_FAILED],
+            $result[WebhookService::STATUS_PENDING]
+        ));
+
+        return Command::SUCCESS;
+    }
+
+    private function listWebhooks(OutputInterface $output): int
+    {
+        $webhooks = $this->webhookService->getWebhooks();
+        if ($webhooks === []) {
+            $output->writeln('<info>No webhooks configured</info>');
+            return Command::SUCCESS;
+        }
+
+        $output->writeln('<info>Webhooks:</info>');
+        foreach ($webhooks as $webhook) {
+            $output->writeln(sprintf(
+                '- ID %d: %s%s -> %s, tables: %s, actions: %s, tokens: %s',
+                $webhook['uid'],
+                $webhook['title'] !== '' ? '"' . $webhook['title'] . '"' : '(untitled)',
+                $webhook['disabled'] ? ' (disabled)' : '',
+                $webhook['url'],
+                $webhook['tables'] !== [] ? implode(', ', $webhook['tables']) : 'all',
+                $webhook['actions'] !== [] ? implode(', ', $webhook['actions']) : 'all',
+                $webhook['token_uids'] !== [] ? implode(', ', $webhook['token_uids']) : 'all'
+            ));
+        }
+
+        return Command::SUCCESS;
+    }
+}
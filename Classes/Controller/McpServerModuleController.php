@@ -9,27 +9,88 @@ use Psr\Http\Message\ServerRequestInterface;
 use TYPO3\CMS\Backend\Template\ModuleTemplateFactory;
 use TYPO3\CMS\Backend\Routing\UriBuilder;
 use TYPO3\CMS\Core\Authentication\BackendUserAuthentication;
+use TYPO3\CMS\Core\Core\Environment;
 use TYPO3\CMS\Core\Database\ConnectionPool;
 use TYPO3\CMS\Core\Utility\GeneralUtility;
 use TYPO3\CMS\Core\Page\PageRenderer;
+use TYPO3\CMS\Core\Site\SiteFinder;
 use TYPO3\CMS\Core\Http\JsonResponse;
 use TYPO3\CMS\Core\Http\HtmlResponse;
+use TYPO3\CMS\Core\Http\Response;
+use TYPO3\CMS\Core\Http\Stream;
+use Hn\McpServer\MCP\McpServerFactory;
 use Hn\McpServer\MCP\ToolRegistry;
+use Hn\McpServer\Service\DebugCaptureService;
+use Hn\McpServer\Service\DeviceAuthorizationService;
+use Hn\McpServer\Service\EffectivePermissionsService;
+use Hn\McpServer\Service\OAuthClientService;
 use Hn\McpServer\Service\OAuthService;
+use Hn\McpServer\Service\PendingChangesService;
+use Hn\McpServer\Service\PromptLibraryService;
+use Hn\McpServer\Service\RecordingExportService;
+use Hn\McpServer\Service\ResourceService;
+use Hn\McpServer\Service\ServiceAccountService;
+use Hn\McpServer\Service\SessionRecordingService;
+use Hn\McpServer\Service\SiteInformationService;
+use Hn\McpServer\Service\TableAccessService;
+use Hn\McpServer\Service\TokenActivityService;
+use Hn\McpServer\Service\TokenContextService;
+use Hn\McpServer\Service\TokenNetworkService;
+use Hn\McpServer\Service\TokenRateLimitService;
+use Hn\McpServer\Service\TokenScopeService;
+use Hn\McpServer\Service\ToolSettingsService;
+use Hn\McpServer\Service\WebhookService;
 use Hn\McpServer\Service\WorkspaceContextService;
+use Mcp\Types\CallToolResult;
+use Mcp\Types\TextContent;
 
 /**
  * Backend module controller for MCP Server configuration
  */
 class McpServerModuleController
 {
+    /**
+     * Tokens expiring within this window are highlighted in the token list
+     */
+    private const EXPIRY_WARNING_SECONDS = 7 * 86400;
+
+    /**
+     * Tokens per page of the token list, and the most a client may request
+     */
+    private const TOKEN_PAGE_SIZE = 25;
+    private const TOKEN_MAX_PAGE_SIZE = 100;
+
+    /**
+     * Lifetime of the throwaway token used by the connection diagnostics
+     */
+    private const DIAGNOSTICS_TOKEN_LIFETIME = 600;
+
     public function __construct(
         private readonly ModuleTemplateFactory $moduleTemplateFactory,
         private readonly ToolRegistry $toolRegistry,
         private readonly PageRenderer $pageRenderer,
         private readonly OAuthService $oauthService,
         private readonly WorkspaceContextService $workspaceContextService,
-        private readonly UriBuilder $uriBuilder
+        private readonly UriBuilder $uriBuilder,
+        private readonly TokenScopeService $tokenScopeService,
+        private readonly TokenActivityService $tokenActivityService,
+        private readonly PendingChangesService $pendingChangesService,
+        private readonly TokenContextService $tokenContextService,
+        private readonly EffectivePermissionsService $effectivePermissionsService,
+        private readonly OAuthClientService $oauthClientService,
+        private readonly DeviceAuthorizationService $deviceAuthorizationService,
+        private readonly TokenNetworkService $tokenNetworkService,
+        private readonly TokenRateLimitService $tokenRateLimitService,
+        private readonly DebugCaptureService $debugCaptureService,
+        private readonly SessionRecordingService $sessionRecordingService,
+        private readonly RecordingExportService $recordingExportService,
+        private readonly McpServerFactory $mcpServerFactory,
+        private readonly ToolSettingsService $toolSettingsService,
+        private readonly SiteInformationService $siteInformationService,
+        private readonly WebhookService $webhookService,
+        private readonly ServiceAccountService $serviceAccountService,
+        private readonly PromptLibraryService $promptLibraryService,
+        private readonly ResourceService $resourceService
     ) {}
 
     public function mainAction(ServerRequestInterface $request): ResponseInterface
@@ -48,6 +109,13 @@ class McpServerModuleController
         
         // Get base URL for endpoint
         $baseUrl = $this->getBaseUrl($request);
+
+        // On multi-site installations the snippets can be generated for another site's domain
+        $siteBases = $this->siteInformationService->getSiteBases();
+        $selectedSiteBase = (string)($request->getQueryParams()['siteBase'] ?? '');
+        if (in_array($selectedSiteBase, array_column($siteBases, 'base'), true)) {
+            $baseUrl = $selectedSiteBase;
+        }
         
         // Generate OAuth authorization URL
         $authUrl = $this->oauthService->generateAuthorizationUrl($baseUrl, 'Claude Desktop');
@@ -59,6 +127,7 @@ class McpServerModuleController
             $tools[] = [
                 'name' => $tool->getName(),
                 'description' => $schema['description'] ?? '',
+                'readOnly' => (bool)($schema['annotations']['readOnlyHint'] ?? false),
             ];
         }
         
@@ -76,22 +145,20 @@ class McpServerModuleController
             'returnUrl' => (string)$request->getUri(),
         ]);
 
-        // Format tokens for template display (same shape as AJAX response)
-        $formattedTokens = array_map(function ($token) {
-            return [
-                'uid' => $token['uid'],
-                'client_name' => $token['client_name'],
-                'created' => date('Y-m-d H:i:s', $token['crdate']),
-                'last_used' => $token['last_used'] > 0 ? date('Y-m-d H:i:s', $token['last_used']) : 'Never',
-                'expires' => date('Y-m-d H:i:s', $token['expires']),
-            ];
-        }, $tokens);
+        // The first page of the token list in its default order (same shape as AJAX response)
+        $formattedTokens = array_map($this->formatToken(...), array_slice($tokens, 0, self::TOKEN_PAGE_SIZE));
 
         // Prepare template variables
         $templateVariables = [
             'tokens' => $formattedTokens,
+            'tokenTotal' => count($tokens),
+            'tokenPageSize' => self::TOKEN_PAGE_SIZE,
+            'tokenOptions' => $this->getTokenOptions($tokens),
             'authUrl' => $authUrl,
             'baseUrl' => $baseUrl,
+            'siteBases' => $siteBases,
+            'baseUrlIsSiteBase' => in_array($baseUrl, array_column($siteBases, 'base'), true),
+            'projectPath' => Environment::getProjectPath(),
             'tools' => $tools,
             'username' => $backendUser->user['username'],
             'userId' => $userId,
@@ -99,10 +166,28 @@ class McpServerModuleController
             'hasWorkspace' => $hasWorkspace,
             'isLocalhost' => $isLocalhost,
             'createWorkspaceUrl' => $createWorkspaceUrl,
+            'isAdmin' => $backendUser->isAdmin(),
+            'backendUsers' => $backendUser->isAdmin() ? $this->effectivePermissionsService->getBackendUsers() : [],
         ];
         
         // Include CSS for endpoint status indicators
         $this->pageRenderer->addCssFile('EXT:mcp_server/Resources/Public/Css/mcp-module.css');
+
+        // Expose the token lifetime limit to the lifetime picker (seconds, 0 = unlimited)
+        $this->pageRenderer->addInlineSetting('McpServer', 'maxTokenLifetime', $this->oauthService->getMaxTokenLifetime());
+
+        // Workspaces a new token can be bound to
+        $workspaces = [];
+        foreach ($this->workspaceContextService->getWritableWorkspaces($backendUser) as $workspaceUid => $workspaceTitle) {
+            $workspaces[] = ['uid' => $workspaceUid, 'title' => $workspaceTitle];
+        }
+        $this->pageRenderer->addInlineSetting('McpServer', 'workspaces', $workspaces);
+
+        // Domains checked by the endpoint status matrix
+        $this->pageRenderer->addInlineSetting('McpServer', 'siteBases', $siteBases);
+
+        // Labels used by the module JavaScript
+        $this->pageRenderer->addInlineLanguageLabelFile('EXT:mcp_server/Resources/Private/Language/locallang_mod.xlf', 'js.');
         
         // Assign variables to ModuleTemplate and render
         $moduleTemplate->assignMultiple($templateVariables);
@@ -122,21 +207,7 @@ class McpServerModuleController
             return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
         }
 
-        $rawBody = $request->getBody()->getContents();
-        
-        // Reset body stream position for further processing
-        $request->getBody()->rewind();
-        
-        $parsedBody = $request->getParsedBody();
-        
-        // If parsedBody is null, try to decode JSON manually
-        if ($parsedBody === null && !empty($rawBody)) {
-            $jsonData = json_decode($rawBody, true);
-            if (json_last_error() === JSON_ERROR_NONE) {
-                $parsedBody = $jsonData;
-            }
-        }
-        
+        $parsedBody = $this->getRequestData($request);
         $tokenId = (int)($parsedBody['tokenId'] ?? 0);
         $userId = (int)$backendUser->user['uid'];
 
@@ -166,6 +237,283 @@ class McpServerModuleController
         }
     }
     
+    /**
+     * Revoke several of the user's tokens selected in the token list
+     */
+    public function revokeTokensAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        $tokenIds = $this->getRequestData($request)['tokenIds'] ?? [];
+        // Token IDs may arrive as a comma-separated string when posted as form data
+        if (is_string($tokenIds)) {
+            $tokenIds = explode(',', $tokenIds);
+        }
+        $tokenIds = array_filter(array_map('intval', (array)$tokenIds), static fn(int $tokenId) => $tokenId > 0);
+
+        if ($tokenIds === []) {
+            return new JsonResponse(['success' => false, 'message' => 'No tokens selected'], 400);
+        }
+
+        try {
+            $revokedCount = $this->oauthService->revokeTokens($tokenIds, (int)$backendUser->user['uid']);
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error revoking tokens: ' . $e->getMessage()
+            ], 500);
+        }
+
+        if ($revokedCount === 0) {
+            return new JsonResponse(['success' => false, 'message' => 'No tokens found to revoke'], 404);
+        }
+
+        return new JsonResponse([
+            'success' => true,
+            'message' => sprintf('Successfully revoked %d token%s', $revokedCount, $revokedCount === 1 ? '' : 's'),
+        ]);
+    }
+
+    /**
+     * Extend the expiry of a token without rotating its secret
+     */
+    public function renewTokenAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        $parsedBody = $this->getRequestData($request);
+        $tokenId = (int)($parsedBody['tokenId'] ?? 0);
+        $ttl = (int)($parsedBody['ttl'] ?? 0);
+        $userId = (int)$backendUser->user['uid'];
+
+        if ($tokenId <= 0) {
+            return new JsonResponse(['success' => false, 'message' => 'Invalid token ID'], 400);
+        }
+
+        try {
+            $expires = $this->oauthService->renewToken($tokenId, $userId, $ttl);
+        } catch (\InvalidArgumentException $e) {
+            return new JsonResponse(['success' => false, 'message' => $e->getMessage()], 400);
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error renewing token: ' . $e->getMessage()
+            ], 500);
+        }
+
+        if ($expires === null) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Token not found or access denied'
+            ], 404);
+        }
+
+        return new JsonResponse([
+            'success' => true,
+            'message' => 'Token renewed until ' . date('Y-m-d H:i:s', $expires),
+            'expires' => $expires,
+        ]);
+    }
+
+    /**
+     * Issue a new secret for a token; the old secret keeps working during the grace period
+     */
+    public function rotateTokenAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        $parsedBody = $this->getRequestData($request);
+        $tokenId = (int)($parsedBody['tokenId'] ?? 0);
+        $userId = (int)$backendUser->user['uid'];
+
+        if ($tokenId <= 0) {
+            return new JsonResponse(['success' => false, 'message' => 'Invalid token ID'], 400);
+        }
+
+        try {
+            $rotated = $this->oauthService->rotateToken($tokenId, $userId);
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error rotating token: ' . $e->getMessage()
+            ], 500);
+        }
+
+        if ($rotated === null) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Token not found or access denied'
+            ], 404);
+        }
+
+        return new JsonResponse([
+            'success' => true,
+            'message' => $rotated['previous_valid_until'] > 0
+                ? 'Token rotated. The previous secret stays valid until ' . date('Y-m-d H:i:s', $rotated['previous_valid_until'])
+                : 'Token rotated. The previous secret is no longer valid',
+            'token' => $rotated['access_token'],
+            'previousValidUntil' => $rotated['previous_valid_until'] > 0 ? $rotated['previous_valid_until'] : null,
+        ]);
+    }
+
+    /**
+     * Restrict a token to IP ranges, e.g. the network of a CI agent
+     */
+    public function updateTokenIpAllowlistAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        $parsedBody = $this->getRequestData($request);
+        $tokenId = (int)($parsedBody['tokenId'] ?? 0);
+
+        if ($tokenId <= 0) {
+            return new JsonResponse(['success' => false, 'message' => 'Invalid token ID'], 400);
+        }
+
+        try {
+            $ranges = $this->tokenNetworkService->parseAllowlist((string)($parsedBody['allowlist'] ?? ''));
+            $success = $this->oauthService->setTokenIpAllowlist($tokenId, (int)$backendUser->user['uid'], $ranges);
+        } catch (\InvalidArgumentException $e) {
+            return new JsonResponse(['success' => false, 'message' => $e->getMessage()], 400);
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error updating IP allowlist: ' . $e->getMessage()
+            ], 500);
+        }
+
+        if (!$success) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Token not found or access denied'
+            ], 404);
+        }
+
+        return new JsonResponse([
+            'success' => true,
+            'message' => $ranges === [] ? 'Token can be used from any IP' : 'Token restricted to ' . implode(', ', $ranges),
+            'allowlist' => $ranges,
+        ]);
+    }
+
+    /**
+     * Confirm that the new network a token was used from is legitimate
+     */
+    public function dismissTokenNetworkWarningAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        $parsedBody = $this->getRequestData($request);
+        $tokenId = (int)($parsedBody['tokenId'] ?? 0);
+
+        try {
+            $success = $this->oauthService->dismissNewNetwork($tokenId, (int)$backendUser->user['uid']);
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error dismissing warning: ' . $e->getMessage()
+            ], 500);
+        }
+
+        if (!$success) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Token not found or access denied'
+            ], 404);
+        }
+
+        return new JsonResponse(['success' => true]);
+    }
+
+    /**
+     * Limit the requests, writes and written records of a token
+     */
+    public function updateTokenRateLimitsAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        $parsedBody = $this->getRequestData($request);
+        $tokenId = (int)($parsedBody['tokenId'] ?? 0);
+
+        if ($tokenId <= 0) {
+            return new JsonResponse(['success' => false, 'message' => 'Invalid token ID'], 400);
+        }
+
+        try {
+            $success = $this->tokenRateLimitService->setLimits($tokenId, (int)$backendUser->user['uid'], [
+                TokenRateLimitService::LIMIT_REQUESTS => (int)($parsedBody['requestsPerMinute'] ?? 0),
+                TokenRateLimitService::LIMIT_WRITES => (int)($parsedBody['writesPerHour'] ?? 0),
+                TokenRateLimitService::LIMIT_RECORDS => (int)($parsedBody['recordsPerDay'] ?? 0),
+            ]);
+        } catch (\InvalidArgumentException $e) {
+            return new JsonResponse(['success' => false, 'message' => $e->getMessage()], 400);
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error updating rate limits: ' . $e->getMessage()
+            ], 500);
+        }
+
+        if (!$success) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Token not found or access denied'
+            ], 404);
+        }
+
+        return new JsonResponse([
+            'success' => true,
+            'message' => 'Rate limits saved',
+        ]);
+    }
+
+    /**
+     * Get the current consumption of the rate limits of the user's tokens,
+     * polled by the module to keep the progress bars up to date
+     */
+    public function getTokenUsageAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        try {
+            $usage = [];
+            foreach ($this->oauthService->getUserTokens((int)$backendUser->user['uid']) as $token) {
+                $usage[(int)$token['uid']] = $this->tokenRateLimitService->getUsage($token);
+            }
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error retrieving token usage: ' . $e->getMessage()
+            ], 500);
+        }
+
+        return new JsonResponse([
+            'success' => true,
+            'usage' => (object)$usage,
+        ]);
+    }
+
     /**
      * Revoke all tokens for the current user
      */
@@ -232,7 +580,33 @@ class McpServerModuleController
     }
 
     /**
-     * Get user tokens via AJAX for dynamic updates
+     * Read the request payload. AjaxRequest posts form data, but JSON bodies
+     * are not parsed by TYPO3, so fall back to decoding the raw body.
+     */
+    private function getRequestData(ServerRequestInterface $request): array
+    {
+        $parsedBody = $request->getParsedBody();
+        if (is_array($parsedBody) && $parsedBody !== []) {
+            return $parsedBody;
+        }
+
+        $rawBody = $request->getBody()->getContents();
+        $request->getBody()->rewind();
+
+        if (!empty($rawBody)) {
+            $jsonData = json_decode($rawBody, true);
+            if (json_last_error() === JSON_ERROR_NONE && is_array($jsonData)) {
+                return $jsonData;
+            }
+        }
+
+        return [];
+    }
+
+    /**
+     * Get a page of the user's tokens via AJAX for dynamic updates, sorted
+     * and filtered like the token list. The options list every active token
+     * for the token selects of the other panels.
      */
     public function getUserTokensAction(ServerRequestInterface $request): ResponseInterface
     {
@@ -241,26 +615,40 @@ class McpServerModuleController
             return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
         }
 
+        $parsedBody = $this->getRequestData($request);
+        $pageSize = (int)($parsedBody['pageSize'] ?? self::TOKEN_PAGE_SIZE);
+        $pageSize = $pageSize > 0 ? min($pageSize, self::TOKEN_MAX_PAGE_SIZE) : self::TOKEN_PAGE_SIZE;
+        $page = max(1, (int)($parsedBody['page'] ?? 1));
+
         try {
             $userId = (int)$backendUser->user['uid'];
-            $tokens = $this->oauthService->getUserTokens($userId);
-            
-            // Format tokens for frontend display
-            $formattedTokens = array_map(function($token) {
-                return [
-                    'uid' => $token['uid'],
-                    'client_name' => $token['client_name'],
-                    'created' => date('Y-m-d H:i:s', $token['crdate']),
-                    'expires' => date('Y-m-d H:i:s', $token['expires']),
-                    'last_used' => $token['last_used'] > 0 ? date('Y-m-d H:i:s', $token['last_used']) : 'Never',
-                ];
-            }, $tokens);
-            
+            $find = fn(int $page) => $this->oauthService->findUserTokens(
+                $userId,
+                (string)($parsedBody['search'] ?? ''),
+                (string)($parsedBody['sortBy'] ?? 'created'),
+                (string)($parsedBody['sortDirection'] ?? 'DESC'),
+                (bool)($parsedBody['showExpired'] ?? false),
+                (bool)($parsedBody['neverUsed'] ?? false),
+                $pageSize,
+                ($page - 1) * $pageSize
+            );
+
+            $result = $find($page);
+            // Revoking the last tokens of the last page moves the list one page back
+            $lastPage = max(1, (int)ceil($result['total'] / $pageSize));
+            if ($page > $lastPage) {
+                $page = $lastPage;
+                $result = $find($page);
+            }
+
             return new JsonResponse([
                 'success' => true,
-                'tokens' => $formattedTokens
+                'tokens' => array_map($this->formatToken(...), $result['tokens']),
+                'total' => $result['total'],
+                'page' => $page,
+                'pageSize' => $pageSize,
+                'tokenOptions' => $this->getTokenOptions($this->oauthService->getUserTokens($userId)),
             ]);
-            
         } catch (\Throwable $e) {
             return new JsonResponse([
                 'success' => false,
@@ -271,32 +659,1405 @@ class McpServerModuleController
 
 
     /**
-     * Check if any TYPO3 workspace exists
+     * Get the active tokens of all backend users (admins only)
      */
-    private function hasAnyWorkspace(): bool
+    public function getAllTokensAction(ServerRequestInterface $request): ResponseInterface
     {
-        try {
-            $connectionPool = GeneralUtility::makeInstance(ConnectionPool::class);
-            $queryBuilder = $connectionPool->getQueryBuilderForTable('sys_workspace');
-            $count = $queryBuilder
-                ->count('uid')
-                ->from('sys_workspace')
-                ->where(
-                    $queryBuilder->expr()->eq('deleted', $queryBuilder->createNamedParameter(0, \TYPO3\CMS\Core\Database\Connection::PARAM_INT))
-                )
-                ->executeQuery()
-                ->fetchOne();
-            return (int)$count > 0;
-        } catch (\Throwable $e) {
-            return false;
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser || !$backendUser->isAdmin()) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
         }
-    }
 
-    /**
-     * Check if the base URL resolves to a private/non-routable network address.
-     * Catches localhost, DDEV domains (*.ddev.site), Docker networks, etc.
-     * Checks both IPv4 (A) and IPv6 (AAAA) records to avoid false positives
-     * on IPv6-only hosts.
+        $parsedBody = $this->getRequestData($request);
+
+        try {
+            $tokens = $this->oauthService->getAllTokens(
+                (string)($parsedBody['search'] ?? ''),
+                (string)($parsedBody['sortBy'] ?? 'created'),
+                (string)($parsedBody['sortDirection'] ?? 'DESC'),
+                (string)($parsedBody['owner'] ?? '')
+            );
+
+            return new JsonResponse([
+                'success' => true,
+                'tokens' => array_map($this->formatAdminToken(...), $tokens),
+            ]);
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error retrieving tokens: ' . $e->getMessage()
+            ], 500);
+        }
+    }
+
+    /**
+     * Format a token of the admin overview together with its owner
+     */
+    private function formatAdminToken(array $token): array
+    {
+        return [
+            ...$this->formatToken($token),
+            'be_user_uid' => (int)$token['be_user_uid'],
+            'username' => (string)($token['username'] ?? ''),
+            'real_name' => (string)($token['realName'] ?? ''),
+            'service_account' => (bool)($token['tx_mcpserver_service_account'] ?? false),
+        ];
+    }
+
+    /**
+     * Revoke tokens of any user (admins only): a single token, all tokens
+     * of a user, or all tokens with a given client name
+     */
+    public function adminRevokeTokensAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser || !$backendUser->isAdmin()) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        $parsedBody = $this->getRequestData($request);
+        $mode = (string)($parsedBody['mode'] ?? '');
+        $value = trim((string)($parsedBody['value'] ?? ''));
+
+        if ($value === '') {
+            return new JsonResponse(['success' => false, 'message' => 'Missing value'], 400);
+        }
+
+        try {
+            $revokedCount = match ($mode) {
+                'token' => $this->oauthService->revokeToken((int)$value, null) ? 1 : 0,
+                'user' => $this->oauthService->revokeAllUserTokens((int)$value),
+                'client' => $this->oauthService->revokeTokensByClientName($value),
+                default => null,
+            };
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error revoking tokens: ' . $e->getMessage()
+            ], 500);
+        }
+
+        if ($revokedCount === null) {
+            return new JsonResponse(['success' => false, 'message' => 'Invalid revoke mode: ' . $mode], 400);
+        }
+        if ($revokedCount === 0) {
+            return new JsonResponse(['success' => false, 'message' => 'No tokens found to revoke'], 404);
+        }
+
+        return new JsonResponse([
+            'success' => true,
+            'message' => sprintf('Successfully revoked %d token%s', $revokedCount, $revokedCount === 1 ? '' : 's'),
+        ]);
+    }
+
+    /**
+     * Get the service accounts with their tokens, and the groups, file mounts
+     * and workspaces new service accounts can be set up with (admins only)
+     */
+    public function getServiceAccountsAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser || !$backendUser->isAdmin()) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        try {
+            return new JsonResponse([
+                'success' => true,
+                ...$this->getServiceAccountData(),
+            ]);
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error loading service accounts: ' . $e->getMessage()
+            ], 500);
+        }
+    }
+
+    /**
+     * Create a backend user for an automation (admins only)
+     */
+    public function createServiceAccountAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser || !$backendUser->isAdmin()) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        $parsedBody = $this->getRequestData($request);
+
+        try {
+            $userUid = $this->serviceAccountService->createServiceAccount(
+                (string)($parsedBody['username'] ?? ''),
+                (string)($parsedBody['realName'] ?? ''),
+                GeneralUtility::intExplode(',', (string)($parsedBody['groups'] ?? ''), true),
+                GeneralUtility::intExplode(',', (string)($parsedBody['fileMounts'] ?? ''), true),
+                (int)($parsedBody['workspace'] ?? 0),
+                (string)($backendUser->user['username'] ?? '')
+            );
+
+            return new JsonResponse([
+                'success' => true,
+                'userId' => $userUid,
+                ...$this->getServiceAccountData(),
+            ]);
+        } catch (\InvalidArgumentException $e) {
+            return new JsonResponse(['success' => false, 'message' => $e->getMessage()], 400);
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error creating service account: ' . $e->getMessage()
+            ], 500);
+        }
+    }
+
+    /**
+     * Disable or enable a service account (admins only)
+     */
+    public function setServiceAccountDisabledAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser || !$backendUser->isAdmin()) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        $parsedBody = $this->getRequestData($request);
+
+        try {
+            if (!$this->serviceAccountService->setDisabled((int)($parsedBody['userId'] ?? 0), !empty($parsedBody['disabled']))) {
+                return new JsonResponse(['success' => false, 'message' => 'Service account not found'], 404);
+            }
+
+            return new JsonResponse([
+                'success' => true,
+                ...$this->getServiceAccountData(),
+            ]);
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error updating service account: ' . $e->getMessage()
+            ], 500);
+        }
+    }
+
+    /**
+     * Create a token owned by a service account (admins only). The token
+     * works in the workspace the account was set up with.
+     */
+    public function createServiceAccountTokenAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser || !$backendUser->isAdmin()) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        $parsedBody = $this->getRequestData($request);
+
+        $account = $this->serviceAccountService->getActiveServiceAccount((int)($parsedBody['userId'] ?? 0));
+        if ($account === null) {
+            return new JsonResponse(['success' => false, 'message' => 'Service account not found or disabled'], 404);
+        }
+
+        $clientName = trim((string)($parsedBody['clientName'] ?? ''));
+        if ($clientName === '' || mb_strlen($clientName) > 100) {
+            return new JsonResponse(['success' => false, 'message' => 'Token name is required and must not exceed 100 characters'], 400);
+        }
+
+        try {
+            $scope = $this->tokenScopeService->buildScope((string)($parsedBody['scope'] ?? TokenScopeService::TYPE_FULL), []);
+            $ttl = isset($parsedBody['ttl']) && $parsedBody['ttl'] !== '' ? (int)$parsedBody['ttl'] : null;
+            $token = $this->oauthService->createDirectAccessToken($account['uid'], $clientName, $request, $scope, $ttl, $account['workspace_uid']);
+
+            return new JsonResponse([
+                'success' => true,
+                'message' => sprintf('Token "%s" created for %s', $clientName, $account['username']),
+                'token' => $token,
+                ...$this->getServiceAccountData(),
+            ]);
+        } catch (\InvalidArgumentException $e) {
+            return new JsonResponse(['success' => false, 'message' => $e->getMessage()], 400);
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error creating token: ' . $e->getMessage()
+            ], 500);
+        }
+    }
+
+    /**
+     * Build the service account list with the tokens of every account
+     */
+    private function getServiceAccountData(): array
+    {
+        $tokensByUser = [];
+        foreach ($this->oauthService->getAllTokens('', 'created', 'DESC', 'service') as $token) {
+            $tokensByUser[(int)$token['be_user_uid']][] = $this->formatAdminToken($token);
+        }
+
+        $accounts = array_map(static fn(array $account) => [
+            ...$account,
+            'tokens' => $tokensByUser[$account['uid']] ?? [],
+        ], $this->serviceAccountService->getServiceAccounts());
+
+        return [
+            'accounts' => $accounts,
+            ...$this->serviceAccountService->getTemplateOptions(),
+        ];
+    }
+
+    /**
+     * Get the device authorization requests the user approved that the
+     * client has not picked up yet
+     */
+    public function getDeviceAuthorizationsAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        try {
+            return new JsonResponse([
+                'success' => true,
+                'requests' => array_map(fn(array $authorization) => [
+                    ...$authorization,
+                    'scope_label' => $this->tokenScopeService->getScopeLabel($authorization['scope']),
+                ], $this->deviceAuthorizationService->getApprovedAuthorizations((int)$backendUser->user['uid'])),
+            ]);
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error retrieving device authorizations: ' . $e->getMessage()
+            ], 500);
+        }
+    }
+
+    /**
+     * Find the pending device authorization request of the user code the
+     * editor entered, so they can check it before approving or denying it
+     */
+    public function findDeviceAuthorizationAction(ServerRequestInterface $request): ResponseInterface
+    {
+        if (!$this->getBackendUser()) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        try {
+            $authorization = $this->deviceAuthorizationService->findPendingAuthorization(
+                (string)($this->getRequestData($request)['userCode'] ?? '')
+            );
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error looking up device: ' . $e->getMessage()
+            ], 500);
+        }
+
+        if ($authorization === null) {
+            return new JsonResponse(['success' => false, 'message' => 'No device is waiting with this code. Check the code or let the client request a new one.'], 404);
+        }
+
+        return new JsonResponse([
+            'success' => true,
+            'request' => [
+                ...$authorization,
+                'scope_label' => $this->tokenScopeService->getScopeLabel($authorization['scope']),
+            ],
+        ]);
+    }
+
+    /**
+     * Approve a device authorization request. The editor has to enter the
+     * user code shown by the client, so nobody approves someone else's request.
+     */
+    public function approveDeviceAuthorizationAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        $parsedBody = $this->getRequestData($request);
+
+        try {
+            $this->deviceAuthorizationService->approve(
+                (int)($parsedBody['requestId'] ?? 0),
+                (string)($parsedBody['userCode'] ?? ''),
+                (int)$backendUser->user['uid']
+            );
+        } catch (\InvalidArgumentException $e) {
+            return new JsonResponse(['success' => false, 'message' => $e->getMessage()], 400);
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error approving device: ' . $e->getMessage()
+            ], 500);
+        }
+
+        return new JsonResponse([
+            'success' => true,
+            'message' => 'Device approved. The client receives its token with the next poll.',
+        ]);
+    }
+
+    /**
+     * Deny a device authorization request; like approving, this needs the user code
+     */
+    public function denyDeviceAuthorizationAction(ServerRequestInterface $request): ResponseInterface
+    {
+        if (!$this->getBackendUser()) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        $parsedBody = $this->getRequestData($request);
+
+        try {
+            $this->deviceAuthorizationService->deny(
+                (int)($parsedBody['requestId'] ?? 0),
+                (string)($parsedBody['userCode'] ?? '')
+            );
+        } catch (\InvalidArgumentException $e) {
+            return new JsonResponse(['success' => false, 'message' => $e->getMessage()], 400);
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error denying device: ' . $e->getMessage()
+            ], 500);
+        }
+
+        return new JsonResponse([
+            'success' => true,
+            'message' => 'Device authorization denied',
+        ]);
+    }
+
+    /**
+     * Get the clients registered through dynamic client registration and the
+     * allowed redirect URI patterns (admins only)
+     */
+    public function getOAuthClientsAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser || !$backendUser->isAdmin()) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        try {
+            return new JsonResponse([
+                'success' => true,
+                'clients' => $this->oauthClientService->getClients(),
+                'redirectUriPatterns' => $this->oauthClientService->getAllowedRedirectUriPatterns(),
+            ]);
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error retrieving clients: ' . $e->getMessage()
+            ], 500);
+        }
+    }
+
+    /**
+     * Block or unblock a registered client (admins only)
+     */
+    public function blockOAuthClientAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser || !$backendUser->isAdmin()) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        $parsedBody = $this->getRequestData($request);
+        $clientUid = (int)($parsedBody['clientUid'] ?? 0);
+        $blocked = (bool)($parsedBody['blocked'] ?? true);
+
+        try {
+            if (!$this->oauthClientService->setBlocked($clientUid, $blocked)) {
+                return new JsonResponse(['success' => false, 'message' => 'Client not found'], 404);
+            }
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error updating client: ' . $e->getMessage()
+            ], 500);
+        }
+
+        return new JsonResponse([
+            'success' => true,
+            'message' => $blocked ? 'Client blocked, its tokens were revoked' : 'Client unblocked',
+        ]);
+    }
+
+    /**
+     * Delete a client registration including its tokens (admins only)
+     */
+    public function deleteOAuthClientAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser || !$backendUser->isAdmin()) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        $parsedBody = $this->getRequestData($request);
+
+        try {
+            $revokedCount = $this->oauthClientService->deleteClient((int)($parsedBody['clientUid'] ?? 0));
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error deleting client: ' . $e->getMessage()
+            ], 500);
+        }
+
+        if ($revokedCount === null) {
+            return new JsonResponse(['success' => false, 'message' => 'Client not found'], 404);
+        }
+
+        return new JsonResponse([
+            'success' => true,
+            'message' => sprintf('Client deleted, %d token%s revoked', $revokedCount, $revokedCount === 1 ? '' : 's'),
+        ]);
+    }
+
+    /**
+     * Store the redirect URI patterns clients may register and authorize
+     * with, one per line (admins only)
+     */
+    public function saveRedirectUriPatternsAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser || !$backendUser->isAdmin()) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        $parsedBody = $this->getRequestData($request);
+
+        try {
+            $patterns = $this->oauthClientService->setAllowedRedirectUriPatterns(
+                preg_split('/\R/', (string)($parsedBody['patterns'] ?? ''))
+            );
+        } catch (\InvalidArgumentException $e) {
+            return new JsonResponse(['success' => false, 'message' => $e->getMessage()], 400);
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error saving redirect URI patterns: ' . $e->getMessage()
+            ], 500);
+        }
+
+        return new JsonResponse([
+            'success' => true,
+            'redirectUriPatterns' => $patterns,
+        ]);
+    }
+
+    /**
+     * Get the site-wide settings of all registered tools together with a
+     * preview of tools/list as clients receive it (admins only)
+     */
+    public function getToolSettingsAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser || !$backendUser->isAdmin()) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        try {
+            return new JsonResponse([
+                'success' => true,
+                ...$this->getToolSettingsData(),
+            ]);
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error loading tool settings: ' . $e->getMessage()
+            ], 500);
+        }
+    }
+
+    /**
+     * Store which tools are disabled and the guidance appended to their
+     * descriptions; settings of unknown tools are ignored (admins only)
+     */
+    public function saveToolSettingsAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser || !$backendUser->isAdmin()) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        $parsedBody = $this->getRequestData($request);
+        $settings = $parsedBody['settings'] ?? [];
+
+        // Settings may arrive as a JSON string when posted as form data
+        if (is_string($settings)) {
+            $settings = json_decode($settings, true);
+        }
+        if (!is_array($settings)) {
+            return new JsonResponse(['success' => false, 'message' => 'Tool settings must be a JSON object'], 400);
+        }
+
+        try {
+            $this->toolSettingsService->setSettings(array_filter(
+                array_intersect_key($settings, $this->toolRegistry->getAllTools()),
+                'is_array'
+            ));
+
+            return new JsonResponse([
+                'success' => true,
+                ...$this->getToolSettingsData(),
+            ]);
+        } catch (\InvalidArgumentException $e) {
+            return new JsonResponse(['success' => false, 'message' => $e->getMessage()], 400);
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error saving tool settings: ' . $e->getMessage()
+            ], 500);
+        }
+    }
+
+    /**
+     * Build the tool list of the settings panel and the tools/list preview
+     */
+    private function getToolSettingsData(): array
+    {
+        $tools = [];
+        foreach ($this->toolRegistry->getAllTools() as $name => $tool) {
+            $schema = $tool->getSchema();
+            $tools[] = [
+                'name' => $name,
+                'description' => $schema['description'] ?? '',
+                'readOnly' => (bool)($schema['annotations']['readOnlyHint'] ?? false),
+                ...$this->toolSettingsService->getToolSettings($name),
+            ];
+        }
+
+        return [
+            'tools' => $tools,
+            'maxGuidanceLength' => ToolSettingsService::MAX_GUIDANCE_LENGTH,
+            'preview' => $this->mcpServerFactory->getToolList(),
+        ];
+    }
+
+    /**
+     * Get the configured webhooks, their latest deliveries and the tokens
+     * a webhook can be limited to (admins only)
+     */
+    public function getWebhooksAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser || !$backendUser->isAdmin()) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        try {
+            return new JsonResponse([
+                'success' => true,
+                ...$this->getWebhookData(),
+            ]);
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error loading webhooks: ' . $e->getMessage()
+            ], 500);
+        }
+    }
+
+    /**
+     * Create a webhook, or update it when a webhookId is given (admins only)
+     */
+    public function saveWebhookAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser || !$backendUser->isAdmin()) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        $parsedBody = $this->getRequestData($request);
+        $splitList = static fn(mixed $value): array => is_array($value)
+            ? $value
+            : GeneralUtility::trimExplode(',', (string)$value, true);
+
+        try {
+            $webhookUid = $this->webhookService->saveWebhook([
+                'title' => (string)($parsedBody['title'] ?? ''),
+                'url' => (string)($parsedBody['url'] ?? ''),
+                'secret' => (string)($parsedBody['secret'] ?? ''),
+                'tables' => $splitList($parsedBody['tables'] ?? ''),
+                'actions' => $splitList($parsedBody['actions'] ?? ''),
+                'token_uids' => $splitList($parsedBody['tokenIds'] ?? ''),
+                'disabled' => !empty($parsedBody['disabled']),
+            ], (int)($parsedBody['webhookId'] ?? 0));
+
+            return new JsonResponse([
+                'success' => true,
+                'webhookId' => $webhookUid,
+                ...$this->getWebhookData(),
+            ]);
+        } catch (\InvalidArgumentException $e) {
+            return new JsonResponse(['success' => false, 'message' => $e->getMessage()], 400);
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error saving webhook: ' . $e->getMessage()
+            ], 500);
+        }
+    }
+
+    /**
+     * Delete a webhook and its delivery log (admins only)
+     */
+    public function deleteWebhookAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser || !$backendUser->isAdmin()) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        $webhookUid = (int)($this->getRequestData($request)['webhookId'] ?? 0);
+
+        try {
+            if (!$this->webhookService->deleteWebhook($webhookUid)) {
+                return new JsonResponse(['success' => false, 'message' => 'Webhook not found'], 404);
+            }
+
+            return new JsonResponse([
+                'success' => true,
+                ...$this->getWebhookData(),
+            ]);
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error deleting webhook: ' . $e->getMessage()
+            ], 500);
+        }
+    }
+
+    /**
+     * Send a test event to a webhook and return the outcome (admins only)
+     */
+    public function testWebhookAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser || !$backendUser->isAdmin()) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        $webhookUid = (int)($this->getRequestData($request)['webhookId'] ?? 0);
+
+        try {
+            $delivery = $this->webhookService->sendTestEvent($webhookUid, (string)($backendUser->user['username'] ?? ''));
+            if ($delivery === null) {
+                return new JsonResponse(['success' => false, 'message' => 'Webhook not found'], 404);
+            }
+
+            return new JsonResponse([
+                'success' => true,
+                'delivery' => $delivery,
+                ...$this->getWebhookData(),
+            ]);
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error sending test event: ' . $e->getMessage()
+            ], 500);
+        }
+    }
+
+    /**
+     * Build the webhook list, the delivery log and the token filter options
+     */
+    private function getWebhookData(): array
+    {
+        return [
+            'webhooks' => $this->webhookService->getWebhooks(),
+            'deliveries' => $this->webhookService->getDeliveries(),
+            'actions' => WebhookService::ACTIONS,
+            'tokenOptions' => array_map(static fn(array $token) => [
+                'uid' => (int)$token['uid'],
+                'client_name' => (string)$token['client_name'],
+                'username' => (string)($token['username'] ?? ''),
+            ], $this->oauthService->getAllTokens()),
+        ];
+    }
+
+    /**
+     * Get the prompt library, the sites and groups a prompt can be limited
+     * to, and the resources exposed to clients
+     */
+    public function getPromptsAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        try {
+            return new JsonResponse([
+                'success' => true,
+                ...$this->getPromptData($backendUser),
+                'resources' => $this->resourceService->getResourceList(),
+            ]);
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error loading prompts: ' . $e->getMessage()
+            ], 500);
+        }
+    }
+
+    /**
+     * Create a prompt, or update it when a promptId is given (its author and admins only)
+     */
+    public function savePromptAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        $parsedBody = $this->getRequestData($request);
+        $promptUid = (int)($parsedBody['promptId'] ?? 0);
+        $splitList = static fn(mixed $value): array => is_array($value)
+            ? $value
+            : GeneralUtility::trimExplode(',', (string)$value, true);
+        $arguments = $parsedBody['arguments'] ?? [];
+        if (is_string($arguments)) {
+            $arguments = json_decode($arguments, true) ?: [];
+        }
+
+        try {
+            if ($promptUid > 0) {
+                $prompt = $this->promptLibraryService->getPrompt($promptUid);
+                if ($prompt === null) {
+                    return new JsonResponse(['success' => false, 'message' => 'Prompt not found'], 404);
+                }
+                if (!$this->promptLibraryService->canEdit($prompt, $backendUser)) {
+                    return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+                }
+            }
+
+            $promptUid = $this->promptLibraryService->savePrompt([
+                'name' => (string)($parsedBody['name'] ?? ''),
+                'title' => (string)($parsedBody['title'] ?? ''),
+                'description' => (string)($parsedBody['description'] ?? ''),
+                'template' => (string)($parsedBody['template'] ?? ''),
+                'arguments' => (array)$arguments,
+                'sites' => $splitList($parsedBody['sites'] ?? ''),
+                'be_groups' => $splitList($parsedBody['groups'] ?? ''),
+                'disabled' => !empty($parsedBody['disabled']),
+            ], $promptUid, (int)$backendUser->user['uid']);
+
+            return new JsonResponse([
+                'success' => true,
+                'promptId' => $promptUid,
+                ...$this->getPromptData($backendUser),
+            ]);
+        } catch (\InvalidArgumentException $e) {
+            return new JsonResponse(['success' => false, 'message' => $e->getMessage()], 400);
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error saving prompt: ' . $e->getMessage()
+            ], 500);
+        }
+    }
+
+    /**
+     * Delete a prompt (its author and admins only)
+     */
+    public function deletePromptAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        $promptUid = (int)($this->getRequestData($request)['promptId'] ?? 0);
+
+        try {
+            $prompt = $this->promptLibraryService->getPrompt($promptUid);
+            if ($prompt === null) {
+                return new JsonResponse(['success' => false, 'message' => 'Prompt not found'], 404);
+            }
+            if (!$this->promptLibraryService->canEdit($prompt, $backendUser)) {
+                return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+            }
+
+            $this->promptLibraryService->deletePrompt($promptUid);
+
+            return new JsonResponse([
+                'success' => true,
+                ...$this->getPromptData($backendUser),
+            ]);
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error deleting prompt: ' . $e->getMessage()
+            ], 500);
+        }
+    }
+
+    /**
+     * Build the prompt list and the site and group options
+     */
+    private function getPromptData(BackendUserAuthentication $backendUser): array
+    {
+        $prompts = array_map(fn(array $prompt) => [
+            ...$prompt,
+            'can_edit' => $this->promptLibraryService->canEdit($prompt, $backendUser),
+        ], $this->promptLibraryService->getPromptsForUser($backendUser));
+
+        $sites = [];
+        foreach (GeneralUtility::makeInstance(SiteFinder::class)->getAllSites() as $site) {
+            $sites[] = [
+                'identifier' => $site->getIdentifier(),
+                'title' => trim((string)($site->getConfiguration()['websiteTitle'] ?? '')) ?: $site->getIdentifier(),
+            ];
+        }
+
+        return [
+            'prompts' => $prompts,
+            'sites' => $sites,
+            'groups' => $this->serviceAccountService->getTemplateOptions()['groups'],
+            'maxTemplateLength' => PromptLibraryService::MAX_TEMPLATE_LENGTH,
+        ];
+    }
+
+    /**
+     * Get the tool calls of a token for the activity panel, optionally
+     * filtered by tool, together with calls per day for the chart
+     */
+    public function getTokenActivityAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        $parsedBody = $this->getRequestData($request);
+        $tokenId = (int)($parsedBody['tokenId'] ?? 0);
+        $toolName = trim((string)($parsedBody['tool'] ?? ''));
+        $days = max(1, min(365, (int)($parsedBody['days'] ?? 7)));
+        $userId = (int)$backendUser->user['uid'];
+
+        if ($tokenId <= 0) {
+            return new JsonResponse(['success' => false, 'message' => 'Invalid token ID'], 400);
+        }
+
+        try {
+            $since = strtotime('today') - ($days - 1) * 86400;
+            $entries = $this->tokenActivityService->getActivity($tokenId, $userId, $toolName, $since);
+            $perDay = $this->tokenActivityService->getCallsPerDay($tokenId, $userId, $days, $toolName);
+
+            return new JsonResponse([
+                'success' => true,
+                'tools' => $this->tokenActivityService->getUsedToolNames($tokenId, $userId),
+                'entries' => array_map(static fn(array $entry) => [
+                    'time' => (int)$entry['crdate'],
+                    'tool' => $entry['tool'],
+                    'record' => $entry['record_table'] !== ''
+                        ? $entry['record_table'] . ((int)$entry['record_uid'] > 0 ? ':' . $entry['record_uid'] : '')
+                        : '',
+                    'success' => (bool)$entry['success'],
+                    'error' => (string)$entry['error_message'],
+                    'duration' => (int)$entry['duration'],
+                    'ip' => $entry['ip'],
+                ], $entries),
+                'perDay' => array_map(
+                    static fn(string $date, array $counts) => ['date' => $date, ...$counts],
+                    array_keys($perDay),
+                    $perDay
+                ),
+            ]);
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error retrieving activity: ' . $e->getMessage()
+            ], 500);
+        }
+    }
+
+    /**
+     * Start recording the JSON-RPC traffic of a token for a limited time
+     */
+    public function startDebugCaptureAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        $parsedBody = $this->getRequestData($request);
+        $tokenId = (int)($parsedBody['tokenId'] ?? 0);
+
+        try {
+            $captureUntil = $this->debugCaptureService->startCapture(
+                $tokenId,
+                (int)$backendUser->user['uid'],
+                (int)($parsedBody['minutes'] ?? 0)
+            );
+        } catch (\InvalidArgumentException $e) {
+            return new JsonResponse(['success' => false, 'message' => $e->getMessage()], 400);
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error starting debug capture: ' . $e->getMessage()
+            ], 500);
+        }
+
+        if ($captureUntil === null) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Token not found or access denied'
+            ], 404);
+        }
+
+        return new JsonResponse([
+            'success' => true,
+            'captureUntil' => $captureUntil,
+        ]);
+    }
+
+    /**
+     * Stop recording the traffic of a token
+     */
+    public function stopDebugCaptureAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        $parsedBody = $this->getRequestData($request);
+        $tokenId = (int)($parsedBody['tokenId'] ?? 0);
+
+        try {
+            $success = $this->debugCaptureService->stopCapture($tokenId, (int)$backendUser->user['uid']);
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error stopping debug capture: ' . $e->getMessage()
+            ], 500);
+        }
+
+        if (!$success) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Token not found or access denied'
+            ], 404);
+        }
+
+        return new JsonResponse(['success' => true]);
+    }
+
+    /**
+     * Get the captured traffic of a token for the inspector; afterUid only
+     * returns messages captured since the last poll
+     */
+    public function getDebugMessagesAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        $parsedBody = $this->getRequestData($request);
+        $tokenId = (int)($parsedBody['tokenId'] ?? 0);
+        $userId = (int)$backendUser->user['uid'];
+
+        try {
+            return new JsonResponse([
+                'success' => true,
+                'captureUntil' => $this->debugCaptureService->getCaptureUntil($tokenId, $userId),
+                'messages' => $this->debugCaptureService->getMessages($tokenId, $userId, (int)($parsedBody['afterUid'] ?? 0)),
+            ]);
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error retrieving captured messages: ' . $e->getMessage()
+            ], 500);
+        }
+    }
+
+    /**
+     * Delete the captured traffic of a token
+     */
+    public function clearDebugMessagesAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        $parsedBody = $this->getRequestData($request);
+
+        try {
+            $deleted = $this->debugCaptureService->clearMessages((int)($parsedBody['tokenId'] ?? 0), (int)$backendUser->user['uid']);
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error clearing captured messages: ' . $e->getMessage()
+            ], 500);
+        }
+
+        return new JsonResponse([
+            'success' => true,
+            'message' => sprintf('%d captured message%s deleted', $deleted, $deleted === 1 ? '' : 's'),
+        ]);
+    }
+
+    /**
+     * Get the recorded sessions of the current user
+     */
+    public function getRecordingsAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        try {
+            return new JsonResponse([
+                'success' => true,
+                'recordings' => $this->sessionRecordingService->getRecordings((int)$backendUser->user['uid']),
+            ]);
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error retrieving recordings: ' . $e->getMessage()
+            ], 500);
+        }
+    }
+
+    /**
+     * Start recording the session of a token
+     */
+    public function startRecordingAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        $parsedBody = $this->getRequestData($request);
+
+        try {
+            $recordingUid = $this->sessionRecordingService->startRecording(
+                (int)($parsedBody['tokenId'] ?? 0),
+                (int)$backendUser->user['uid'],
+                (string)($parsedBody['title'] ?? ''),
+                (string)($parsedBody['prompt'] ?? '')
+            );
+        } catch (\InvalidArgumentException $e) {
+            return new JsonResponse(['success' => false, 'message' => $e->getMessage()], 400);
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error starting recording: ' . $e->getMessage()
+            ], 500);
+        }
+
+        if ($recordingUid === null) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Token not found or access denied'
+            ], 404);
+        }
+
+        return new JsonResponse([
+            'success' => true,
+            'recordingId' => $recordingUid,
+        ]);
+    }
+
+    /**
+     * Stop a running session recording
+     */
+    public function stopRecordingAction(ServerRequestInterface $request): ResponseInterface
+    {
+        return $this->processRecording($request, 'stop');
+    }
+
+    /**
+     * Delete a session recording
+     */
+    public function deleteRecordingAction(ServerRequestInterface $request): ResponseInterface
+    {
+        return $this->processRecording($request, 'delete');
+    }
+
+    /**
+     * Download a session recording as ZIP archive with an LLM test and its
+     * CSV fixtures
+     */
+    public function exportRecordingAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        $parsedBody = $this->getRequestData($request);
+
+        try {
+            $recording = $this->sessionRecordingService->getRecording(
+                (int)($parsedBody['recordingId'] ?? 0),
+                (int)$backendUser->user['uid']
+            );
+            if ($recording === null) {
+                return new JsonResponse([
+                    'success' => false,
+                    'message' => 'Recording not found or access denied'
+                ], 404);
+            }
+
+            $files = $this->recordingExportService->export($recording);
+            $stream = new Stream('php://temp', 'rw');
+            $stream->write($this->recordingExportService->createArchive($files));
+            $stream->rewind();
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error exporting recording: ' . $e->getMessage()
+            ], 500);
+        }
+
+        $filename = basename((string)array_key_first($files), '.php') . '.zip';
+
+        return new Response($stream, 200, [
+            'Content-Type' => 'application/zip',
+            'Content-Disposition' => 'attachment; filename="' . $filename . '"',
+        ]);
+    }
+
+    private function processRecording(ServerRequestInterface $request, string $operation): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        $parsedBody = $this->getRequestData($request);
+        $recordingId = (int)($parsedBody['recordingId'] ?? 0);
+        $userId = (int)$backendUser->user['uid'];
+
+        try {
+            $success = $operation === 'stop'
+                ? $this->sessionRecordingService->stopRecording($recordingId, $userId)
+                : $this->sessionRecordingService->deleteRecording($recordingId, $userId);
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error processing recording: ' . $e->getMessage()
+            ], 500);
+        }
+
+        if (!$success) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Recording not found or access denied'
+            ], 404);
+        }
+
+        return new JsonResponse(['success' => true]);
+    }
+
+    /**
+     * Get the workspace changes made through MCP that are still waiting for
+     * review, grouped by client and page
+     */
+    public function getPendingChangesAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        try {
+            $groups = $this->pendingChangesService->getPendingChanges((int)$backendUser->user['uid']);
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error retrieving pending changes: ' . $e->getMessage()
+            ], 500);
+        }
+
+        foreach ($groups as &$group) {
+            foreach ($group['pages'] as &$page) {
+                $page['page_module_url'] = (string)$this->uriBuilder->buildUriFromRoute('web_layout', ['id' => $page['uid']]);
+                foreach ($page['changes'] as &$change) {
+                    $change['workspace_title'] = $this->workspaceContextService->getWorkspaceTitle($change['workspace_uid']);
+                }
+            }
+        }
+        unset($group, $page, $change);
+
+        return new JsonResponse([
+            'success' => true,
+            'groups' => $groups,
+        ]);
+    }
+
+    /**
+     * Publish a single pending change
+     */
+    public function publishChangeAction(ServerRequestInterface $request): ResponseInterface
+    {
+        return $this->processPendingChange($request, 'publish');
+    }
+
+    /**
+     * Discard a single pending change
+     */
+    public function discardChangeAction(ServerRequestInterface $request): ResponseInterface
+    {
+        return $this->processPendingChange($request, 'discard');
+    }
+
+    private function processPendingChange(ServerRequestInterface $request, string $operation): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        $changeId = (int)($this->getRequestData($request)['changeId'] ?? 0);
+        if ($changeId <= 0) {
+            return new JsonResponse(['success' => false, 'message' => 'Invalid change ID'], 400);
+        }
+
+        try {
+            if ($operation === 'publish') {
+                $this->pendingChangesService->publishChange($changeId, $backendUser);
+            } else {
+                $this->pendingChangesService->discardChange($changeId, $backendUser);
+            }
+        } catch (\InvalidArgumentException $e) {
+            return new JsonResponse(['success' => false, 'message' => $e->getMessage()], 404);
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error during ' . $operation . ': ' . $e->getMessage()
+            ], 500);
+        }
+
+        return new JsonResponse([
+            'success' => true,
+            'message' => $operation === 'publish' ? 'Change published' : 'Change discarded',
+        ]);
+    }
+
+    /**
+     * Explain what an MCP client acting as the current user can read and
+     * write. Admins can inspect any backend user.
+     */
+    public function getEffectivePermissionsAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        $parsedBody = $this->getRequestData($request);
+        $userId = (int)($parsedBody['userId'] ?? 0) ?: (int)$backendUser->user['uid'];
+
+        if ($userId !== (int)$backendUser->user['uid'] && !$backendUser->isAdmin()) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        try {
+            $permissions = $this->effectivePermissionsService->getEffectivePermissions($userId);
+        } catch (\InvalidArgumentException $e) {
+            return new JsonResponse(['success' => false, 'message' => $e->getMessage()], 404);
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error evaluating permissions: ' . $e->getMessage()
+            ], 500);
+        }
+
+        return new JsonResponse([
+            'success' => true,
+            ...$permissions,
+        ]);
+    }
+
+    /**
+     * Format a token record for display in the token table. Dates are
+     * passed as timestamps, the module renders them in the user's locale.
+     */
+    private function formatToken(array $token): array
+    {
+        $scope = (string)($token['scope'] ?? '');
+
+        return [
+            'uid' => $token['uid'],
+            'client_name' => $token['client_name'],
+            'created' => (int)$token['crdate'],
+            'expires' => (int)$token['expires'],
+            'expires_soon' => $token['expires'] - time() < self::EXPIRY_WARNING_SECONDS,
+            'expired' => $token['expires'] <= time(),
+            'previous_valid_until' => ($token['previous_token_expires'] ?? 0) > time()
+                ? (int)$token['previous_token_expires']
+                : 0,
+            'last_used' => (int)$token['last_used'],
+            'last_used_ip' => (string)($token['last_used_ip'] ?? ''),
+            'scope_type' => $this->tokenScopeService->parseScope($scope)['type'],
+            'scope_label' => $this->tokenScopeService->getScopeLabel($scope),
+            'workspace_uid' => (int)($token['workspace_uid'] ?? 0),
+            'workspace_title' => ($token['workspace_uid'] ?? 0) > 0
+                ? $this->workspaceContextService->getWorkspaceTitle((int)$token['workspace_uid'])
+                : '',
+            'ip_allowlist' => array_values(array_filter(explode(',', (string)($token['ip_allowlist'] ?? '')))),
+            'new_network_ip' => (string)($token['new_network_ip'] ?? ''),
+            'new_network_seen' => (int)($token['new_network_seen'] ?? 0),
+            'rate_limit_settings' => $this->tokenRateLimitService->extractLimits($token),
+            'rate_limits' => $this->tokenRateLimitService->getUsage($token),
+            'debug_capture_until' => ($token['debug_capture_until'] ?? 0) > time()
+                ? (int)$token['debug_capture_until']
+                : 0,
+        ];
+    }
+
+    /**
+     * Reduce tokens to the options of the token selects
+     */
+    private function getTokenOptions(array $tokens): array
+    {
+        return array_map(static fn(array $token) => [
+            'uid' => (int)$token['uid'],
+            'client_name' => (string)$token['client_name'],
+        ], $tokens);
+    }
+
+    /**
+     * Check if any TYPO3 workspace exists
+     */
+    private function hasAnyWorkspace(): bool
+    {
+        try {
+            $connectionPool = GeneralUtility::makeInstance(ConnectionPool::class);
+            $queryBuilder = $connectionPool->getQueryBuilderForTable('sys_workspace');
+            $count = $queryBuilder
+                ->count('uid')
+                ->from('sys_workspace')
+                ->where(
+                    $queryBuilder->expr()->eq('deleted', $queryBuilder->createNamedParameter(0, \TYPO3\CMS\Core\Database\Connection::PARAM_INT))
+                )
+                ->executeQuery()
+                ->fetchOne();
+            return (int)$count > 0;
+        } catch (\Throwable $e) {
+            return false;
+        }
+    }
+
+    /**
+     * Check if the base URL resolves to a private/non-routable network address.
+     * Catches localhost, DDEV domains (*.ddev.site), Docker networks, etc.
+     * Checks both IPv4 (A) and IPv6 (AAAA) records to avoid false positives
+     * on IPv6-only hosts.
      */
     private function isLocalhostUrl(string $baseUrl): bool
     {
@@ -359,7 +2120,8 @@ class McpServerModuleController
 
     /**
      * Create an access token for MCP clients via AJAX.
-     * Accepts a free-form client name (non-empty, max 100 chars).
+     * Accepts a free-form client name (non-empty, max 100 chars) and an
+     * optional scope: "full", "read_only" or "tools" with a list of tool names.
      */
     public function createTokenAction(ServerRequestInterface $request): ResponseInterface
     {
@@ -372,16 +2134,7 @@ class McpServerModuleController
             $userId = (int)$backendUser->user['uid'];
 
             // Get client type from POST body (default to mcp-remote for backward compatibility)
-            $rawBody = $request->getBody()->getContents();
-            $request->getBody()->rewind();
-            $parsedBody = $request->getParsedBody();
-
-            if ($parsedBody === null && !empty($rawBody)) {
-                $jsonData = json_decode($rawBody, true);
-                if (json_last_error() === JSON_ERROR_NONE) {
-                    $parsedBody = $jsonData;
-                }
-            }
+            $parsedBody = $this->getRequestData($request);
 
             $clientName = trim($parsedBody['clientName'] ?? $parsedBody['clientType'] ?? '');
 
@@ -399,8 +2152,56 @@ class McpServerModuleController
                 ], 400);
             }
 
+            // Build the token scope (full access, read-only or a tool allowlist)
+            $scopeType = (string)($parsedBody['scope'] ?? TokenScopeService::TYPE_FULL);
+            $scopeTools = $parsedBody['tools'] ?? [];
+            if (is_string($scopeTools)) {
+                $scopeTools = GeneralUtility::trimExplode(',', $scopeTools, true);
+            }
+            if (!is_array($scopeTools) || array_filter($scopeTools, static fn(mixed $toolName) => !is_string($toolName)) !== []) {
+                return new JsonResponse([
+                    'success' => false,
+                    'message' => 'The tools must be a list of tool names'
+                ], 400);
+            }
+            foreach ($scopeTools as $toolName) {
+                if ($this->toolRegistry->getTool($toolName) === null) {
+                    return new JsonResponse([
+                        'success' => false,
+                        'message' => 'Unknown tool: ' . $toolName
+                    ], 400);
+                }
+            }
+            try {
+                $scope = $this->tokenScopeService->buildScope($scopeType, $scopeTools);
+            } catch (\InvalidArgumentException $e) {
+                return new JsonResponse([
+                    'success' => false,
+                    'message' => $e->getMessage()
+                ], 400);
+            }
+
+            // Optional lifetime in seconds chosen in the lifetime picker
+            $ttl = isset($parsedBody['ttl']) && $parsedBody['ttl'] !== '' ? (int)$parsedBody['ttl'] : null;
+
+            // Optional workspace the token's writes are bound to (0 = automatic)
+            $workspaceUid = (int)($parsedBody['workspace'] ?? 0);
+            if ($workspaceUid > 0 && !isset($this->workspaceContextService->getWritableWorkspaces($backendUser)[$workspaceUid])) {
+                return new JsonResponse([
+                    'success' => false,
+                    'message' => 'You do not have write access to the selected workspace'
+                ], 400);
+            }
+
             // Create new token
-            $token = $this->oauthService->createDirectAccessToken($userId, $clientName, $request);
+            try {
+                $token = $this->oauthService->createDirectAccessToken($userId, $clientName, $request, $scope, $ttl, $workspaceUid);
+            } catch (\InvalidArgumentException $e) {
+                return new JsonResponse([
+                    'success' => false,
+                    'message' => $e->getMessage()
+                ], 400);
+            }
 
             return new JsonResponse([
                 'success' => true,
@@ -416,4 +2217,286 @@ class McpServerModuleController
         }
     }
 
+    /**
+     * Create a short-lived read-only token for the connection diagnostics.
+     * The wizard revokes it when it is done; if it never gets there, the
+     * token expires after a few minutes.
+     */
+    public function createDiagnosticsTokenAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        try {
+            $token = $this->oauthService->createDirectAccessToken(
+                (int)$backendUser->user['uid'],
+                'Connection diagnostics',
+                $request,
+                TokenScopeService::READ_ONLY,
+                self::DIAGNOSTICS_TOKEN_LIFETIME
+            );
+
+            return new JsonResponse([
+                'success' => true,
+                'token' => $token,
+                'tokenId' => $this->oauthService->findTokenUid($token) ?? 0,
+            ]);
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error creating diagnostics token: ' . $e->getMessage()
+            ], 500);
+        }
+    }
+
+    /**
+     * Remove the client the connection diagnostics registered to test dynamic client registration
+     */
+    public function deleteDiagnosticsClientAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        $parsedBody = $this->getRequestData($request);
+
+        try {
+            if (!$this->oauthClientService->deleteDiagnosticsClient((string)($parsedBody['clientId'] ?? ''))) {
+                return new JsonResponse(['success' => false, 'message' => 'Client not found'], 404);
+            }
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error deleting diagnostics client: ' . $e->getMessage()
+            ], 500);
+        }
+
+        return new JsonResponse(['success' => true]);
+    }
+
+    /**
+     * Get all registered tools with their input schema for the tool playground
+     */
+    public function getToolsAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        try {
+            $tools = [];
+            foreach ($this->toolRegistry->getTools() as $tool) {
+                $schema = $this->toolRegistry->getToolSchema($tool);
+                $tools[] = [
+                    'name' => $tool->getName(),
+                    'description' => $schema['description'] ?? '',
+                    'inputSchema' => $schema['inputSchema'] ?? ['type' => 'object', 'properties' => new \stdClass()],
+                    'annotations' => $schema['annotations'] ?? new \stdClass(),
+                ];
+            }
+
+            return new JsonResponse([
+                'success' => true,
+                'tools' => $tools
+            ]);
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error loading tools: ' . $e->getMessage()
+            ], 500);
+        }
+    }
+
+    /**
+     * Execute a tool with the current backend user's permissions.
+     *
+     * This runs the tool exactly like McpEndpoint does for a token of the same
+     * user (including the workspace switch), so editors can see what their
+     * MCP clients get without needing an external client.
+     */
+    public function callToolAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        $parsedBody = $this->getRequestData($request);
+        $toolName = trim((string)($parsedBody['tool'] ?? ''));
+        $arguments = $parsedBody['arguments'] ?? [];
+
+        // Arguments may arrive as a JSON string when posted as form data
+        if (is_string($arguments)) {
+            $arguments = $arguments === '' ? [] : json_decode($arguments, true);
+        }
+        if (!is_array($arguments)) {
+            return new JsonResponse(['success' => false, 'message' => 'Tool arguments must be a JSON object'], 400);
+        }
+
+        $tool = $this->toolRegistry->getTool($toolName);
+        if ($tool === null) {
+            return new JsonResponse(['success' => false, 'message' => 'Tool not found: ' . $toolName], 404);
+        }
+
+        try {
+            $this->workspaceContextService->switchToOptimalWorkspace($backendUser);
+            $this->tokenContextService->setCurrentToken(0, 'Tool Playground');
+
+            $start = microtime(true);
+            $result = $tool->execute($arguments);
+            $duration = (int)round((microtime(true) - $start) * 1000);
+
+            return new JsonResponse([
+                'success' => true,
+                'isError' => (bool)($result->isError ?? false),
+                'text' => $this->getResultText($result),
+                'result' => $result->jsonSerialize(),
+                'duration' => $duration,
+                'workspace' => $this->workspaceContextService->getWorkspaceInfo(),
+            ]);
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error executing tool: ' . $e->getMessage()
+            ], 500);
+        }
+    }
+
+    /**
+     * Get the schema descriptions for the schema browser. The text is the
+     * output of ListTables, GetTableSchema or GetFlexFormSchema, exactly as an
+     * MCP client of the current user gets it; the structured data drives the
+     * navigation.
+     */
+    public function getSchemaAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $backendUser = $this->getBackendUser();
+        if (!$backendUser) {
+            return new JsonResponse(['success' => false, 'message' => 'Access denied'], 403);
+        }
+
+        $parsedBody = $this->getRequestData($request);
+        $table = trim((string)($parsedBody['table'] ?? ''));
+        $type = trim((string)($parsedBody['type'] ?? ''));
+        $field = trim((string)($parsedBody['field'] ?? ''));
+        $identifier = trim((string)($parsedBody['identifier'] ?? ''));
+        $tableAccessService = GeneralUtility::makeInstance(TableAccessService::class);
+
+        try {
+            if ($identifier !== '') {
+                $result = $this->executeSchemaTool('GetFlexFormSchema', [
+                    'table' => $table,
+                    'field' => $field,
+                    'identifier' => $identifier,
+                ]);
+                return new JsonResponse(['success' => true, ...$result]);
+            }
+
+            if ($table === '') {
+                $tables = [];
+                foreach ($tableAccessService->getAccessibleTables(true) as $tableName => $accessInfo) {
+                    $tables[] = [
+                        'table' => $tableName,
+                        'label' => TableAccessService::translateLabel($tableAccessService->getTableTitle($tableName)),
+                        'read_only' => $accessInfo['read_only'],
+                    ];
+                }
+                usort($tables, static fn(array $a, array $b) => strcmp($a['table'], $b['table']));
+
+                return new JsonResponse([
+                    'success' => true,
+                    ...$this->executeSchemaTool('ListTables', []),
+                    'tables' => $tables,
+                ]);
+            }
+
+            $result = $this->executeSchemaTool('GetTableSchema', array_filter(['table' => $table, 'type' => $type]));
+            if ($result['isError']) {
+                return new JsonResponse(['success' => true, ...$result, 'types' => [], 'flexForms' => []]);
+            }
+
+            // Without a type the tool picks the first type with a form; show that one as selected
+            if ($type === '' && preg_match('/^CURRENT RECORD TYPE:\n-+\nType: (\S+) \(/m', $result['text'], $matches)) {
+                $type = $matches[1];
+            }
+
+            $types = [];
+            foreach ($tableAccessService->getAvailableTypes($table) as $value => $label) {
+                $types[] = ['value' => (string)$value, 'label' => TableAccessService::translateLabel((string)$label)];
+            }
+
+            // FlexForm fields of the shown type with the identifiers GetFlexFormSchema accepts
+            $flexForms = [];
+            foreach ($GLOBALS['TCA'][$table]['columns'] ?? [] as $fieldName => $fieldConfig) {
+                if (($fieldConfig['config']['type'] ?? '') !== 'flex' || !$tableAccessService->canAccessField($table, (string)$fieldName, $type)) {
+                    continue;
+                }
+                $config = array_replace_recursive(
+                    $fieldConfig['config'],
+                    $GLOBALS['TCA'][$table]['types'][$type]['columnsOverrides'][$fieldName]['config'] ?? []
+                );
+                $identifiers = $tableAccessService->getFlexFormIdentifiers($config, $type);
+                if ($identifiers !== []) {
+                    $flexForms[] = ['field' => (string)$fieldName, 'identifiers' => $identifiers];
+                }
+            }
+
+            return new JsonResponse([
+                'success' => true,
+                ...$result,
+                'type' => $type,
+                'types' => $types,
+                'flexForms' => $flexForms,
+            ]);
+        } catch (\Throwable $e) {
+            return new JsonResponse([
+                'success' => false,
+                'message' => 'Error loading schema: ' . $e->getMessage()
+            ], 500);
+        }
+    }
+
+    /**
+     * Run one of the schema tools and return its text output, also when the
+     * tool is disabled for MCP clients
+     *
+     * @return array{text: string, isError: bool}
+     */
+    private function executeSchemaTool(string $toolName, array $arguments): array
+    {
+        $tool = $this->toolRegistry->getRegisteredTool($toolName);
+        if ($tool === null) {
+            throw new \RuntimeException('Tool not found: ' . $toolName);
+        }
+
+        $result = $tool->execute($arguments);
+
+        return [
+            'text' => $this->getResultText($result),
+            'isError' => (bool)($result->isError ?? false),
+        ];
+    }
+
+    /**
+     * Extract the text content from a CallToolResult
+     */
+    private function getResultText(CallToolResult $result): string
+    {
+        $text = '';
+
+        foreach ($result->content as $item) {
+            if ($item instanceof TextContent) {
+                $text .= $item->text;
+            } else {
+                $text .= json_encode($item, JSON_PRETTY_PRINT);
+            }
+        }
+
+        return $text;
+    }
+
 }
\ No newline at end of file
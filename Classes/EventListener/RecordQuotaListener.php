@@ -0,0 +1,51 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\EventListener;
+
+use Hn\McpServer\Event\AfterRecordWriteEvent;
+use Hn\McpServer\Event\BeforeRecordWriteEvent;
+use Hn\McpServer\Service\TokenContextService;
+use Hn\McpServer\Service\TokenRateLimitService;
+
+/**
+ * Counts every record written through MCP against the daily record quota of
+ * the token the request was authenticated with, and vetoes writes once the
+ * quota is used up, also within a single batch request. Writes without a
+ * token (stdio CLI server) are not limited.
+ */
+final class RecordQuotaListener
+{
+    public function __construct(
+        private readonly TokenRateLimitService $tokenRateLimitService,
+        private readonly TokenContextService $tokenContextService,
+    ) {}
+
+    public function beforeRecordWrite(BeforeRecordWriteEvent $event): void
+    {
+        $tokenUid = $this->tokenContextService->getTokenUid();
+        if ($tokenUid === 0) {
+            return;
+        }
+
+        $exceededLimit = $this->tokenRateLimitService->getExceededRecordQuota($tokenUid);
+        if ($exceededLimit !== null) {
+            $event->veto(sprintf(
+                'The access token may write %d records per day. Retry after %d seconds.',
+                $exceededLimit['max'],
+                $exceededLimit['retry_after']
+            ));
+        }
+    }
+
+    public function afterRecordWrite(AfterRecordWriteEvent $event): void
+    {
+        $tokenUid = $this->tokenContextService->getTokenUid();
+        if ($tokenUid === 0) {
+            return;
+        }
+
+        $this->tokenRateLimitService->consumeRecords($tokenUid);
+    }
+}
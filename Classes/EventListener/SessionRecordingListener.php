@@ -0,0 +1,61 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\EventListener;
+
+use Hn\McpServer\Event\AfterRecordReadEvent;
+use Hn\McpServer\Event\AfterRecordWriteEvent;
+use Hn\McpServer\Event\BeforeRecordWriteEvent;
+use Hn\McpServer\Service\SessionRecordingService;
+use Hn\McpServer\Service\TokenContextService;
+
+/**
+ * Feeds the running session recording of the current token: records are
+ * snapshotted when they are read or before they are written, and every
+ * completed write is added to the recorded steps.
+ */
+final class SessionRecordingListener
+{
+    public function __construct(
+        private readonly SessionRecordingService $sessionRecordingService,
+        private readonly TokenContextService $tokenContextService,
+    ) {}
+
+    public function onRecordRead(AfterRecordReadEvent $event): void
+    {
+        $tokenUid = $this->tokenContextService->getTokenUid();
+        if ($this->sessionRecordingService->getRunningRecordingUid($tokenUid) === 0) {
+            return;
+        }
+
+        foreach ($event->getRecords() as $record) {
+            if (is_numeric($record['uid'] ?? null)) {
+                $this->sessionRecordingService->snapshotRecord($tokenUid, $event->getTable(), (int)$record['uid']);
+            }
+        }
+    }
+
+    public function beforeRecordWrite(BeforeRecordWriteEvent $event): void
+    {
+        $tokenUid = $this->tokenContextService->getTokenUid();
+
+        if ($event->getUid() !== null) {
+            $this->sessionRecordingService->snapshotRecord($tokenUid, $event->getTable(), $event->getUid());
+        } elseif ($event->getPid() !== null && $event->getPid() > 0) {
+            // New records need the page they are created on
+            $this->sessionRecordingService->snapshotRecord($tokenUid, 'pages', $event->getPid());
+        }
+    }
+
+    public function afterRecordWrite(AfterRecordWriteEvent $event): void
+    {
+        $this->sessionRecordingService->recordWrite(
+            $this->tokenContextService->getTokenUid(),
+            $event->getTable(),
+            $event->getAction(),
+            $event->getUid(),
+            $event->getData()
+        );
+    }
+}
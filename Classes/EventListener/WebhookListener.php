@@ -0,0 +1,47 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\EventListener;
+
+use Hn\McpServer\Event\AfterRecordWriteEvent;
+use Hn\McpServer\Service\TokenContextService;
+use Hn\McpServer\Service\WebhookService;
+use TYPO3\CMS\Core\Log\LogManager;
+use TYPO3\CMS\Core\Utility\GeneralUtility;
+
+/**
+ * Notifies the webhooks configured in the backend module about records
+ * written through MCP. A failing webhook never fails the write itself.
+ */
+final class WebhookListener
+{
+    public function __construct(
+        private readonly WebhookService $webhookService,
+        private readonly TokenContextService $tokenContextService,
+    ) {}
+
+    public function __invoke(AfterRecordWriteEvent $event): void
+    {
+        $backendUser = $GLOBALS['BE_USER'] ?? null;
+
+        try {
+            $this->webhookService->dispatchRecordWrite(
+                $event->getTable(),
+                $event->getAction(),
+                $event->getUid(),
+                $event->getData(),
+                $event->getPid(),
+                (int)($backendUser->workspace ?? 0),
+                $this->tokenContextService->getTokenUid(),
+                $this->tokenContextService->getClientName(),
+                (string)($backendUser->user['username'] ?? '')
+            );
+        } catch (\Throwable $e) {
+            GeneralUtility::makeInstance(LogManager::class)->getLogger(__CLASS__)->error(
+                'Dispatching MCP webhooks failed: ' . $e->getMessage(),
+                ['table' => $event->getTable(), 'uid' => $event->getUid()]
+            );
+        }
+    }
+}
@@ -0,0 +1,41 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\EventListener;
+
+use Hn\McpServer\Event\AfterRecordWriteEvent;
+use Hn\McpServer\Service\PendingChangesService;
+use Hn\McpServer\Service\TokenContextService;
+
+/**
+ * Remembers which workspace records were written through MCP, and by which
+ * token, so the backend module can list them for review. Live writes are not
+ * tracked: there is nothing left to publish or discard.
+ */
+final class WorkspaceChangeTrackingListener
+{
+    public function __construct(
+        private readonly PendingChangesService $pendingChangesService,
+        private readonly TokenContextService $tokenContextService,
+    ) {}
+
+    public function __invoke(AfterRecordWriteEvent $event): void
+    {
+        $backendUser = $GLOBALS['BE_USER'] ?? null;
+        $workspaceId = (int)($backendUser->workspace ?? 0);
+        if ($workspaceId === 0) {
+            return;
+        }
+
+        $this->pendingChangesService->trackChange(
+            $event->getTable(),
+            $event->getUid(),
+            $event->getAction(),
+            $workspaceId,
+            (int)($backendUser->user['uid'] ?? 0),
+            $this->tokenContextService->getTokenUid(),
+            $this->tokenContextService->getClientName()
+        );
+    }
+}
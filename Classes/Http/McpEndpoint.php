@@ -18,10 +18,20 @@ use TYPO3\CMS\Core\Http\Response;
 use TYPO3\CMS\Core\Http\Stream;
 use Psr\Http\Message\ResponseInterface;
 use Psr\Http\Message\ServerRequestInterface;
+use Mcp\Types\CallToolResult;
+use Hn\McpServer\Exception\AccessDeniedException;
 use Hn\McpServer\MCP\McpServerFactory;
+use Hn\McpServer\MCP\ToolRegistry;
+use Hn\McpServer\Service\DebugCaptureService;
 use Hn\McpServer\Service\WorkspaceContextService;
 use Hn\McpServer\Service\OAuthService;
+use Hn\McpServer\Service\SessionRecordingService;
 use Hn\McpServer\Service\SiteInformationService;
+use Hn\McpServer\Service\TokenActivityService;
+use Hn\McpServer\Service\TokenContextService;
+use Hn\McpServer\Service\TokenNetworkService;
+use Hn\McpServer\Service\TokenRateLimitService;
+use Hn\McpServer\Service\TokenScopeService;
 use Hn\McpServer\Http\CorsHeadersTrait;
 
 /**
@@ -30,11 +40,20 @@ use Hn\McpServer\Http\CorsHeadersTrait;
 class McpEndpoint
 {
     use CorsHeadersTrait;
+
+    /**
+     * JSON-RPC error code of requests rejected by a token's rate limits
+     * (implementation-defined server error range)
+     */
+    private const RATE_LIMIT_ERROR_CODE = -32029;
+
     /**
      * eID entry point via __invoke method
      */
     public function __invoke(ServerRequestInterface $request): ResponseInterface
     {
+        $startTime = hrtime(true);
+
         try {
             // Get services through DI container
             $container = GeneralUtility::getContainer();
@@ -78,7 +97,15 @@ class McpEndpoint
             error_log("MCP: Token validation successful for user: " . $tokenInfo['be_user_uid']);
 
             // Set up TYPO3 backend context for the authenticated user
-            $this->setupBackendUserContext($tokenInfo['be_user_uid']);
+            try {
+                $this->setupBackendUserContext($tokenInfo['be_user_uid'], $tokenInfo['workspace_uid']);
+            } catch (AccessDeniedException $e) {
+                error_log("MCP: " . $e->getMessage());
+                return $this->createForbiddenResponse(
+                    'The workspace this token is bound to is not accessible for its owner anymore',
+                    $request
+                );
+            }
 
             // Set current request context in SiteInformationService
             $siteInformationService = $container->get(SiteInformationService::class);
@@ -86,8 +113,45 @@ class McpEndpoint
                 $siteInformationService->setCurrentRequest($request);
             }
 
-            // Create MCP server instance using the factory
-            $server = $serverFactory->createServer();
+            // Attribute writes to the token, e.g. for the pending changes review
+            $container->get(TokenContextService::class)->setCurrentToken(
+                $tokenInfo['token_uid'],
+                $tokenInfo['client_name']
+            );
+
+            // Enforce the token's rate limits and write quotas before anything is executed
+            $jsonRpcMessages = $this->parseJsonRpcMessages($request);
+            $exceededLimit = $container->get(TokenRateLimitService::class)->consumeRequest(
+                $tokenInfo['token_uid'],
+                $this->countWriteCalls($jsonRpcMessages, $container->get(ToolRegistry::class)),
+                count($jsonRpcMessages)
+            );
+            if ($exceededLimit !== null) {
+                error_log("MCP: Rate limit '{$exceededLimit['limit']}' exceeded for token: " . $tokenInfo['token_uid']);
+                $response = $this->createRateLimitResponse($exceededLimit, $jsonRpcMessages, $request);
+                $this->captureTraffic($tokenInfo, $request, $response, $startTime);
+                return $response;
+            }
+
+            // Record every tool call in the token's activity log and its running session recording
+            $activityService = $container->get(TokenActivityService::class);
+            $sessionRecordingService = $container->get(SessionRecordingService::class);
+            $clientIp = GeneralUtility::makeInstance(TokenNetworkService::class)->getClientIp($request);
+            $toolCallListener = static function (string $toolName, array $arguments, CallToolResult $result, int $durationMs) use ($activityService, $sessionRecordingService, $tokenInfo, $clientIp): void {
+                $activityService->logToolCall(
+                    $tokenInfo['token_uid'],
+                    $tokenInfo['be_user_uid'],
+                    $toolName,
+                    $arguments,
+                    $result,
+                    $durationMs,
+                    $clientIp
+                );
+                $sessionRecordingService->recordToolCall($tokenInfo['token_uid'], $toolName, $arguments, $result);
+            };
+
+            // Create MCP server instance using the factory, restricted to the token's scope
+            $server = $serverFactory->createServer(null, $tokenInfo['scope'], $toolCallListener);
 
             // Configure HTTP options
             $httpOptions = [
@@ -142,11 +206,14 @@ class McpEndpoint
             $stream->write($output);
             $stream->rewind();
 
-            return new Response(
+            $response = new Response(
                 $stream,
                 $statusCode,
                 ['Content-Type' => $contentType]
             );
+            $this->captureTraffic($tokenInfo, $request, $response, $startTime);
+
+            return $response;
 
         } catch (\Throwable $e) {
             $stream = new Stream('php://temp', 'rw');
@@ -229,10 +296,143 @@ class McpEndpoint
         return $this->addCorsHeaders($response, $request);
     }
 
+    /**
+     * Decode the JSON-RPC message(s) of the request body
+     *
+     * @return array[] A single message is returned as a list of one, like a batch
+     */
+    private function parseJsonRpcMessages(ServerRequestInterface $request): array
+    {
+        $decoded = json_decode((string)$request->getBody(), true);
+        if (!is_array($decoded)) {
+            return [];
+        }
+
+        $messages = array_is_list($decoded) ? $decoded : [$decoded];
+
+        return array_values(array_filter($messages, 'is_array'));
+    }
+
+    /**
+     * Count the messages that call a tool that is not read-only
+     */
+    private function countWriteCalls(array $messages, ToolRegistry $toolRegistry): int
+    {
+        $tokenScopeService = GeneralUtility::makeInstance(TokenScopeService::class);
+        $writeCalls = 0;
+        foreach ($messages as $message) {
+            if (($message['method'] ?? '') !== 'tools/call') {
+                continue;
+            }
+            $tool = $toolRegistry->getTool((string)($message['params']['name'] ?? ''));
+            if ($tool !== null && !$tokenScopeService->isReadOnlyTool($tool)) {
+                $writeCalls++;
+            }
+        }
+
+        return $writeCalls;
+    }
+
+    /**
+     * Create the JSON-RPC error response for requests exceeding a rate limit
+     *
+     * @param array{limit: string, max: int, retry_after: int} $exceededLimit
+     */
+    private function createRateLimitResponse(array $exceededLimit, array $messages, ServerRequestInterface $request): ResponseInterface
+    {
+        $descriptions = [
+            TokenRateLimitService::LIMIT_REQUESTS => '%d requests per minute',
+            TokenRateLimitService::LIMIT_WRITES => '%d write operations per hour',
+            TokenRateLimitService::LIMIT_RECORDS => '%d records written per day',
+        ];
+        $error = [
+            'code' => self::RATE_LIMIT_ERROR_CODE,
+            'message' => sprintf(
+                'Rate limit exceeded: this access token allows at most ' . $descriptions[$exceededLimit['limit']] . '. Retry in %d seconds.',
+                $exceededLimit['max'],
+                $exceededLimit['retry_after']
+            ),
+            'data' => $exceededLimit,
+        ];
+
+        // Answer with the id of the rejected request (MCP clients send one request per HTTP request)
+        $id = null;
+        foreach ($messages as $message) {
+            if (array_key_exists('id', $message)) {
+                $id = $message['id'];
+                break;
+            }
+        }
+        $body = ['jsonrpc' => '2.0', 'id' => $id, 'error' => $error];
+
+        $stream = new Stream('php://temp', 'rw');
+        $stream->write(json_encode($body));
+        $stream->rewind();
+
+        $response = new Response(
+            $stream,
+            429,
+            [
+                'Content-Type' => 'application/json',
+                'Retry-After' => (string)$exceededLimit['retry_after'],
+            ]
+        );
+
+        return $this->addCorsHeaders($response, $request);
+    }
+
+    /**
+     * Store the request and response if a debug capture is running for the token
+     */
+    private function captureTraffic(array $tokenInfo, ServerRequestInterface $request, ResponseInterface $response, int $startTime): void
+    {
+        try {
+            $debugCaptureService = GeneralUtility::getContainer()->get(DebugCaptureService::class);
+            if ($debugCaptureService->getCaptureUntil($tokenInfo['token_uid']) === 0) {
+                return;
+            }
+
+            $body = $response->getBody();
+            $responseBody = (string)$body;
+            $body->rewind();
+
+            $debugCaptureService->capture(
+                $tokenInfo['token_uid'],
+                $tokenInfo['be_user_uid'],
+                $request,
+                $responseBody,
+                $response->getStatusCode(),
+                (int)round((hrtime(true) - $startTime) / 1e6)
+            );
+        } catch (\Throwable $e) {
+            // Non-fatal: the debug capture must not break the MCP request
+        }
+    }
+
+    /**
+     * Create forbidden response
+     */
+    private function createForbiddenResponse(string $message, ?ServerRequestInterface $request = null): ResponseInterface
+    {
+        $stream = new Stream('php://temp', 'rw');
+        $stream->write(json_encode([
+            'error' => 'Forbidden',
+            'message' => $message
+        ]));
+        $stream->rewind();
+
+        $response = new Response($stream, 403, ['Content-Type' => 'application/json']);
+
+        return $this->addCorsHeaders($response, $request);
+    }
+
     /**
      * Set up backend user context
+     *
+     * @param int $workspaceUid Workspace the token is bound to (0 = pick the optimal workspace)
+     * @throws AccessDeniedException If the token's workspace is not writable for the user
      */
-    private function setupBackendUserContext(int $userId): void
+    private function setupBackendUserContext(int $userId, int $workspaceUid = 0): void
     {
         $beUser = GeneralUtility::makeInstance(BackendUserAuthentication::class);
 
@@ -270,7 +470,9 @@ class McpEndpoint
 
             // Set up workspace context
             $workspaceService = GeneralUtility::makeInstance(WorkspaceContextService::class);
-            $workspaceId = $workspaceService->switchToOptimalWorkspace($beUser);
+            $workspaceId = $workspaceUid > 0
+                ? $workspaceService->switchToBoundWorkspace($beUser, $workspaceUid)
+                : $workspaceService->switchToOptimalWorkspace($beUser);
 
             // Set up TYPO3 Context API (following BackendUserAuthenticator pattern)
             $context = GeneralUtility::makeInstance(Context::class);
@@ -4,6 +4,7 @@ declare(strict_types=1);
 
 namespace Hn\McpServer\Http;
 
+use Hn\McpServer\Service\OAuthClientService;
 use Hn\McpServer\Service\OAuthService;
 use Psr\Http\Message\ResponseInterface;
 use Psr\Http\Message\ServerRequestInterface;
@@ -157,6 +158,7 @@ class OAuthAuthorizeEndpoint
         $queryParams = $request->getQueryParams();
         $postParams = $request->getParsedBody() ?: [];
 
+        $clientId = $queryParams['client_id'] ?? '';
         $clientName = $postParams['client_name'] ?? $this->resolveClientName($request);
         $redirectUri = $queryParams['redirect_uri'] ?? '';
         $pkceChallenge = $queryParams['code_challenge'] ?? '';
@@ -168,14 +170,21 @@ class OAuthAuthorizeEndpoint
             return $this->createErrorResponse('invalid_request', 'Only S256 code_challenge_method is supported');
         }
 
+        $clientError = $this->validateClient($clientId, $redirectUri);
+        if ($clientError !== null) {
+            return $clientError;
+        }
+
         $oauthService = GeneralUtility::makeInstance(OAuthService::class);
         $code = $oauthService->createAuthorizationCode(
             $beUserId,
             $clientName,
             $redirectUri,
             $pkceChallenge,
-            $challengeMethod
+            $challengeMethod,
+            $clientId === OAuthService::CLIENT_ID ? '' : $clientId
         );
+        GeneralUtility::makeInstance(OAuthClientService::class)->markAuthorized($clientId);
 
         // If redirect_uri is provided, redirect there with the code
         if (!empty($redirectUri)) {
@@ -224,8 +233,9 @@ class OAuthAuthorizeEndpoint
         $state = $queryParams['state'] ?? '';
 
         // Validate required parameters
-        if (empty($clientId) || $clientId !== 'typo3-mcp-server') {
-            return $this->createErrorResponse('invalid_client', 'Invalid client_id');
+        $clientError = $this->validateClient($clientId, $redirectUri);
+        if ($clientError !== null) {
+            return $clientError;
         }
 
         $beUser = $GLOBALS['BE_USER'];
@@ -263,6 +273,29 @@ class OAuthAuthorizeEndpoint
         );
     }
 
+    /**
+     * Reject unknown and blocked clients as well as redirect URIs an admin did
+     * not allow or a registered client did not register
+     */
+    private function validateClient(string $clientId, string $redirectUri): ?ResponseInterface
+    {
+        $clientService = GeneralUtility::makeInstance(OAuthClientService::class);
+
+        if ($clientId === '' || !$clientService->isClientAllowed($clientId)) {
+            return $this->createErrorResponse('invalid_client', 'Invalid client_id');
+        }
+        if ($redirectUri !== '' && !$clientService->isRedirectUriAllowed($redirectUri)) {
+            return $this->createErrorResponse('invalid_request', 'Redirect URI is not allowed');
+        }
+        if ($clientId !== OAuthService::CLIENT_ID) {
+            $registeredUris = json_decode((string)($clientService->getClient($clientId)['redirect_uris'] ?? ''), true) ?: [];
+            if ($redirectUri !== '' && !in_array($redirectUri, $registeredUris, true)) {
+                return $this->createErrorResponse('invalid_request', 'Redirect URI was not registered for this client');
+            }
+        }
+
+        return null;
+    }
 
     private function createErrorResponse(string $error, string $description = ''): ResponseInterface
     {
@@ -0,0 +1,142 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Http;
+
+use Hn\McpServer\Service\DeviceAuthorizationService;
+use Hn\McpServer\Service\OAuthClientService;
+use Hn\McpServer\Service\TokenNetworkService;
+use Hn\McpServer\Service\TokenRateLimitService;
+use Hn\McpServer\Service\TokenScopeService;
+use Psr\Http\Message\ResponseInterface;
+use Psr\Http\Message\ServerRequestInterface;
+use TYPO3\CMS\Backend\Routing\UriBuilder;
+use TYPO3\CMS\Core\Http\Response;
+use TYPO3\CMS\Core\Http\Stream;
+use TYPO3\CMS\Core\Utility\GeneralUtility;
+
+/**
+ * OAuth device authorization endpoint (RFC 8628) for clients without a browser
+ */
+class OAuthDeviceAuthorizationEndpoint
+{
+    use CorsHeadersTrait;
+
+    /**
+     * The endpoint needs no authentication, so requests and open device
+     * codes are limited per IP address
+     */
+    private const MAX_REQUESTS_PER_HOUR = 10;
+    private const MAX_OPEN_PER_IP = 3;
+
+    public function __invoke(ServerRequestInterface $request): ResponseInterface
+    {
+        // Handle preflight OPTIONS request
+        if ($request->getMethod() === 'OPTIONS') {
+            return $this->handlePreflightRequest($request);
+        }
+
+        try {
+            // Only accept POST requests
+            if ($request->getMethod() !== 'POST') {
+                return $this->createErrorResponse($request, 'invalid_request', 'Method not allowed', 405);
+            }
+
+            $parsedBody = $request->getParsedBody() ?: [];
+            $clientId = (string)($parsedBody['client_id'] ?? '');
+            $clientName = trim((string)($parsedBody['client_name'] ?? '')) ?: 'MCP Device Client';
+
+            if ($clientId === '' || !GeneralUtility::makeInstance(OAuthClientService::class)->isClientAllowed($clientId)) {
+                return $this->createErrorResponse($request, 'invalid_client', 'Invalid client_id');
+            }
+
+            // Headless clients can ask for read-only access, anything else gets full access
+            $requestedScopes = preg_split('/\s+/', (string)($parsedBody['scope'] ?? ''), -1, PREG_SPLIT_NO_EMPTY) ?: [];
+            $scope = in_array(TokenScopeService::READ_ONLY, $requestedScopes, true)
+                ? TokenScopeService::READ_ONLY
+                : TokenScopeService::FULL_ACCESS;
+
+            $ip = GeneralUtility::makeInstance(TokenNetworkService::class)->getClientIp($request);
+            $deviceAuthorizationService = GeneralUtility::makeInstance(DeviceAuthorizationService::class);
+            if ($deviceAuthorizationService->countOpenAuthorizations($ip) >= self::MAX_OPEN_PER_IP) {
+                return $this->createErrorResponse($request, 'slow_down', 'Too many open device authorization requests, complete or let them expire first', 429)
+                    ->withHeader('Retry-After', '60');
+            }
+            $retryAfter = GeneralUtility::makeInstance(TokenRateLimitService::class)
+                ->consumeAnonymousRequest('device_authorization', $ip, self::MAX_REQUESTS_PER_HOUR, 3600);
+            if ($retryAfter !== null) {
+                return $this->createErrorResponse($request, 'slow_down', 'Too many device authorization requests', 429)
+                    ->withHeader('Retry-After', (string)$retryAfter);
+            }
+
+            $authorization = $deviceAuthorizationService->createDeviceAuthorization($clientId, $clientName, $scope, $ip);
+
+            // Editors approve the request in the MCP Server backend module. There is
+            // deliberately no verification_uri_complete: a link with the code filled in
+            // would let anyone trick an editor into approving their device. Only the path
+            // of the module route is used: the backend entry point is configurable, and
+            // a request token generated here would not be valid for the editor's session.
+            $verificationUri = $this->getBaseUrl($request)
+                . GeneralUtility::makeInstance(UriBuilder::class)->buildUriFromRoute('user_mcp_server')->getPath();
+
+            $stream = new Stream('php://temp', 'rw');
+            $stream->write(json_encode([
+                ...$authorization,
+                'verification_uri' => $verificationUri,
+            ]));
+            $stream->rewind();
+
+            $response = new Response(
+                $stream,
+                200,
+                [
+                    'Content-Type' => 'application/json',
+                    'Cache-Control' => 'no-store',
+                ]
+            );
+
+            return $this->addCorsHeaders($response, $request);
+
+        } catch (\Throwable $e) {
+            return $this->createErrorResponse($request, 'server_error', $e->getMessage(), 500);
+        }
+    }
+
+    private function getBaseUrl(ServerRequestInterface $request): string
+    {
+        // Try to get from TYPO3 configuration first
+        $baseUrl = $GLOBALS['TYPO3_CONF_VARS']['SYS']['reverseProxyBaseUrl'] ?? '';
+
+        if (empty($baseUrl)) {
+            // Build from request
+            $uri = $request->getUri();
+            $baseUrl = $uri->getScheme() . '://' . $uri->getHost();
+            if ($uri->getPort() && !in_array($uri->getPort(), [80, 443])) {
+                $baseUrl .= ':' . $uri->getPort();
+            }
+        }
+
+        return rtrim($baseUrl, '/');
+    }
+
+    private function createErrorResponse(ServerRequestInterface $request, string $error, string $description = '', int $statusCode = 400): ResponseInterface
+    {
+        $errorData = [
+            'error' => $error,
+            'error_description' => $description
+        ];
+
+        $stream = new Stream('php://temp', 'rw');
+        $stream->write(json_encode($errorData));
+        $stream->rewind();
+
+        $response = new Response(
+            $stream,
+            $statusCode,
+            ['Content-Type' => 'application/json']
+        );
+
+        return $this->addCorsHeaders($response, $request);
+    }
+}
@@ -75,6 +75,8 @@ class OAuthRegisterEndpoint
             
             return $this->addCorsHeaders($response, $request);
 
+        } catch (\InvalidArgumentException $e) {
+            return $this->createErrorResponse($request, 'invalid_redirect_uri', $e->getMessage());
         } catch (\Throwable $e) {
             return $this->createErrorResponse($request, 'server_error', $e->getMessage(), 500);
         }
@@ -4,6 +4,8 @@ declare(strict_types=1);
 
 namespace Hn\McpServer\Http;
 
+use Hn\McpServer\Service\DeviceAuthorizationService;
+use Hn\McpServer\Service\OAuthClientService;
 use Hn\McpServer\Service\OAuthService;
 use Psr\Http\Message\ResponseInterface;
 use Psr\Http\Message\ServerRequestInterface;
@@ -39,22 +41,26 @@ class OAuthTokenEndpoint
             $clientId = $parsedBody['client_id'] ?? '';
             $codeVerifier = $parsedBody['code_verifier'] ?? null;
 
+            if ($grantType === DeviceAuthorizationService::GRANT_TYPE) {
+                return $this->handleDeviceCodeGrant($request, $parsedBody);
+            }
+
             // Validate required parameters
             if ($grantType !== 'authorization_code') {
-                return $this->createErrorResponse($request, 'unsupported_grant_type', 'Only authorization_code grant type is supported');
+                return $this->createErrorResponse($request, 'unsupported_grant_type', 'Only authorization_code and device_code grant types are supported');
             }
 
             if (empty($code)) {
                 return $this->createErrorResponse($request, 'invalid_request', 'Missing required parameter: code');
             }
 
-            if (empty($clientId) || $clientId !== 'typo3-mcp-server') {
+            if (empty($clientId) || !GeneralUtility::makeInstance(OAuthClientService::class)->isClientAllowed($clientId)) {
                 return $this->createErrorResponse($request, 'invalid_client', 'Invalid client_id');
             }
 
             // Exchange code for token
             $oauthService = GeneralUtility::makeInstance(OAuthService::class);
-            $tokenData = $oauthService->exchangeCodeForToken($code, $codeVerifier, $request);
+            $tokenData = $oauthService->exchangeCodeForToken($code, $codeVerifier, $request, $clientId);
 
             if (!$tokenData) {
                 return $this->createErrorResponse($request, 'invalid_grant', 'Invalid or expired authorization code');
@@ -81,6 +87,42 @@ class OAuthTokenEndpoint
         }
     }
 
+    /**
+     * Exchange a device code once the user approved it in the backend module (RFC 8628, section 3.4)
+     */
+    private function handleDeviceCodeGrant(ServerRequestInterface $request, array $parsedBody): ResponseInterface
+    {
+        $deviceCode = (string)($parsedBody['device_code'] ?? '');
+        $clientId = (string)($parsedBody['client_id'] ?? '');
+
+        if ($deviceCode === '') {
+            return $this->createErrorResponse($request, 'invalid_request', 'Missing required parameter: device_code');
+        }
+        if ($clientId === '' || !GeneralUtility::makeInstance(OAuthClientService::class)->isClientAllowed($clientId)) {
+            return $this->createErrorResponse($request, 'invalid_client', 'Invalid client_id');
+        }
+
+        $tokenData = GeneralUtility::makeInstance(DeviceAuthorizationService::class)->exchangeDeviceCode($deviceCode, $clientId);
+        if (isset($tokenData['error'])) {
+            return $this->createErrorResponse($request, $tokenData['error'], $tokenData['error_description']);
+        }
+
+        $stream = new Stream('php://temp', 'rw');
+        $stream->write(json_encode($tokenData));
+        $stream->rewind();
+
+        $response = new Response(
+            $stream,
+            200,
+            [
+                'Content-Type' => 'application/json',
+                'Cache-Control' => 'no-store',
+            ]
+        );
+
+        return $this->addCorsHeaders($response, $request);
+    }
+
     private function createErrorResponse(ServerRequestInterface $request, string $error, string $description = '', int $statusCode = 400): ResponseInterface
     {
         $errorData = [
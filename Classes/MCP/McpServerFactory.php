@@ -4,6 +4,10 @@ declare(strict_types=1);
 
 namespace Hn\McpServer\MCP;
 
+use Hn\McpServer\Service\PromptLibraryService;
+use Hn\McpServer\Service\ResourceService;
+use Hn\McpServer\Service\SiteInformationService;
+use Hn\McpServer\Service\TokenScopeService;
 use Mcp\Server\Server;
 use Mcp\Server\InitializationOptions;
 use Mcp\Server\NotificationOptions;
@@ -19,20 +23,27 @@ use TYPO3\CMS\Core\Information\Typo3Version;
 class McpServerFactory
 {
     public function __construct(
-        private readonly ToolRegistry $toolRegistry
+        private readonly ToolRegistry $toolRegistry,
+        private readonly TokenScopeService $tokenScopeService,
+        private readonly PromptLibraryService $promptLibraryService,
+        private readonly ResourceService $resourceService,
+        private readonly SiteInformationService $siteInformationService
     ) {}
 
     /**
      * Create a fully configured MCP Server instance
      *
      * @param callable|null $debugLogger Optional debug logger function
+     * @param string|null $scope Token scope restricting the available tools (null = no restriction, e.g. CLI)
+     * @param callable|null $toolCallListener Called after every tools/call with
+     *        (string $toolName, array $arguments, CallToolResult $result, int $durationMs)
      */
-    public function createServer(?callable $debugLogger = null): Server
+    public function createServer(?callable $debugLogger = null, ?string $scope = null, ?callable $toolCallListener = null): Server
     {
         $serverName = $this->getServerName();
         $server = new Server($serverName);
 
-        $this->registerHandlers($server, $debugLogger);
+        $this->registerHandlers($server, $debugLogger, $scope, $toolCallListener);
 
         return $server;
     }
@@ -71,51 +82,149 @@ class McpServerFactory
         return $extVersion . ' (TYPO3 ' . $typo3Version . ')';
     }
 
+    /**
+     * Get the tools as clients receive them from tools/list: enabled tools
+     * within the token scope, with the site-specific guidance applied
+     *
+     * @param string|null $scope Token scope restricting the tools (null = no restriction)
+     */
+    public function getToolList(?string $scope = null): array
+    {
+        $availableTools = $this->toolRegistry->getTools();
+        if ($scope !== null) {
+            $availableTools = $this->tokenScopeService->filterTools($availableTools, $scope);
+        }
+
+        $tools = [];
+        foreach ($availableTools as $tool) {
+            $tools[] = [
+                'name' => $tool->getName(),
+                ...$this->toolRegistry->getToolSchema($tool)
+            ];
+        }
+
+        return $tools;
+    }
+
     /**
      * Register MCP handlers on the server
      */
-    private function registerHandlers(Server $server, ?callable $debugLogger): void
+    private function registerHandlers(Server $server, ?callable $debugLogger, ?string $scope, ?callable $toolCallListener): void
     {
         $toolRegistry = $this->toolRegistry;
+        $tokenScopeService = $this->tokenScopeService;
         $debug = $debugLogger ?? static fn($msg) => null;
 
         // Register tool/list handler
-        $server->registerHandler('tools/list', static function () use ($toolRegistry, $debug) {
+        $server->registerHandler('tools/list', function () use ($scope, $debug) {
             $debug('Handling tools/list request');
-            $tools = [];
-
-            foreach ($toolRegistry->getTools() as $tool) {
-                $schema = $tool->getSchema();
-                $tools[] = [
-                    'name' => $tool->getName(),
-                    ...$schema
-                ];
-            }
 
-            return ['tools' => $tools];
+            return ['tools' => $this->getToolList($scope)];
         });
 
         // Register tool/call handler
-        $server->registerHandler('tools/call', static function ($params) use ($toolRegistry, $debug) {
+        $server->registerHandler('tools/call', static function ($params) use ($toolRegistry, $tokenScopeService, $scope, $debug, $toolCallListener) {
             $toolName = $params->name;
             $arguments = $params->arguments;
+            $startTime = hrtime(true);
 
             $debug('Handling tools/call request for tool: ' . $toolName);
 
+            // Report the outcome of the call, including rejected calls
+            $notify = static function (CallToolResult $result) use ($toolCallListener, $toolName, $arguments, $startTime): void {
+                if ($toolCallListener !== null) {
+                    $toolCallListener($toolName, (array)$arguments, $result, (int)round((hrtime(true) - $startTime) / 1e6));
+                }
+            };
+
+            if ($toolRegistry->isToolDisabled($toolName)) {
+                $debug('Tool ' . $toolName . ' is disabled');
+                $notify(new CallToolResult([new TextContent('Tool disabled on this site: ' . $toolName)], true));
+                throw new \InvalidArgumentException('Tool disabled on this site: ' . $toolName);
+            }
+
             $tool = $toolRegistry->getTool($toolName);
             if (!$tool) {
+                $notify(new CallToolResult([new TextContent('Tool not found: ' . $toolName)], true));
                 throw new \InvalidArgumentException('Tool not found: ' . $toolName);
             }
 
+            if ($scope !== null && !$tokenScopeService->isToolAllowed($scope, $tool)) {
+                $debug('Tool ' . $toolName . ' denied by token scope');
+                $notify(new CallToolResult([new TextContent('Tool not allowed for this access token: ' . $toolName)], true));
+                throw new \InvalidArgumentException('Tool not allowed for this access token: ' . $toolName);
+            }
+
             try {
-                return $tool->execute($arguments);
+                $result = $tool->execute($arguments);
             } catch (\Throwable $e) {
                 $debug('Error executing tool ' . $toolName . ': ' . $e->getMessage());
-                return new CallToolResult(
+                $result = new CallToolResult(
                     [new TextContent($e->getMessage())],
                     true
                 );
             }
+
+            $notify($result);
+            return $result;
+        });
+
+        $this->registerPromptHandlers($server, $debug);
+        $this->registerResourceHandlers($server, $debug, $scope);
+    }
+
+    /**
+     * Register the handlers of the prompt library, limited to the prompts
+     * of the sites on the request domain and the groups of the user
+     */
+    private function registerPromptHandlers(Server $server, callable $debug): void
+    {
+        $promptLibraryService = $this->promptLibraryService;
+        $siteIdentifiers = $this->siteInformationService->getCurrentSiteIdentifiers();
+
+        $server->registerHandler('prompts/list', static function () use ($promptLibraryService, $siteIdentifiers, $debug) {
+            $debug('Handling prompts/list request');
+
+            return ['prompts' => $promptLibraryService->getPromptList($siteIdentifiers, $GLOBALS['BE_USER'] ?? null)];
+        });
+
+        $server->registerHandler('prompts/get', static function ($params) use ($promptLibraryService, $siteIdentifiers, $debug) {
+            $debug('Handling prompts/get request for prompt: ' . $params->name);
+
+            return $promptLibraryService->renderPrompt(
+                (string)$params->name,
+                (array)($params->arguments ?? []),
+                $siteIdentifiers,
+                $GLOBALS['BE_USER'] ?? null
+            );
+        });
+    }
+
+    /**
+     * Register the handlers exposing key pages and backend layouts as
+     * resources; page resources follow the scope of the GetPage tool
+     */
+    private function registerResourceHandlers(Server $server, callable $debug, ?string $scope): void
+    {
+        $resourceService = $this->resourceService;
+        $siteIdentifiers = $this->siteInformationService->getCurrentSiteIdentifiers();
+
+        $server->registerHandler('resources/list', static function () use ($resourceService, $siteIdentifiers, $scope, $debug) {
+            $debug('Handling resources/list request');
+
+            return ['resources' => $resourceService->getResourceList($siteIdentifiers, $scope)];
+        });
+
+        $server->registerHandler('resources/templates/list', static function () use ($resourceService, $scope, $debug) {
+            $debug('Handling resources/templates/list request');
+
+            return ['resourceTemplates' => $resourceService->getResourceTemplates($scope)];
+        });
+
+        $server->registerHandler('resources/read', static function ($params) use ($resourceService, $scope, $debug) {
+            $debug('Handling resources/read request for: ' . $params->uri);
+
+            return $resourceService->readResource((string)$params->uri, $scope);
         });
     }
 }
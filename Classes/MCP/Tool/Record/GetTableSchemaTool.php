@@ -411,15 +411,13 @@ class GetTableSchemaTool extends AbstractRecordTool
             return;
         }
 
+        $identifiers = $this->tableAccessService->getFlexFormIdentifiers($config, $filterType);
+
         // TYPO3 14: a single DataStructure is now stored as a string on the
-        // field's `ds` config (via columnsOverrides). Multiple DataStructures
-        // are still represented as an array keyed by identifier.
+        // field's `ds` config (via columnsOverrides).
         if (is_string($config['ds'])) {
-            // When resolved from a sub-schema's columnsOverrides, the DS
-            // applies to that record type. Use the filter type (the CType)
-            // as identifier so it can be fed into GetFlexFormSchema.
-            if (!empty($filterType)) {
-                $result .= " [Identifiers: " . $filterType . "]";
+            if (!empty($identifiers)) {
+                $result .= " [Identifiers: " . implode(', ', $identifiers) . "]";
                 $result .= " (Use GetFlexFormSchema tool with these identifiers for details)";
             } else {
                 $result .= " (Use GetFlexFormSchema tool with the record CType as identifier)";
@@ -431,20 +429,6 @@ class GetTableSchemaTool extends AbstractRecordTool
             return;
         }
 
-        $identifiers = array_values(array_filter(array_keys($config['ds']), fn($id) => $id !== 'default'));
-
-        if (!empty($filterType)) {
-            $filtered = array_values(array_filter(
-                $identifiers,
-                fn($id) => $id === $filterType
-                    || str_contains((string)$id, ',' . $filterType)
-                    || str_contains((string)$id, $filterType . ',')
-            ));
-            if (!empty($filtered)) {
-                $identifiers = $filtered;
-            }
-        }
-
         if (!empty($identifiers)) {
             $result .= " [Identifiers: " . implode(', ', $identifiers) . "]";
             $result .= " (Use GetFlexFormSchema tool with these identifiers for details)";
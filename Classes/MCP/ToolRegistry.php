@@ -5,10 +5,15 @@ declare(strict_types=1);
 namespace Hn\McpServer\MCP;
 
 use Hn\McpServer\MCP\Tool\ToolInterface;
+use Hn\McpServer\Service\ToolSettingsService;
 use Symfony\Component\DependencyInjection\Attribute\AutowireIterator;
 
 /**
  * Registry for MCP tools
+ *
+ * Tools disabled by an admin in the backend module are left out of
+ * getTools() and getTool(); getAllTools() and getRegisteredTool() still
+ * return them, e.g. for the schema browser of the backend module.
  */
 class ToolRegistry
 {
@@ -19,7 +24,8 @@ class ToolRegistry
 
     public function __construct(
         #[AutowireIterator('mcp.tool')]
-        iterable $tools
+        iterable $tools,
+        private readonly ?ToolSettingsService $toolSettingsService = null
     ) {
         foreach ($tools as $tool) {
             $this->tools[$tool->getName()] = $tool;
@@ -27,20 +33,65 @@ class ToolRegistry
     }
 
     /**
-     * Get all registered tools
-     * 
+     * Get all enabled tools
+     *
      * @return ToolInterface[]
      */
     public function getTools(): array
+    {
+        return array_filter($this->tools, fn(ToolInterface $tool) => !$this->isToolDisabled($tool->getName()));
+    }
+
+    /**
+     * Get all registered tools, including disabled ones
+     *
+     * @return ToolInterface[]
+     */
+    public function getAllTools(): array
     {
         return $this->tools;
     }
 
     /**
-     * Get a specific tool by name
+     * Get a specific enabled tool by name
      */
     public function getTool(string $name): ?ToolInterface
     {
+        if ($this->isToolDisabled($name)) {
+            return null;
+        }
+
         return $this->tools[$name] ?? null;
     }
+
+    /**
+     * Get a specific registered tool by name, including disabled ones
+     */
+    public function getRegisteredTool(string $name): ?ToolInterface
+    {
+        return $this->tools[$name] ?? null;
+    }
+
+    /**
+     * Check whether a registered tool was disabled by an admin
+     */
+    public function isToolDisabled(string $name): bool
+    {
+        return isset($this->tools[$name])
+            && $this->toolSettingsService !== null
+            && $this->toolSettingsService->isToolDisabled($name);
+    }
+
+    /**
+     * Get the schema of a tool as clients see it, including the
+     * site-specific guidance configured by an admin
+     */
+    public function getToolSchema(ToolInterface $tool): array
+    {
+        $schema = $tool->getSchema();
+
+        return $this->toolSettingsService !== null
+            ? $this->toolSettingsService->applyToSchema($tool->getName(), $schema)
+            : $schema;
+    }
 }
@@ -7,6 +7,7 @@ namespace Hn\McpServer\Middleware;
 use Hn\McpServer\Http\CorsHeadersTrait;
 use Hn\McpServer\Http\McpEndpoint;
 use Hn\McpServer\Http\OAuthAuthorizeEndpoint;
+use Hn\McpServer\Http\OAuthDeviceAuthorizationEndpoint;
 use Hn\McpServer\Http\OAuthTokenEndpoint;
 use Hn\McpServer\Http\OAuthMetadataEndpoint;
 use Hn\McpServer\Http\OAuthRegisterEndpoint;
@@ -48,6 +49,7 @@ class McpServerMiddleware implements MiddlewareInterface
             '/mcp_oauth/metadata' => GeneralUtility::makeInstance(OAuthMetadataEndpoint::class)($request),
             '/mcp_oauth/register' => GeneralUtility::makeInstance(OAuthRegisterEndpoint::class)($request),
             '/mcp_oauth/resource' => GeneralUtility::makeInstance(OAuthResourceMetadataEndpoint::class)($request),
+            '/mcp_oauth/device_authorization' => GeneralUtility::makeInstance(OAuthDeviceAuthorizationEndpoint::class)($request),
             
             // OAuth discovery endpoints (.well-known)
             '/.well-known/oauth-authorization-server' => GeneralUtility::makeInstance(OAuthAuthServerMetadataEndpoint::class)($request),
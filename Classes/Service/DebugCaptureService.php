@@ -0,0 +1,354 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Service;
+
+use Psr\Http\Message\ServerRequestInterface;
+use TYPO3\CMS\Core\Configuration\ExtensionConfiguration;
+use TYPO3\CMS\Core\Database\Connection;
+use TYPO3\CMS\Core\Database\ConnectionPool;
+use TYPO3\CMS\Core\Utility\GeneralUtility;
+
+/**
+ * Service for the opt-in debug capture of the JSON-RPC traffic of a token
+ *
+ * While a capture is running, McpEndpoint stores every request and response
+ * of the token, so the backend module can show what a misbehaving client
+ * actually sent. Credentials never reach the database: the Authorization
+ * header and the configured JSON fields are redacted before storing.
+ */
+class DebugCaptureService
+{
+    private const TABLE = 'tx_mcpserver_debug_messages';
+    private const TOKEN_TABLE = 'tx_mcpserver_access_tokens';
+
+    /**
+     * Longest capture that can be started at once
+     */
+    public const MAX_CAPTURE_MINUTES = 240;
+
+    /**
+     * Captured messages are removed by "mcp:oauth cleanup" after this time
+     */
+    private const RETENTION_SECONDS = 7 * 86400;
+
+    /**
+     * Bodies are cut off after this many bytes, e.g. large ReadTable results
+     */
+    private const MAX_BODY_LENGTH = 65536;
+
+    private const REDACTED = '[REDACTED]';
+
+    /**
+     * Stored instead of bodies that cannot be redacted
+     */
+    private const NOT_STORED = '[NOT STORED: the body is neither JSON nor an event stream of JSON messages]';
+
+    /**
+     * Request headers that are stored; the rest is irrelevant for debugging
+     */
+    private const CAPTURED_HEADERS = [
+        'accept',
+        'authorization',
+        'content-type',
+        'mcp-protocol-version',
+        'mcp-session-id',
+        'user-agent',
+    ];
+
+    /**
+     * Start or extend the capture of a token
+     *
+     * @return int|null End of the capture, or null if the token was not found
+     * @throws \InvalidArgumentException If the duration is out of range
+     */
+    public function startCapture(int $tokenUid, int $beUserId, int $minutes): ?int
+    {
+        if ($minutes < 1 || $minutes > self::MAX_CAPTURE_MINUTES) {
+            throw new \InvalidArgumentException(sprintf('The capture duration must be between 1 and %d minutes', self::MAX_CAPTURE_MINUTES));
+        }
+
+        $until = time() + $minutes * 60;
+
+        return $this->setCaptureUntil($tokenUid, $beUserId, $until) ? $until : null;
+    }
+
+    /**
+     * Stop the capture of a token; captured messages are kept
+     *
+     * @return bool False if the token was not found
+     */
+    public function stopCapture(int $tokenUid, int $beUserId): bool
+    {
+        return $this->setCaptureUntil($tokenUid, $beUserId, 0);
+    }
+
+    /**
+     * Get the end of the running capture of a token (0 = not capturing)
+     *
+     * @param int|null $beUserId Owner of the token; null checks the token of any user (MCP endpoint)
+     */
+    public function getCaptureUntil(int $tokenUid, ?int $beUserId = null): int
+    {
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable(self::TOKEN_TABLE);
+        $queryBuilder
+            ->select('debug_capture_until')
+            ->from(self::TOKEN_TABLE)
+            ->where($queryBuilder->expr()->eq('uid', $queryBuilder->createNamedParameter($tokenUid, Connection::PARAM_INT)));
+        if ($beUserId !== null) {
+            $queryBuilder->andWhere(
+                $queryBuilder->expr()->eq('be_user_uid', $queryBuilder->createNamedParameter($beUserId, Connection::PARAM_INT))
+            );
+        }
+        $until = (int)$queryBuilder->executeQuery()->fetchOne();
+
+        return $until > time() ? $until : 0;
+    }
+
+    /**
+     * Store a request and its response. Failures are swallowed: debugging
+     * must never break the MCP request itself.
+     */
+    public function capture(
+        int $tokenUid,
+        int $beUserUid,
+        ServerRequestInterface $request,
+        string $responseBody,
+        int $statusCode,
+        int $durationMs
+    ): void {
+        try {
+            $requestBody = (string)$request->getBody();
+            $requestData = json_decode($requestBody, true);
+            $responseData = json_decode($responseBody, true);
+
+            // Batches are summarized by their first message
+            $firstRequest = is_array($requestData) && array_is_list($requestData) ? ($requestData[0] ?? []) : $requestData;
+            $firstResponse = is_array($responseData) && array_is_list($responseData) ? ($responseData[0] ?? []) : $responseData;
+            $toolName = ($firstRequest['method'] ?? '') === 'tools/call' ? (string)($firstRequest['params']['name'] ?? '') : '';
+            $isError = $statusCode >= 400
+                || isset($firstResponse['error'])
+                || (($firstResponse['result']['isError'] ?? false) === true);
+
+            GeneralUtility::makeInstance(ConnectionPool::class)
+                ->getConnectionForTable(self::TABLE)
+                ->insert(self::TABLE, [
+                    'pid' => 0,
+                    'crdate' => time(),
+                    'token_uid' => $tokenUid,
+                    'be_user_uid' => $beUserUid,
+                    'url' => $this->redactUrl((string)$request->getUri()),
+                    'http_method' => $request->getMethod(),
+                    'request_headers' => json_encode($this->redactHeaders($request)),
+                    'request_body' => $this->encodeBody($requestData, $requestBody),
+                    'response_body' => $this->encodeBody($responseData, $responseBody),
+                    'status_code' => $statusCode,
+                    'rpc_method' => mb_substr((string)($firstRequest['method'] ?? ''), 0, 100),
+                    'tool' => mb_substr($toolName, 0, 100),
+                    'is_error' => (int)$isError,
+                    'duration' => max(0, $durationMs),
+                ]);
+        } catch (\Throwable $e) {
+            // Non-fatal: the capture is a debugging aid only
+        }
+    }
+
+    /**
+     * Get the most recent captured messages of a token, oldest first
+     *
+     * @param int $afterUid Only return messages captured after this one, for live updates
+     */
+    public function getMessages(int $tokenUid, int $beUserId, int $afterUid = 0, int $limit = 200): array
+    {
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable(self::TABLE);
+
+        $rows = $queryBuilder
+            ->select('*')
+            ->from(self::TABLE)
+            ->where(
+                $queryBuilder->expr()->eq('token_uid', $queryBuilder->createNamedParameter($tokenUid, Connection::PARAM_INT)),
+                $queryBuilder->expr()->eq('be_user_uid', $queryBuilder->createNamedParameter($beUserId, Connection::PARAM_INT)),
+                $queryBuilder->expr()->gt('uid', $queryBuilder->createNamedParameter($afterUid, Connection::PARAM_INT))
+            )
+            ->orderBy('uid', 'DESC')
+            ->setMaxResults($limit)
+            ->executeQuery()
+            ->fetchAllAssociative();
+
+        return array_map(static fn(array $row) => [
+            'uid' => (int)$row['uid'],
+            'time' => (int)$row['crdate'],
+            'url' => (string)$row['url'],
+            'http_method' => (string)$row['http_method'],
+            'headers' => json_decode((string)$row['request_headers'], true) ?: [],
+            'rpc_method' => (string)$row['rpc_method'],
+            'tool' => (string)$row['tool'],
+            'request' => (string)$row['request_body'],
+            'response' => (string)$row['response_body'],
+            'status_code' => (int)$row['status_code'],
+            'is_error' => (bool)$row['is_error'],
+            'duration' => (int)$row['duration'],
+        ], array_reverse($rows));
+    }
+
+    /**
+     * Delete the captured messages of a token
+     *
+     * @return int Number of deleted messages
+     */
+    public function clearMessages(int $tokenUid, int $beUserId): int
+    {
+        return GeneralUtility::makeInstance(ConnectionPool::class)
+            ->getConnectionForTable(self::TABLE)
+            ->delete(self::TABLE, ['token_uid' => $tokenUid, 'be_user_uid' => $beUserId]);
+    }
+
+    /**
+     * Remove captured messages past the retention period
+     *
+     * @return int Number of removed messages
+     */
+    public function cleanupExpired(): int
+    {
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable(self::TABLE);
+
+        return $queryBuilder
+            ->delete(self::TABLE)
+            ->where(
+                $queryBuilder->expr()->lt('crdate', $queryBuilder->createNamedParameter(time() - self::RETENTION_SECONDS, Connection::PARAM_INT))
+            )
+            ->executeStatement();
+    }
+
+    /**
+     * Replace the values of all configured fields with a placeholder, at any depth
+     */
+    public function redact(mixed $data): mixed
+    {
+        if (!is_array($data)) {
+            return $data;
+        }
+
+        $redactedFields = $this->getRedactedFields();
+        foreach ($data as $key => $value) {
+            if (is_string($key) && in_array(strtolower($key), $redactedFields, true)) {
+                $data[$key] = self::REDACTED;
+            } else {
+                $data[$key] = $this->redact($value);
+            }
+        }
+
+        return $data;
+    }
+
+    /**
+     * Get the JSON fields redacted from captured traffic
+     * (extension setting debugCaptureRedactFields)
+     *
+     * @return string[] Lower case field names
+     */
+    public function getRedactedFields(): array
+    {
+        try {
+            $config = GeneralUtility::makeInstance(ExtensionConfiguration::class)
+                ->get('mcp_server', 'debugCaptureRedactFields');
+        } catch (\Exception) {
+            $config = 'password,secret,token,access_token,refresh_token,client_secret,api_key';
+        }
+
+        return array_map('strtolower', GeneralUtility::trimExplode(',', (string)$config, true));
+    }
+
+    private function setCaptureUntil(int $tokenUid, int $beUserId, int $until): bool
+    {
+        return GeneralUtility::makeInstance(ConnectionPool::class)
+            ->getConnectionForTable(self::TOKEN_TABLE)
+            ->update(
+                self::TOKEN_TABLE,
+                ['debug_capture_until' => $until, 'tstamp' => time()],
+                ['uid' => $tokenUid, 'be_user_uid' => $beUserId, 'deleted' => 0]
+            ) > 0;
+    }
+
+    /**
+     * Encode a body for storage: JSON is redacted and pretty printed, the data
+     * lines of SSE streams are redacted one by one. Anything else is not
+     * stored, as it could contain credentials that cannot be redacted.
+     */
+    private function encodeBody(mixed $decoded, string $raw): string
+    {
+        if (trim($raw) === '') {
+            return '';
+        }
+        $body = $decoded !== null
+            ? (string)json_encode($this->redact($decoded), JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE)
+            : ($this->redactEventStream($raw) ?? self::NOT_STORED);
+
+        return strlen($body) > self::MAX_BODY_LENGTH
+            ? mb_strcut($body, 0, self::MAX_BODY_LENGTH) . "\n… (truncated)"
+            : $body;
+    }
+
+    /**
+     * Redact the JSON messages in the data lines of a text/event-stream body.
+     * Comments are dropped, event names and ids are kept.
+     *
+     * @return string|null Null if the body is no event stream or a message is no JSON
+     */
+    private function redactEventStream(string $raw): ?string
+    {
+        $lines = [];
+        $hasData = false;
+        foreach (preg_split('/\r\n|\r|\n/', $raw) as $line) {
+            if ($line === '') {
+                $lines[] = '';
+                continue;
+            }
+            if (str_starts_with($line, ':')) {
+                continue;
+            }
+            if (!preg_match('/^(data|event|id|retry)(?::\s?(.*))?$/', $line, $matches)) {
+                return null;
+            }
+            if ($matches[1] !== 'data') {
+                $lines[] = $line;
+                continue;
+            }
+
+            try {
+                $data = json_decode($matches[2] ?? '', true, 512, JSON_THROW_ON_ERROR);
+            } catch (\JsonException) {
+                return null;
+            }
+            $lines[] = 'data: ' . json_encode($this->redact($data), JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE);
+            $hasData = true;
+        }
+
+        return $hasData ? rtrim(implode("\n", $lines)) : null;
+    }
+
+    private function redactHeaders(ServerRequestInterface $request): array
+    {
+        $headers = [];
+        foreach (self::CAPTURED_HEADERS as $name) {
+            $value = $request->getHeaderLine($name);
+            if ($value === '') {
+                continue;
+            }
+            $headers[$name] = $name === 'authorization'
+                ? preg_replace('/^(\S+)\s.*$/', '$1 ' . self::REDACTED, $value)
+                : $value;
+        }
+
+        return $headers;
+    }
+
+    /**
+     * Tokens can also be passed as query parameter
+     */
+    private function redactUrl(string $url): string
+    {
+        return (string)preg_replace('/([?&]token=)[^&#]*/', '$1' . self::REDACTED, $url);
+    }
+}
@@ -0,0 +1,312 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Service;
+
+use TYPO3\CMS\Core\Database\Connection;
+use TYPO3\CMS\Core\Database\ConnectionPool;
+use TYPO3\CMS\Core\Utility\GeneralUtility;
+
+/**
+ * Service for the OAuth device authorization grant (RFC 8628)
+ *
+ * Headless clients request a device code and show the user code to the
+ * person running them. An editor approves the request in the backend module
+ * by entering that user code, after which the client's next poll of the
+ * token endpoint receives an access token for the approving editor.
+ *
+ * Pending requests are never listed: an editor only sees a request after
+ * entering its user code, so nobody can browse or deny other people's logins.
+ */
+class DeviceAuthorizationService
+{
+    public const GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:device_code';
+
+    private const TABLE = 'tx_mcpserver_device_codes';
+    private const EXPIRY_SECONDS = 900; // 15 minutes
+    private const POLLING_INTERVAL = 5;
+
+    /**
+     * Characters of the user code: consonants only, so codes are easy to type
+     * and never spell words (RFC 8628, section 6.1)
+     */
+    private const USER_CODE_CHARACTERS = 'BCDFGHJKLMNPQRSTVWXZ';
+
+    private const STATUS_PENDING = 'pending';
+    private const STATUS_APPROVED = 'approved';
+    private const STATUS_DENIED = 'denied';
+
+    /**
+     * Start a device authorization for a client
+     *
+     * @return array{device_code: string, user_code: string, expires_in: int, interval: int}
+     */
+    public function createDeviceAuthorization(string $clientId, string $clientName, string $scope, string $ip = ''): array
+    {
+        $deviceCode = bin2hex(random_bytes(32));
+        $userCode = $this->generateUserCode();
+
+        GeneralUtility::makeInstance(ConnectionPool::class)
+            ->getConnectionForTable(self::TABLE)
+            ->insert(self::TABLE, [
+                'pid' => 0,
+                'crdate' => time(),
+                'tstamp' => time(),
+                'device_code' => hash('sha256', $deviceCode),
+                'user_code' => $userCode,
+                'client_id' => $clientId,
+                'client_name' => $clientName,
+                'scope' => $scope,
+                'ip' => $ip,
+                'status' => self::STATUS_PENDING,
+                'polling_interval' => self::POLLING_INTERVAL,
+                'expires' => time() + self::EXPIRY_SECONDS,
+            ]);
+
+        return [
+            'device_code' => $deviceCode,
+            'user_code' => $userCode,
+            'expires_in' => self::EXPIRY_SECONDS,
+            'interval' => self::POLLING_INTERVAL,
+        ];
+    }
+
+    /**
+     * Count the device authorizations of an IP address that are still open
+     */
+    public function countOpenAuthorizations(string $ip): int
+    {
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable(self::TABLE);
+
+        return (int)$queryBuilder
+            ->count('uid')
+            ->from(self::TABLE)
+            ->where(
+                $queryBuilder->expr()->eq('ip', $queryBuilder->createNamedParameter($ip)),
+                $queryBuilder->expr()->eq('status', $queryBuilder->createNamedParameter(self::STATUS_PENDING)),
+                $queryBuilder->expr()->gt('expires', $queryBuilder->createNamedParameter(time(), Connection::PARAM_INT))
+            )
+            ->executeQuery()
+            ->fetchOne();
+    }
+
+    /**
+     * Find the pending device authorization of a user code, so the editor can
+     * check the client, scope and IP address before approving it
+     */
+    public function findPendingAuthorization(string $userCode): ?array
+    {
+        $userCode = $this->normalizeUserCode($userCode);
+        if (strlen($userCode) !== 8) {
+            return null;
+        }
+
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable(self::TABLE);
+        $row = $queryBuilder
+            ->select('uid', 'crdate', 'client_name', 'scope', 'ip', 'status', 'expires')
+            ->from(self::TABLE)
+            ->where(
+                $queryBuilder->expr()->eq('user_code', $queryBuilder->createNamedParameter(substr($userCode, 0, 4) . '-' . substr($userCode, 4))),
+                $queryBuilder->expr()->eq('status', $queryBuilder->createNamedParameter(self::STATUS_PENDING)),
+                $queryBuilder->expr()->gt('expires', $queryBuilder->createNamedParameter(time(), Connection::PARAM_INT))
+            )
+            ->executeQuery()
+            ->fetchAssociative();
+
+        return $row ? $this->formatAuthorization($row) : null;
+    }
+
+    /**
+     * Get the device authorizations the user approved that the client has
+     * not picked up yet
+     */
+    public function getApprovedAuthorizations(int $beUserUid): array
+    {
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable(self::TABLE);
+
+        $rows = $queryBuilder
+            ->select('uid', 'crdate', 'client_name', 'scope', 'ip', 'status', 'expires')
+            ->from(self::TABLE)
+            ->where(
+                $queryBuilder->expr()->eq('status', $queryBuilder->createNamedParameter(self::STATUS_APPROVED)),
+                $queryBuilder->expr()->eq('be_user_uid', $queryBuilder->createNamedParameter($beUserUid, Connection::PARAM_INT)),
+                $queryBuilder->expr()->gt('expires', $queryBuilder->createNamedParameter(time(), Connection::PARAM_INT))
+            )
+            ->orderBy('crdate', 'DESC')
+            ->executeQuery()
+            ->fetchAllAssociative();
+
+        return array_map($this->formatAuthorization(...), $rows);
+    }
+
+    /**
+     * Approve a pending device authorization for a backend user
+     *
+     * @throws \InvalidArgumentException If the request is unknown, expired or the user code does not match
+     */
+    public function approve(int $uid, string $userCode, int $beUserUid): void
+    {
+        $record = $this->getPendingAuthorization($uid);
+        if ($this->normalizeUserCode($userCode) !== $this->normalizeUserCode((string)$record['user_code'])) {
+            throw new \InvalidArgumentException('The code does not match the code shown by the client');
+        }
+
+        $this->setStatus($uid, self::STATUS_APPROVED, $beUserUid);
+    }
+
+    /**
+     * Deny a pending device authorization; the client stops polling
+     *
+     * @throws \InvalidArgumentException If the request is unknown, expired or the user code does not match
+     */
+    public function deny(int $uid, string $userCode): void
+    {
+        $record = $this->getPendingAuthorization($uid);
+        if ($this->normalizeUserCode($userCode) !== $this->normalizeUserCode((string)$record['user_code'])) {
+            throw new \InvalidArgumentException('The code does not match the code shown by the client');
+        }
+
+        $this->setStatus($uid, self::STATUS_DENIED, 0);
+    }
+
+    /**
+     * Exchange a device code for an access token once it was approved
+     *
+     * @return array Token response, or an array with "error" and "error_description" as defined in RFC 8628, section 3.5
+     */
+    public function exchangeDeviceCode(string $deviceCode, string $clientId): array
+    {
+        $connection = GeneralUtility::makeInstance(ConnectionPool::class)->getConnectionForTable(self::TABLE);
+        $queryBuilder = $connection->createQueryBuilder();
+        $record = $queryBuilder
+            ->select('*')
+            ->from(self::TABLE)
+            ->where($queryBuilder->expr()->eq('device_code', $queryBuilder->createNamedParameter(hash('sha256', $deviceCode))))
+            ->executeQuery()
+            ->fetchAssociative();
+
+        if (!$record || $record['client_id'] !== $clientId) {
+            return ['error' => 'invalid_grant', 'error_description' => 'Invalid device code'];
+        }
+        if ((int)$record['expires'] <= time()) {
+            $connection->delete(self::TABLE, ['uid' => $record['uid']]);
+            return ['error' => 'expired_token', 'error_description' => 'The device code has expired'];
+        }
+
+        switch ($record['status']) {
+            case self::STATUS_DENIED:
+                $connection->delete(self::TABLE, ['uid' => $record['uid']]);
+                return ['error' => 'access_denied', 'error_description' => 'The authorization request was denied'];
+
+            case self::STATUS_APPROVED:
+                // The device code is single-use, concurrent polls must not both get a token
+                if ($connection->delete(self::TABLE, ['uid' => $record['uid']]) === 0) {
+                    return ['error' => 'invalid_grant', 'error_description' => 'Invalid device code'];
+                }
+                $token = GeneralUtility::makeInstance(OAuthService::class)->createToken(
+                    (int)$record['be_user_uid'],
+                    (string)$record['client_name'],
+                    null,
+                    (string)$record['scope'],
+                    $clientId === OAuthService::CLIENT_ID ? '' : $clientId
+                );
+                unset($token['expires']);
+                return $token;
+
+            default:
+                // Clients polling faster than the interval have to slow down (RFC 8628, section 3.5)
+                $interval = (int)$record['polling_interval'];
+                $tooFast = (int)$record['last_polled'] > time() - $interval;
+                $connection->update(self::TABLE, [
+                    'last_polled' => time(),
+                    'polling_interval' => $tooFast ? $interval + 5 : $interval,
+                ], ['uid' => $record['uid']]);
+
+                return $tooFast
+                    ? ['error' => 'slow_down', 'error_description' => 'Polling too frequently']
+                    : ['error' => 'authorization_pending', 'error_description' => 'The authorization request is still pending'];
+        }
+    }
+
+    /**
+     * Remove expired device codes
+     *
+     * @return int Number of removed device codes
+     */
+    public function cleanupExpired(): int
+    {
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable(self::TABLE);
+
+        return $queryBuilder
+            ->delete(self::TABLE)
+            ->where($queryBuilder->expr()->lt('expires', $queryBuilder->createNamedParameter(time(), Connection::PARAM_INT)))
+            ->executeStatement();
+    }
+
+    private function getPendingAuthorization(int $uid): array
+    {
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable(self::TABLE);
+        $record = $queryBuilder
+            ->select('uid', 'user_code')
+            ->from(self::TABLE)
+            ->where(
+                $queryBuilder->expr()->eq('uid', $queryBuilder->createNamedParameter($uid, Connection::PARAM_INT)),
+                $queryBuilder->expr()->eq('status', $queryBuilder->createNamedParameter(self::STATUS_PENDING)),
+                $queryBuilder->expr()->gt('expires', $queryBuilder->createNamedParameter(time(), Connection::PARAM_INT))
+            )
+            ->executeQuery()
+            ->fetchAssociative();
+
+        if (!$record) {
+            throw new \InvalidArgumentException('Device authorization request not found or expired');
+        }
+
+        return $record;
+    }
+
+    /**
+     * The user code is left out: only the person running the client knows it
+     */
+    private function formatAuthorization(array $row): array
+    {
+        return [
+            'uid' => (int)$row['uid'],
+            'client_name' => (string)$row['client_name'],
+            'scope' => (string)$row['scope'],
+            'ip' => (string)$row['ip'],
+            'approved' => $row['status'] === self::STATUS_APPROVED,
+            'requested' => (int)$row['crdate'],
+            'expires' => (int)$row['expires'],
+        ];
+    }
+
+    private function setStatus(int $uid, string $status, int $beUserUid): void
+    {
+        GeneralUtility::makeInstance(ConnectionPool::class)
+            ->getConnectionForTable(self::TABLE)
+            ->update(self::TABLE, ['status' => $status, 'be_user_uid' => $beUserUid, 'tstamp' => time()], ['uid' => $uid]);
+    }
+
+    /**
+     * Generate a user code like "BDFG-HJKL"
+     */
+    private function generateUserCode(): string
+    {
+        $characters = self::USER_CODE_CHARACTERS;
+        $code = '';
+        for ($i = 0; $i < 8; $i++) {
+            $code .= $characters[random_int(0, strlen($characters) - 1)];
+        }
+
+        return substr($code, 0, 4) . '-' . substr($code, 4);
+    }
+
+    /**
+     * Users may type the code in lower case and with or without the dash
+     */
+    private function normalizeUserCode(string $userCode): string
+    {
+        return preg_replace('/[^A-Z]/', '', strtoupper($userCode));
+    }
+}
@@ -0,0 +1,237 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Service;
+
+use TYPO3\CMS\Backend\Utility\BackendUtility;
+use TYPO3\CMS\Core\Authentication\BackendUserAuthentication;
+use TYPO3\CMS\Core\Database\Connection;
+use TYPO3\CMS\Core\Database\ConnectionPool;
+use TYPO3\CMS\Core\Utility\GeneralUtility;
+
+/**
+ * Service explaining what an MCP client acting as a backend user can do
+ *
+ * Evaluates the same rules the tools apply — TableAccessService (table and
+ * field access including TSconfig), DB and file mounts, CType authMode and
+ * workspace access — for any backend user, so editors can see why an agent
+ * was denied access.
+ */
+class EffectivePermissionsService
+{
+    /**
+     * Get the effective permissions of a backend user
+     *
+     * @throws \InvalidArgumentException If the user does not exist
+     */
+    public function getEffectivePermissions(int $beUserUid): array
+    {
+        $backendUser = $this->createBackendUser($beUserUid);
+
+        // TableAccessService, WorkspaceService and the select item resolver
+        // read the user from the globals, so evaluate everything as that user
+        $previousBackendUser = $GLOBALS['BE_USER'] ?? null;
+        $GLOBALS['BE_USER'] = $backendUser;
+
+        try {
+            $tableAccessService = new TableAccessService();
+
+            return [
+                'user' => [
+                    'uid' => (int)$backendUser->user['uid'],
+                    'username' => (string)$backendUser->user['username'],
+                    'real_name' => (string)($backendUser->user['realName'] ?? ''),
+                    'admin' => $backendUser->isAdmin(),
+                ],
+                'tables' => $this->getTables($tableAccessService),
+                'pages' => $this->getPageMounts($backendUser),
+                'file_mounts' => $this->getFileMounts($tableAccessService),
+                'content_types' => $this->getContentTypes($backendUser, $tableAccessService),
+                'workspaces' => $this->getWorkspaces($backendUser),
+            ];
+        } finally {
+            $GLOBALS['BE_USER'] = $previousBackendUser;
+        }
+    }
+
+    /**
+     * Get the backend users whose permissions can be inspected
+     *
+     * @return array<int, array{uid: int, username: string, real_name: string}>
+     */
+    public function getBackendUsers(): array
+    {
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable('be_users');
+
+        $rows = $queryBuilder
+            ->select('uid', 'username', 'realName')
+            ->from('be_users')
+            ->where(
+                $queryBuilder->expr()->notLike(
+                    'username',
+                    $queryBuilder->createNamedParameter($queryBuilder->escapeLikeWildcards('_cli_') . '%')
+                )
+            )
+            ->orderBy('username')
+            ->executeQuery()
+            ->fetchAllAssociative();
+
+        return array_map(static fn(array $row) => [
+            'uid' => (int)$row['uid'],
+            'username' => (string)$row['username'],
+            'real_name' => (string)$row['realName'],
+        ], $rows);
+    }
+
+    private function createBackendUser(int $beUserUid): BackendUserAuthentication
+    {
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable('be_users');
+        $userData = $queryBuilder
+            ->select('*')
+            ->from('be_users')
+            ->where($queryBuilder->expr()->eq('uid', $queryBuilder->createNamedParameter($beUserUid, Connection::PARAM_INT)))
+            ->executeQuery()
+            ->fetchAssociative();
+
+        if (!$userData) {
+            throw new \InvalidArgumentException('Backend user not found');
+        }
+
+        // Same initialization as McpEndpoint::setupBackendUserContext()
+        $backendUser = GeneralUtility::makeInstance(BackendUserAuthentication::class);
+        $backendUser->user = $userData;
+        $backendUser->initializeUserSessionManager();
+        $backendUser->fetchGroupData();
+
+        return $backendUser;
+    }
+
+    private function getTables(TableAccessService $tableAccessService): array
+    {
+        $tables = [];
+        foreach (array_keys($GLOBALS['TCA']) as $table) {
+            $accessInfo = $tableAccessService->getTableAccessInfo($table);
+
+            $hiddenFields = [];
+            if ($accessInfo['accessible']) {
+                foreach ($GLOBALS['TCA'][$table]['columns'] ?? [] as $fieldName => $fieldConfig) {
+                    $reason = $tableAccessService->getFieldAccessDenialReason($table, (string)$fieldName);
+                    if ($reason !== null) {
+                        $hiddenFields[] = [
+                            'field' => (string)$fieldName,
+                            'label' => TableAccessService::translateLabel((string)($fieldConfig['label'] ?? $fieldName)) ?: (string)$fieldName,
+                            'reason' => $reason,
+                        ];
+                    }
+                }
+            }
+
+            $tables[] = [
+                'table' => $table,
+                'title' => TableAccessService::translateLabel($tableAccessService->getTableTitle($table)) ?: $table,
+                'readable' => $accessInfo['accessible'],
+                'writable' => $accessInfo['accessible'] && $accessInfo['permissions']['write'],
+                'deletable' => $accessInfo['accessible'] && $accessInfo['permissions']['delete'],
+                'read_only' => $accessInfo['read_only'],
+                'reasons' => $accessInfo['reasons'],
+                'hidden_fields' => $hiddenFields,
+            ];
+        }
+
+        // Accessible tables first, then alphabetically
+        usort($tables, static fn(array $a, array $b) => [!$a['readable'], $a['table']] <=> [!$b['readable'], $b['table']]);
+
+        return $tables;
+    }
+
+    /**
+     * Get the DB mounts, i.e. the page trees the user can reach
+     */
+    private function getPageMounts(BackendUserAuthentication $backendUser): array
+    {
+        if ($backendUser->isAdmin()) {
+            return ['all' => true, 'mounts' => []];
+        }
+
+        $mounts = [];
+        foreach ($backendUser->getWebmounts() as $pageUid) {
+            $pageUid = (int)$pageUid;
+            $page = $pageUid > 0 ? BackendUtility::getRecord('pages', $pageUid, 'uid,title') : null;
+            $mounts[] = [
+                'uid' => $pageUid,
+                'title' => $pageUid === 0
+                    ? ($GLOBALS['TYPO3_CONF_VARS']['SYS']['sitename'] ?? 'Root')
+                    : (string)($page['title'] ?? '[' . $pageUid . ']'),
+                'path' => $pageUid > 0 ? BackendUtility::getRecordPath($pageUid, '', 0) : '/',
+            ];
+        }
+
+        return ['all' => false, 'mounts' => $mounts];
+    }
+
+    private function getFileMounts(TableAccessService $tableAccessService): array
+    {
+        $isAdmin = false;
+        $mounts = $tableAccessService->getAccessibleFileMounts($isAdmin);
+
+        return [
+            'all' => $isAdmin,
+            'mounts' => array_map(static fn(array $mount) => [
+                'storage' => $mount['storage'],
+                'path' => $mount['path'],
+                'identifier' => $mount['storage'] . ':' . $mount['path'],
+            ], $mounts),
+        ];
+    }
+
+    /**
+     * Get the content element types the user may create. Types can be removed
+     * by page TSconfig (removeItems, disableCTypes) or by the authMode of the
+     * user's groups (explicit_allowdeny).
+     */
+    private function getContentTypes(BackendUserAuthentication $backendUser, TableAccessService $tableAccessService): array
+    {
+        $typeField = $tableAccessService->getTypeFieldName('tt_content');
+        if ($typeField === null) {
+            return ['allowed' => [], 'denied' => []];
+        }
+
+        $available = $tableAccessService->getAvailableTypes('tt_content');
+        $parsed = $tableAccessService->parseSelectItems($GLOBALS['TCA']['tt_content']['columns'][$typeField]['config']['items'] ?? []);
+        $authMode = $GLOBALS['TCA']['tt_content']['columns'][$typeField]['config']['authMode'] ?? null;
+
+        $allowed = [];
+        $denied = [];
+        foreach ($parsed['values'] as $value) {
+            $label = TableAccessService::translateLabel((string)($parsed['labels'][$value] ?? $value)) ?: $value;
+            $reason = null;
+            if (!array_key_exists($value, $available)) {
+                $reason = 'Removed by page TSconfig';
+            } elseif ($authMode !== null && !$backendUser->isAdmin() && !$backendUser->checkAuthMode('tt_content', $typeField, $value)) {
+                $reason = 'Not allowed for the user\'s groups (explicitly allow/deny field values)';
+            }
+
+            if ($reason === null) {
+                $allowed[] = ['value' => $value, 'label' => $label];
+            } else {
+                $denied[] = ['value' => $value, 'label' => $label, 'reason' => $reason];
+            }
+        }
+
+        return ['allowed' => $allowed, 'denied' => $denied];
+    }
+
+    /**
+     * Get the workspaces MCP writes can go to. Without any, all writes fail.
+     */
+    private function getWorkspaces(BackendUserAuthentication $backendUser): array
+    {
+        $workspaces = [];
+        foreach (GeneralUtility::makeInstance(WorkspaceContextService::class)->getWritableWorkspaces($backendUser) as $uid => $title) {
+            $workspaces[] = ['uid' => $uid, 'title' => $title];
+        }
+
+        return $workspaces;
+    }
+}
@@ -0,0 +1,301 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Service;
+
+use TYPO3\CMS\Core\Database\Connection;
+use TYPO3\CMS\Core\Database\ConnectionPool;
+use TYPO3\CMS\Core\Registry;
+use TYPO3\CMS\Core\Utility\GeneralUtility;
+
+/**
+ * Service for the OAuth clients registered through dynamic client registration
+ *
+ * Lists the registered clients together with their tokens, lets admins block
+ * or delete a registration and restricts the redirect URIs clients may
+ * register and authorize with.
+ */
+class OAuthClientService
+{
+    /**
+     * Name the connection diagnostics of the backend module register their test client with
+     */
+    public const DIAGNOSTICS_CLIENT_NAME = 'Connection diagnostics';
+
+    private const TABLE = 'tx_mcpserver_oauth_clients';
+
+    private const REGISTRY_NAMESPACE = 'tx_mcpserver';
+    private const REGISTRY_KEY = 'allowedRedirectUriPatterns';
+
+    /**
+     * Get all registered clients together with the active tokens issued to them
+     */
+    public function getClients(): array
+    {
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable(self::TABLE);
+        $queryBuilder->getRestrictions()->removeAll();
+
+        $clients = $queryBuilder
+            ->select('uid', 'crdate', 'client_id', 'client_name', 'redirect_uris', 'grant_types', 'blocked', 'last_authorized')
+            ->from(self::TABLE)
+            ->where($queryBuilder->expr()->eq('deleted', $queryBuilder->createNamedParameter(0, Connection::PARAM_INT)))
+            ->orderBy('crdate', 'DESC')
+            ->addOrderBy('uid', 'DESC')
+            ->executeQuery()
+            ->fetchAllAssociative();
+
+        $tokens = $this->getActiveTokens(array_column($clients, 'client_id'));
+
+        return array_map(static fn(array $client) => [
+            'uid' => (int)$client['uid'],
+            'client_id' => (string)$client['client_id'],
+            'client_name' => (string)$client['client_name'],
+            'redirect_uris' => json_decode((string)$client['redirect_uris'], true) ?: [],
+            'grant_types' => json_decode((string)$client['grant_types'], true) ?: [],
+            'created' => (int)$client['crdate'],
+            'last_authorized' => (int)$client['last_authorized'],
+            'blocked' => (bool)$client['blocked'],
+            'tokens' => $tokens[$client['client_id']] ?? [],
+        ], $clients);
+    }
+
+    /**
+     * Get a registered client by its client_id
+     */
+    public function getClient(string $clientId): ?array
+    {
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable(self::TABLE);
+        $queryBuilder->getRestrictions()->removeAll();
+
+        $client = $queryBuilder
+            ->select('*')
+            ->from(self::TABLE)
+            ->where(
+                $queryBuilder->expr()->eq('client_id', $queryBuilder->createNamedParameter($clientId)),
+                $queryBuilder->expr()->eq('deleted', $queryBuilder->createNamedParameter(0, Connection::PARAM_INT))
+            )
+            ->executeQuery()
+            ->fetchAssociative();
+
+        return $client ?: null;
+    }
+
+    /**
+     * Check whether a client may authorize and exchange codes: the built-in
+     * client always may, registered clients unless an admin blocked them.
+     */
+    public function isClientAllowed(string $clientId): bool
+    {
+        if ($clientId === OAuthService::CLIENT_ID) {
+            return true;
+        }
+
+        $client = $this->getClient($clientId);
+
+        return $client !== null && !$client['blocked'];
+    }
+
+    /**
+     * Remember when a client was last authorized by a user
+     */
+    public function markAuthorized(string $clientId): void
+    {
+        GeneralUtility::makeInstance(ConnectionPool::class)
+            ->getConnectionForTable(self::TABLE)
+            ->update(self::TABLE, ['last_authorized' => time(), 'tstamp' => time()], ['client_id' => $clientId, 'deleted' => 0]);
+    }
+
+    /**
+     * Block or unblock a client. Blocking also revokes the client's tokens,
+     * otherwise it could keep working with the tokens it already has.
+     *
+     * @return bool False if the client was not found
+     */
+    public function setBlocked(int $clientUid, bool $blocked): bool
+    {
+        $client = $this->getClientByUid($clientUid);
+        if ($client === null) {
+            return false;
+        }
+
+        GeneralUtility::makeInstance(ConnectionPool::class)
+            ->getConnectionForTable(self::TABLE)
+            ->update(self::TABLE, ['blocked' => (int)$blocked, 'tstamp' => time()], ['uid' => $clientUid]);
+
+        if ($blocked) {
+            $this->revokeClientTokens((string)$client['client_id']);
+        }
+
+        return true;
+    }
+
+    /**
+     * Delete a client registration together with its pending authorization
+     * codes and tokens
+     *
+     * @return int|null Number of revoked tokens, or null if the client was not found
+     */
+    public function deleteClient(int $clientUid): ?int
+    {
+        $client = $this->getClientByUid($clientUid);
+        if ($client === null) {
+            return null;
+        }
+
+        $connectionPool = GeneralUtility::makeInstance(ConnectionPool::class);
+        $connectionPool->getConnectionForTable(self::TABLE)
+            ->update(self::TABLE, ['deleted' => 1, 'tstamp' => time()], ['uid' => $clientUid]);
+        $connectionPool->getConnectionForTable('tx_mcpserver_oauth_codes')
+            ->delete('tx_mcpserver_oauth_codes', ['client_id' => $client['client_id']]);
+
+        return $this->revokeClientTokens((string)$client['client_id']);
+    }
+
+    /**
+     * Remove the test client registered by the connection diagnostics. Only
+     * clients registered under the diagnostics name that were never
+     * authorized are removed, so a real client cannot be deleted this way.
+     */
+    public function deleteDiagnosticsClient(string $clientId): bool
+    {
+        return GeneralUtility::makeInstance(ConnectionPool::class)
+            ->getConnectionForTable(self::TABLE)
+            ->delete(self::TABLE, [
+                'client_id' => $clientId,
+                'client_name' => self::DIAGNOSTICS_CLIENT_NAME,
+                'last_authorized' => 0,
+            ]) > 0;
+    }
+
+    /**
+     * Get the redirect URI patterns configured by an admin (empty = any URI)
+     *
+     * @return string[]
+     */
+    public function getAllowedRedirectUriPatterns(): array
+    {
+        $patterns = GeneralUtility::makeInstance(Registry::class)->get(self::REGISTRY_NAMESPACE, self::REGISTRY_KEY, []);
+
+        return is_array($patterns) ? $patterns : [];
+    }
+
+    /**
+     * Store the allowed redirect URI patterns. A pattern matches the whole
+     * URI, "*" matches any sequence of characters, e.g. "http://localhost:*"
+     * or "https://claude.ai/api/mcp/auth_callback".
+     *
+     * @param string[] $patterns
+     * @return string[] The stored patterns
+     * @throws \InvalidArgumentException If a pattern has no scheme
+     */
+    public function setAllowedRedirectUriPatterns(array $patterns): array
+    {
+        $patterns = array_values(array_unique(array_filter(array_map('trim', $patterns), 'strlen')));
+        foreach ($patterns as $pattern) {
+            if (!preg_match('/^[a-z][a-z0-9+.\-]*:/i', $pattern)) {
+                throw new \InvalidArgumentException(sprintf('Pattern "%s" must start with a scheme, e.g. "https://"', $pattern));
+            }
+        }
+
+        GeneralUtility::makeInstance(Registry::class)->set(self::REGISTRY_NAMESPACE, self::REGISTRY_KEY, $patterns);
+
+        return $patterns;
+    }
+
+    /**
+     * Check a redirect URI against the allowed patterns
+     */
+    public function isRedirectUriAllowed(string $redirectUri): bool
+    {
+        $patterns = $this->getAllowedRedirectUriPatterns();
+        if ($patterns === []) {
+            return true;
+        }
+
+        foreach ($patterns as $pattern) {
+            $regex = '/^' . str_replace('\*', '.*', preg_quote($pattern, '/')) . '$/i';
+            if (preg_match($regex, $redirectUri)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    private function getClientByUid(int $clientUid): ?array
+    {
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable(self::TABLE);
+        $queryBuilder->getRestrictions()->removeAll();
+
+        $client = $queryBuilder
+            ->select('uid', 'client_id')
+            ->from(self::TABLE)
+            ->where(
+                $queryBuilder->expr()->eq('uid', $queryBuilder->createNamedParameter($clientUid, Connection::PARAM_INT)),
+                $queryBuilder->expr()->eq('deleted', $queryBuilder->createNamedParameter(0, Connection::PARAM_INT))
+            )
+            ->executeQuery()
+            ->fetchAssociative();
+
+        return $client ?: null;
+    }
+
+    private function revokeClientTokens(string $clientId): int
+    {
+        return GeneralUtility::makeInstance(ConnectionPool::class)
+            ->getConnectionForTable('tx_mcpserver_access_tokens')
+            ->update(
+                'tx_mcpserver_access_tokens',
+                ['deleted' => 1, 'tstamp' => time()],
+                ['client_id' => $clientId, 'deleted' => 0]
+            );
+    }
+
+    /**
+     * Get the active tokens issued to the given clients, grouped by client_id
+     *
+     * @param string[] $clientIds
+     * @return array<string, array<int, array>>
+     */
+    private function getActiveTokens(array $clientIds): array
+    {
+        if ($clientIds === []) {
+            return [];
+        }
+
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable('tx_mcpserver_access_tokens');
+        $queryBuilder->getRestrictions()->removeAll();
+
+        $rows = $queryBuilder
+            ->select('t.uid', 't.client_id', 't.be_user_uid', 't.last_used', 't.expires', 'u.username')
+            ->from('tx_mcpserver_access_tokens', 't')
+            ->leftJoin(
+                't',
+                'be_users',
+                'u',
+                $queryBuilder->expr()->eq('u.uid', $queryBuilder->quoteIdentifier('t.be_user_uid'))
+            )
+            ->where(
+                $queryBuilder->expr()->in('t.client_id', $queryBuilder->createNamedParameter($clientIds, Connection::PARAM_STR_ARRAY)),
+                $queryBuilder->expr()->gt('t.expires', $queryBuilder->createNamedParameter(time(), Connection::PARAM_INT)),
+                $queryBuilder->expr()->eq('t.deleted', $queryBuilder->createNamedParameter(0, Connection::PARAM_INT))
+            )
+            ->orderBy('t.crdate', 'DESC')
+            ->executeQuery()
+            ->fetchAllAssociative();
+
+        $tokens = [];
+        foreach ($rows as $row) {
+            $tokens[$row['client_id']][] = [
+                'uid' => (int)$row['uid'],
+                'be_user_uid' => (int)$row['be_user_uid'],
+                'username' => (string)($row['username'] ?? ''),
+                'last_used' => (int)$row['last_used'],
+                'expires' => (int)$row['expires'],
+            ];
+        }
+
+        return $tokens;
+    }
+}
@@ -4,6 +4,8 @@ declare(strict_types=1);
 
 namespace Hn\McpServer\Service;
 
+use TYPO3\CMS\Core\Configuration\ExtensionConfiguration;
+use TYPO3\CMS\Core\Database\Connection;
 use TYPO3\CMS\Core\Database\ConnectionPool;
 use TYPO3\CMS\Core\Utility\GeneralUtility;
 use TYPO3\CMS\Core\Authentication\BackendUserAuthentication;
@@ -14,10 +16,25 @@ use Psr\Http\Message\ServerRequestInterface;
  */
 class OAuthService
 {
-    private const CLIENT_ID = 'typo3-mcp-server';
+    /**
+     * Client id of the built-in client used without dynamic client registration
+     */
+    public const CLIENT_ID = 'typo3-mcp-server';
     private const CODE_EXPIRY_SECONDS = 600; // 10 minutes
     private const TOKEN_EXPIRY_SECONDS = 2592000; // 30 days
 
+    /**
+     * Sortable columns of the admin token overview
+     */
+    private const TOKEN_SORT_FIELDS = [
+        'user' => 'u.username',
+        'client_name' => 't.client_name',
+        'created' => 't.crdate',
+        'last_used' => 't.last_used',
+        'last_used_ip' => 't.last_used_ip',
+        'expires' => 't.expires',
+    ];
+
     /**
      * Generate authorization URL for OAuth flow
      */
@@ -47,8 +64,10 @@ class OAuthService
 
     /**
      * Create authorization code for authenticated user
+     *
+     * @param string $clientId Registered client the code is issued to, passed on to the token
      */
-    public function createAuthorizationCode(int $beUserId, string $clientName, string $redirectUri = '', string $pkceChallenge = '', string $challengeMethod = 'S256'): string
+    public function createAuthorizationCode(int $beUserId, string $clientName, string $redirectUri = '', string $pkceChallenge = '', string $challengeMethod = 'S256', string $clientId = ''): string
     {
         $code = $this->generateSecureToken();
         $expires = time() + self::CODE_EXPIRY_SECONDS;
@@ -69,6 +88,7 @@ class OAuthService
                 'pkce_challenge_method' => $challengeMethod,
                 'redirect_uri' => $redirectUri,
                 'expires' => $expires,
+                'client_id' => $clientId,
             ]
         );
 
@@ -77,8 +97,10 @@ class OAuthService
 
     /**
      * Exchange authorization code for access token
+     *
+     * @param string|null $clientId Client presenting the code; must be the one the code was issued to
      */
-    public function exchangeCodeForToken(string $code, ?string $codeVerifier = null, ?ServerRequestInterface $request = null): ?array
+    public function exchangeCodeForToken(string $code, ?string $codeVerifier = null, ?ServerRequestInterface $request = null, ?string $clientId = null): ?array
     {
         $connection = GeneralUtility::makeInstance(ConnectionPool::class)
             ->getConnectionForTable('tx_mcpserver_oauth_codes');
@@ -99,6 +121,11 @@ class OAuthService
             return null;
         }
 
+        // Codes issued to a registered client cannot be redeemed by another one
+        if ($clientId !== null && !empty($authCode['client_id']) && $authCode['client_id'] !== $clientId) {
+            return null;
+        }
+
         // Verify PKCE: if a challenge was set, the verifier is mandatory
         if (!empty($authCode['pkce_challenge'])) {
             if ($codeVerifier === null) {
@@ -116,12 +143,13 @@ class OAuthService
 
         // Generate access token
         $accessToken = $this->generateSecureToken();
-        $expires = time() + self::TOKEN_EXPIRY_SECONDS;
+        $ttl = $this->resolveTokenLifetime(null);
+        $expires = time() + $ttl;
 
         // Get client IP
         $clientIp = '';
         if ($request !== null) {
-            $clientIp = $request->getServerParams()['REMOTE_ADDR'] ?? '';
+            $clientIp = GeneralUtility::makeInstance(TokenNetworkService::class)->getClientIp($request);
         }
 
         // Create access token
@@ -137,11 +165,13 @@ class OAuthService
                 'token' => $this->hashToken($accessToken),
                 'be_user_uid' => $authCode['be_user_uid'],
                 'client_name' => $authCode['client_name'],
+                'client_id' => (string)($authCode['client_id'] ?? ''),
                 'expires' => $expires,
                 'last_used' => time(),
                 'created_ip' => $clientIp,
                 'last_used_ip' => $clientIp,
                 'token_version' => 1,
+                'scope' => TokenScopeService::FULL_ACCESS,
             ]
         );
 
@@ -154,7 +184,7 @@ class OAuthService
         return [
             'access_token' => $accessToken,
             'token_type' => 'Bearer',
-            'expires_in' => self::TOKEN_EXPIRY_SECONDS,
+            'expires_in' => $ttl,
         ];
     }
 
@@ -195,6 +225,22 @@ class OAuthService
                 ->fetchAssociative();
         }
 
+        // Fallback: the previous secret of a rotated token stays valid during the grace period
+        if (!$tokenRecord) {
+            $queryBuilder = $connection->createQueryBuilder();
+            $tokenRecord = $queryBuilder
+                ->select('*')
+                ->from('tx_mcpserver_access_tokens')
+                ->where(
+                    $queryBuilder->expr()->eq('previous_token', $queryBuilder->createNamedParameter($this->hashToken($token))),
+                    $queryBuilder->expr()->gt('previous_token_expires', $queryBuilder->createNamedParameter(time())),
+                    $queryBuilder->expr()->gt('expires', $queryBuilder->createNamedParameter(time())),
+                    $queryBuilder->expr()->eq('deleted', $queryBuilder->createNamedParameter(0))
+                )
+                ->executeQuery()
+                ->fetchAssociative();
+        }
+
         if (!$tokenRecord) {
             return null;
         }
@@ -219,20 +265,37 @@ class OAuthService
             }
         }
 
+        $networkService = GeneralUtility::makeInstance(TokenNetworkService::class);
+        $clientIp = $request !== null ? $networkService->getClientIp($request) : '';
+
+        // Tokens restricted to IP ranges only work from there; without a request the IP is unknown and denied
+        $allowlist = array_filter(explode(',', (string)($tokenRecord['ip_allowlist'] ?? '')));
+        if (!$networkService->isIpAllowed($clientIp, $allowlist)) {
+            return null;
+        }
+
         // Update last used timestamp and IP (best-effort, must not block authentication)
         try {
-            $clientIp = '';
-            if ($request !== null) {
-                $clientIp = $request->getServerParams()['REMOTE_ADDR'] ?? '';
-            }
-
             $queryBuilder = $connection->createQueryBuilder();
             $queryBuilder
                 ->update('tx_mcpserver_access_tokens')
                 ->where($queryBuilder->expr()->eq('uid', $queryBuilder->createNamedParameter($tokenRecord['uid'])))
                 ->set('last_used', time())
-                ->set('last_used_ip', $clientIp)
-                ->executeStatement();
+                ->set('last_used_ip', $clientIp);
+
+            // Flag the token when it is used from a network range it was never used from
+            $knownNetworks = json_decode((string)($tokenRecord['known_networks'] ?? ''), true) ?: [];
+            $networks = $networkService->rememberNetwork($knownNetworks, $clientIp);
+            if ($networks['networks'] !== $knownNetworks) {
+                $queryBuilder->set('known_networks', json_encode($networks['networks']));
+            }
+            if ($networks['is_new']) {
+                $queryBuilder
+                    ->set('new_network_ip', $clientIp)
+                    ->set('new_network_seen', time());
+            }
+
+            $queryBuilder->executeStatement();
         } catch (\Throwable $e) {
             // Non-fatal: audit trail update failure must not prevent authentication
         }
@@ -241,9 +304,25 @@ class OAuthService
             'be_user_uid' => (int)$tokenRecord['be_user_uid'],
             'client_name' => $tokenRecord['client_name'],
             'token_uid' => (int)$tokenRecord['uid'],
+            'scope' => (string)($tokenRecord['scope'] ?? ''),
+            'workspace_uid' => (int)($tokenRecord['workspace_uid'] ?? 0),
         ];
     }
 
+    /**
+     * Find the uid of a token by its plaintext value. Unlike validateToken()
+     * this neither records usage nor checks expiry or network restrictions.
+     */
+    public function findTokenUid(string $token): ?int
+    {
+        $uid = GeneralUtility::makeInstance(ConnectionPool::class)
+            ->getConnectionForTable('tx_mcpserver_access_tokens')
+            ->select(['uid'], 'tx_mcpserver_access_tokens', ['token' => $this->hashToken($token)])
+            ->fetchOne();
+
+        return $uid !== false ? (int)$uid : null;
+    }
+
     /**
      * Get all active tokens for a user
      */
@@ -268,26 +347,370 @@ class OAuthService
         return $tokens ?: [];
     }
 
+    /**
+     * Get a page of the tokens of a backend user for the token list
+     *
+     * @param string $search Matches client name or last used IP
+     * @param string $sortBy One of the keys of TOKEN_SORT_FIELDS except user
+     * @param bool $includeExpired Also return tokens that expired but were not cleaned up yet
+     * @param bool $neverUsed Only return tokens that were never used
+     * @param int $limit Maximum number of tokens (0 = all)
+     * @return array{tokens: array, total: int} The tokens of the page and the number of all matching tokens
+     */
+    public function findUserTokens(
+        int $beUserId,
+        string $search = '',
+        string $sortBy = 'created',
+        string $sortDirection = 'DESC',
+        bool $includeExpired = false,
+        bool $neverUsed = false,
+        int $limit = 0,
+        int $offset = 0
+    ): array {
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)
+            ->getQueryBuilderForTable('tx_mcpserver_access_tokens');
+        $queryBuilder->getRestrictions()->removeAll();
+
+        $queryBuilder
+            ->from('tx_mcpserver_access_tokens', 't')
+            ->where(
+                $queryBuilder->expr()->eq('t.be_user_uid', $queryBuilder->createNamedParameter($beUserId)),
+                $queryBuilder->expr()->eq('t.deleted', $queryBuilder->createNamedParameter(0))
+            );
+
+        if (!$includeExpired) {
+            $queryBuilder->andWhere($queryBuilder->expr()->gt('t.expires', $queryBuilder->createNamedParameter(time())));
+        }
+        if ($neverUsed) {
+            $queryBuilder->andWhere($queryBuilder->expr()->eq('t.last_used', $queryBuilder->createNamedParameter(0)));
+        }
+
+        $search = trim($search);
+        if ($search !== '') {
+            $like = $queryBuilder->createNamedParameter('%' . $queryBuilder->escapeLikeWildcards($search) . '%');
+            $queryBuilder->andWhere(
+                $queryBuilder->expr()->or(
+                    $queryBuilder->expr()->like('t.client_name', $like),
+                    $queryBuilder->expr()->like('t.last_used_ip', $like)
+                )
+            );
+        }
+
+        $total = (int)(clone $queryBuilder)->count('t.uid')->executeQuery()->fetchOne();
+
+        // The token list only shows the tokens of one user, so there is no user column to sort by
+        $sortField = $sortBy !== 'user' && isset(self::TOKEN_SORT_FIELDS[$sortBy])
+            ? self::TOKEN_SORT_FIELDS[$sortBy]
+            : self::TOKEN_SORT_FIELDS['created'];
+        $sortDirection = strtoupper($sortDirection) === 'ASC' ? 'ASC' : 'DESC';
+
+        $queryBuilder
+            ->select('t.*')
+            ->orderBy($sortField, $sortDirection)
+            ->addOrderBy('t.uid', 'DESC')
+            ->setFirstResult(max(0, $offset));
+        if ($limit > 0) {
+            $queryBuilder->setMaxResults($limit);
+        }
+
+        return [
+            'tokens' => $queryBuilder->executeQuery()->fetchAllAssociative(),
+            'total' => $total,
+        ];
+    }
+
+    /**
+     * Revoke several tokens of a backend user at once
+     *
+     * @param int[] $tokenUids
+     * @return int Number of revoked tokens
+     */
+    public function revokeTokens(array $tokenUids, int $beUserId): int
+    {
+        $tokenUids = array_values(array_filter(array_map('intval', $tokenUids), static fn(int $uid) => $uid > 0));
+        if ($tokenUids === []) {
+            return 0;
+        }
+
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)
+            ->getQueryBuilderForTable('tx_mcpserver_access_tokens');
+        $queryBuilder->getRestrictions()->removeAll();
+
+        return (int)$queryBuilder
+            ->update('tx_mcpserver_access_tokens')
+            ->set('deleted', 1)
+            ->set('tstamp', time())
+            ->where(
+                $queryBuilder->expr()->in('uid', $queryBuilder->createNamedParameter($tokenUids, Connection::PARAM_INT_ARRAY)),
+                $queryBuilder->expr()->eq('be_user_uid', $queryBuilder->createNamedParameter($beUserId)),
+                $queryBuilder->expr()->eq('deleted', $queryBuilder->createNamedParameter(0))
+            )
+            ->executeStatement();
+    }
+
     /**
      * Revoke a specific token
+     *
+     * @param int|null $beUserId Owner of the token; null revokes the token of any user (admin overview)
      */
-    public function revokeToken(int $tokenUid, int $beUserId): bool
+    public function revokeToken(int $tokenUid, ?int $beUserId): bool
     {
         $connection = GeneralUtility::makeInstance(ConnectionPool::class)
             ->getConnectionForTable('tx_mcpserver_access_tokens');
 
+        $criteria = ['uid' => $tokenUid];
+        if ($beUserId !== null) {
+            $criteria['be_user_uid'] = $beUserId;
+        }
+
         $affectedRows = $connection->update(
             'tx_mcpserver_access_tokens',
             ['deleted' => 1, 'tstamp' => time()],
-            [
-                'uid' => $tokenUid,
-                'be_user_uid' => $beUserId,
-            ]
+            $criteria
         );
 
         return $affectedRows > 0;
     }
 
+    /**
+     * Get active tokens of all backend users together with the owner's
+     * username, for the admin overview
+     *
+     * @param string $search Matches username, real name, client name or last used IP
+     * @param string $sortBy One of the keys of TOKEN_SORT_FIELDS
+     * @param string $owner 'personal' or 'service' for only the tokens of people or of service accounts, '' for all
+     */
+    public function getAllTokens(string $search = '', string $sortBy = 'created', string $sortDirection = 'DESC', string $owner = ''): array
+    {
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)
+            ->getQueryBuilderForTable('tx_mcpserver_access_tokens');
+        // Tokens of disabled or deleted users must stay visible so admins can revoke them
+        $queryBuilder->getRestrictions()->removeAll();
+
+        $queryBuilder
+            ->select('t.*', 'u.username', 'u.realName', 'u.tx_mcpserver_service_account')
+            ->from('tx_mcpserver_access_tokens', 't')
+            ->leftJoin(
+                't',
+                'be_users',
+                'u',
+                $queryBuilder->expr()->eq('u.uid', $queryBuilder->quoteIdentifier('t.be_user_uid'))
+            )
+            ->where(
+                $queryBuilder->expr()->gt('t.expires', $queryBuilder->createNamedParameter(time())),
+                $queryBuilder->expr()->eq('t.deleted', $queryBuilder->createNamedParameter(0))
+            );
+
+        $search = trim($search);
+        if ($search !== '') {
+            $like = $queryBuilder->createNamedParameter('%' . $queryBuilder->escapeLikeWildcards($search) . '%');
+            $queryBuilder->andWhere(
+                $queryBuilder->expr()->or(
+                    $queryBuilder->expr()->like('u.username', $like),
+                    $queryBuilder->expr()->like('u.realName', $like),
+                    $queryBuilder->expr()->like('t.client_name', $like),
+                    $queryBuilder->expr()->like('t.last_used_ip', $like)
+                )
+            );
+        }
+
+        if ($owner === 'service') {
+            $queryBuilder->andWhere(
+                $queryBuilder->expr()->eq('u.tx_mcpserver_service_account', $queryBuilder->createNamedParameter(1, Connection::PARAM_INT))
+            );
+        } elseif ($owner === 'personal') {
+            // Tokens of deleted users have no user row and count as personal
+            $queryBuilder->andWhere(
+                $queryBuilder->expr()->or(
+                    $queryBuilder->expr()->isNull('u.uid'),
+                    $queryBuilder->expr()->eq('u.tx_mcpserver_service_account', $queryBuilder->createNamedParameter(0, Connection::PARAM_INT))
+                )
+            );
+        }
+
+        $sortField = self::TOKEN_SORT_FIELDS[$sortBy] ?? self::TOKEN_SORT_FIELDS['created'];
+        $sortDirection = strtoupper($sortDirection) === 'ASC' ? 'ASC' : 'DESC';
+
+        return $queryBuilder
+            ->orderBy($sortField, $sortDirection)
+            ->addOrderBy('t.uid', 'DESC')
+            ->executeQuery()
+            ->fetchAllAssociative();
+    }
+
+    /**
+     * Revoke the tokens of all users that carry the given client name,
+     * e.g. when a client integration is compromised
+     *
+     * @return int Number of revoked tokens
+     */
+    public function revokeTokensByClientName(string $clientName): int
+    {
+        $connection = GeneralUtility::makeInstance(ConnectionPool::class)
+            ->getConnectionForTable('tx_mcpserver_access_tokens');
+
+        return $connection->update(
+            'tx_mcpserver_access_tokens',
+            ['deleted' => 1, 'tstamp' => time()],
+            ['client_name' => $clientName, 'deleted' => 0]
+        );
+    }
+
+    /**
+     * Extend the expiry of an active token without rotating its secret.
+     * The new expiry is calculated from now, so renewing never shortens a
+     * lifetime beyond what the caller asked for.
+     *
+     * @return int|null The new expiry timestamp, or null if the token was not found
+     * @throws \InvalidArgumentException If the lifetime is not positive or exceeds the configured maximum
+     */
+    public function renewToken(int $tokenUid, int $beUserId, int $ttlSeconds): ?int
+    {
+        $expires = time() + $this->resolveTokenLifetime($ttlSeconds);
+
+        $connection = GeneralUtility::makeInstance(ConnectionPool::class)
+            ->getConnectionForTable('tx_mcpserver_access_tokens');
+
+        $queryBuilder = $connection->createQueryBuilder();
+        $affectedRows = $queryBuilder
+            ->update('tx_mcpserver_access_tokens')
+            ->where(
+                $queryBuilder->expr()->eq('uid', $queryBuilder->createNamedParameter($tokenUid)),
+                $queryBuilder->expr()->eq('be_user_uid', $queryBuilder->createNamedParameter($beUserId)),
+                $queryBuilder->expr()->gt('expires', $queryBuilder->createNamedParameter(time())),
+                $queryBuilder->expr()->eq('deleted', $queryBuilder->createNamedParameter(0))
+            )
+            ->set('expires', $expires)
+            ->set('tstamp', time())
+            ->executeStatement();
+
+        return $affectedRows > 0 ? $expires : null;
+    }
+
+    /**
+     * Issue a new secret for an existing token record. The previous secret
+     * stays valid for the configured grace period so clients can be updated
+     * without downtime; rotating again within that window invalidates the
+     * secret from before the last rotation immediately.
+     *
+     * @return array{access_token: string, previous_valid_until: int}|null Null if the token was not found
+     */
+    public function rotateToken(int $tokenUid, int $beUserId): ?array
+    {
+        $connection = GeneralUtility::makeInstance(ConnectionPool::class)
+            ->getConnectionForTable('tx_mcpserver_access_tokens');
+
+        $queryBuilder = $connection->createQueryBuilder();
+        $tokenRecord = $queryBuilder
+            ->select('uid', 'token', 'token_version')
+            ->from('tx_mcpserver_access_tokens')
+            ->where(
+                $queryBuilder->expr()->eq('uid', $queryBuilder->createNamedParameter($tokenUid)),
+                $queryBuilder->expr()->eq('be_user_uid', $queryBuilder->createNamedParameter($beUserId)),
+                $queryBuilder->expr()->gt('expires', $queryBuilder->createNamedParameter(time())),
+                $queryBuilder->expr()->eq('deleted', $queryBuilder->createNamedParameter(0))
+            )
+            ->executeQuery()
+            ->fetchAssociative();
+
+        if (!$tokenRecord) {
+            return null;
+        }
+
+        // Pre-migration tokens are stored in plaintext, the previous secret is always kept hashed
+        $previousHash = (int)$tokenRecord['token_version'] === 0
+            ? $this->hashToken($tokenRecord['token'])
+            : $tokenRecord['token'];
+        $gracePeriod = $this->getRotationGracePeriod();
+        $previousValidUntil = $gracePeriod > 0 ? time() + $gracePeriod : 0;
+
+        $accessToken = $this->generateSecureToken();
+        $connection->update(
+            'tx_mcpserver_access_tokens',
+            [
+                'token' => $this->hashToken($accessToken),
+                'token_version' => 1,
+                'previous_token' => $gracePeriod > 0 ? $previousHash : '',
+                'previous_token_expires' => $previousValidUntil,
+                'tstamp' => time(),
+            ],
+            ['uid' => $tokenUid]
+        );
+
+        return [
+            'access_token' => $accessToken,
+            'previous_valid_until' => $previousValidUntil,
+        ];
+    }
+
+    /**
+     * Restrict a token to the given CIDR ranges (empty = usable from anywhere)
+     *
+     * @param string[] $ranges Normalized ranges as returned by TokenNetworkService::parseAllowlist()
+     * @return bool False if the token was not found
+     */
+    public function setTokenIpAllowlist(int $tokenUid, int $beUserId, array $ranges): bool
+    {
+        $connection = GeneralUtility::makeInstance(ConnectionPool::class)
+            ->getConnectionForTable('tx_mcpserver_access_tokens');
+
+        return $connection->update(
+            'tx_mcpserver_access_tokens',
+            ['ip_allowlist' => implode(',', $ranges), 'tstamp' => time()],
+            ['uid' => $tokenUid, 'be_user_uid' => $beUserId, 'deleted' => 0]
+        ) > 0;
+    }
+
+    /**
+     * Clear the new network warning of a token after the user confirmed the
+     * network is legitimate. The network stays known, so it is not flagged again.
+     *
+     * @return bool False if the token was not found
+     */
+    public function dismissNewNetwork(int $tokenUid, int $beUserId): bool
+    {
+        $connection = GeneralUtility::makeInstance(ConnectionPool::class)
+            ->getConnectionForTable('tx_mcpserver_access_tokens');
+
+        return $connection->update(
+            'tx_mcpserver_access_tokens',
+            ['new_network_ip' => '', 'new_network_seen' => 0, 'tstamp' => time()],
+            ['uid' => $tokenUid, 'be_user_uid' => $beUserId, 'deleted' => 0]
+        ) > 0;
+    }
+
+    /**
+     * Get the grace period in seconds during which the previous secret of a
+     * rotated token stays valid (extension setting tokenRotationGraceHours).
+     */
+    public function getRotationGracePeriod(): int
+    {
+        try {
+            $hours = (int)GeneralUtility::makeInstance(ExtensionConfiguration::class)
+                ->get('mcp_server', 'tokenRotationGraceHours');
+        } catch (\Exception) {
+            $hours = 24;
+        }
+
+        return max(0, $hours) * 3600;
+    }
+
+    /**
+     * Get the maximum token lifetime in seconds configured by the admin
+     * (extension setting maxTokenLifetimeDays, 0 = unlimited).
+     */
+    public function getMaxTokenLifetime(): int
+    {
+        try {
+            $days = (int)GeneralUtility::makeInstance(ExtensionConfiguration::class)
+                ->get('mcp_server', 'maxTokenLifetimeDays');
+        } catch (\Exception) {
+            $days = 365;
+        }
+
+        return max(0, $days) * 86400;
+    }
+
     /**
      * Revoke all tokens for a user
      */
@@ -332,9 +755,18 @@ class OAuthService
 
     /**
      * Register a new OAuth client dynamically
+     *
+     * @throws \InvalidArgumentException If a redirect URI does not match the patterns allowed by an admin
      */
     public function registerClient(array $clientData): array
     {
+        $clientService = GeneralUtility::makeInstance(OAuthClientService::class);
+        foreach ($clientData['redirect_uris'] ?? [] as $redirectUri) {
+            if (!is_string($redirectUri) || !$clientService->isRedirectUriAllowed($redirectUri)) {
+                throw new \InvalidArgumentException(sprintf('Redirect URI "%s" is not allowed', is_string($redirectUri) ? $redirectUri : gettype($redirectUri)));
+            }
+        }
+
         // Generate client credentials
         $clientId = 'mcp_client_' . bin2hex(random_bytes(16));
         $clientSecret = bin2hex(random_bytes(32));
@@ -394,9 +826,11 @@ class OAuthService
             'authorization_endpoint' => $baseUrl . '/mcp_oauth/authorize',
             'token_endpoint' => $baseUrl . '/mcp_oauth/token',
             'registration_endpoint' => $baseUrl . '/mcp_oauth/register',
+            'device_authorization_endpoint' => $baseUrl . '/mcp_oauth/device_authorization',
             'response_types_supported' => ['code'],
-            'grant_types_supported' => ['authorization_code'],
+            'grant_types_supported' => ['authorization_code', DeviceAuthorizationService::GRANT_TYPE],
             'code_challenge_methods_supported' => ['S256'],
+            'scopes_supported' => [TokenScopeService::FULL_ACCESS, TokenScopeService::READ_ONLY],
             'token_endpoint_auth_methods_supported' => ['none', 'client_secret_post'],
             'registration_endpoint_auth_methods_supported' => ['none'],
         ];
@@ -404,16 +838,21 @@ class OAuthService
 
     /**
      * Create access token directly (bypassing authorization code flow)
+     *
+     * @param string $scope Token scope as built by TokenScopeService (defaults to full access)
+     * @param int|null $ttlSeconds Token lifetime (defaults to 30 days, capped by the configured maximum)
+     * @param int $workspaceUid Workspace all writes of this token go to (0 = pick automatically)
+     * @throws \InvalidArgumentException If the lifetime is not positive or exceeds the configured maximum
      */
-    public function createDirectAccessToken(int $beUserId, string $clientName, ?ServerRequestInterface $request = null): string
+    public function createDirectAccessToken(int $beUserId, string $clientName, ?ServerRequestInterface $request = null, string $scope = TokenScopeService::FULL_ACCESS, ?int $ttlSeconds = null, int $workspaceUid = 0): string
     {
         $accessToken = $this->generateSecureToken();
-        $expires = time() + self::TOKEN_EXPIRY_SECONDS;
+        $expires = time() + $this->resolveTokenLifetime($ttlSeconds);
 
         // Get client IP
         $clientIp = '';
         if ($request !== null) {
-            $clientIp = $request->getServerParams()['REMOTE_ADDR'] ?? '';
+            $clientIp = GeneralUtility::makeInstance(TokenNetworkService::class)->getClientIp($request);
         }
 
         // Create access token
@@ -434,6 +873,8 @@ class OAuthService
                 'created_ip' => $clientIp,
                 'last_used_ip' => $clientIp,
                 'token_version' => 1,
+                'scope' => $scope,
+                'workspace_uid' => $workspaceUid,
             ]
         );
 
@@ -446,14 +887,13 @@ class OAuthService
      * OAuth discovery (e.g. subdirectory installs) and authenticate with a
      * static Authorization header instead. Returns the plaintext token, which
      * is only available at creation time (the database stores a hash).
+     *
+     * @param string $clientId Registered client the token is issued to
      */
-    public function createToken(int $beUserUid, string $clientName, ?int $ttlSeconds = null): array
+    public function createToken(int $beUserUid, string $clientName, ?int $ttlSeconds = null, string $scope = TokenScopeService::FULL_ACCESS, string $clientId = ''): array
     {
         $accessToken = $this->generateSecureToken();
-        $ttl = $ttlSeconds ?? self::TOKEN_EXPIRY_SECONDS;
-        if ($ttl <= 0) {
-            throw new \InvalidArgumentException('Token TTL must be greater than zero seconds.');
-        }
+        $ttl = $this->resolveTokenLifetime($ttlSeconds);
         $expires = time() + $ttl;
 
         GeneralUtility::makeInstance(ConnectionPool::class)
@@ -467,11 +907,13 @@ class OAuthService
                     'token' => $this->hashToken($accessToken),
                     'be_user_uid' => $beUserUid,
                     'client_name' => $clientName,
+                    'client_id' => $clientId,
                     'expires' => $expires,
                     'last_used' => 0,
                     'created_ip' => '',
                     'last_used_ip' => '',
                     'token_version' => 1,
+                    'scope' => $scope,
                 ]
             );
 
@@ -480,9 +922,37 @@ class OAuthService
             'token_type' => 'Bearer',
             'expires' => $expires,
             'expires_in' => $ttl,
+            'scope' => $scope,
         ];
     }
 
+    /**
+     * Validate a requested token lifetime against the configured maximum.
+     * Without an explicit lifetime the default of 30 days applies, shortened
+     * to the maximum if the admin configured a lower one.
+     *
+     * @throws \InvalidArgumentException
+     */
+    private function resolveTokenLifetime(?int $ttlSeconds): int
+    {
+        $maxLifetime = $this->getMaxTokenLifetime();
+
+        if ($ttlSeconds === null) {
+            return $maxLifetime > 0 ? min(self::TOKEN_EXPIRY_SECONDS, $maxLifetime) : self::TOKEN_EXPIRY_SECONDS;
+        }
+        if ($ttlSeconds <= 0) {
+            throw new \InvalidArgumentException('Token TTL must be greater than zero seconds.');
+        }
+        if ($maxLifetime > 0 && $ttlSeconds > $maxLifetime) {
+            throw new \InvalidArgumentException(sprintf(
+                'Token lifetime must not exceed the configured maximum of %d days.',
+                intdiv($maxLifetime, 86400)
+            ));
+        }
+
+        return $ttlSeconds;
+    }
+
     /**
      * Generate cryptographically secure token
      */
@@ -0,0 +1,336 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Service;
+
+use TYPO3\CMS\Backend\Utility\BackendUtility;
+use TYPO3\CMS\Core\Authentication\BackendUserAuthentication;
+use TYPO3\CMS\Core\Database\Connection;
+use TYPO3\CMS\Core\Database\ConnectionPool;
+use TYPO3\CMS\Core\DataHandling\DataHandler;
+use TYPO3\CMS\Core\Localization\LanguageService as CoreLanguageService;
+use TYPO3\CMS\Core\Utility\GeneralUtility;
+
+/**
+ * Service for reviewing workspace changes made through MCP
+ *
+ * WorkspaceChangeTrackingListener records every workspace write of
+ * WriteTableTool. This service resolves those records to their current
+ * workspace versions, computes a field-level diff against live and lets the
+ * editor publish or discard them.
+ */
+class PendingChangesService
+{
+    private const TABLE = 'tx_mcpserver_workspace_changes';
+
+    /**
+     * Fields that change with every write and are meaningless in a review
+     */
+    private const IGNORED_FIELDS = ['l10n_diffsource', 'l18n_diffsource', 'l10n_state'];
+
+    /**
+     * Maximum length of a field value in the diff
+     */
+    private const MAX_VALUE_LENGTH = 2000;
+
+    /**
+     * Remember a workspace record written through MCP. Repeated writes to the
+     * same record by the same token update the existing entry.
+     */
+    public function trackChange(
+        string $table,
+        int $uid,
+        string $action,
+        int $workspaceId,
+        int $beUserUid,
+        int $tokenUid,
+        string $clientName
+    ): void {
+        if (!($GLOBALS['TCA'][$table]['ctrl']['versioningWS'] ?? false)) {
+            return;
+        }
+
+        try {
+            $connection = GeneralUtility::makeInstance(ConnectionPool::class)->getConnectionForTable(self::TABLE);
+            $identifier = [
+                'be_user_uid' => $beUserUid,
+                'token_uid' => $tokenUid,
+                'workspace_uid' => $workspaceId,
+                'record_table' => $table,
+                'record_uid' => $uid,
+            ];
+
+            $existingAction = $connection->select(['action'], self::TABLE, $identifier)->fetchOne();
+            if ($existingAction === false) {
+                $connection->insert(self::TABLE, [
+                    ...$identifier,
+                    'pid' => 0,
+                    'crdate' => time(),
+                    'tstamp' => time(),
+                    'client_name' => $clientName,
+                    'action' => $action,
+                ]);
+                return;
+            }
+
+            // A record created through MCP stays a "create" even if it was updated afterwards
+            $connection->update(
+                self::TABLE,
+                ['tstamp' => time(), 'action' => $existingAction === 'create' && $action !== 'delete' ? 'create' : $action],
+                $identifier
+            );
+        } catch (\Throwable $e) {
+            // Non-fatal: the review list is an aid, the write itself already succeeded
+        }
+    }
+
+    /**
+     * Get the pending MCP changes of a user, grouped by token/client and page.
+     * Entries whose workspace version no longer exists (published or
+     * discarded elsewhere) are removed on the way.
+     */
+    public function getPendingChanges(int $beUserUid): array
+    {
+        $connection = GeneralUtility::makeInstance(ConnectionPool::class)->getConnectionForTable(self::TABLE);
+        $rows = $connection->select(['*'], self::TABLE, ['be_user_uid' => $beUserUid], [], ['tstamp' => 'DESC'])
+            ->fetchAllAssociative();
+
+        $groups = [];
+        foreach ($rows as $row) {
+            $change = $this->resolveChange($row);
+            if ($change === null) {
+                $connection->delete(self::TABLE, ['uid' => (int)$row['uid']]);
+                continue;
+            }
+
+            $groupKey = (int)$row['token_uid'] . ':' . $row['client_name'];
+            $groups[$groupKey] ??= [
+                'token_uid' => (int)$row['token_uid'],
+                'client_name' => $row['client_name'],
+                'pages' => [],
+            ];
+            $groups[$groupKey]['pages'][$change['page_uid']] ??= [
+                'uid' => $change['page_uid'],
+                'title' => $this->getPageTitle($change['page_uid']),
+                'changes' => [],
+            ];
+            $groups[$groupKey]['pages'][$change['page_uid']]['changes'][] = $change;
+        }
+
+        return array_values(array_map(static function (array $group): array {
+            $group['pages'] = array_values($group['pages']);
+            return $group;
+        }, $groups));
+    }
+
+    /**
+     * Publish the workspace version behind a tracked change
+     *
+     * @throws \InvalidArgumentException If the change does not exist or belongs to another user
+     * @throws \RuntimeException If DataHandler refuses to publish
+     */
+    public function publishChange(int $changeUid, BackendUserAuthentication $backendUser): void
+    {
+        [$row, $version] = $this->loadChange($changeUid, (int)$backendUser->user['uid']);
+        $liveUid = (int)$version['t3ver_oid'] > 0 ? (int)$version['t3ver_oid'] : (int)$version['uid'];
+
+        $this->processCommand($backendUser, (int)$row['workspace_uid'], [
+            $row['record_table'] => [
+                $liveUid => ['version' => ['action' => 'publish', 'swapWith' => (int)$version['uid']]],
+            ],
+        ]);
+        $this->removeChange($changeUid);
+    }
+
+    /**
+     * Discard the workspace version behind a tracked change
+     *
+     * @throws \InvalidArgumentException If the change does not exist or belongs to another user
+     * @throws \RuntimeException If DataHandler refuses to discard
+     */
+    public function discardChange(int $changeUid, BackendUserAuthentication $backendUser): void
+    {
+        [$row, $version] = $this->loadChange($changeUid, (int)$backendUser->user['uid']);
+
+        $this->processCommand($backendUser, (int)$row['workspace_uid'], [
+            $row['record_table'] => [
+                (int)$version['uid'] => ['discard' => true],
+            ],
+        ]);
+        $this->removeChange($changeUid);
+    }
+
+    /**
+     * @return array{0: array, 1: array} The tracking row and the workspace version
+     */
+    private function loadChange(int $changeUid, int $beUserUid): array
+    {
+        $row = GeneralUtility::makeInstance(ConnectionPool::class)
+            ->getConnectionForTable(self::TABLE)
+            ->select(['*'], self::TABLE, ['uid' => $changeUid, 'be_user_uid' => $beUserUid])
+            ->fetchAssociative();
+        if (!$row) {
+            throw new \InvalidArgumentException('Change not found');
+        }
+
+        $version = $this->findWorkspaceVersion($row['record_table'], (int)$row['record_uid'], (int)$row['workspace_uid']);
+        if ($version === null) {
+            $this->removeChange($changeUid);
+            throw new \InvalidArgumentException('The change has already been published or discarded');
+        }
+
+        return [$row, $version];
+    }
+
+    /**
+     * Run a DataHandler command inside the workspace of the version
+     */
+    private function processCommand(BackendUserAuthentication $backendUser, int $workspaceId, array $commandMap): void
+    {
+        $previousWorkspace = (int)$backendUser->workspace;
+        $backendUser->setTemporaryWorkspace($workspaceId);
+
+        try {
+            $dataHandler = GeneralUtility::makeInstance(DataHandler::class);
+            $dataHandler->BE_USER = $backendUser;
+            $dataHandler->start([], $commandMap);
+            $dataHandler->process_cmdmap();
+        } finally {
+            $backendUser->setTemporaryWorkspace($previousWorkspace);
+        }
+
+        if ($dataHandler->errorLog) {
+            throw new \RuntimeException(implode(', ', $dataHandler->errorLog));
+        }
+    }
+
+    private function removeChange(int $changeUid): void
+    {
+        GeneralUtility::makeInstance(ConnectionPool::class)
+            ->getConnectionForTable(self::TABLE)
+            ->delete(self::TABLE, ['uid' => $changeUid]);
+    }
+
+    private function resolveChange(array $row): ?array
+    {
+        $table = (string)$row['record_table'];
+        if (!isset($GLOBALS['TCA'][$table])) {
+            return null;
+        }
+
+        $version = $this->findWorkspaceVersion($table, (int)$row['record_uid'], (int)$row['workspace_uid']);
+        if ($version === null) {
+            return null;
+        }
+
+        $live = (int)$version['t3ver_oid'] > 0
+            ? BackendUtility::getRecord($table, (int)$version['t3ver_oid'])
+            : null;
+        $liveUid = (int)$version['t3ver_oid'] > 0 ? (int)$version['t3ver_oid'] : (int)$version['uid'];
+
+        // t3ver_state: 1 = new record, 2 = delete placeholder, 4 = move pointer
+        $state = match ((int)$version['t3ver_state']) {
+            1 => 'new',
+            2 => 'deleted',
+            4 => 'moved',
+            default => 'modified',
+        };
+
+        return [
+            'id' => (int)$row['uid'],
+            'table' => $table,
+            'table_label' => $this->translate($GLOBALS['TCA'][$table]['ctrl']['title'] ?? $table),
+            'uid' => $liveUid,
+            'version_uid' => (int)$version['uid'],
+            'workspace_uid' => (int)$row['workspace_uid'],
+            'state' => $state,
+            'title' => BackendUtility::getRecordTitle($table, $version),
+            'changed' => (int)$row['tstamp'],
+            'page_uid' => $table === 'pages' ? $liveUid : (int)$version['pid'],
+            'fields' => $state === 'deleted' ? [] : $this->getFieldChanges($table, $version, $live ?: null),
+        ];
+    }
+
+    private function findWorkspaceVersion(string $table, int $uid, int $workspaceId): ?array
+    {
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable($table);
+        $queryBuilder->getRestrictions()->removeAll();
+
+        $queryBuilder
+            ->select('*')
+            ->from($table)
+            ->where(
+                $queryBuilder->expr()->eq('t3ver_wsid', $queryBuilder->createNamedParameter($workspaceId, Connection::PARAM_INT)),
+                $queryBuilder->expr()->or(
+                    $queryBuilder->expr()->eq('t3ver_oid', $queryBuilder->createNamedParameter($uid, Connection::PARAM_INT)),
+                    $queryBuilder->expr()->and(
+                        $queryBuilder->expr()->eq('uid', $queryBuilder->createNamedParameter($uid, Connection::PARAM_INT)),
+                        $queryBuilder->expr()->eq('t3ver_oid', $queryBuilder->createNamedParameter(0, Connection::PARAM_INT))
+                    )
+                )
+            );
+
+        $deleteField = $GLOBALS['TCA'][$table]['ctrl']['delete'] ?? '';
+        if ($deleteField !== '') {
+            $queryBuilder->andWhere(
+                $queryBuilder->expr()->eq($deleteField, $queryBuilder->createNamedParameter(0, Connection::PARAM_INT))
+            );
+        }
+
+        $version = $queryBuilder->executeQuery()->fetchAssociative();
+
+        return $version ?: null;
+    }
+
+    /**
+     * Compare the workspace version with live, field by field. For new
+     * records every filled field is listed.
+     */
+    private function getFieldChanges(string $table, array $version, ?array $live): array
+    {
+        $changes = [];
+        foreach ($GLOBALS['TCA'][$table]['columns'] ?? [] as $field => $columnConfig) {
+            if (!array_key_exists($field, $version) || in_array($field, self::IGNORED_FIELDS, true)) {
+                continue;
+            }
+            // Relations are stored in other records, their counters would only be noise
+            if (in_array($columnConfig['config']['type'] ?? '', ['passthrough', 'none', 'inline'], true)) {
+                continue;
+            }
+
+            $workspaceValue = (string)($version[$field] ?? '');
+            $liveValue = $live !== null ? (string)($live[$field] ?? '') : '';
+            if ($workspaceValue === $liveValue || ($live === null && in_array($workspaceValue, ['', '0'], true))) {
+                continue;
+            }
+
+            $changes[] = [
+                'field' => $field,
+                'label' => $this->translate($columnConfig['label'] ?? $field) ?: $field,
+                'live' => mb_substr($liveValue, 0, self::MAX_VALUE_LENGTH),
+                'workspace' => mb_substr($workspaceValue, 0, self::MAX_VALUE_LENGTH),
+            ];
+        }
+
+        return $changes;
+    }
+
+    private function getPageTitle(int $pageUid): string
+    {
+        if ($pageUid === 0) {
+            return $GLOBALS['TYPO3_CONF_VARS']['SYS']['sitename'] ?? 'Root';
+        }
+
+        $page = BackendUtility::getRecord('pages', $pageUid, 'title');
+
+        return (string)($page['title'] ?? '[' . $pageUid . ']');
+    }
+
+    private function translate(string $label): string
+    {
+        $languageService = $GLOBALS['LANG'] ?? null;
+
+        return $languageService instanceof CoreLanguageService ? $languageService->sL($label) : $label;
+    }
+}
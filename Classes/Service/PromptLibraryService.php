@@ -0,0 +1,271 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Service;
+
+use TYPO3\CMS\Core\Authentication\BackendUserAuthentication;
+use TYPO3\CMS\Core\Database\Connection;
+use TYPO3\CMS\Core\Database\ConnectionPool;
+use TYPO3\CMS\Core\Utility\GeneralUtility;
+
+/**
+ * Service for the prompt library served through the MCP prompts capability
+ *
+ * Editors author prompt templates in the backend module, e.g. "Write a news
+ * teaser for page {uid}". Every {placeholder} in the template is an argument
+ * of the prompt. Prompts can be limited to sites, so they are only offered
+ * on the domains of those sites, and to backend user groups.
+ */
+class PromptLibraryService
+{
+    private const TABLE = 'tx_mcpserver_prompts';
+
+    public const NAME_PATTERN = '/^[a-z0-9][a-z0-9_-]{1,99}$/';
+    public const PLACEHOLDER_PATTERN = '/\{([a-zA-Z][a-zA-Z0-9_]{0,49})\}/';
+
+    public const MAX_TEMPLATE_LENGTH = 20000;
+
+    /**
+     * Get all prompts of the library, ordered by name
+     */
+    public function getPrompts(): array
+    {
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable(self::TABLE);
+        $rows = $queryBuilder
+            ->select('*')
+            ->from(self::TABLE)
+            ->orderBy('name', 'ASC')
+            ->executeQuery()
+            ->fetchAllAssociative();
+
+        return array_map($this->formatPrompt(...), $rows);
+    }
+
+    /**
+     * Get the prompts a backend user may see in the backend module: prompts
+     * for everyone, for one of the user's groups and the user's own prompts
+     * (admins see all)
+     */
+    public function getPromptsForUser(BackendUserAuthentication $backendUser): array
+    {
+        $groupUids = array_map('intval', (array)$backendUser->userGroupsUID);
+
+        return array_values(array_filter($this->getPrompts(), fn(array $prompt) => $this->canEdit($prompt, $backendUser)
+            || $prompt['be_groups'] === []
+            || array_intersect($prompt['be_groups'], $groupUids) !== []));
+    }
+
+    public function getPrompt(int $promptUid): ?array
+    {
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable(self::TABLE);
+        $row = $queryBuilder
+            ->select('*')
+            ->from(self::TABLE)
+            ->where(
+                $queryBuilder->expr()->eq('uid', $queryBuilder->createNamedParameter($promptUid, Connection::PARAM_INT))
+            )
+            ->executeQuery()
+            ->fetchAssociative();
+
+        return $row ? $this->formatPrompt($row) : null;
+    }
+
+    /**
+     * Create or update a prompt
+     *
+     * The arguments follow the placeholders of the template; descriptions and
+     * the required flag are taken from $data['arguments'] where given.
+     *
+     * @param array{name?: string, title?: string, description?: string, template?: string, arguments?: array, sites?: string[], be_groups?: int[], disabled?: bool} $data
+     * @param int $beUserUid Author of a new prompt
+     * @return int Prompt uid
+     * @throws \InvalidArgumentException If the name is invalid or taken, the template is empty or too long, or the prompt does not exist
+     */
+    public function savePrompt(array $data, int $promptUid = 0, int $beUserUid = 0): int
+    {
+        $name = trim((string)($data['name'] ?? ''));
+        if (!preg_match(self::NAME_PATTERN, $name)) {
+            throw new \InvalidArgumentException('The prompt name must be 2 to 100 lowercase letters, digits, dashes or underscores');
+        }
+        foreach ($this->getPrompts() as $prompt) {
+            if ($prompt['name'] === $name && $prompt['uid'] !== $promptUid) {
+                throw new \InvalidArgumentException(sprintf('A prompt named "%s" already exists', $name));
+            }
+        }
+
+        $template = trim((string)($data['template'] ?? ''));
+        if ($template === '') {
+            throw new \InvalidArgumentException('The prompt template must not be empty');
+        }
+        if (mb_strlen($template) > self::MAX_TEMPLATE_LENGTH) {
+            throw new \InvalidArgumentException(sprintf('The prompt template must not exceed %d characters', self::MAX_TEMPLATE_LENGTH));
+        }
+
+        $fields = [
+            'tstamp' => time(),
+            'name' => $name,
+            'title' => mb_substr(trim((string)($data['title'] ?? '')), 0, 255),
+            'description' => trim((string)($data['description'] ?? '')),
+            'template' => $template,
+            'arguments' => json_encode($this->buildArguments($template, (array)($data['arguments'] ?? [])), JSON_THROW_ON_ERROR),
+            'sites' => implode(',', array_unique(array_filter(array_map('trim', array_map('strval', (array)($data['sites'] ?? [])))))),
+            'be_groups' => implode(',', array_unique(array_filter(array_map('intval', (array)($data['be_groups'] ?? []))))),
+            'disabled' => !empty($data['disabled']) ? 1 : 0,
+        ];
+
+        $connection = GeneralUtility::makeInstance(ConnectionPool::class)->getConnectionForTable(self::TABLE);
+        if ($promptUid > 0) {
+            if ($this->getPrompt($promptUid) === null) {
+                throw new \InvalidArgumentException('Prompt not found');
+            }
+            $connection->update(self::TABLE, $fields, ['uid' => $promptUid]);
+            return $promptUid;
+        }
+
+        $connection->insert(self::TABLE, $fields + [
+            'pid' => 0,
+            'crdate' => time(),
+            'be_user_uid' => $beUserUid,
+        ]);
+
+        return (int)$connection->lastInsertId();
+    }
+
+    /**
+     * @return bool False if the prompt was not found
+     */
+    public function deletePrompt(int $promptUid): bool
+    {
+        return GeneralUtility::makeInstance(ConnectionPool::class)
+            ->getConnectionForTable(self::TABLE)
+            ->delete(self::TABLE, ['uid' => $promptUid]) > 0;
+    }
+
+    /**
+     * Whether a backend user may change a prompt: its author and admins
+     */
+    public function canEdit(array $prompt, BackendUserAuthentication $backendUser): bool
+    {
+        return $backendUser->isAdmin() || $prompt['be_user_uid'] === (int)($backendUser->user['uid'] ?? 0);
+    }
+
+    /**
+     * Get the prompts as clients receive them from prompts/list
+     *
+     * @param string[]|null $siteIdentifiers Sites of the request domain (null = all sites, e.g. CLI)
+     */
+    public function getPromptList(?array $siteIdentifiers, ?BackendUserAuthentication $backendUser): array
+    {
+        return array_map(static fn(array $prompt) => array_filter([
+            'name' => $prompt['name'],
+            'title' => $prompt['title'],
+            'description' => $prompt['description'],
+            'arguments' => $prompt['arguments'],
+        ], static fn($value) => $value !== '' && $value !== []), $this->getAvailablePrompts($siteIdentifiers, $backendUser));
+    }
+
+    /**
+     * Render a prompt for prompts/get
+     *
+     * @param string[]|null $siteIdentifiers Sites of the request domain (null = all sites, e.g. CLI)
+     * @throws \InvalidArgumentException If the prompt is not available or a required argument is missing
+     */
+    public function renderPrompt(string $name, array $arguments, ?array $siteIdentifiers, ?BackendUserAuthentication $backendUser): array
+    {
+        $prompt = null;
+        foreach ($this->getAvailablePrompts($siteIdentifiers, $backendUser) as $availablePrompt) {
+            if ($availablePrompt['name'] === $name) {
+                $prompt = $availablePrompt;
+            }
+        }
+        if ($prompt === null) {
+            throw new \InvalidArgumentException('Prompt not found: ' . $name);
+        }
+
+        $replacements = [];
+        foreach ($prompt['arguments'] as $argument) {
+            $value = trim((string)($arguments[$argument['name']] ?? ''));
+            if ($value === '' && $argument['required']) {
+                throw new \InvalidArgumentException(sprintf('Missing required argument "%s" for prompt %s', $argument['name'], $name));
+            }
+            $replacements['{' . $argument['name'] . '}'] = $value;
+        }
+
+        return array_filter([
+            'description' => $prompt['description'] !== '' ? $prompt['description'] : $prompt['title'],
+            'messages' => [
+                [
+                    'role' => 'user',
+                    'content' => [
+                        'type' => 'text',
+                        // strtr() so argument values containing placeholders are left alone
+                        'text' => strtr($prompt['template'], $replacements),
+                    ],
+                ],
+            ],
+        ], static fn($value) => $value !== '');
+    }
+
+    /**
+     * Get the enabled prompts of the sites and the groups of the user
+     *
+     * @param string[]|null $siteIdentifiers Sites of the request domain (null = all sites)
+     */
+    private function getAvailablePrompts(?array $siteIdentifiers, ?BackendUserAuthentication $backendUser): array
+    {
+        $groupUids = $backendUser !== null ? array_map('intval', (array)$backendUser->userGroupsUID) : [];
+        $isAdmin = $backendUser === null || $backendUser->isAdmin();
+
+        return array_values(array_filter($this->getPrompts(), static fn(array $prompt) => !$prompt['disabled']
+            && ($siteIdentifiers === null || $prompt['sites'] === [] || array_intersect($prompt['sites'], $siteIdentifiers) !== [])
+            && ($isAdmin || $prompt['be_groups'] === [] || array_intersect($prompt['be_groups'], $groupUids) !== [])));
+    }
+
+    /**
+     * Build the argument list from the placeholders of a template
+     *
+     * @param array $definitions Argument definitions with name, description and required
+     * @return array<int, array{name: string, description: string, required: bool}>
+     */
+    private function buildArguments(string $template, array $definitions): array
+    {
+        $definitionsByName = [];
+        foreach ($definitions as $definition) {
+            if (is_array($definition) && isset($definition['name'])) {
+                $definitionsByName[(string)$definition['name']] = $definition;
+            }
+        }
+
+        preg_match_all(self::PLACEHOLDER_PATTERN, $template, $matches);
+
+        $arguments = [];
+        foreach (array_unique($matches[1]) as $argumentName) {
+            $definition = $definitionsByName[$argumentName] ?? [];
+            $arguments[] = [
+                'name' => $argumentName,
+                'description' => mb_substr(trim((string)($definition['description'] ?? '')), 0, 500),
+                'required' => (bool)($definition['required'] ?? true),
+            ];
+        }
+
+        return $arguments;
+    }
+
+    private function formatPrompt(array $row): array
+    {
+        return [
+            'uid' => (int)$row['uid'],
+            'be_user_uid' => (int)$row['be_user_uid'],
+            'tstamp' => (int)$row['tstamp'],
+            'name' => (string)$row['name'],
+            'title' => (string)$row['title'],
+            'description' => (string)$row['description'],
+            'template' => (string)$row['template'],
+            'arguments' => json_decode((string)$row['arguments'], true) ?: [],
+            'sites' => GeneralUtility::trimExplode(',', (string)$row['sites'], true),
+            'be_groups' => GeneralUtility::intExplode(',', (string)$row['be_groups'], true),
+            'disabled' => (bool)$row['disabled'],
+        ];
+    }
+}
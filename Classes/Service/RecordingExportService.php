@@ -0,0 +1,341 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Service;
+
+use Hn\McpServer\MCP\ToolRegistry;
+use TYPO3\CMS\Core\Utility\GeneralUtility;
+
+/**
+ * Service for exporting a recorded MCP session as LLM test
+ *
+ * The export consists of a PHPUnit test extending LlmTestCase, which replays
+ * the session prompt and asserts the first write the agent made, and one CSV
+ * fixture per table with the records the session touched, as they were before
+ * it touched them. File paths are relative to the extension root, so the
+ * export can be unpacked there directly.
+ */
+class RecordingExportService
+{
+    /**
+     * Columns left out of the fixtures: versioning, history and bookkeeping
+     * that the tests do not depend on
+     */
+    private const IGNORED_COLUMNS = [
+        'crdate',
+        'tstamp',
+        'cruser_id',
+        'l10n_diffsource',
+        'l18n_diffsource',
+        'l10n_state',
+        't3_origuid',
+        't3ver_oid',
+        't3ver_wsid',
+        't3ver_state',
+        't3ver_stage',
+    ];
+
+    public function __construct(
+        private readonly ToolRegistry $toolRegistry,
+        private readonly TokenScopeService $tokenScopeService,
+    ) {}
+
+    /**
+     * Build the files of the LLM test for a recording
+     *
+     * @param array $recording Recording as returned by SessionRecordingService::getRecording()
+     * @return array<string, string> File contents by path relative to the extension root
+     */
+    public function export(array $recording): array
+    {
+        $className = $this->getClassName((string)$recording['title']);
+        $fixturePrefix = strtolower((string)preg_replace('/(?<!^)[A-Z]/', '_$0', substr($className, 0, -4)));
+
+        $fixtures = [];
+        foreach ($this->groupRecordsByTable($recording['records']) as $table => $records) {
+            $fixtures['Tests/Llm/Fixtures/' . $fixturePrefix . '_' . $table . '.csv'] = $this->buildCsv($table, $records);
+        }
+
+        return [
+            'Tests/Llm/' . $className . '.php' => $this->buildTestClass($recording, $className, array_keys($fixtures)),
+            ...$fixtures,
+        ];
+    }
+
+    /**
+     * Pack exported files into a ZIP archive
+     *
+     * @param array<string, string> $files File contents by path
+     * @return string The archive contents
+     */
+    public function createArchive(array $files): string
+    {
+        $path = GeneralUtility::tempnam('mcp_recording_', '.zip');
+        try {
+            $zip = new \ZipArchive();
+            if ($zip->open($path, \ZipArchive::OVERWRITE) !== true) {
+                throw new \RuntimeException('Could not create the ZIP archive');
+            }
+            foreach ($files as $name => $content) {
+                $zip->addFromString($name, $content);
+            }
+            $zip->close();
+
+            return (string)file_get_contents($path);
+        } finally {
+            GeneralUtility::unlink_tempfile($path);
+        }
+    }
+
+    /**
+     * Derive the test class name from the recording title,
+     * e.g. "Fix header typo" → RecordedFixHeaderTypoTest
+     */
+    public function getClassName(string $title): string
+    {
+        $words = preg_split('/[^a-zA-Z0-9]+/', $title, -1, PREG_SPLIT_NO_EMPTY) ?: [];
+        $name = implode('', array_map(static fn(string $word) => ucfirst(strtolower($word)), $words));
+
+        return 'Recorded' . ($name !== '' ? $name : 'Session') . 'Test';
+    }
+
+    private function buildTestClass(array $recording, string $className, array $fixturePaths): string
+    {
+        $toolSteps = array_values(array_filter(
+            $recording['steps'],
+            static fn(array $step) => $step['type'] === SessionRecordingService::STEP_TOOL
+        ));
+        $writeSteps = array_values(array_filter(
+            $recording['steps'],
+            static fn(array $step) => $step['type'] === SessionRecordingService::STEP_WRITE
+        ));
+        $targetStep = $this->findTargetStep($toolSteps);
+
+        $title = (string)$recording['title'];
+        $prompt = trim((string)$recording['prompt']);
+
+        $lines = [];
+        $lines[] = '<?php';
+        $lines[] = '';
+        $lines[] = 'declare(strict_types=1);';
+        $lines[] = '';
+        $lines[] = 'namespace Hn\\McpServer\\Tests\\Llm;';
+        $lines[] = '';
+        $lines[] = 'use PHPUnit\\Framework\\Attributes\\DataProvider;';
+        $lines[] = 'use PHPUnit\\Framework\\Attributes\\TestDox;';
+        $lines[] = '';
+        $lines[] = '/**';
+        $lines[] = ' * Recorded session "' . $this->sanitizeComment($title) . '"';
+        $lines[] = ' *';
+        $lines[] = ' * Recorded with "' . $this->sanitizeComment((string)$recording['client_name']) . '" on ' . date('Y-m-d', (int)$recording['crdate']) . '. The assertions reproduce what';
+        $lines[] = ' * the agent did, not necessarily what it should have done: review them before';
+        $lines[] = ' * committing.';
+        $lines[] = ' *';
+        $lines[] = ' * @group llm';
+        $lines[] = ' */';
+        $lines[] = 'class ' . $className . ' extends LlmTestCase';
+        $lines[] = '{';
+        $lines[] = '    protected function setUp(): void';
+        $lines[] = '    {';
+        $lines[] = '        parent::setUp();';
+        if ($fixturePaths !== []) {
+            $lines[] = '';
+            $lines[] = '        // Records the session touched, as they were before it touched them';
+            foreach ($fixturePaths as $fixturePath) {
+                $lines[] = '        $this->importCSVDataSet(__DIR__ . \'/Fixtures/' . basename($fixturePath) . '\');';
+            }
+        }
+        $lines[] = '    }';
+        $lines[] = '';
+        $lines[] = '    #[DataProvider(\'modelProvider\')]';
+        $lines[] = '    #[TestDox(\'[$modelKey] ' . $this->exportString($this->buildTestDox($title, $toolSteps), false) . '\')]';
+        $lines[] = '    public function testRecordedSession(string $modelKey): void';
+        $lines[] = '    {';
+        $lines[] = '        $this->setModel($modelKey);';
+        if ($prompt === '') {
+            $lines[] = '        // TODO: Enter the prompt the agent was given, the recording does not know it';
+        }
+        $lines[] = '        $prompt = ' . $this->exportString($prompt !== '' ? $prompt : $title) . ';';
+        $lines[] = '';
+        if ($toolSteps !== []) {
+            $lines[] = '        // Recorded tool calls:';
+            foreach ($toolSteps as $index => $step) {
+                $lines[] = '        // ' . ($index + 1) . '. ' . $step['tool'] . ' ' . $this->sanitizeComment($this->summarize($step['arguments'])) . ($step['is_error'] ? ' → error' : '');
+            }
+        }
+        if ($writeSteps !== []) {
+            $lines[] = '        // Recorded changes:';
+            foreach ($writeSteps as $step) {
+                $lines[] = '        // - ' . $step['action'] . ' ' . $step['table'] . ':' . $step['uid'] . ($step['arguments'] !== [] ? ' (' . $this->sanitizeComment(implode(', ', array_keys($step['arguments']))) . ')' : '');
+            }
+        }
+
+        if ($targetStep === null) {
+            $lines[] = '        $response = $this->callLlm($prompt);';
+            $lines[] = '';
+            $lines[] = '        // TODO: The session made no tool calls, assert the expected behavior';
+            $lines[] = '        $this->assertFalse($response->hasToolCalls(), $this->getFailureContext($response));';
+        } else {
+            $toolName = $this->exportString($targetStep['tool']);
+            $lines[] = '        $response = $this->executeUntilToolFound(';
+            $lines[] = '            $this->callLlm($prompt),';
+            $lines[] = '            ' . $toolName;
+            $lines[] = '        );';
+            $lines[] = '';
+            $lines[] = '        $this->assertToolCalled($response, ' . $toolName . ', ' . $this->exportValue($targetStep['arguments'], 2) . ');';
+            $lines[] = '';
+            $lines[] = '        $toolCall = $response->getToolCallsByName(' . $toolName . ')[0];';
+            $lines[] = '        $result = $this->executeToolCall($toolCall);';
+            $lines[] = '        $this->assertFalse($result[\'isError\'] ?? false,';
+            $lines[] = '            ' . $toolName . ' . \' failed: \' . $result[\'content\']);';
+        }
+        $lines[] = '    }';
+        $lines[] = '}';
+
+        return implode("\n", $lines) . "\n";
+    }
+
+    /**
+     * The first successful write call is what the test is about; sessions
+     * without writes are replayed up to their last tool call
+     */
+    private function findTargetStep(array $toolSteps): ?array
+    {
+        foreach ($toolSteps as $step) {
+            $tool = $this->toolRegistry->getTool($step['tool']);
+            if (!$step['is_error'] && ($tool === null || !$this->tokenScopeService->isReadOnlyTool($tool))) {
+                return $step;
+            }
+        }
+
+        return $toolSteps !== [] ? end($toolSteps) : null;
+    }
+
+    private function buildTestDox(string $title, array $toolSteps): string
+    {
+        $tools = [];
+        foreach ($toolSteps as $step) {
+            if (end($tools) !== $step['tool']) {
+                $tools[] = $step['tool'];
+            }
+        }
+
+        return 'Recorded session "' . $title . '"' . ($tools !== [] ? ' → ' . implode(', ', $tools) : '');
+    }
+
+    /**
+     * Group snapshots by table, pages first so the rootline is imported
+     * before the records on it
+     *
+     * @return array<string, array<int, array>>
+     */
+    private function groupRecordsByTable(array $records): array
+    {
+        $grouped = [];
+        foreach ($records as $record) {
+            $grouped[$record['table']][$record['uid']] = $record['data'];
+        }
+        uksort($grouped, static fn(string $a, string $b) => [$a !== 'pages', $a] <=> [$b !== 'pages', $b]);
+        foreach ($grouped as &$tableRecords) {
+            ksort($tableRecords);
+        }
+
+        return $grouped;
+    }
+
+    /**
+     * Build a fixture in the CSV format of the TYPO3 testing framework.
+     * Columns that are empty in all records are left out, the database
+     * defaults apply for them.
+     */
+    private function buildCsv(string $table, array $records): string
+    {
+        $columns = ['uid', 'pid'];
+        foreach ($records as $record) {
+            foreach ($record as $column => $value) {
+                if (in_array($column, $columns, true) || in_array($column, self::IGNORED_COLUMNS, true)) {
+                    continue;
+                }
+                if ($value !== null && $value !== '' && $value !== 0 && $value !== '0') {
+                    $columns[] = $column;
+                }
+            }
+        }
+
+        $lines = [
+            $this->formatCsvValue($table),
+            ',' . implode(',', array_map($this->formatCsvValue(...), $columns)),
+        ];
+        foreach ($records as $record) {
+            $values = [];
+            foreach ($columns as $column) {
+                $value = $record[$column] ?? null;
+                $values[] = is_int($value) || (is_string($value) && preg_match('/^-?\d+$/', $value))
+                    ? (string)$value
+                    : ($value === null ? '\\NULL' : $this->formatCsvValue((string)$value));
+            }
+            $lines[] = ',' . implode(',', $values);
+        }
+
+        return implode("\n", $lines) . "\n";
+    }
+
+    private function formatCsvValue(string $value): string
+    {
+        return '"' . str_replace('"', '""', $value) . '"';
+    }
+
+    /**
+     * Export a value as PHP source with short array syntax
+     */
+    private function exportValue(mixed $value, int $indent): string
+    {
+        if (!is_array($value)) {
+            return match (true) {
+                is_string($value) => $this->exportString($value),
+                $value === null => 'null',
+                default => var_export($value, true),
+            };
+        }
+        if ($value === []) {
+            return '[]';
+        }
+
+        $padding = str_repeat('    ', $indent + 1);
+        $isList = array_is_list($value);
+        $lines = [];
+        foreach ($value as $key => $item) {
+            $lines[] = $padding
+                . ($isList ? '' : (is_int($key) ? $key : $this->exportString($key)) . ' => ')
+                . $this->exportValue($item, $indent + 1) . ',';
+        }
+
+        return "[\n" . implode("\n", $lines) . "\n" . str_repeat('    ', $indent) . ']';
+    }
+
+    private function exportString(string $value, bool $quote = true): string
+    {
+        $escaped = str_replace(['\\', '\''], ['\\\\', '\\\''], $value);
+
+        return $quote ? '\'' . $escaped . '\'' : $escaped;
+    }
+
+    /**
+     * Single line summary of tool arguments for the comments of the test
+     */
+    private function summarize(array $arguments): string
+    {
+        $json = (string)json_encode($arguments, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE);
+
+        return mb_strlen($json) > 120 ? mb_substr($json, 0, 117) . '...' : $json;
+    }
+
+    /**
+     * Keep user input from ending a comment or line early
+     */
+    private function sanitizeComment(string $text): string
+    {
+        return str_replace(['*/', "\r", "\n"], ['* /', ' ', ' '], $text);
+    }
+}
@@ -0,0 +1,297 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Service;
+
+use Hn\McpServer\MCP\Tool\ToolInterface;
+use Hn\McpServer\MCP\ToolRegistry;
+use Hn\McpServer\Utility\RecordFormattingUtility;
+use TYPO3\CMS\Backend\Utility\BackendUtility;
+use TYPO3\CMS\Core\Database\Connection;
+use TYPO3\CMS\Core\Database\ConnectionPool;
+use TYPO3\CMS\Core\Site\SiteFinder;
+use TYPO3\CMS\Core\Type\Bitmask\Permission;
+use TYPO3\CMS\Core\Utility\GeneralUtility;
+
+/**
+ * Service for the MCP resources of the site
+ *
+ * Key pages (site roots and the pages of the main navigation) are exposed as
+ * typo3://pages/{uid}, read through the GetPage tool so clients see the same
+ * page overview as with a tool call. Backend layouts are exposed as
+ * typo3://backend-layouts/{identifier} with their content columns, so clients
+ * know which colPos to write content to.
+ *
+ * Page resources follow the GetPage tool: they are not available when an
+ * admin disabled the tool or the token scope does not allow it.
+ */
+class ResourceService
+{
+    public const PAGE_URI = 'typo3://pages/';
+    public const BACKEND_LAYOUT_URI = 'typo3://backend-layouts/';
+
+    /**
+     * Main navigation pages listed per site
+     */
+    private const MAX_PAGES_PER_SITE = 50;
+
+    /**
+     * Pages in the main navigation: standard pages and shortcuts
+     */
+    private const NAVIGATION_DOKTYPES = [1, 4];
+
+    public function __construct(
+        private readonly ToolRegistry $toolRegistry,
+        private readonly TokenScopeService $tokenScopeService,
+    ) {}
+
+    /**
+     * Get the resources as clients receive them from resources/list
+     *
+     * @param string[]|null $siteIdentifiers Sites of the request domain (null = all sites, e.g. CLI)
+     * @param string|null $scope Token scope (null = no restriction, e.g. CLI)
+     */
+    public function getResourceList(?array $siteIdentifiers = null, ?string $scope = null): array
+    {
+        $pageResources = $this->getPageTool($scope) !== null ? $this->getPageResources($siteIdentifiers) : [];
+
+        return [...$pageResources, ...$this->getBackendLayoutResources($siteIdentifiers)];
+    }
+
+    /**
+     * Get the resource templates for resources/templates/list
+     *
+     * @param string|null $scope Token scope (null = no restriction, e.g. CLI)
+     */
+    public function getResourceTemplates(?string $scope = null): array
+    {
+        if ($this->getPageTool($scope) === null) {
+            return [];
+        }
+
+        return [
+            [
+                'uriTemplate' => self::PAGE_URI . '{uid}',
+                'name' => 'Page',
+                'description' => 'Any page by its uid: properties, URL and content elements per column',
+                'mimeType' => 'text/plain',
+            ],
+        ];
+    }
+
+    /**
+     * Read a resource for resources/read
+     *
+     * @param string|null $scope Token scope (null = no restriction, e.g. CLI)
+     * @throws \InvalidArgumentException If the resource does not exist or is not accessible
+     */
+    public function readResource(string $uri, ?string $scope = null): array
+    {
+        if (preg_match('#^' . preg_quote(self::PAGE_URI, '#') . '(\d+)$#', $uri, $matches)) {
+            $text = $this->readPage((int)$matches[1], $scope);
+            $mimeType = 'text/plain';
+        } elseif (str_starts_with($uri, self::BACKEND_LAYOUT_URI)) {
+            $text = json_encode(
+                $this->readBackendLayout(substr($uri, strlen(self::BACKEND_LAYOUT_URI))),
+                JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE | JSON_THROW_ON_ERROR
+            );
+            $mimeType = 'application/json';
+        } else {
+            throw new \InvalidArgumentException('Unknown resource: ' . $uri);
+        }
+
+        return [
+            'contents' => [
+                ['uri' => $uri, 'mimeType' => $mimeType, 'text' => $text],
+            ],
+        ];
+    }
+
+    private function getPageResources(?array $siteIdentifiers): array
+    {
+        $resources = [];
+        foreach ($this->getSites($siteIdentifiers) as $site) {
+            $rootPageId = $site->getRootPageId();
+            if (!$this->isPageAccessible($rootPageId)) {
+                continue;
+            }
+            $rootPage = BackendUtility::getRecord('pages', $rootPageId, 'uid,title');
+            if ($rootPage === null) {
+                continue;
+            }
+
+            $resources[] = [
+                'uri' => self::PAGE_URI . $rootPageId,
+                'name' => (string)$rootPage['title'],
+                'description' => sprintf('Root page of the site "%s"', $site->getIdentifier()),
+                'mimeType' => 'text/plain',
+            ];
+
+            foreach ($this->findNavigationPages($rootPageId) as $page) {
+                if ($this->isPageAccessible((int)$page['uid'])) {
+                    $resources[] = [
+                        'uri' => self::PAGE_URI . $page['uid'],
+                        'name' => (string)$page['title'],
+                        'description' => sprintf('Main navigation page of the site "%s"', $site->getIdentifier()),
+                        'mimeType' => 'text/plain',
+                    ];
+                }
+            }
+        }
+
+        return $resources;
+    }
+
+    private function getBackendLayoutResources(?array $siteIdentifiers): array
+    {
+        $resources = [];
+        foreach ($this->getBackendLayouts($siteIdentifiers) as $identifier => $layout) {
+            $resources[] = [
+                'uri' => self::BACKEND_LAYOUT_URI . $identifier,
+                'name' => $layout['title'],
+                'description' => trim('Backend layout with its content columns. ' . $layout['description']),
+                'mimeType' => 'application/json',
+            ];
+        }
+
+        return $resources;
+    }
+
+    private function readPage(int $pageId, ?string $scope): string
+    {
+        $tool = $this->getPageTool($scope);
+        if ($tool === null) {
+            throw new \InvalidArgumentException('Page resources are not available for this access token');
+        }
+        if (!$this->isPageAccessible($pageId)) {
+            throw new \InvalidArgumentException('Page not found or not accessible: ' . $pageId);
+        }
+
+        $result = $tool->execute(['uid' => $pageId]);
+        $text = implode("\n\n", array_map(static fn($content) => (string)($content->text ?? ''), $result->content));
+        if ($result->isError) {
+            throw new \InvalidArgumentException($text);
+        }
+
+        return $text;
+    }
+
+    /**
+     * Get the GetPage tool if it is enabled and allowed by the token scope
+     */
+    private function getPageTool(?string $scope): ?ToolInterface
+    {
+        $tool = $this->toolRegistry->getTool('GetPage');
+        if ($tool === null || ($scope !== null && !$this->tokenScopeService->isToolAllowed($scope, $tool))) {
+            return null;
+        }
+
+        return $tool;
+    }
+
+    private function readBackendLayout(string $identifier): array
+    {
+        $layout = $this->getBackendLayouts(null)[$identifier] ?? null;
+        if ($layout === null) {
+            throw new \InvalidArgumentException('Backend layout not found: ' . $identifier);
+        }
+
+        $columns = [];
+        foreach (RecordFormattingUtility::getBackendLayoutColumns($layout['config']) as $colPos => $name) {
+            $columns[] = ['colPos' => $colPos, 'name' => $name];
+        }
+
+        return [
+            'identifier' => $identifier,
+            'title' => $layout['title'],
+            'description' => $layout['description'],
+            'columns' => $columns,
+        ];
+    }
+
+    /**
+     * Get the backend layouts of backend_layout records and of the page
+     * TSconfig of the site roots, keyed by the identifier stored in pages.backend_layout
+     *
+     * @return array<string, array{title: string, description: string, config: string|array}>
+     */
+    private function getBackendLayouts(?array $siteIdentifiers): array
+    {
+        $layouts = [];
+
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable('backend_layout');
+        $rows = $queryBuilder
+            ->select('uid', 'title', 'description', 'config')
+            ->from('backend_layout')
+            ->orderBy('title', 'ASC')
+            ->executeQuery()
+            ->fetchAllAssociative();
+        foreach ($rows as $row) {
+            $layouts[(string)$row['uid']] = [
+                'title' => (string)$row['title'],
+                'description' => (string)$row['description'],
+                'config' => (string)$row['config'],
+            ];
+        }
+
+        foreach ($this->getSites($siteIdentifiers) as $site) {
+            $pageTsConfig = BackendUtility::getPagesTSconfig($site->getRootPageId());
+            foreach ($pageTsConfig['mod.']['web_layout.']['BackendLayouts.'] ?? [] as $key => $layoutConfig) {
+                if (!is_array($layoutConfig) || !isset($layoutConfig['config.'])) {
+                    continue;
+                }
+                $title = (string)($layoutConfig['title'] ?? rtrim($key, '.'));
+                $layouts['pagets__' . rtrim($key, '.')] = [
+                    'title' => str_starts_with($title, 'LLL:') ? TableAccessService::translateLabel($title) : $title,
+                    'description' => (string)($layoutConfig['description'] ?? ''),
+                    'config' => $layoutConfig['config.'],
+                ];
+            }
+        }
+
+        return $layouts;
+    }
+
+    /**
+     * @return \TYPO3\CMS\Core\Site\Entity\Site[]
+     */
+    private function getSites(?array $siteIdentifiers): array
+    {
+        $sites = GeneralUtility::makeInstance(SiteFinder::class)->getAllSites();
+        if ($siteIdentifiers === null) {
+            return array_values($sites);
+        }
+
+        return array_values(array_filter($sites, static fn($site) => in_array($site->getIdentifier(), $siteIdentifiers, true)));
+    }
+
+    private function findNavigationPages(int $rootPageId): array
+    {
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable('pages');
+
+        return $queryBuilder
+            ->select('uid', 'title')
+            ->from('pages')
+            ->where(
+                $queryBuilder->expr()->eq('pid', $queryBuilder->createNamedParameter($rootPageId, Connection::PARAM_INT)),
+                $queryBuilder->expr()->eq('sys_language_uid', $queryBuilder->createNamedParameter(0, Connection::PARAM_INT)),
+                $queryBuilder->expr()->eq('nav_hide', $queryBuilder->createNamedParameter(0, Connection::PARAM_INT)),
+                $queryBuilder->expr()->in('doktype', $queryBuilder->createNamedParameter(self::NAVIGATION_DOKTYPES, Connection::PARAM_INT_ARRAY))
+            )
+            ->orderBy('sorting', 'ASC')
+            ->setMaxResults(self::MAX_PAGES_PER_SITE)
+            ->executeQuery()
+            ->fetchAllAssociative();
+    }
+
+    private function isPageAccessible(int $pageId): bool
+    {
+        $backendUser = $GLOBALS['BE_USER'] ?? null;
+        if ($backendUser === null) {
+            return false;
+        }
+
+        return BackendUtility::readPageAccess($pageId, $backendUser->getPagePermsClause(Permission::PAGE_SHOW)) !== false;
+    }
+}
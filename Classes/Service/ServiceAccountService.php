@@ -0,0 +1,244 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Service;
+
+use TYPO3\CMS\Core\Crypto\PasswordHashing\PasswordHashFactory;
+use TYPO3\CMS\Core\Database\Connection;
+use TYPO3\CMS\Core\Database\ConnectionPool;
+use TYPO3\CMS\Core\Utility\GeneralUtility;
+
+/**
+ * Service for non-interactive backend users that own the tokens of
+ * automations (e.g. "mcp-n8n")
+ *
+ * Tokens of a service account keep working when the colleague who set up the
+ * automation leaves, and the history of every record shows the automation
+ * instead of a person. Service accounts are regular be_users flagged with
+ * tx_mcpserver_service_account. They get a random password nobody knows, so
+ * they cannot log in to the backend, and take their permissions from the
+ * groups, file mounts and workspace chosen when they are created.
+ */
+class ServiceAccountService
+{
+    private const TABLE = 'be_users';
+    private const FLAG_FIELD = 'tx_mcpserver_service_account';
+
+    public const USERNAME_PATTERN = '/^[a-z0-9][a-z0-9._-]{2,49}$/';
+
+    /**
+     * be_users.options: mount pages and file mounts from the user groups
+     */
+    private const OPTIONS_MOUNTS_FROM_GROUPS = 3;
+
+    /**
+     * be_users.workspace_perms: may edit the live workspace
+     */
+    private const WORKSPACE_PERMS_LIVE = 1;
+
+    /**
+     * Get all service accounts, including disabled ones, ordered by username
+     */
+    public function getServiceAccounts(): array
+    {
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable(self::TABLE);
+        $queryBuilder->getRestrictions()->removeAll();
+        $rows = $queryBuilder
+            ->select('uid', 'username', 'realName', 'disable', 'crdate', 'usergroup', 'file_mountpoints', 'workspace_id', 'workspace_perms')
+            ->from(self::TABLE)
+            ->where(
+                $queryBuilder->expr()->eq(self::FLAG_FIELD, $queryBuilder->createNamedParameter(1, Connection::PARAM_INT)),
+                $queryBuilder->expr()->eq('deleted', $queryBuilder->createNamedParameter(0, Connection::PARAM_INT))
+            )
+            ->orderBy('username', 'ASC')
+            ->executeQuery()
+            ->fetchAllAssociative();
+
+        return array_map(static fn(array $row) => [
+            'uid' => (int)$row['uid'],
+            'username' => (string)$row['username'],
+            'real_name' => (string)$row['realName'],
+            'disabled' => (bool)$row['disable'],
+            'created' => (int)$row['crdate'],
+            'groups' => GeneralUtility::intExplode(',', (string)$row['usergroup'], true),
+            'file_mounts' => GeneralUtility::intExplode(',', (string)$row['file_mountpoints'], true),
+            'workspace_uid' => (int)$row['workspace_id'],
+            'live_edit' => ((int)$row['workspace_perms'] & self::WORKSPACE_PERMS_LIVE) !== 0,
+        ], $rows);
+    }
+
+    /**
+     * Get a service account that is not disabled
+     */
+    public function getActiveServiceAccount(int $userUid): ?array
+    {
+        foreach ($this->getServiceAccounts() as $account) {
+            if ($account['uid'] === $userUid) {
+                return $account['disabled'] ? null : $account;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the groups, file mounts and workspaces a service account can be set up with
+     *
+     * @return array{groups: array, fileMounts: array, workspaces: array}
+     */
+    public function getTemplateOptions(): array
+    {
+        return [
+            'groups' => $this->findOptions('be_groups'),
+            'fileMounts' => $this->findOptions('sys_filemounts'),
+            'workspaces' => $this->findOptions('sys_workspace'),
+        ];
+    }
+
+    /**
+     * Create a service account
+     *
+     * With a workspace the account becomes a member of it, works in it by
+     * default and may not edit the live workspace.
+     *
+     * @param int[] $groupUids
+     * @param int[] $fileMountUids
+     * @return int Uid of the new backend user
+     * @throws \InvalidArgumentException If the username is invalid or taken, or a group, file mount or workspace does not exist
+     */
+    public function createServiceAccount(
+        string $username,
+        string $realName,
+        array $groupUids,
+        array $fileMountUids,
+        int $workspaceUid,
+        string $createdBy = ''
+    ): int {
+        $username = trim($username);
+        if (!preg_match(self::USERNAME_PATTERN, $username)) {
+            throw new \InvalidArgumentException('The username must be 3 to 50 lowercase letters, digits, dots, dashes or underscores');
+        }
+        if ($this->usernameExists($username)) {
+            throw new \InvalidArgumentException(sprintf('The username "%s" is already taken', $username));
+        }
+
+        $groupUids = $this->validateOptions('be_groups', $groupUids, 'user group');
+        $fileMountUids = $this->validateOptions('sys_filemounts', $fileMountUids, 'file mount');
+        if ($workspaceUid > 0) {
+            $this->validateOptions('sys_workspace', [$workspaceUid], 'workspace');
+        }
+
+        $password = GeneralUtility::makeInstance(PasswordHashFactory::class)
+            ->getDefaultHashInstance('BE')
+            ->getHashedPassword(bin2hex(random_bytes(32)));
+
+        $connection = GeneralUtility::makeInstance(ConnectionPool::class)->getConnectionForTable(self::TABLE);
+        $connection->insert(self::TABLE, [
+            'pid' => 0,
+            'tstamp' => time(),
+            'crdate' => time(),
+            'username' => $username,
+            'realName' => mb_substr(trim($realName), 0, 80),
+            'description' => 'MCP service account' . ($createdBy !== '' ? ', created by ' . $createdBy : ''),
+            'password' => $password,
+            'admin' => 0,
+            'usergroup' => implode(',', $groupUids),
+            'file_mountpoints' => implode(',', $fileMountUids),
+            'options' => self::OPTIONS_MOUNTS_FROM_GROUPS,
+            'workspace_id' => $workspaceUid,
+            'workspace_perms' => $workspaceUid > 0 ? 0 : self::WORKSPACE_PERMS_LIVE,
+            self::FLAG_FIELD => 1,
+        ]);
+        $userUid = (int)$connection->lastInsertId();
+
+        if ($workspaceUid > 0) {
+            $this->addWorkspaceMember($workspaceUid, $userUid);
+        }
+
+        return $userUid;
+    }
+
+    /**
+     * Disable or enable a service account; tokens of a disabled account stop working
+     *
+     * @return bool False if the user is not a service account
+     */
+    public function setDisabled(int $userUid, bool $disabled): bool
+    {
+        return GeneralUtility::makeInstance(ConnectionPool::class)
+            ->getConnectionForTable(self::TABLE)
+            ->update(
+                self::TABLE,
+                ['disable' => $disabled ? 1 : 0, 'tstamp' => time()],
+                ['uid' => $userUid, self::FLAG_FIELD => 1, 'deleted' => 0]
+            ) > 0;
+    }
+
+    private function usernameExists(string $username): bool
+    {
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable(self::TABLE);
+        // Deleted users keep their username reserved, like the user administration does
+        $queryBuilder->getRestrictions()->removeAll();
+
+        return (int)$queryBuilder
+            ->count('uid')
+            ->from(self::TABLE)
+            ->where(
+                $queryBuilder->expr()->eq('username', $queryBuilder->createNamedParameter($username))
+            )
+            ->executeQuery()
+            ->fetchOne() > 0;
+    }
+
+    /**
+     * @return array<int, array{uid: int, title: string}>
+     */
+    private function findOptions(string $table): array
+    {
+        try {
+            $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable($table);
+            $rows = $queryBuilder
+                ->select('uid', 'title')
+                ->from($table)
+                ->orderBy('title', 'ASC')
+                ->executeQuery()
+                ->fetchAllAssociative();
+        } catch (\Throwable $e) {
+            // sys_workspace only exists with EXT:workspaces
+            return [];
+        }
+
+        return array_map(static fn(array $row) => [
+            'uid' => (int)$row['uid'],
+            'title' => (string)$row['title'],
+        ], $rows);
+    }
+
+    /**
+     * @return int[] The unique uids
+     * @throws \InvalidArgumentException If a uid does not exist in the table
+     */
+    private function validateOptions(string $table, array $uids, string $label): array
+    {
+        $uids = array_values(array_unique(array_filter(array_map('intval', $uids))));
+        $existing = array_column($this->findOptions($table), 'uid');
+        foreach ($uids as $uid) {
+            if (!in_array($uid, $existing, true)) {
+                throw new \InvalidArgumentException(sprintf('Unknown %s: %d', $label, $uid));
+            }
+        }
+
+        return $uids;
+    }
+
+    private function addWorkspaceMember(int $workspaceUid, int $userUid): void
+    {
+        $connection = GeneralUtility::makeInstance(ConnectionPool::class)->getConnectionForTable('sys_workspace');
+        $members = (string)$connection->select(['members'], 'sys_workspace', ['uid' => $workspaceUid])->fetchOne();
+        $members = GeneralUtility::trimExplode(',', $members, true);
+        $members[] = 'be_users_' . $userUid;
+
+        $connection->update('sys_workspace', ['members' => implode(',', array_unique($members))], ['uid' => $workspaceUid]);
+    }
+}
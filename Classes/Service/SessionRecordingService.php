@@ -0,0 +1,438 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Service;
+
+use Doctrine\DBAL\Exception\UniqueConstraintViolationException;
+use Mcp\Types\CallToolResult;
+use Mcp\Types\TextContent;
+use TYPO3\CMS\Core\Database\Connection;
+use TYPO3\CMS\Core\Database\ConnectionPool;
+use TYPO3\CMS\Core\Utility\GeneralUtility;
+
+/**
+ * Service for recording MCP sessions of a token
+ *
+ * While a recording is running, every tool call of the token and every record
+ * it writes is stored in order. Records the session reads or writes are
+ * snapshotted the first time they are touched, together with their rootline,
+ * so the session can be replayed against the state it started from. See
+ * RecordingExportService for turning a recording into an LLM test.
+ */
+class SessionRecordingService
+{
+    private const TABLE = 'tx_mcpserver_recordings';
+    private const STEPS_TABLE = 'tx_mcpserver_recording_steps';
+    private const RECORDS_TABLE = 'tx_mcpserver_recording_records';
+    private const TOKEN_TABLE = 'tx_mcpserver_access_tokens';
+
+    public const STEP_TOOL = 'tool';
+    public const STEP_WRITE = 'write';
+
+    /**
+     * Snapshots per recording; sessions touching more records are not
+     * useful as a test anyway
+     */
+    private const MAX_SNAPSHOTS = 500;
+
+    /**
+     * Tool results are cut off after this many characters
+     */
+    private const MAX_RESULT_LENGTH = 10000;
+
+    /**
+     * Running recording per token, cached for the current request
+     *
+     * @var array<int, int>
+     */
+    private array $runningRecordings = [];
+
+    /**
+     * Start recording the session of a token
+     *
+     * @return int|null Recording uid, or null if the token was not found
+     * @throws \InvalidArgumentException If the title is empty or the token is already recorded
+     */
+    public function startRecording(int $tokenUid, int $beUserId, string $title, string $prompt = ''): ?int
+    {
+        $title = trim($title);
+        if ($title === '') {
+            throw new \InvalidArgumentException('The recording needs a title');
+        }
+
+        $token = $this->findToken($tokenUid, $beUserId);
+        if ($token === null) {
+            return null;
+        }
+        if ($this->getRunningRecordingUid($tokenUid) > 0) {
+            throw new \InvalidArgumentException('A recording is already running for this token');
+        }
+
+        $connection = GeneralUtility::makeInstance(ConnectionPool::class)->getConnectionForTable(self::TABLE);
+        $connection->insert(self::TABLE, [
+            'pid' => 0,
+            'crdate' => time(),
+            'tstamp' => time(),
+            'be_user_uid' => $beUserId,
+            'token_uid' => $tokenUid,
+            'client_name' => (string)$token['client_name'],
+            'title' => mb_substr($title, 0, 255),
+            'prompt' => trim($prompt),
+            'stopped' => 0,
+        ]);
+        unset($this->runningRecordings[$tokenUid]);
+
+        return (int)$connection->lastInsertId();
+    }
+
+    /**
+     * Stop a running recording
+     *
+     * @return bool False if the recording was not found or is already stopped
+     */
+    public function stopRecording(int $recordingUid, int $beUserId): bool
+    {
+        $this->runningRecordings = [];
+
+        return GeneralUtility::makeInstance(ConnectionPool::class)
+            ->getConnectionForTable(self::TABLE)
+            ->update(
+                self::TABLE,
+                ['stopped' => time(), 'tstamp' => time()],
+                ['uid' => $recordingUid, 'be_user_uid' => $beUserId, 'stopped' => 0]
+            ) > 0;
+    }
+
+    /**
+     * Get the uid of the running recording of a token (0 = not recording)
+     */
+    public function getRunningRecordingUid(int $tokenUid): int
+    {
+        if ($tokenUid === 0) {
+            return 0;
+        }
+        if (!isset($this->runningRecordings[$tokenUid])) {
+            $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable(self::TABLE);
+            $this->runningRecordings[$tokenUid] = (int)$queryBuilder
+                ->select('uid')
+                ->from(self::TABLE)
+                ->where(
+                    $queryBuilder->expr()->eq('token_uid', $queryBuilder->createNamedParameter($tokenUid, Connection::PARAM_INT)),
+                    $queryBuilder->expr()->eq('stopped', $queryBuilder->createNamedParameter(0, Connection::PARAM_INT))
+                )
+                ->setMaxResults(1)
+                ->executeQuery()
+                ->fetchOne();
+        }
+
+        return $this->runningRecordings[$tokenUid];
+    }
+
+    /**
+     * Get recordings, newest first, with the number of tool calls and writes
+     *
+     * @param int|null $beUserId Owner of the recordings; null returns the recordings of all users (CLI)
+     */
+    public function getRecordings(?int $beUserId): array
+    {
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable(self::TABLE);
+        $queryBuilder
+            ->select('uid', 'crdate', 'be_user_uid', 'token_uid', 'client_name', 'title', 'prompt', 'stopped')
+            ->from(self::TABLE);
+        if ($beUserId !== null) {
+            $queryBuilder->where(
+                $queryBuilder->expr()->eq('be_user_uid', $queryBuilder->createNamedParameter($beUserId, Connection::PARAM_INT))
+            );
+        }
+        $recordings = $queryBuilder
+            ->orderBy('crdate', 'DESC')
+            ->addOrderBy('uid', 'DESC')
+            ->executeQuery()
+            ->fetchAllAssociative();
+
+        return array_map(fn(array $recording) => [
+            'uid' => (int)$recording['uid'],
+            'crdate' => (int)$recording['crdate'],
+            'be_user_uid' => (int)$recording['be_user_uid'],
+            'token_uid' => (int)$recording['token_uid'],
+            'client_name' => (string)$recording['client_name'],
+            'title' => (string)$recording['title'],
+            'prompt' => (string)$recording['prompt'],
+            'stopped' => (int)$recording['stopped'],
+            'tool_calls' => $this->countSteps((int)$recording['uid'], self::STEP_TOOL),
+            'writes' => $this->countSteps((int)$recording['uid'], self::STEP_WRITE),
+        ], $recordings);
+    }
+
+    /**
+     * Get a recording with its steps (in order) and record snapshots
+     *
+     * @param int|null $beUserId Owner of the recording; null returns the recording of any user (CLI)
+     * @return array|null Null if the recording was not found
+     */
+    public function getRecording(int $recordingUid, ?int $beUserId): ?array
+    {
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable(self::TABLE);
+        $queryBuilder
+            ->select('*')
+            ->from(self::TABLE)
+            ->where($queryBuilder->expr()->eq('uid', $queryBuilder->createNamedParameter($recordingUid, Connection::PARAM_INT)));
+        if ($beUserId !== null) {
+            $queryBuilder->andWhere(
+                $queryBuilder->expr()->eq('be_user_uid', $queryBuilder->createNamedParameter($beUserId, Connection::PARAM_INT))
+            );
+        }
+        $recording = $queryBuilder->executeQuery()->fetchAssociative();
+        if ($recording === false) {
+            return null;
+        }
+
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable(self::STEPS_TABLE);
+        $steps = $queryBuilder
+            ->select('*')
+            ->from(self::STEPS_TABLE)
+            ->where($queryBuilder->expr()->eq('recording_uid', $queryBuilder->createNamedParameter($recordingUid, Connection::PARAM_INT)))
+            ->orderBy('uid')
+            ->executeQuery()
+            ->fetchAllAssociative();
+
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable(self::RECORDS_TABLE);
+        $records = $queryBuilder
+            ->select('record_table', 'record_uid', 'record_data')
+            ->from(self::RECORDS_TABLE)
+            ->where($queryBuilder->expr()->eq('recording_uid', $queryBuilder->createNamedParameter($recordingUid, Connection::PARAM_INT)))
+            ->orderBy('uid')
+            ->executeQuery()
+            ->fetchAllAssociative();
+
+        $recording['steps'] = array_map(static fn(array $step) => [
+            'type' => (string)$step['step_type'],
+            'tool' => (string)$step['tool'],
+            'arguments' => json_decode((string)$step['arguments'], true) ?: [],
+            'result' => (string)$step['result'],
+            'is_error' => (bool)$step['is_error'],
+            'table' => (string)$step['record_table'],
+            'uid' => (int)$step['record_uid'],
+            'action' => (string)$step['action'],
+        ], $steps);
+        $recording['records'] = array_map(static fn(array $record) => [
+            'table' => (string)$record['record_table'],
+            'uid' => (int)$record['record_uid'],
+            'data' => json_decode((string)$record['record_data'], true) ?: [],
+        ], $records);
+
+        return $recording;
+    }
+
+    /**
+     * Delete a recording with its steps and snapshots
+     *
+     * @return bool False if the recording was not found
+     */
+    public function deleteRecording(int $recordingUid, int $beUserId): bool
+    {
+        $connectionPool = GeneralUtility::makeInstance(ConnectionPool::class);
+        $deleted = $connectionPool->getConnectionForTable(self::TABLE)
+            ->delete(self::TABLE, ['uid' => $recordingUid, 'be_user_uid' => $beUserId]);
+        if ($deleted === 0) {
+            return false;
+        }
+
+        $connectionPool->getConnectionForTable(self::STEPS_TABLE)->delete(self::STEPS_TABLE, ['recording_uid' => $recordingUid]);
+        $connectionPool->getConnectionForTable(self::RECORDS_TABLE)->delete(self::RECORDS_TABLE, ['recording_uid' => $recordingUid]);
+        $this->runningRecordings = [];
+
+        return true;
+    }
+
+    /**
+     * Record a tool call of a token if a recording is running. Failures are
+     * swallowed: recording must never break the tool call itself.
+     */
+    public function recordToolCall(int $tokenUid, string $toolName, array $arguments, CallToolResult $result): void
+    {
+        try {
+            $recordingUid = $this->getRunningRecordingUid($tokenUid);
+            if ($recordingUid === 0) {
+                return;
+            }
+
+            // GetPage reads no records through ReadTable, snapshot the page explicitly
+            if ($toolName === 'GetPage' && is_numeric($arguments['uid'] ?? null)) {
+                $this->snapshot($recordingUid, 'pages', (int)$arguments['uid']);
+            }
+
+            $text = '';
+            foreach ($result->content as $content) {
+                if ($content instanceof TextContent) {
+                    $text .= $content->text;
+                }
+            }
+
+            $this->insertStep($recordingUid, [
+                'step_type' => self::STEP_TOOL,
+                'tool' => mb_substr($toolName, 0, 100),
+                'arguments' => (string)json_encode($arguments, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE),
+                'result' => mb_substr($text, 0, self::MAX_RESULT_LENGTH),
+                'is_error' => $result->isError ? 1 : 0,
+            ]);
+        } catch (\Throwable $e) {
+            // Non-fatal: the recording is a testing aid only
+        }
+    }
+
+    /**
+     * Record a record written by a token if a recording is running
+     */
+    public function recordWrite(int $tokenUid, string $table, string $action, int $uid, array $data): void
+    {
+        try {
+            $recordingUid = $this->getRunningRecordingUid($tokenUid);
+            if ($recordingUid === 0) {
+                return;
+            }
+
+            $this->insertStep($recordingUid, [
+                'step_type' => self::STEP_WRITE,
+                'arguments' => (string)json_encode($data, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE),
+                'record_table' => $table,
+                'record_uid' => $uid,
+                'action' => $action,
+            ]);
+        } catch (\Throwable $e) {
+            // Non-fatal: the recording is a testing aid only
+        }
+    }
+
+    /**
+     * Snapshot a record touched by a token, if a recording is running and
+     * the record was not touched before in this recording
+     */
+    public function snapshotRecord(int $tokenUid, string $table, int $uid): void
+    {
+        try {
+            $recordingUid = $this->getRunningRecordingUid($tokenUid);
+            if ($recordingUid !== 0) {
+                $this->snapshot($recordingUid, $table, $uid);
+            }
+        } catch (\Throwable $e) {
+            // Non-fatal: the recording is a testing aid only
+        }
+    }
+
+    /**
+     * Snapshot a live record and the pages of its rootline
+     */
+    private function snapshot(int $recordingUid, string $table, int $uid): void
+    {
+        while ($uid > 0 && isset($GLOBALS['TCA'][$table]) && !$this->hasSnapshot($recordingUid, $table, $uid)) {
+            if ($this->countSnapshots($recordingUid) >= self::MAX_SNAPSHOTS) {
+                return;
+            }
+
+            $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable($table);
+            $queryBuilder->getRestrictions()->removeAll();
+            $record = $queryBuilder
+                ->select('*')
+                ->from($table)
+                ->where($queryBuilder->expr()->eq('uid', $queryBuilder->createNamedParameter($uid, Connection::PARAM_INT)))
+                ->executeQuery()
+                ->fetchAssociative();
+            if ($record === false) {
+                return;
+            }
+
+            try {
+                GeneralUtility::makeInstance(ConnectionPool::class)
+                    ->getConnectionForTable(self::RECORDS_TABLE)
+                    ->insert(self::RECORDS_TABLE, [
+                        'pid' => 0,
+                        'recording_uid' => $recordingUid,
+                        'record_table' => $table,
+                        'record_uid' => $uid,
+                        'record_data' => (string)json_encode($record, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE),
+                    ]);
+            } catch (UniqueConstraintViolationException) {
+                // A concurrent request snapshotted the record in the meantime
+                return;
+            }
+
+            // Continue with the parent page
+            $table = 'pages';
+            $uid = (int)$record['pid'];
+        }
+    }
+
+    private function hasSnapshot(int $recordingUid, string $table, int $uid): bool
+    {
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable(self::RECORDS_TABLE);
+
+        return (int)$queryBuilder
+            ->count('uid')
+            ->from(self::RECORDS_TABLE)
+            ->where(
+                $queryBuilder->expr()->eq('recording_uid', $queryBuilder->createNamedParameter($recordingUid, Connection::PARAM_INT)),
+                $queryBuilder->expr()->eq('record_table', $queryBuilder->createNamedParameter($table)),
+                $queryBuilder->expr()->eq('record_uid', $queryBuilder->createNamedParameter($uid, Connection::PARAM_INT))
+            )
+            ->executeQuery()
+            ->fetchOne() > 0;
+    }
+
+    private function countSnapshots(int $recordingUid): int
+    {
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable(self::RECORDS_TABLE);
+
+        return (int)$queryBuilder
+            ->count('uid')
+            ->from(self::RECORDS_TABLE)
+            ->where($queryBuilder->expr()->eq('recording_uid', $queryBuilder->createNamedParameter($recordingUid, Connection::PARAM_INT)))
+            ->executeQuery()
+            ->fetchOne();
+    }
+
+    private function countSteps(int $recordingUid, string $type): int
+    {
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable(self::STEPS_TABLE);
+
+        return (int)$queryBuilder
+            ->count('uid')
+            ->from(self::STEPS_TABLE)
+            ->where(
+                $queryBuilder->expr()->eq('recording_uid', $queryBuilder->createNamedParameter($recordingUid, Connection::PARAM_INT)),
+                $queryBuilder->expr()->eq('step_type', $queryBuilder->createNamedParameter($type))
+            )
+            ->executeQuery()
+            ->fetchOne();
+    }
+
+    private function insertStep(int $recordingUid, array $values): void
+    {
+        GeneralUtility::makeInstance(ConnectionPool::class)
+            ->getConnectionForTable(self::STEPS_TABLE)
+            ->insert(self::STEPS_TABLE, [
+                'pid' => 0,
+                'crdate' => time(),
+                'recording_uid' => $recordingUid,
+                ...$values,
+            ]);
+    }
+
+    private function findToken(int $tokenUid, int $beUserId): ?array
+    {
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable(self::TOKEN_TABLE);
+        $token = $queryBuilder
+            ->select('uid', 'client_name')
+            ->from(self::TOKEN_TABLE)
+            ->where(
+                $queryBuilder->expr()->eq('uid', $queryBuilder->createNamedParameter($tokenUid, Connection::PARAM_INT)),
+                $queryBuilder->expr()->eq('be_user_uid', $queryBuilder->createNamedParameter($beUserId, Connection::PARAM_INT)),
+                $queryBuilder->expr()->eq('deleted', $queryBuilder->createNamedParameter(0, Connection::PARAM_INT))
+            )
+            ->executeQuery()
+            ->fetchAssociative();
+
+        return $token ?: null;
+    }
+}
@@ -102,6 +102,39 @@ class SiteInformationService
         return null;
     }
 
+    /**
+     * Get the origins MCP clients can connect through: one entry per site
+     * base with a host, sites sharing a domain are grouped
+     *
+     * @return array<int, array{base: string, title: string, sites: string[]}>
+     */
+    public function getSiteBases(): array
+    {
+        $bases = [];
+
+        foreach ($this->siteFinder->getAllSites() as $site) {
+            $uri = $site->getBase();
+            $host = $uri->getHost();
+            if ($host === '') {
+                continue;
+            }
+
+            // The MCP endpoint and OAuth discovery live at the domain root, whatever path the site base has
+            $base = ($uri->getScheme() ?: 'https') . '://' . $host . ($uri->getPort() ? ':' . $uri->getPort() : '');
+            $title = trim((string)($site->getConfiguration()['websiteTitle'] ?? '')) ?: $site->getIdentifier();
+
+            $bases[$base] ??= ['base' => $base, 'titles' => [], 'sites' => []];
+            $bases[$base]['titles'][] = $title;
+            $bases[$base]['sites'][] = $site->getIdentifier();
+        }
+
+        return array_map(static fn(array $entry) => [
+            'base' => $entry['base'],
+            'title' => implode(', ', $entry['titles']),
+            'sites' => $entry['sites'],
+        ], array_values($bases));
+    }
+
     /**
      * Get all configured domains from TYPO3 sites
      *
@@ -220,6 +253,30 @@ class SiteInformationService
         return null;
     }
 
+    /**
+     * Get the identifiers of the sites on the domain of the current request
+     *
+     * @return string[]|null Null without a request (CLI), where every site applies
+     */
+    public function getCurrentSiteIdentifiers(): ?array
+    {
+        $host = $this->getHostFromRequest();
+        if ($host === null) {
+            return null;
+        }
+        // The Host header may carry a port, site bases compare without it
+        $host = strtolower((string)parse_url('//' . $host, PHP_URL_HOST));
+
+        $identifiers = [];
+        foreach ($this->siteFinder->getAllSites() as $site) {
+            if (strtolower($site->getBase()->getHost()) === $host) {
+                $identifiers[] = $site->getIdentifier();
+            }
+        }
+
+        return $identifiers;
+    }
+
     /**
      * Get formatted text listing all available domains for tool descriptions
      * 
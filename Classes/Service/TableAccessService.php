@@ -730,6 +730,20 @@ class TableAccessService implements SingletonInterface
      * @return bool
      */
     public function canAccessField(string $table, string $fieldName, string $type = '', ?int $pid = null): bool
+    {
+        return $this->getFieldAccessDenialReason($table, $fieldName, $type, $pid) === null;
+    }
+
+    /**
+     * Explain why a field cannot be accessed
+     *
+     * @param string $table Table name
+     * @param string $fieldName Field name
+     * @param string $type Record type (optional, for type-specific TSconfig)
+     * @param int|null $pid Page id for TSconfig context (null → first site root)
+     * @return string|null The reason, or null if the field is accessible
+     */
+    public function getFieldAccessDenialReason(string $table, string $fieldName, string $type = '', ?int $pid = null): ?string
     {
         $fieldConfig = $GLOBALS['TCA'][$table]['columns'][$fieldName] ?? [];
 
@@ -740,7 +754,7 @@ class TableAccessService implements SingletonInterface
         if ($fieldType === 'inline' || $fieldType === 'file') {
             $foreignTable = $fieldConfig['config']['foreign_table'] ?? '';
             if ($foreignTable && !$this->canAccessTable($foreignTable)) {
-                return false;
+                return "Relation to table '{$foreignTable}' which is not accessible";
             }
         }
 
@@ -748,7 +762,7 @@ class TableAccessService implements SingletonInterface
         if (!empty($fieldConfig['exclude'])) {
             $backendUser = $this->getBackendUser();
             if (!$backendUser->isAdmin() && !$backendUser->check('non_exclude_fields', $table . ':' . $fieldName)) {
-                return false;
+                return 'Exclude field not allowed for the user\'s groups';
             }
         }
 
@@ -762,17 +776,19 @@ class TableAccessService implements SingletonInterface
         $fieldTSconfig = $TSconfig['TCEFORM.'][$table . '.'][$fieldName . '.'] ?? [];
 
         $fieldDisabled = '';
+        $disabledBy = "TCEFORM.{$table}.{$fieldName}.disabled";
         if ($type !== '' && isset($fieldTSconfig['types.'][$type . '.']['disabled'])) {
             $fieldDisabled = $fieldTSconfig['types.'][$type . '.']['disabled'];
+            $disabledBy = "TCEFORM.{$table}.{$fieldName}.types.{$type}.disabled";
         } elseif (isset($fieldTSconfig['disabled'])) {
             $fieldDisabled = $fieldTSconfig['disabled'];
         }
 
         if ($fieldDisabled === '1' || $fieldDisabled === 1 || $fieldDisabled === true) {
-            return false;
+            return "Disabled by page TSconfig {$disabledBy}";
         }
 
-        return true;
+        return null;
     }
     
     
@@ -1127,6 +1143,47 @@ class TableAccessService implements SingletonInterface
         return $types;
     }
     
+    /**
+     * Get the identifiers GetFlexFormSchema accepts for a flex field
+     *
+     * TYPO3 14 stores a single DataStructure as a string on the field's `ds`
+     * config (via columnsOverrides); it applies to the record type, so the
+     * type is the identifier. Multiple DataStructures (TYPO3 13) are an array
+     * keyed by identifier, optionally narrowed down to the record type.
+     *
+     * @param array $config The flex field's config, resolved for the record type
+     * @param string $type Record type (optional)
+     * @return string[]
+     */
+    public function getFlexFormIdentifiers(array $config, string $type = ''): array
+    {
+        $ds = $config['ds'] ?? null;
+
+        if (is_string($ds) && $ds !== '') {
+            return $type !== '' ? [$type] : [];
+        }
+
+        if (!is_array($ds)) {
+            return [];
+        }
+
+        $identifiers = array_values(array_filter(array_map('strval', array_keys($ds)), fn($id) => $id !== 'default'));
+
+        if ($type !== '') {
+            $filtered = array_values(array_filter(
+                $identifiers,
+                fn($id) => $id === $type
+                    || str_contains($id, ',' . $type)
+                    || str_contains($id, $type . ',')
+            ));
+            if (!empty($filtered)) {
+                $identifiers = $filtered;
+            }
+        }
+
+        return $identifiers;
+    }
+
     /**
      * Get the field configuration for a specific field
      */
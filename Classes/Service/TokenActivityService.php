@@ -0,0 +1,201 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Service;
+
+use Mcp\Types\CallToolResult;
+use Mcp\Types\TextContent;
+use TYPO3\CMS\Core\Configuration\ExtensionConfiguration;
+use TYPO3\CMS\Core\Database\Connection;
+use TYPO3\CMS\Core\Database\ConnectionPool;
+use TYPO3\CMS\Core\Database\Query\QueryBuilder;
+use TYPO3\CMS\Core\Utility\GeneralUtility;
+
+/**
+ * Service for recording and querying the tool calls made with access tokens
+ *
+ * Every tools/call request received by the MCP endpoint is stored with the
+ * token, tool, touched record, outcome, duration and client IP, so the
+ * backend module can show which client did what.
+ */
+class TokenActivityService
+{
+    private const TABLE = 'tx_mcpserver_tool_calls';
+
+    /**
+     * Maximum length of stored error messages
+     */
+    private const MAX_ERROR_LENGTH = 1000;
+
+    /**
+     * Record a single tool call. Failures are swallowed: activity logging
+     * must never break the tool call itself.
+     */
+    public function logToolCall(
+        int $tokenUid,
+        int $beUserUid,
+        string $toolName,
+        array $arguments,
+        CallToolResult $result,
+        int $durationMs,
+        string $ip = ''
+    ): void {
+        try {
+            GeneralUtility::makeInstance(ConnectionPool::class)
+                ->getConnectionForTable(self::TABLE)
+                ->insert(self::TABLE, [
+                    'pid' => 0,
+                    'crdate' => time(),
+                    'token_uid' => $tokenUid,
+                    'be_user_uid' => $beUserUid,
+                    'tool' => $toolName,
+                    'record_table' => is_string($arguments['table'] ?? null) ? $arguments['table'] : '',
+                    'record_uid' => is_numeric($arguments['uid'] ?? null) ? (int)$arguments['uid'] : 0,
+                    'success' => $result->isError ? 0 : 1,
+                    'error_message' => $result->isError ? $this->getErrorMessage($result) : '',
+                    'duration' => max(0, $durationMs),
+                    'ip' => $ip,
+                ]);
+        } catch (\Throwable $e) {
+            // Non-fatal: the activity log is an audit aid, not a requirement for tool execution
+        }
+    }
+
+    /**
+     * Get the most recent tool calls of a token
+     *
+     * @param string $toolName Only return calls of this tool (empty = all tools)
+     * @param int $since Only return calls after this timestamp (0 = no limit)
+     */
+    public function getActivity(int $tokenUid, int $beUserUid, string $toolName = '', int $since = 0, int $limit = 50): array
+    {
+        $queryBuilder = $this->createFilteredQuery($tokenUid, $beUserUid, $toolName, $since);
+
+        return $queryBuilder
+            ->select('uid', 'crdate', 'tool', 'record_table', 'record_uid', 'success', 'error_message', 'duration', 'ip')
+            ->orderBy('crdate', 'DESC')
+            ->addOrderBy('uid', 'DESC')
+            ->setMaxResults($limit)
+            ->executeQuery()
+            ->fetchAllAssociative();
+    }
+
+    /**
+     * Count calls and errors per day (Y-m-d, server time) for the last $days days.
+     * Days without calls are included with zero counts so the result can be charted directly.
+     *
+     * @return array<string, array{calls: int, errors: int}>
+     */
+    public function getCallsPerDay(int $tokenUid, int $beUserUid, int $days, string $toolName = ''): array
+    {
+        $firstDay = strtotime('today') - ($days - 1) * 86400;
+
+        $perDay = [];
+        for ($day = 0; $day < $days; $day++) {
+            $perDay[date('Y-m-d', $firstDay + $day * 86400)] = ['calls' => 0, 'errors' => 0];
+        }
+
+        // Bucket in PHP to stay independent of database specific date functions
+        $result = $this->createFilteredQuery($tokenUid, $beUserUid, $toolName, $firstDay)
+            ->select('crdate', 'success')
+            ->executeQuery();
+        while ($row = $result->fetchAssociative()) {
+            $date = date('Y-m-d', (int)$row['crdate']);
+            if (!isset($perDay[$date])) {
+                continue;
+            }
+            $perDay[$date]['calls']++;
+            if (!(int)$row['success']) {
+                $perDay[$date]['errors']++;
+            }
+        }
+
+        return $perDay;
+    }
+
+    /**
+     * Get the names of all tools a token has called, for the tool filter
+     *
+     * @return string[]
+     */
+    public function getUsedToolNames(int $tokenUid, int $beUserUid): array
+    {
+        $tools = $this->createFilteredQuery($tokenUid, $beUserUid)
+            ->select('tool')
+            ->groupBy('tool')
+            ->orderBy('tool')
+            ->executeQuery()
+            ->fetchFirstColumn();
+
+        return array_map('strval', $tools);
+    }
+
+    /**
+     * Delete log entries older than the configured retention period
+     * (extension setting activityLogRetentionDays, 0 = keep forever)
+     *
+     * @return int Number of deleted entries
+     */
+    public function cleanupOldEntries(): int
+    {
+        try {
+            $retentionDays = (int)GeneralUtility::makeInstance(ExtensionConfiguration::class)
+                ->get('mcp_server', 'activityLogRetentionDays');
+        } catch (\Exception) {
+            $retentionDays = 90;
+        }
+
+        if ($retentionDays <= 0) {
+            return 0;
+        }
+
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)
+            ->getQueryBuilderForTable(self::TABLE);
+
+        return $queryBuilder
+            ->delete(self::TABLE)
+            ->where(
+                $queryBuilder->expr()->lt('crdate', $queryBuilder->createNamedParameter(time() - $retentionDays * 86400, Connection::PARAM_INT))
+            )
+            ->executeStatement();
+    }
+
+    private function createFilteredQuery(int $tokenUid, int $beUserUid, string $toolName = '', int $since = 0): QueryBuilder
+    {
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)
+            ->getQueryBuilderForTable(self::TABLE);
+
+        $queryBuilder
+            ->from(self::TABLE)
+            ->where(
+                $queryBuilder->expr()->eq('token_uid', $queryBuilder->createNamedParameter($tokenUid, Connection::PARAM_INT)),
+                $queryBuilder->expr()->eq('be_user_uid', $queryBuilder->createNamedParameter($beUserUid, Connection::PARAM_INT))
+            );
+
+        if ($toolName !== '') {
+            $queryBuilder->andWhere(
+                $queryBuilder->expr()->eq('tool', $queryBuilder->createNamedParameter($toolName))
+            );
+        }
+        if ($since > 0) {
+            $queryBuilder->andWhere(
+                $queryBuilder->expr()->gte('crdate', $queryBuilder->createNamedParameter($since, Connection::PARAM_INT))
+            );
+        }
+
+        return $queryBuilder;
+    }
+
+    private function getErrorMessage(CallToolResult $result): string
+    {
+        $text = '';
+        foreach ($result->content as $content) {
+            if ($content instanceof TextContent) {
+                $text .= $content->text;
+            }
+        }
+
+        return mb_substr($text, 0, self::MAX_ERROR_LENGTH);
+    }
+}
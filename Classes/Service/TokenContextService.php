@@ -0,0 +1,34 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Service;
+
+/**
+ * Holds the access token the current MCP request was authenticated with
+ *
+ * McpEndpoint sets the token after validation so that code running further
+ * down (event listeners, tools) can attribute its work to a token and client.
+ * Stays empty for the stdio CLI server.
+ */
+class TokenContextService
+{
+    protected int $tokenUid = 0;
+    protected string $clientName = '';
+
+    public function setCurrentToken(int $tokenUid, string $clientName): void
+    {
+        $this->tokenUid = $tokenUid;
+        $this->clientName = $clientName;
+    }
+
+    public function getTokenUid(): int
+    {
+        return $this->tokenUid;
+    }
+
+    public function getClientName(): string
+    {
+        return $this->clientName;
+    }
+}
@@ -0,0 +1,170 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Service;
+
+use Psr\Http\Message\ServerRequestInterface;
+use TYPO3\CMS\Core\Http\NormalizedParams;
+
+/**
+ * Service for the networks access tokens may be and have been used from
+ *
+ * Parses and matches the optional CIDR allowlist of a token and derives the
+ * network range of a client IP (/24 for IPv4, /48 for IPv6), so a token used
+ * from a range it was never used from before can be flagged.
+ */
+class TokenNetworkService
+{
+    private const IPV4_NETWORK_BITS = 24;
+    private const IPV6_NETWORK_BITS = 48;
+
+    /**
+     * Networks remembered per token; the oldest are forgotten first
+     */
+    private const MAX_KNOWN_NETWORKS = 50;
+
+    /**
+     * Get the IP of the client of a request. Behind a reverse proxy
+     * configured in [SYS][reverseProxyIP] this is the forwarded client IP,
+     * not the IP of the proxy.
+     */
+    public function getClientIp(ServerRequestInterface $request): string
+    {
+        $normalizedParams = $request->getAttribute('normalizedParams');
+        if (!$normalizedParams instanceof NormalizedParams) {
+            $normalizedParams = NormalizedParams::createFromRequest($request);
+        }
+
+        return $normalizedParams->getRemoteAddress();
+    }
+
+    /**
+     * Parse an allowlist entered in the backend module. Entries are separated
+     * by commas, whitespace or line breaks; single IPs are turned into /32
+     * or /128 ranges.
+     *
+     * @return string[] Normalized CIDR ranges
+     * @throws \InvalidArgumentException If an entry is not a valid IP or CIDR range
+     */
+    public function parseAllowlist(string $allowlist): array
+    {
+        $ranges = [];
+        foreach (preg_split('/[\s,]+/', $allowlist, -1, PREG_SPLIT_NO_EMPTY) ?: [] as $entry) {
+            $ranges[] = $this->normalizeRange($entry);
+        }
+
+        return array_values(array_unique($ranges));
+    }
+
+    /**
+     * Check whether an IP is inside one of the given CIDR ranges. An empty
+     * allowlist allows every IP, an empty IP is never allowed by a non-empty one.
+     *
+     * @param string[] $ranges
+     */
+    public function isIpAllowed(string $ip, array $ranges): bool
+    {
+        if ($ranges === []) {
+            return true;
+        }
+
+        foreach ($ranges as $range) {
+            if ($this->isIpInRange($ip, $range)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Get the network range an IP belongs to, e.g. "203.0.113.0/24"
+     *
+     * @return string Empty for invalid IPs
+     */
+    public function getNetwork(string $ip): string
+    {
+        $binary = @inet_pton($ip);
+        if ($binary === false) {
+            return '';
+        }
+
+        $bits = strlen($binary) === 4 ? self::IPV4_NETWORK_BITS : self::IPV6_NETWORK_BITS;
+
+        return inet_ntop($this->applyMask($binary, $bits)) . '/' . $bits;
+    }
+
+    /**
+     * Add the network of an IP to the networks a token has been used from
+     *
+     * @param string[] $knownNetworks
+     * @return array{networks: string[], is_new: bool} is_new is false for the very first network of a token
+     */
+    public function rememberNetwork(array $knownNetworks, string $ip): array
+    {
+        $network = $this->getNetwork($ip);
+        if ($network === '' || in_array($network, $knownNetworks, true)) {
+            return ['networks' => $knownNetworks, 'is_new' => false];
+        }
+
+        $knownNetworks[] = $network;
+
+        return [
+            'networks' => array_slice($knownNetworks, -self::MAX_KNOWN_NETWORKS),
+            'is_new' => count($knownNetworks) > 1,
+        ];
+    }
+
+    /**
+     * @throws \InvalidArgumentException
+     */
+    private function normalizeRange(string $entry): string
+    {
+        [$address, $bits] = array_pad(explode('/', $entry, 2), 2, null);
+
+        $binary = @inet_pton($address);
+        if ($binary === false) {
+            throw new \InvalidArgumentException(sprintf('"%s" is not a valid IP address or CIDR range', $entry));
+        }
+
+        $maxBits = strlen($binary) * 8;
+        if ($bits === null) {
+            $bits = $maxBits;
+        } elseif (!ctype_digit($bits) || (int)$bits > $maxBits) {
+            throw new \InvalidArgumentException(sprintf('"%s" has an invalid prefix length', $entry));
+        }
+
+        return inet_ntop($this->applyMask($binary, (int)$bits)) . '/' . (int)$bits;
+    }
+
+    private function isIpInRange(string $ip, string $range): bool
+    {
+        [$address, $bits] = array_pad(explode('/', $range, 2), 2, null);
+
+        $ipBinary = @inet_pton($ip);
+        $rangeBinary = @inet_pton((string)$address);
+        if ($ipBinary === false || $rangeBinary === false || strlen($ipBinary) !== strlen($rangeBinary)) {
+            return false;
+        }
+
+        $bits = $bits === null ? strlen($rangeBinary) * 8 : (int)$bits;
+
+        return $this->applyMask($ipBinary, $bits) === $this->applyMask($rangeBinary, $bits);
+    }
+
+    /**
+     * Zero all bits of a binary address after the given prefix length
+     */
+    private function applyMask(string $binary, int $bits): string
+    {
+        $masked = '';
+        for ($i = 0; $i < strlen($binary); $i++) {
+            $byteBits = max(0, min(8, $bits - $i * 8));
+            $mask = $byteBits === 0 ? 0 : (0xFF << (8 - $byteBits)) & 0xFF;
+            $masked .= chr(ord($binary[$i]) & $mask);
+        }
+
+        return $masked;
+    }
+}
@@ -0,0 +1,296 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Service;
+
+use Doctrine\DBAL\Exception\UniqueConstraintViolationException;
+use TYPO3\CMS\Core\Database\Connection;
+use TYPO3\CMS\Core\Database\ConnectionPool;
+use TYPO3\CMS\Core\Utility\GeneralUtility;
+
+/**
+ * Service for the rate limits and write quotas of access tokens
+ *
+ * A token can be limited in the number of MCP requests per minute, write
+ * tool calls per hour and records written per day. Consumption is counted in
+ * fixed time windows, and only for limits that are actually configured.
+ *
+ * Endpoints that need no token, like the device authorization endpoint, are
+ * limited per client IP address with the same counters (token 0).
+ */
+class TokenRateLimitService
+{
+    public const LIMIT_REQUESTS = 'requests';
+    public const LIMIT_WRITES = 'writes';
+    public const LIMIT_RECORDS = 'records';
+
+    private const TABLE = 'tx_mcpserver_token_usage';
+    private const TOKEN_TABLE = 'tx_mcpserver_access_tokens';
+
+    /**
+     * Token column holding the limit and window length in seconds of each limit
+     */
+    private const LIMITS = [
+        self::LIMIT_REQUESTS => ['column' => 'rate_limit_requests', 'window' => 60],
+        self::LIMIT_WRITES => ['column' => 'rate_limit_writes', 'window' => 3600],
+        self::LIMIT_RECORDS => ['column' => 'rate_limit_records', 'window' => 86400],
+    ];
+
+    /**
+     * Get the configured limits of a token (0 = unlimited)
+     *
+     * @return array<string, int>
+     */
+    public function getLimits(int $tokenUid): array
+    {
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable(self::TOKEN_TABLE);
+        $token = $queryBuilder
+            ->select(...array_column(self::LIMITS, 'column'))
+            ->from(self::TOKEN_TABLE)
+            ->where($queryBuilder->expr()->eq('uid', $queryBuilder->createNamedParameter($tokenUid, Connection::PARAM_INT)))
+            ->executeQuery()
+            ->fetchAssociative();
+
+        return $this->extractLimits($token ?: []);
+    }
+
+    /**
+     * Get the configured limits from a token record (0 = unlimited)
+     *
+     * @param array $token Token record including the rate_limit_* columns
+     * @return array<string, int>
+     */
+    public function extractLimits(array $token): array
+    {
+        $limits = [];
+        foreach (self::LIMITS as $limit => $definition) {
+            $limits[$limit] = (int)($token[$definition['column']] ?? 0);
+        }
+
+        return $limits;
+    }
+
+    /**
+     * Set the limits of a token
+     *
+     * @param array<string, int> $limits Limit per LIMIT_* constant, 0 or missing = unlimited
+     * @return bool False if the token was not found
+     * @throws \InvalidArgumentException If a limit is negative
+     */
+    public function setLimits(int $tokenUid, int $beUserId, array $limits): bool
+    {
+        $values = ['tstamp' => time()];
+        foreach (self::LIMITS as $limit => $definition) {
+            $value = (int)($limits[$limit] ?? 0);
+            if ($value < 0) {
+                throw new \InvalidArgumentException(sprintf('The %s limit must not be negative', $limit));
+            }
+            $values[$definition['column']] = $value;
+        }
+
+        return GeneralUtility::makeInstance(ConnectionPool::class)
+            ->getConnectionForTable(self::TOKEN_TABLE)
+            ->update(self::TOKEN_TABLE, $values, ['uid' => $tokenUid, 'be_user_uid' => $beUserId, 'deleted' => 0]) > 0;
+    }
+
+    /**
+     * Admit an MCP request of a token and count it against its limits. Write
+     * calls are also checked against the write and record quotas.
+     *
+     * Every message of a JSON-RPC batch counts as a request and every write
+     * tool call in it as a write, and the batch is only admitted if all of
+     * them fit into the limits. Records are counted as they are written, see
+     * consumeRecords() and getExceededRecordQuota().
+     *
+     * @param int $writeCount Number of write tool calls in the request
+     * @param int $messageCount Number of JSON-RPC messages in the request
+     * @return array{limit: string, max: int, retry_after: int}|null The exceeded limit, null if the request is admitted
+     */
+    public function consumeRequest(int $tokenUid, int $writeCount, int $messageCount = 1): ?array
+    {
+        $limits = $this->getLimits($tokenUid);
+        $consumed = [self::LIMIT_REQUESTS => max(1, $messageCount)];
+        if ($writeCount > 0) {
+            // The records of the writes are not known yet, so only some quota must remain
+            $consumed += [self::LIMIT_WRITES => $writeCount, self::LIMIT_RECORDS => 1];
+        }
+
+        foreach ($consumed as $limit => $needed) {
+            if ($limits[$limit] > 0 && $this->getUsed($tokenUid, $limit, $this->getWindowStart($limit)) + $needed > $limits[$limit]) {
+                return $this->buildExceededLimit($limit, $limits[$limit]);
+            }
+        }
+
+        unset($consumed[self::LIMIT_RECORDS]);
+        foreach ($consumed as $limit => $amount) {
+            if ($limits[$limit] > 0) {
+                $this->increment($tokenUid, $limit, $this->getWindowStart($limit), $amount);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Admit a request to an endpoint that needs no token and count it against
+     * a limit per client IP address
+     *
+     * @param int $window Window length in seconds, at most one day
+     * @return int|null Seconds until requests are admitted again, null if the request is admitted
+     */
+    public function consumeAnonymousRequest(string $endpoint, string $ip, int $max, int $window): ?int
+    {
+        // Only a hash of the IP address is stored
+        $counter = $endpoint . ':' . substr(hash('sha256', $ip), 0, 32);
+        $windowStart = intdiv(time(), $window) * $window;
+
+        if ($this->getUsed(0, $counter, $windowStart) >= $max) {
+            return max(1, $windowStart + $window - time());
+        }
+
+        $this->increment(0, $counter, $windowStart, 1);
+
+        return null;
+    }
+
+    /**
+     * Count records written with a token against its daily record quota
+     */
+    public function consumeRecords(int $tokenUid, int $count = 1): void
+    {
+        if ($this->getLimits($tokenUid)[self::LIMIT_RECORDS] > 0) {
+            $this->increment($tokenUid, self::LIMIT_RECORDS, $this->getWindowStart(self::LIMIT_RECORDS), $count);
+        }
+    }
+
+    /**
+     * Check whether the daily record quota of a token is used up, before a
+     * record is written
+     *
+     * @return array{limit: string, max: int, retry_after: int}|null The exceeded limit, null if more records may be written
+     */
+    public function getExceededRecordQuota(int $tokenUid): ?array
+    {
+        $max = $this->getLimits($tokenUid)[self::LIMIT_RECORDS];
+        if ($max > 0 && $this->getUsed($tokenUid, self::LIMIT_RECORDS, $this->getWindowStart(self::LIMIT_RECORDS)) >= $max) {
+            return $this->buildExceededLimit(self::LIMIT_RECORDS, $max);
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the current consumption of all configured limits of a token
+     *
+     * @param array $token Token record including the rate_limit_* columns
+     * @return array<int, array{limit: string, max: int, used: int, percent: int, resets: int}>
+     */
+    public function getUsage(array $token): array
+    {
+        $usage = [];
+        foreach ($this->extractLimits($token) as $limit => $max) {
+            if ($max <= 0) {
+                continue;
+            }
+            $used = $this->getUsed((int)$token['uid'], $limit, $this->getWindowStart($limit));
+            $usage[] = [
+                'limit' => $limit,
+                'max' => $max,
+                'used' => $used,
+                'percent' => (int)min(100, round($used / $max * 100)),
+                'resets' => $this->getWindowStart($limit) + self::LIMITS[$limit]['window'],
+            ];
+        }
+
+        return $usage;
+    }
+
+    /**
+     * Remove counters of windows that have ended
+     *
+     * @return int Number of removed counters
+     */
+    public function cleanupExpired(): int
+    {
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable(self::TABLE);
+
+        return $queryBuilder
+            ->delete(self::TABLE)
+            ->where(
+                $queryBuilder->expr()->lt('window_start', $queryBuilder->createNamedParameter(time() - max(array_column(self::LIMITS, 'window')), Connection::PARAM_INT))
+            )
+            ->executeStatement();
+    }
+
+    private function getUsed(int $tokenUid, string $counter, int $windowStart): int
+    {
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable(self::TABLE);
+
+        return (int)$queryBuilder
+            ->select('used')
+            ->from(self::TABLE)
+            ->where(
+                $queryBuilder->expr()->eq('token_uid', $queryBuilder->createNamedParameter($tokenUid, Connection::PARAM_INT)),
+                $queryBuilder->expr()->eq('counter', $queryBuilder->createNamedParameter($counter)),
+                $queryBuilder->expr()->eq('window_start', $queryBuilder->createNamedParameter($windowStart, Connection::PARAM_INT))
+            )
+            ->executeQuery()
+            ->fetchOne();
+    }
+
+    private function increment(int $tokenUid, string $counter, int $windowStart, int $amount): void
+    {
+        $connection = GeneralUtility::makeInstance(ConnectionPool::class)->getConnectionForTable(self::TABLE);
+        $identifier = [
+            'token_uid' => $tokenUid,
+            'counter' => $counter,
+            'window_start' => $windowStart,
+        ];
+
+        if ($this->addToCounter($connection, $identifier, $amount) > 0) {
+            return;
+        }
+
+        try {
+            $connection->insert(self::TABLE, [...$identifier, 'used' => $amount]);
+        } catch (UniqueConstraintViolationException) {
+            // A concurrent request created the counter in the meantime
+            $this->addToCounter($connection, $identifier, $amount);
+        }
+    }
+
+    private function addToCounter(Connection $connection, array $identifier, int $amount): int
+    {
+        $queryBuilder = $connection->createQueryBuilder();
+        $queryBuilder->update(self::TABLE);
+        foreach ($identifier as $column => $value) {
+            $queryBuilder->andWhere(
+                $queryBuilder->expr()->eq($column, $queryBuilder->createNamedParameter($value, is_int($value) ? Connection::PARAM_INT : Connection::PARAM_STR))
+            );
+        }
+
+        return $queryBuilder
+            ->set('used', $queryBuilder->quoteIdentifier('used') . ' + ' . $amount, false)
+            ->executeStatement();
+    }
+
+    /**
+     * @return array{limit: string, max: int, retry_after: int}
+     */
+    private function buildExceededLimit(string $limit, int $max): array
+    {
+        return [
+            'limit' => $limit,
+            'max' => $max,
+            'retry_after' => max(1, $this->getWindowStart($limit) + self::LIMITS[$limit]['window'] - time()),
+        ];
+    }
+
+    private function getWindowStart(string $limit): int
+    {
+        $window = self::LIMITS[$limit]['window'];
+
+        return intdiv(time(), $window) * $window;
+    }
+}
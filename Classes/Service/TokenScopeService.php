@@ -0,0 +1,130 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Service;
+
+use Hn\McpServer\MCP\Tool\ToolInterface;
+
+/**
+ * Service for building and enforcing access token scopes
+ *
+ * Scopes are stored as space-separated OAuth scope tokens:
+ * - "mcp_access" (or an empty string for tokens created before scopes existed): all tools
+ * - "mcp_read_only": only tools annotated with readOnlyHint=true
+ * - "mcp_tool:Search mcp_tool:ReadTable": only the listed tools
+ */
+class TokenScopeService
+{
+    public const FULL_ACCESS = 'mcp_access';
+    public const READ_ONLY = 'mcp_read_only';
+    public const TOOL_PREFIX = 'mcp_tool:';
+
+    public const TYPE_FULL = 'full';
+    public const TYPE_READ_ONLY = 'read_only';
+    public const TYPE_TOOLS = 'tools';
+
+    /**
+     * Build the scope string for a scope type selected in the backend module
+     *
+     * @param string[] $toolNames Only used for TYPE_TOOLS
+     * @throws \InvalidArgumentException If the type is unknown, or the tools for TYPE_TOOLS are missing or not tool names
+     */
+    public function buildScope(string $type, array $toolNames = []): string
+    {
+        switch ($type) {
+            case self::TYPE_FULL:
+                return self::FULL_ACCESS;
+            case self::TYPE_READ_ONLY:
+                return self::READ_ONLY;
+            case self::TYPE_TOOLS:
+                foreach ($toolNames as $toolName) {
+                    if (!is_string($toolName) || preg_match('/\s/', trim($toolName))) {
+                        throw new \InvalidArgumentException('The tools must be a list of tool names.');
+                    }
+                }
+                $toolNames = array_values(array_unique(array_filter(array_map('trim', $toolNames))));
+                if ($toolNames === []) {
+                    throw new \InvalidArgumentException('At least one tool must be selected.');
+                }
+                return implode(' ', array_map(static fn(string $name) => self::TOOL_PREFIX . $name, $toolNames));
+            default:
+                throw new \InvalidArgumentException('Unknown scope type: ' . $type);
+        }
+    }
+
+    /**
+     * Parse a stored scope string into its type and tool list
+     *
+     * @return array{type: string, tools: string[]}
+     */
+    public function parseScope(string $scope): array
+    {
+        $parts = preg_split('/\s+/', trim($scope), -1, PREG_SPLIT_NO_EMPTY) ?: [];
+
+        $tools = [];
+        foreach ($parts as $part) {
+            if (str_starts_with($part, self::TOOL_PREFIX)) {
+                $tools[] = substr($part, strlen(self::TOOL_PREFIX));
+            }
+        }
+
+        if ($tools !== []) {
+            return ['type' => self::TYPE_TOOLS, 'tools' => $tools];
+        }
+        if (in_array(self::READ_ONLY, $parts, true)) {
+            return ['type' => self::TYPE_READ_ONLY, 'tools' => []];
+        }
+
+        // Empty (legacy) and "mcp_access" scopes grant full access
+        return ['type' => self::TYPE_FULL, 'tools' => []];
+    }
+
+    /**
+     * Check whether a tool may be listed and called with the given scope
+     */
+    public function isToolAllowed(string $scope, ToolInterface $tool): bool
+    {
+        $parsed = $this->parseScope($scope);
+
+        return match ($parsed['type']) {
+            self::TYPE_TOOLS => in_array($tool->getName(), $parsed['tools'], true),
+            self::TYPE_READ_ONLY => $this->isReadOnlyTool($tool),
+            default => true,
+        };
+    }
+
+    /**
+     * Reduce a list of tools to those allowed by the scope
+     *
+     * @param ToolInterface[] $tools
+     * @return ToolInterface[]
+     */
+    public function filterTools(array $tools, string $scope): array
+    {
+        return array_filter($tools, fn(ToolInterface $tool) => $this->isToolAllowed($scope, $tool));
+    }
+
+    /**
+     * Get a short human-readable description of a scope for the token list
+     */
+    public function getScopeLabel(string $scope): string
+    {
+        $parsed = $this->parseScope($scope);
+
+        return match ($parsed['type']) {
+            self::TYPE_TOOLS => 'Tools: ' . implode(', ', $parsed['tools']),
+            self::TYPE_READ_ONLY => 'Read-only',
+            default => 'Full access',
+        };
+    }
+
+    /**
+     * Whether the tool declares itself as read-only via its MCP annotations
+     */
+    public function isReadOnlyTool(ToolInterface $tool): bool
+    {
+        $schema = $tool->getSchema();
+        return ($schema['annotations']['readOnlyHint'] ?? false) === true;
+    }
+}
@@ -0,0 +1,94 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Service;
+
+use TYPO3\CMS\Core\Registry;
+use TYPO3\CMS\Core\Utility\GeneralUtility;
+
+/**
+ * Service for the site-wide tool settings made by admins in the backend module
+ *
+ * Tools can be disabled for all clients, e.g. WriteTable on production, and
+ * their description can be extended with site-specific guidance such as
+ * "news records live on pid 42". ToolRegistry applies the settings.
+ */
+class ToolSettingsService
+{
+    private const REGISTRY_NAMESPACE = 'tx_mcpserver';
+    private const REGISTRY_KEY = 'toolSettings';
+
+    /**
+     * Maximum length of the guidance appended to a tool description
+     */
+    public const MAX_GUIDANCE_LENGTH = 2000;
+
+    /**
+     * Get the settings of all tools that differ from the defaults
+     *
+     * @return array<string, array{disabled: bool, guidance: string}>
+     */
+    public function getSettings(): array
+    {
+        $settings = GeneralUtility::makeInstance(Registry::class)->get(self::REGISTRY_NAMESPACE, self::REGISTRY_KEY, []);
+
+        return is_array($settings) ? $settings : [];
+    }
+
+    /**
+     * Get the settings of a tool
+     *
+     * @return array{disabled: bool, guidance: string}
+     */
+    public function getToolSettings(string $toolName): array
+    {
+        return $this->getSettings()[$toolName] ?? ['disabled' => false, 'guidance' => ''];
+    }
+
+    /**
+     * Store the settings of several tools at once
+     *
+     * @param array<string, array{disabled?: bool, guidance?: string}> $settings Settings per tool name
+     * @throws \InvalidArgumentException If a guidance text is too long
+     */
+    public function setSettings(array $settings): void
+    {
+        $stored = $this->getSettings();
+        foreach ($settings as $toolName => $toolSettings) {
+            $disabled = (bool)($toolSettings['disabled'] ?? false);
+            $guidance = trim((string)($toolSettings['guidance'] ?? ''));
+            if (mb_strlen($guidance) > self::MAX_GUIDANCE_LENGTH) {
+                throw new \InvalidArgumentException(sprintf('The guidance for %s must not exceed %d characters', $toolName, self::MAX_GUIDANCE_LENGTH));
+            }
+
+            // Only deviations from the defaults are stored
+            if (!$disabled && $guidance === '') {
+                unset($stored[$toolName]);
+            } else {
+                $stored[(string)$toolName] = ['disabled' => $disabled, 'guidance' => $guidance];
+            }
+        }
+
+        ksort($stored);
+        GeneralUtility::makeInstance(Registry::class)->set(self::REGISTRY_NAMESPACE, self::REGISTRY_KEY, $stored);
+    }
+
+    public function isToolDisabled(string $toolName): bool
+    {
+        return $this->getToolSettings($toolName)['disabled'];
+    }
+
+    /**
+     * Append the site-specific guidance to the description of a tool schema
+     */
+    public function applyToSchema(string $toolName, array $schema): array
+    {
+        $guidance = $this->getToolSettings($toolName)['guidance'];
+        if ($guidance !== '') {
+            $schema['description'] = rtrim((string)($schema['description'] ?? '')) . "\n\n" . $guidance;
+        }
+
+        return $schema;
+    }
+}
@@ -0,0 +1,551 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Service;
+
+use Psr\Http\Message\ResponseInterface;
+use TYPO3\CMS\Core\Database\Connection;
+use TYPO3\CMS\Core\Database\ConnectionPool;
+use TYPO3\CMS\Core\Http\RequestFactory;
+use TYPO3\CMS\Core\Utility\GeneralUtility;
+
+/**
+ * Service for outgoing webhooks about records written through MCP
+ *
+ * Admins register target URLs in the backend module, optionally limited to
+ * tables, actions and tokens. Every matching write queues a delivery that is
+ * sent after the response to the MCP client; deliveries that fail or were not
+ * sent are retried with an increasing delay by the mcp:webhooks deliver
+ * command. Payloads are signed with the secret of the webhook:
+ *
+ *     X-Mcp-Signature: sha256=HMAC-SHA256(secret, X-Mcp-Timestamp + "." + body)
+ */
+class WebhookService
+{
+    private const TABLE = 'tx_mcpserver_webhooks';
+    private const DELIVERIES_TABLE = 'tx_mcpserver_webhook_deliveries';
+
+    public const ACTIONS = ['create', 'update', 'delete', 'translate'];
+
+    public const STATUS_PENDING = 'pending';
+    public const STATUS_DELIVERED = 'delivered';
+    public const STATUS_FAILED = 'failed';
+
+    public const TEST_EVENT = 'test';
+
+    /**
+     * Attempts before a delivery is given up
+     */
+    public const MAX_ATTEMPTS = 6;
+
+    /**
+     * Delay in seconds before the next attempt, by number of failed attempts
+     */
+    private const RETRY_DELAYS = [1 => 60, 2 => 300, 3 => 1800, 4 => 7200, 5 => 43200];
+
+    private const TIMEOUT = 5;
+    private const CONNECT_TIMEOUT = 2;
+
+    /**
+     * Seconds before the deliver command picks up a delivery queued during a
+     * request, so it does not race the request sending it
+     */
+    private const QUEUED_DELAY = 60;
+
+    /**
+     * Seconds a claimed delivery is left to the process sending it before
+     * the deliver command retries it, e.g. after the process died
+     */
+    private const CLAIM_SECONDS = 300;
+
+    /**
+     * Deliveries are kept this long for the delivery log (30 days)
+     */
+    private const RETENTION_SECONDS = 2592000;
+
+    /**
+     * Response bodies are cut off after this many characters
+     */
+    private const MAX_RESPONSE_LENGTH = 2000;
+
+    /**
+     * Deliveries queued during this request
+     *
+     * @var int[]
+     */
+    private array $queuedDeliveryUids = [];
+
+    public function __construct(
+        private readonly RequestFactory $requestFactory,
+        private readonly WorkspaceContextService $workspaceContextService,
+    ) {}
+
+    /**
+     * Get all webhooks, oldest first
+     */
+    public function getWebhooks(): array
+    {
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable(self::TABLE);
+        $rows = $queryBuilder
+            ->select('*')
+            ->from(self::TABLE)
+            ->orderBy('uid', 'ASC')
+            ->executeQuery()
+            ->fetchAllAssociative();
+
+        return array_map($this->formatWebhook(...), $rows);
+    }
+
+    public function getWebhook(int $webhookUid): ?array
+    {
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable(self::TABLE);
+        $row = $queryBuilder
+            ->select('*')
+            ->from(self::TABLE)
+            ->where(
+                $queryBuilder->expr()->eq('uid', $queryBuilder->createNamedParameter($webhookUid, Connection::PARAM_INT))
+            )
+            ->executeQuery()
+            ->fetchAssociative();
+
+        return $row ? $this->formatWebhook($row) : null;
+    }
+
+    /**
+     * Create or update a webhook
+     *
+     * An empty secret keeps the secret of an existing webhook and generates
+     * one for a new webhook.
+     *
+     * @param array{title?: string, url?: string, secret?: string, tables?: string[], actions?: string[], token_uids?: int[], disabled?: bool} $data
+     * @return int Webhook uid
+     * @throws \InvalidArgumentException If the URL or an action is invalid, or the webhook does not exist
+     */
+    public function saveWebhook(array $data, int $webhookUid = 0): int
+    {
+        $url = trim((string)($data['url'] ?? ''));
+        $scheme = strtolower((string)parse_url($url, PHP_URL_SCHEME));
+        if (!in_array($scheme, ['http', 'https'], true) || (string)parse_url($url, PHP_URL_HOST) === '') {
+            throw new \InvalidArgumentException('The webhook URL must be an absolute http or https URL');
+        }
+
+        $actions = array_values(array_unique(array_map('strval', (array)($data['actions'] ?? []))));
+        $invalidActions = array_diff($actions, self::ACTIONS);
+        if ($invalidActions !== []) {
+            throw new \InvalidArgumentException('Unknown action: ' . implode(', ', $invalidActions));
+        }
+
+        $tables = array_values(array_unique(array_filter(array_map('trim', array_map('strval', (array)($data['tables'] ?? []))))));
+        $tokenUids = array_values(array_unique(array_filter(array_map('intval', (array)($data['token_uids'] ?? [])))));
+
+        $fields = [
+            'tstamp' => time(),
+            'title' => mb_substr(trim((string)($data['title'] ?? '')), 0, 255),
+            'url' => mb_substr($url, 0, 2048),
+            'tables' => implode(',', $tables),
+            'actions' => implode(',', $actions),
+            'token_uids' => implode(',', $tokenUids),
+            'disabled' => !empty($data['disabled']) ? 1 : 0,
+        ];
+        $secret = trim((string)($data['secret'] ?? ''));
+        if ($secret !== '') {
+            $fields['secret'] = mb_substr($secret, 0, 255);
+        }
+
+        $connection = GeneralUtility::makeInstance(ConnectionPool::class)->getConnectionForTable(self::TABLE);
+        if ($webhookUid > 0) {
+            if ($this->getWebhook($webhookUid) === null) {
+                throw new \InvalidArgumentException('Webhook not found');
+            }
+            $connection->update(self::TABLE, $fields, ['uid' => $webhookUid]);
+            return $webhookUid;
+        }
+
+        $connection->insert(self::TABLE, $fields + [
+            'pid' => 0,
+            'crdate' => time(),
+            'secret' => bin2hex(random_bytes(32)),
+        ]);
+
+        return (int)$connection->lastInsertId();
+    }
+
+    /**
+     * Delete a webhook together with its delivery log
+     *
+     * @return bool False if the webhook was not found
+     */
+    public function deleteWebhook(int $webhookUid): bool
+    {
+        $pool = GeneralUtility::makeInstance(ConnectionPool::class);
+        $pool->getConnectionForTable(self::DELIVERIES_TABLE)->delete(self::DELIVERIES_TABLE, ['webhook_uid' => $webhookUid]);
+
+        return $pool->getConnectionForTable(self::TABLE)->delete(self::TABLE, ['uid' => $webhookUid]) > 0;
+    }
+
+    /**
+     * Notify all matching webhooks about a record written through MCP. The
+     * deliveries are only queued, so a slow webhook never delays the write.
+     *
+     * @param array $data The written fields; only their names are sent
+     * @param int $tokenUid Token of the request (0 for the stdio CLI server)
+     * @return int[] Uids of the created deliveries
+     */
+    public function dispatchRecordWrite(
+        string $table,
+        string $action,
+        int $uid,
+        array $data,
+        ?int $pid,
+        int $workspaceId,
+        int $tokenUid,
+        string $clientName,
+        string $username = ''
+    ): array {
+        $payload = [
+            'event' => 'record.' . $action,
+            'record' => [
+                'table' => $table,
+                'uid' => $uid,
+                'pid' => $pid,
+                'action' => $action,
+            ],
+            'workspace' => [
+                'uid' => $workspaceId,
+                'title' => $this->workspaceContextService->getWorkspaceTitle($workspaceId),
+            ],
+            'fields' => array_map('strval', array_keys($data)),
+            'client' => [
+                'name' => $clientName,
+                'token_uid' => $tokenUid,
+            ],
+            'user' => $username,
+        ];
+
+        $deliveryUids = [];
+        foreach ($this->getWebhooks() as $webhook) {
+            if ($this->matches($webhook, $table, $action, $tokenUid)) {
+                $deliveryUids[] = $this->createDelivery($webhook['uid'], $payload);
+            }
+        }
+
+        if ($deliveryUids !== []) {
+            if ($this->queuedDeliveryUids === []) {
+                register_shutdown_function($this->deliverQueued(...));
+            }
+            array_push($this->queuedDeliveryUids, ...$deliveryUids);
+        }
+
+        return $deliveryUids;
+    }
+
+    /**
+     * Send the deliveries queued during this request. Runs on shutdown and
+     * finishes the response first where PHP-FPM allows it; anything not sent
+     * here is picked up by the mcp:webhooks deliver command.
+     */
+    public function deliverQueued(): void
+    {
+        if ($this->queuedDeliveryUids === []) {
+            return;
+        }
+        if (function_exists('fastcgi_finish_request')) {
+            fastcgi_finish_request();
+        }
+
+        $deliveryUids = $this->queuedDeliveryUids;
+        $this->queuedDeliveryUids = [];
+        foreach ($deliveryUids as $deliveryUid) {
+            $this->deliver($deliveryUid);
+        }
+    }
+
+    /**
+     * Send a test event to a webhook, regardless of its filters and whether it is disabled
+     *
+     * @return array|null The delivery after the attempt, or null if the webhook was not found
+     */
+    public function sendTestEvent(int $webhookUid, string $username = ''): ?array
+    {
+        if ($this->getWebhook($webhookUid) === null) {
+            return null;
+        }
+
+        $deliveryUid = $this->createDelivery($webhookUid, [
+            'event' => self::TEST_EVENT,
+            'message' => 'Test event sent from the MCP Server backend module',
+            'user' => $username,
+        ]);
+
+        return $this->deliver($deliveryUid);
+    }
+
+    /**
+     * Send a pending delivery and schedule the next attempt if it fails
+     *
+     * @return array|null The delivery after the attempt, or null if it was not found
+     */
+    public function deliver(int $deliveryUid): ?array
+    {
+        $delivery = $this->findDelivery($deliveryUid);
+        if ($delivery === null || $delivery['status'] !== self::STATUS_PENDING) {
+            return $delivery;
+        }
+        $webhook = $this->getWebhook($delivery['webhook_uid']);
+        if ($webhook === null) {
+            return $delivery;
+        }
+        if (!$this->claimDelivery($delivery)) {
+            // Sent by a concurrent request or run of the deliver command
+            return $this->findDelivery($deliveryUid);
+        }
+
+        $attempts = $delivery['attempts'] + 1;
+        $fields = ['tstamp' => time(), 'attempts' => $attempts, 'response_code' => 0, 'response_body' => '', 'error' => ''];
+
+        try {
+            $response = $this->send($webhook, $delivery);
+            $fields['response_code'] = $response->getStatusCode();
+            $fields['response_body'] = mb_substr((string)$response->getBody(), 0, self::MAX_RESPONSE_LENGTH);
+            if ($response->getStatusCode() < 200 || $response->getStatusCode() >= 300) {
+                $fields['error'] = 'HTTP ' . $response->getStatusCode();
+            }
+        } catch (\Throwable $e) {
+            $fields['error'] = mb_substr($e->getMessage(), 0, 1024);
+        }
+
+        if ($fields['error'] === '') {
+            $fields['status'] = self::STATUS_DELIVERED;
+            $fields['next_attempt'] = 0;
+        } elseif ($attempts >= self::MAX_ATTEMPTS || $delivery['event'] === self::TEST_EVENT) {
+            // Test events are shown to the admin right away and not retried
+            $fields['status'] = self::STATUS_FAILED;
+            $fields['next_attempt'] = 0;
+        } else {
+            $fields['next_attempt'] = time() + self::RETRY_DELAYS[$attempts];
+        }
+
+        GeneralUtility::makeInstance(ConnectionPool::class)
+            ->getConnectionForTable(self::DELIVERIES_TABLE)
+            ->update(self::DELIVERIES_TABLE, $fields, ['uid' => $deliveryUid]);
+
+        return $this->findDelivery($deliveryUid);
+    }
+
+    /**
+     * Retry pending deliveries whose next attempt is due
+     *
+     * @return array{delivered: int, failed: int, pending: int} Outcome of the attempted deliveries
+     */
+    public function deliverDue(int $limit = 100): array
+    {
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable(self::DELIVERIES_TABLE);
+        $deliveryUids = $queryBuilder
+            ->select('uid')
+            ->from(self::DELIVERIES_TABLE)
+            ->where(
+                $queryBuilder->expr()->eq('status', $queryBuilder->createNamedParameter(self::STATUS_PENDING)),
+                $queryBuilder->expr()->lte('next_attempt', $queryBuilder->createNamedParameter(time(), Connection::PARAM_INT))
+            )
+            ->orderBy('next_attempt', 'ASC')
+            ->addOrderBy('uid', 'ASC')
+            ->setMaxResults($limit)
+            ->executeQuery()
+            ->fetchFirstColumn();
+
+        $result = [self::STATUS_DELIVERED => 0, self::STATUS_FAILED => 0, self::STATUS_PENDING => 0];
+        foreach ($deliveryUids as $deliveryUid) {
+            $delivery = $this->deliver((int)$deliveryUid);
+            if ($delivery !== null) {
+                $result[$delivery['status']]++;
+            }
+        }
+
+        return $result;
+    }
+
+    /**
+     * Get the latest deliveries, newest first
+     *
+     * @param int $webhookUid Only deliveries of this webhook (0 = all webhooks)
+     */
+    public function getDeliveries(int $webhookUid = 0, int $limit = 50): array
+    {
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable(self::DELIVERIES_TABLE);
+        $queryBuilder
+            ->select('*')
+            ->from(self::DELIVERIES_TABLE);
+        if ($webhookUid > 0) {
+            $queryBuilder->where(
+                $queryBuilder->expr()->eq('webhook_uid', $queryBuilder->createNamedParameter($webhookUid, Connection::PARAM_INT))
+            );
+        }
+        $rows = $queryBuilder
+            ->orderBy('uid', 'DESC')
+            ->setMaxResults($limit)
+            ->executeQuery()
+            ->fetchAllAssociative();
+
+        return array_map($this->formatDelivery(...), $rows);
+    }
+
+    /**
+     * Remove deliveries past the retention period
+     *
+     * @return int Number of removed deliveries
+     */
+    public function cleanupOldDeliveries(): int
+    {
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable(self::DELIVERIES_TABLE);
+
+        return $queryBuilder
+            ->delete(self::DELIVERIES_TABLE)
+            ->where(
+                $queryBuilder->expr()->lt('crdate', $queryBuilder->createNamedParameter(time() - self::RETENTION_SECONDS, Connection::PARAM_INT)),
+                $queryBuilder->expr()->neq('status', $queryBuilder->createNamedParameter(self::STATUS_PENDING))
+            )
+            ->executeStatement();
+    }
+
+    /**
+     * Calculate the signature sent in the X-Mcp-Signature header
+     */
+    public function sign(string $body, int $timestamp, string $secret): string
+    {
+        return 'sha256=' . hash_hmac('sha256', $timestamp . '.' . $body, $secret);
+    }
+
+    private function send(array $webhook, array $delivery): ResponseInterface
+    {
+        $timestamp = time();
+        $body = $delivery['payload'];
+
+        return $this->requestFactory->request($webhook['url'], 'POST', [
+            'headers' => [
+                'Content-Type' => 'application/json',
+                'User-Agent' => 'TYPO3 MCP Server Webhooks',
+                'X-Mcp-Event' => $delivery['event'],
+                'X-Mcp-Delivery' => (string)$delivery['uid'],
+                'X-Mcp-Timestamp' => (string)$timestamp,
+                'X-Mcp-Signature' => $this->sign($body, $timestamp, $webhook['secret']),
+            ],
+            'body' => $body,
+            'timeout' => self::TIMEOUT,
+            'connect_timeout' => self::CONNECT_TIMEOUT,
+            'http_errors' => false,
+            'allow_redirects' => false,
+        ]);
+    }
+
+    private function matches(array $webhook, string $table, string $action, int $tokenUid): bool
+    {
+        return !$webhook['disabled']
+            && ($webhook['tables'] === [] || in_array($table, $webhook['tables'], true))
+            && ($webhook['actions'] === [] || in_array($action, $webhook['actions'], true))
+            && ($webhook['token_uids'] === [] || in_array($tokenUid, $webhook['token_uids'], true));
+    }
+
+    /**
+     * Claim a pending delivery for sending, so it is sent only once when the
+     * deliver command runs while a request sends its queued deliveries
+     *
+     * @return bool False if another process claimed or sent the delivery since it was read
+     */
+    private function claimDelivery(array $delivery): bool
+    {
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable(self::DELIVERIES_TABLE);
+
+        return $queryBuilder
+            ->update(self::DELIVERIES_TABLE)
+            ->set('tstamp', time(), true, Connection::PARAM_INT)
+            ->set('attempts', $delivery['attempts'] + 1, true, Connection::PARAM_INT)
+            ->set('next_attempt', time() + self::CLAIM_SECONDS, true, Connection::PARAM_INT)
+            ->where(
+                $queryBuilder->expr()->eq('uid', $queryBuilder->createNamedParameter($delivery['uid'], Connection::PARAM_INT)),
+                $queryBuilder->expr()->eq('status', $queryBuilder->createNamedParameter(self::STATUS_PENDING)),
+                $queryBuilder->expr()->eq('attempts', $queryBuilder->createNamedParameter($delivery['attempts'], Connection::PARAM_INT)),
+                $queryBuilder->expr()->eq('next_attempt', $queryBuilder->createNamedParameter($delivery['next_attempt'], Connection::PARAM_INT))
+            )
+            ->executeStatement() === 1;
+    }
+
+    private function createDelivery(int $webhookUid, array $payload): int
+    {
+        $crdate = time();
+        $connection = GeneralUtility::makeInstance(ConnectionPool::class)->getConnectionForTable(self::DELIVERIES_TABLE);
+        $connection->insert(self::DELIVERIES_TABLE, [
+            'pid' => 0,
+            'crdate' => $crdate,
+            'tstamp' => $crdate,
+            'webhook_uid' => $webhookUid,
+            'event' => $payload['event'],
+            'payload' => '',
+            'status' => self::STATUS_PENDING,
+            'attempts' => 0,
+            // Not due before the payload is written and the request had its chance to send it
+            'next_attempt' => $crdate + self::QUEUED_DELAY,
+        ]);
+        $deliveryUid = (int)$connection->lastInsertId();
+
+        // The delivery id is part of the signed body so receivers can drop duplicates
+        $payload = ['id' => $deliveryUid, 'timestamp' => $crdate] + $payload + [
+            'site' => (string)($GLOBALS['TYPO3_CONF_VARS']['SYS']['sitename'] ?? ''),
+        ];
+        $connection->update(
+            self::DELIVERIES_TABLE,
+            ['payload' => json_encode($payload, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE | JSON_THROW_ON_ERROR)],
+            ['uid' => $deliveryUid]
+        );
+
+        return $deliveryUid;
+    }
+
+    private function findDelivery(int $deliveryUid): ?array
+    {
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable(self::DELIVERIES_TABLE);
+        $row = $queryBuilder
+            ->select('*')
+            ->from(self::DELIVERIES_TABLE)
+            ->where(
+                $queryBuilder->expr()->eq('uid', $queryBuilder->createNamedParameter($deliveryUid, Connection::PARAM_INT))
+            )
+            ->executeQuery()
+            ->fetchAssociative();
+
+        return $row ? $this->formatDelivery($row) : null;
+    }
+
+    private function formatWebhook(array $row): array
+    {
+        return [
+            'uid' => (int)$row['uid'],
+            'crdate' => (int)$row['crdate'],
+            'title' => (string)$row['title'],
+            'url' => (string)$row['url'],
+            'secret' => (string)$row['secret'],
+            'tables' => GeneralUtility::trimExplode(',', (string)$row['tables'], true),
+            'actions' => GeneralUtility::trimExplode(',', (string)$row['actions'], true),
+            'token_uids' => GeneralUtility::intExplode(',', (string)$row['token_uids'], true),
+            'disabled' => (bool)$row['disabled'],
+        ];
+    }
+
+    private function formatDelivery(array $row): array
+    {
+        return [
+            'uid' => (int)$row['uid'],
+            'crdate' => (int)$row['crdate'],
+            'tstamp' => (int)$row['tstamp'],
+            'webhook_uid' => (int)$row['webhook_uid'],
+            'event' => (string)$row['event'],
+            'payload' => (string)$row['payload'],
+            'status' => (string)$row['status'],
+            'attempts' => (int)$row['attempts'],
+            'next_attempt' => (int)$row['next_attempt'],
+            'response_code' => (int)$row['response_code'],
+            'response_body' => (string)$row['response_body'],
+            'error' => (string)$row['error'],
+        ];
+    }
+}
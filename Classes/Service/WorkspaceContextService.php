@@ -4,6 +4,7 @@ declare(strict_types=1);
 
 namespace Hn\McpServer\Service;
 
+use Hn\McpServer\Exception\AccessDeniedException;
 use TYPO3\CMS\Core\Authentication\BackendUserAuthentication;
 use TYPO3\CMS\Core\Context\Context;
 use TYPO3\CMS\Core\Context\WorkspaceAspect;
@@ -43,6 +44,51 @@ class WorkspaceContextService
         return $workspaceId;
     }
     
+    /**
+     * Switch to the workspace an access token is bound to. Unlike
+     * switchToOptimalWorkspace() this never falls back to another workspace,
+     * so writes cannot land somewhere the token was not meant for.
+     *
+     * @throws AccessDeniedException If the user can no longer write to the workspace
+     */
+    public function switchToBoundWorkspace(BackendUserAuthentication $beUser, int $workspaceId): int
+    {
+        $workspaceRecord = $beUser->checkWorkspace($workspaceId);
+        if (!$workspaceRecord || !$this->hasWriteAccess($workspaceRecord)) {
+            throw new AccessDeniedException('workspace ' . $workspaceId, 'write');
+        }
+
+        $this->setWorkspaceContext($beUser, $workspaceId);
+
+        return $workspaceId;
+    }
+
+    /**
+     * Get all workspaces (excluding live) the user can write to
+     *
+     * @return array<int, string> Workspace titles indexed by uid
+     */
+    public function getWritableWorkspaces(BackendUserAuthentication $beUser): array
+    {
+        try {
+            $availableWorkspaces = GeneralUtility::makeInstance(WorkspaceService::class)->getAvailableWorkspaces();
+        } catch (\Throwable $e) {
+            return [];
+        }
+
+        $workspaces = [];
+        foreach ($availableWorkspaces as $workspaceId => $title) {
+            if ($workspaceId > 0) {
+                $workspaceRecord = $beUser->checkWorkspace($workspaceId);
+                if ($workspaceRecord && $this->hasWriteAccess($workspaceRecord)) {
+                    $workspaces[(int)$workspaceId] = (string)$title;
+                }
+            }
+        }
+
+        return $workspaces;
+    }
+
     /**
      * Get the first workspace the user can write to
      */
@@ -232,6 +278,28 @@ class WorkspaceContextService
         $context->setAspect('workspace', $workspaceAspect);
     }
     
+    /**
+     * Get the title of a workspace, e.g. to label the workspace a token is bound to
+     */
+    public function getWorkspaceTitle(int $workspaceId): string
+    {
+        if ($workspaceId === 0) {
+            return 'Live';
+        }
+
+        $queryBuilder = GeneralUtility::makeInstance(ConnectionPool::class)->getQueryBuilderForTable('sys_workspace');
+        $title = $queryBuilder
+            ->select('title')
+            ->from('sys_workspace')
+            ->where(
+                $queryBuilder->expr()->eq('uid', $queryBuilder->createNamedParameter($workspaceId))
+            )
+            ->executeQuery()
+            ->fetchOne();
+
+        return $title !== false ? (string)$title : 'Unknown Workspace';
+    }
+
     /**
      * Get current workspace ID
      */
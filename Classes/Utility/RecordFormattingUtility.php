@@ -259,6 +259,22 @@ class RecordFormattingUtility
         return trim($snippet);
     }
 
+    /**
+     * Get the columns of a backend layout, from the TypoScript of a
+     * backend_layout record or the parsed config of a page TSconfig layout
+     *
+     * @param string|array $config
+     * @return array Column names indexed by colPos
+     */
+    public static function getBackendLayoutColumns(string|array $config): array
+    {
+        if (is_string($config)) {
+            $config = self::parseBackendLayoutConfig($config) ?? [];
+        }
+
+        return self::extractColumnsFromBackendLayout($config['backend_layout.']['rows.'] ?? []);
+    }
+
     /**
      * Get backend layout for a specific page
      * 
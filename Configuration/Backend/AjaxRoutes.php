@@ -22,4 +22,200 @@ return [
         'path' => '/mcp-server/create-token',
         'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::createTokenAction',
     ],
-];
\ No newline at end of file
+    'mcp_server_renew_token' => [
+        'path' => '/mcp-server/renew-token',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::renewTokenAction',
+    ],
+    'mcp_server_rotate_token' => [
+        'path' => '/mcp-server/rotate-token',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::rotateTokenAction',
+    ],
+    'mcp_server_get_token_activity' => [
+        'path' => '/mcp-server/get-token-activity',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::getTokenActivityAction',
+    ],
+    'mcp_server_get_all_tokens' => [
+        'path' => '/mcp-server/get-all-tokens',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::getAllTokensAction',
+    ],
+    'mcp_server_admin_revoke_tokens' => [
+        'path' => '/mcp-server/admin-revoke-tokens',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::adminRevokeTokensAction',
+    ],
+    'mcp_server_create_diagnostics_token' => [
+        'path' => '/mcp-server/create-diagnostics-token',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::createDiagnosticsTokenAction',
+    ],
+    'mcp_server_delete_diagnostics_client' => [
+        'path' => '/mcp-server/delete-diagnostics-client',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::deleteDiagnosticsClientAction',
+    ],
+    'mcp_server_get_tools' => [
+        'path' => '/mcp-server/get-tools',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::getToolsAction',
+    ],
+    'mcp_server_call_tool' => [
+        'path' => '/mcp-server/call-tool',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::callToolAction',
+    ],
+    'mcp_server_get_pending_changes' => [
+        'path' => '/mcp-server/get-pending-changes',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::getPendingChangesAction',
+    ],
+    'mcp_server_publish_change' => [
+        'path' => '/mcp-server/publish-change',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::publishChangeAction',
+    ],
+    'mcp_server_discard_change' => [
+        'path' => '/mcp-server/discard-change',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::discardChangeAction',
+    ],
+    'mcp_server_get_effective_permissions' => [
+        'path' => '/mcp-server/get-effective-permissions',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::getEffectivePermissionsAction',
+    ],
+    'mcp_server_get_schema' => [
+        'path' => '/mcp-server/get-schema',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::getSchemaAction',
+    ],
+    'mcp_server_get_oauth_clients' => [
+        'path' => '/mcp-server/get-oauth-clients',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::getOAuthClientsAction',
+    ],
+    'mcp_server_block_oauth_client' => [
+        'path' => '/mcp-server/block-oauth-client',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::blockOAuthClientAction',
+    ],
+    'mcp_server_delete_oauth_client' => [
+        'path' => '/mcp-server/delete-oauth-client',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::deleteOAuthClientAction',
+    ],
+    'mcp_server_save_redirect_uri_patterns' => [
+        'path' => '/mcp-server/save-redirect-uri-patterns',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::saveRedirectUriPatternsAction',
+    ],
+    'mcp_server_get_device_authorizations' => [
+        'path' => '/mcp-server/get-device-authorizations',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::getDeviceAuthorizationsAction',
+    ],
+    'mcp_server_find_device_authorization' => [
+        'path' => '/mcp-server/find-device-authorization',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::findDeviceAuthorizationAction',
+    ],
+    'mcp_server_approve_device_authorization' => [
+        'path' => '/mcp-server/approve-device-authorization',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::approveDeviceAuthorizationAction',
+    ],
+    'mcp_server_deny_device_authorization' => [
+        'path' => '/mcp-server/deny-device-authorization',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::denyDeviceAuthorizationAction',
+    ],
+    'mcp_server_update_token_ip_allowlist' => [
+        'path' => '/mcp-server/update-token-ip-allowlist',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::updateTokenIpAllowlistAction',
+    ],
+    'mcp_server_dismiss_token_network_warning' => [
+        'path' => '/mcp-server/dismiss-token-network-warning',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::dismissTokenNetworkWarningAction',
+    ],
+    'mcp_server_update_token_rate_limits' => [
+        'path' => '/mcp-server/update-token-rate-limits',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::updateTokenRateLimitsAction',
+    ],
+    'mcp_server_get_token_usage' => [
+        'path' => '/mcp-server/get-token-usage',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::getTokenUsageAction',
+    ],
+    'mcp_server_start_debug_capture' => [
+        'path' => '/mcp-server/start-debug-capture',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::startDebugCaptureAction',
+    ],
+    'mcp_server_stop_debug_capture' => [
+        'path' => '/mcp-server/stop-debug-capture',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::stopDebugCaptureAction',
+    ],
+    'mcp_server_get_debug_messages' => [
+        'path' => '/mcp-server/get-debug-messages',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::getDebugMessagesAction',
+    ],
+    'mcp_server_clear_debug_messages' => [
+        'path' => '/mcp-server/clear-debug-messages',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::clearDebugMessagesAction',
+    ],
+    'mcp_server_get_recordings' => [
+        'path' => '/mcp-server/get-recordings',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::getRecordingsAction',
+    ],
+    'mcp_server_start_recording' => [
+        'path' => '/mcp-server/start-recording',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::startRecordingAction',
+    ],
+    'mcp_server_stop_recording' => [
+        'path' => '/mcp-server/stop-recording',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::stopRecordingAction',
+    ],
+    'mcp_server_delete_recording' => [
+        'path' => '/mcp-server/delete-recording',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::deleteRecordingAction',
+    ],
+    'mcp_server_export_recording' => [
+        'path' => '/mcp-server/export-recording',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::exportRecordingAction',
+    ],
+    'mcp_server_get_tool_settings' => [
+        'path' => '/mcp-server/get-tool-settings',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::getToolSettingsAction',
+    ],
+    'mcp_server_save_tool_settings' => [
+        'path' => '/mcp-server/save-tool-settings',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::saveToolSettingsAction',
+    ],
+    'mcp_server_revoke_tokens' => [
+        'path' => '/mcp-server/revoke-tokens',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::revokeTokensAction',
+    ],
+    'mcp_server_get_webhooks' => [
+        'path' => '/mcp-server/get-webhooks',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::getWebhooksAction',
+    ],
+    'mcp_server_save_webhook' => [
+        'path' => '/mcp-server/save-webhook',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::saveWebhookAction',
+    ],
+    'mcp_server_delete_webhook' => [
+        'path' => '/mcp-server/delete-webhook',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::deleteWebhookAction',
+    ],
+    'mcp_server_test_webhook' => [
+        'path' => '/mcp-server/test-webhook',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::testWebhookAction',
+    ],
+    'mcp_server_get_service_accounts' => [
+        'path' => '/mcp-server/get-service-accounts',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::getServiceAccountsAction',
+    ],
+    'mcp_server_create_service_account' => [
+        'path' => '/mcp-server/create-service-account',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::createServiceAccountAction',
+    ],
+    'mcp_server_set_service_account_disabled' => [
+        'path' => '/mcp-server/set-service-account-disabled',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::setServiceAccountDisabledAction',
+    ],
+    'mcp_server_create_service_account_token' => [
+        'path' => '/mcp-server/create-service-account-token',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::createServiceAccountTokenAction',
+    ],
+    'mcp_server_get_prompts' => [
+        'path' => '/mcp-server/get-prompts',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::getPromptsAction',
+    ],
+    'mcp_server_save_prompt' => [
+        'path' => '/mcp-server/save-prompt',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::savePromptAction',
+    ],
+    'mcp_server_delete_prompt' => [
+        'path' => '/mcp-server/delete-prompt',
+        'target' => \Hn\McpServer\Controller\McpServerModuleController::class . '::deletePromptAction',
+    ],
+];
@@ -0,0 +1,141 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Tests\Functional\Controller;
+
+use Hn\McpServer\Controller\McpServerModuleController;
+use Hn\McpServer\Service\OAuthService;
+use Hn\McpServer\Tests\Functional\AbstractFunctionalTest;
+use Psr\Http\Message\ResponseInterface;
+use TYPO3\CMS\Core\Http\ServerRequest;
+use TYPO3\CMS\Core\Http\Uri;
+use TYPO3\CMS\Core\Utility\GeneralUtility;
+
+/**
+ * Tests for the admin overview of all users' tokens
+ */
+class McpServerModuleControllerAdminTokensTest extends AbstractFunctionalTest
+{
+    private McpServerModuleController $controller;
+    private OAuthService $oauthService;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->controller = GeneralUtility::getContainer()->get(McpServerModuleController::class);
+        $this->oauthService = GeneralUtility::makeInstance(OAuthService::class);
+
+        $this->getConnectionForTable('be_users')->insert('be_users', [
+            'uid' => 2,
+            'pid' => 0,
+            'username' => 'editor',
+            'realName' => 'Eddie Editor',
+            'admin' => 0,
+        ]);
+    }
+
+    public function testAdminSeesTokensOfAllUsers(): void
+    {
+        $this->oauthService->createDirectAccessToken(1, 'admin-client');
+        $this->oauthService->createDirectAccessToken(2, 'n8n');
+
+        $data = $this->decode($this->controller->getAllTokensAction($this->createRequest([])));
+
+        $this->assertTrue($data['success']);
+        $this->assertCount(2, $data['tokens']);
+        $editorToken = $this->findToken($data['tokens'], 'n8n');
+        $this->assertEquals('editor', $editorToken['username']);
+        $this->assertEquals('Eddie Editor', $editorToken['real_name']);
+        $this->assertArrayHasKey('last_used_ip', $editorToken);
+        // Dates are timestamps, the module formats them in the user's locale
+        $this->assertEqualsWithDelta(time(), $editorToken['created'], 5);
+        $this->assertSame(0, $editorToken['last_used']);
+    }
+
+    public function testSearchAndSorting(): void
+    {
+        $this->oauthService->createDirectAccessToken(1, 'zapier');
+        $this->oauthService->createDirectAccessToken(2, 'n8n');
+        $this->oauthService->createDirectAccessToken(2, 'manus');
+
+        $data = $this->decode($this->controller->getAllTokensAction($this->createRequest(['search' => 'edit'])));
+        $this->assertCount(2, $data['tokens']);
+
+        $data = $this->decode($this->controller->getAllTokensAction($this->createRequest([
+            'sortBy' => 'client_name',
+            'sortDirection' => 'ASC',
+        ])));
+        $this->assertEquals(['manus', 'n8n', 'zapier'], array_column($data['tokens'], 'client_name'));
+    }
+
+    public function testBulkRevokeByClientNameAffectsAllUsers(): void
+    {
+        $this->oauthService->createDirectAccessToken(1, 'compromised');
+        $this->oauthService->createDirectAccessToken(2, 'compromised');
+        $this->oauthService->createDirectAccessToken(2, 'safe');
+
+        $data = $this->decode($this->controller->adminRevokeTokensAction($this->createRequest([
+            'mode' => 'client',
+            'value' => 'compromised',
+        ])));
+
+        $this->assertTrue($data['success']);
+        $this->assertCount(0, $this->oauthService->getUserTokens(1));
+        $this->assertEquals(['safe'], array_column($this->oauthService->getUserTokens(2), 'client_name'));
+    }
+
+    public function testBulkRevokeByUser(): void
+    {
+        $this->oauthService->createDirectAccessToken(1, 'admin-client');
+        $this->oauthService->createDirectAccessToken(2, 'n8n');
+        $this->oauthService->createDirectAccessToken(2, 'manus');
+
+        $this->controller->adminRevokeTokensAction($this->createRequest(['mode' => 'user', 'value' => '2']));
+
+        $this->assertCount(0, $this->oauthService->getUserTokens(2));
+        $this->assertCount(1, $this->oauthService->getUserTokens(1));
+    }
+
+    public function testAdminCanRevokeSingleTokenOfAnotherUser(): void
+    {
+        $plainToken = $this->oauthService->createDirectAccessToken(2, 'n8n');
+        $tokenUid = $this->oauthService->validateToken($plainToken)['token_uid'];
+
+        $this->controller->adminRevokeTokensAction($this->createRequest(['mode' => 'token', 'value' => (string)$tokenUid]));
+
+        $this->assertNull($this->oauthService->validateToken($plainToken));
+    }
+
+    public function testNonAdminIsDenied(): void
+    {
+        $this->setupDefaultBackendUser(2);
+
+        $this->assertEquals(403, $this->controller->getAllTokensAction($this->createRequest([]))->getStatusCode());
+        $this->assertEquals(403, $this->controller->adminRevokeTokensAction($this->createRequest([
+            'mode' => 'client',
+            'value' => 'n8n',
+        ]))->getStatusCode());
+    }
+
+    private function findToken(array $tokens, string $clientName): array
+    {
+        foreach ($tokens as $token) {
+            if ($token['client_name'] === $clientName) {
+                return $token;
+            }
+        }
+        $this->fail('Token "' . $clientName . '" not found');
+    }
+
+    private function createRequest(array $body): ServerRequest
+    {
+        return (new ServerRequest(new Uri('https://example.com/typo3/ajax/mcp-server/get-all-tokens'), 'POST'))
+            ->withParsedBody($body);
+    }
+
+    private function decode(ResponseInterface $response): array
+    {
+        return json_decode((string)$response->getBody(), true);
+    }
+}
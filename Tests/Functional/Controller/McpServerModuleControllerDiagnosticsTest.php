@@ -0,0 +1,38 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Tests\Functional\Controller;
+
+use Hn\McpServer\Controller\McpServerModuleController;
+use Hn\McpServer\Service\OAuthService;
+use Hn\McpServer\Service\TokenScopeService;
+use Hn\McpServer\Tests\Functional\AbstractFunctionalTest;
+use TYPO3\CMS\Core\Http\ServerRequest;
+use TYPO3\CMS\Core\Http\Uri;
+use TYPO3\CMS\Core\Utility\GeneralUtility;
+
+/**
+ * Tests for the throwaway token used by the connection diagnostics
+ */
+class McpServerModuleControllerDiagnosticsTest extends AbstractFunctionalTest
+{
+    public function testDiagnosticsTokenIsReadOnlyAndShortLived(): void
+    {
+        $controller = GeneralUtility::getContainer()->get(McpServerModuleController::class);
+        $request = new ServerRequest(new Uri('https://example.com/typo3/ajax/mcp-server/create-diagnostics-token'), 'POST');
+
+        $data = json_decode((string)$controller->createDiagnosticsTokenAction($request)->getBody(), true);
+
+        $this->assertTrue($data['success']);
+        $oauthService = GeneralUtility::makeInstance(OAuthService::class);
+        $tokenInfo = $oauthService->validateToken($data['token']);
+        $this->assertEquals($data['tokenId'], $tokenInfo['token_uid']);
+        $this->assertEquals(TokenScopeService::READ_ONLY, $tokenInfo['scope']);
+
+        $tokens = $oauthService->getUserTokens(1);
+        $this->assertCount(1, $tokens);
+        $this->assertEquals('Connection diagnostics', $tokens[0]['client_name']);
+        $this->assertLessThanOrEqual(time() + 600, (int)$tokens[0]['expires']);
+    }
+}
@@ -0,0 +1,76 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Tests\Functional\Controller;
+
+use Hn\McpServer\Controller\McpServerModuleController;
+use Hn\McpServer\Service\ToolSettingsService;
+use Hn\McpServer\Tests\Functional\AbstractFunctionalTest;
+use TYPO3\CMS\Core\Http\ServerRequest;
+use TYPO3\CMS\Core\Http\Uri;
+use TYPO3\CMS\Core\Utility\GeneralUtility;
+
+/**
+ * Tests for the schema browser in the backend module
+ */
+class McpServerModuleControllerSchemaTest extends AbstractFunctionalTest
+{
+    private function getSchema(array $params): array
+    {
+        $controller = GeneralUtility::getContainer()->get(McpServerModuleController::class);
+        $request = (new ServerRequest(new Uri('https://example.com/typo3/ajax/mcp-server/get-schema'), 'POST'))
+            ->withParsedBody($params);
+
+        $response = $controller->getSchemaAction($request);
+        $this->assertEquals(200, $response->getStatusCode());
+
+        return json_decode((string)$response->getBody(), true);
+    }
+
+    public function testListsAccessibleTables(): void
+    {
+        $data = $this->getSchema([]);
+
+        $this->assertTrue($data['success']);
+        $this->assertStringContainsString('ACCESSIBLE TABLES', $data['text']);
+        $this->assertContains('tt_content', array_column($data['tables'], 'table'));
+        $this->assertContains('pages', array_column($data['tables'], 'table'));
+    }
+
+    public function testReturnsTableSchemaWithTypes(): void
+    {
+        $data = $this->getSchema(['table' => 'tt_content']);
+
+        $this->assertFalse($data['isError']);
+        $this->assertStringStartsWith('TABLE SCHEMA: tt_content', $data['text']);
+        $this->assertNotEmpty($data['type']);
+        $this->assertContains('textmedia', array_column($data['types'], 'value'));
+
+        $typed = $this->getSchema(['table' => 'tt_content', 'type' => 'header']);
+        $this->assertEquals('header', $typed['type']);
+        $this->assertStringContainsString('Type: header', $typed['text']);
+    }
+
+    public function testSchemaIsAvailableWhenToolsAreDisabledForClients(): void
+    {
+        (new ToolSettingsService())->setSettings([
+            'ListTables' => ['disabled' => true],
+            'GetTableSchema' => ['disabled' => true],
+        ]);
+
+        $this->assertStringContainsString('ACCESSIBLE TABLES', $this->getSchema([])['text']);
+        $data = $this->getSchema(['table' => 'tt_content']);
+        $this->assertFalse($data['isError']);
+        $this->assertStringStartsWith('TABLE SCHEMA: tt_content', $data['text']);
+    }
+
+    public function testUnknownTableIsReportedAsToolError(): void
+    {
+        $data = $this->getSchema(['table' => 'tx_does_not_exist']);
+
+        $this->assertTrue($data['isError']);
+        $this->assertSame([], $data['types']);
+        $this->assertSame([], $data['flexForms']);
+    }
+}
@@ -0,0 +1,138 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Tests\Functional\Controller;
+
+use Hn\McpServer\Controller\McpServerModuleController;
+use Hn\McpServer\Service\OAuthService;
+use Hn\McpServer\Tests\Functional\AbstractFunctionalTest;
+use Psr\Http\Message\ResponseInterface;
+use TYPO3\CMS\Core\Http\ServerRequest;
+use TYPO3\CMS\Core\Http\Uri;
+use TYPO3\CMS\Core\Utility\GeneralUtility;
+
+/**
+ * Tests for sorting, filtering, paging and bulk revoking in the token list
+ */
+class McpServerModuleControllerTokenListTest extends AbstractFunctionalTest
+{
+    private McpServerModuleController $controller;
+    private OAuthService $oauthService;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->controller = GeneralUtility::getContainer()->get(McpServerModuleController::class);
+        $this->oauthService = GeneralUtility::makeInstance(OAuthService::class);
+    }
+
+    public function testTokensArePaginated(): void
+    {
+        foreach (['a', 'b', 'c', 'd', 'e'] as $clientName) {
+            $this->oauthService->createDirectAccessToken(1, $clientName);
+        }
+
+        $data = $this->getTokens(['sortBy' => 'client_name', 'sortDirection' => 'ASC', 'pageSize' => 2, 'page' => 2]);
+
+        $this->assertTrue($data['success']);
+        $this->assertEquals(['c', 'd'], array_column($data['tokens'], 'client_name'));
+        $this->assertEquals(5, $data['total']);
+        $this->assertEquals(2, $data['page']);
+        $this->assertCount(5, $data['tokenOptions'], 'The token selects list every token, not only the page');
+    }
+
+    public function testPageBeyondTheLastPageReturnsTheLastPage(): void
+    {
+        foreach (['a', 'b', 'c'] as $clientName) {
+            $this->oauthService->createDirectAccessToken(1, $clientName);
+        }
+
+        $data = $this->getTokens(['sortBy' => 'client_name', 'sortDirection' => 'ASC', 'pageSize' => 2, 'page' => 5]);
+
+        $this->assertEquals(2, $data['page']);
+        $this->assertEquals(['c'], array_column($data['tokens'], 'client_name'));
+    }
+
+    public function testSearchMatchesClientNameAndIp(): void
+    {
+        $this->oauthService->createDirectAccessToken(1, 'Claude Desktop');
+        $usedTokenUid = $this->createToken('n8n');
+        $this->getConnectionForTable('tx_mcpserver_access_tokens')
+            ->update('tx_mcpserver_access_tokens', ['last_used' => time(), 'last_used_ip' => '203.0.113.7'], ['uid' => $usedTokenUid]);
+
+        $this->assertEquals(['Claude Desktop'], array_column($this->getTokens(['search' => 'claude'])['tokens'], 'client_name'));
+        $this->assertEquals(['n8n'], array_column($this->getTokens(['search' => '203.0.113'])['tokens'], 'client_name'));
+    }
+
+    public function testExpiredAndNeverUsedFilters(): void
+    {
+        $this->oauthService->createDirectAccessToken(1, 'unused');
+        $usedTokenUid = $this->createToken('used');
+        $expiredTokenUid = $this->createToken('expired');
+        $connection = $this->getConnectionForTable('tx_mcpserver_access_tokens');
+        $connection->update('tx_mcpserver_access_tokens', ['last_used' => time()], ['uid' => $usedTokenUid]);
+        $connection->update('tx_mcpserver_access_tokens', ['expires' => time() - 60], ['uid' => $expiredTokenUid]);
+
+        $names = fn(array $parameters) => array_column($this->getTokens(['sortBy' => 'client_name', 'sortDirection' => 'ASC', ...$parameters])['tokens'], 'client_name');
+
+        $this->assertEquals(['unused', 'used'], $names([]));
+        $this->assertEquals(['expired', 'unused', 'used'], $names(['showExpired' => 1]));
+        $this->assertEquals(['unused'], $names(['neverUsed' => 1]));
+        $this->assertEquals(['expired', 'unused'], $names(['showExpired' => 1, 'neverUsed' => 1]));
+
+        $expired = $this->getTokens(['showExpired' => 1, 'search' => 'expired'])['tokens'][0];
+        $this->assertTrue($expired['expired']);
+    }
+
+    public function testRevokeSelectedTokens(): void
+    {
+        $firstTokenUid = $this->createToken('first');
+        $secondTokenUid = $this->createToken('second');
+        $this->createToken('kept');
+
+        $this->getConnectionForTable('be_users')->insert('be_users', ['uid' => 2, 'pid' => 0, 'username' => 'editor']);
+        $otherUsersToken = $this->oauthService->createDirectAccessToken(2, 'not-mine');
+        $otherUsersTokenUid = $this->oauthService->validateToken($otherUsersToken)['token_uid'];
+
+        $response = $this->controller->revokeTokensAction($this->createRequest([
+            'tokenIds' => $firstTokenUid . ',' . $secondTokenUid . ',' . $otherUsersTokenUid,
+        ]));
+        $data = $this->decode($response);
+
+        $this->assertTrue($data['success']);
+        $this->assertStringContainsString('2 tokens', $data['message']);
+        $this->assertEquals(['kept'], array_column($this->oauthService->getUserTokens(1), 'client_name'));
+        $this->assertNotNull($this->oauthService->validateToken($otherUsersToken), 'Tokens of other users must not be revoked');
+    }
+
+    public function testRevokeWithoutSelectionIsRejected(): void
+    {
+        $response = $this->controller->revokeTokensAction($this->createRequest(['tokenIds' => '']));
+
+        $this->assertEquals(400, $response->getStatusCode());
+    }
+
+    private function createToken(string $clientName): int
+    {
+        $plainToken = $this->oauthService->createDirectAccessToken(1, $clientName);
+
+        return (int)$this->oauthService->validateToken($plainToken)['token_uid'];
+    }
+
+    private function getTokens(array $parameters): array
+    {
+        return $this->decode($this->controller->getUserTokensAction($this->createRequest($parameters)));
+    }
+
+    private function createRequest(array $body): ServerRequest
+    {
+        return (new ServerRequest(new Uri('https://example.com/typo3/ajax/mcp-server/get-tokens'), 'POST'))
+            ->withParsedBody($body);
+    }
+
+    private function decode(ResponseInterface $response): array
+    {
+        return json_decode((string)$response->getBody(), true);
+    }
+}
@@ -0,0 +1,98 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Tests\Functional\Controller;
+
+use Hn\McpServer\Controller\McpServerModuleController;
+use Hn\McpServer\Tests\Functional\AbstractFunctionalTest;
+use Psr\Http\Message\ResponseInterface;
+use TYPO3\CMS\Core\Http\ServerRequest;
+use TYPO3\CMS\Core\Http\Uri;
+use TYPO3\CMS\Core\Utility\GeneralUtility;
+
+/**
+ * Tests for the tool playground AJAX routes of the backend module
+ */
+class McpServerModuleControllerToolPlaygroundTest extends AbstractFunctionalTest
+{
+    private McpServerModuleController $controller;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->controller = GeneralUtility::getContainer()->get(McpServerModuleController::class);
+    }
+
+    public function testGetToolsReturnsSchemaForEveryTool(): void
+    {
+        $data = $this->decode($this->controller->getToolsAction($this->createRequest([])));
+
+        $this->assertTrue($data['success']);
+        $names = array_column($data['tools'], 'name');
+        $this->assertContains('ReadTable', $names);
+        $this->assertContains('WriteTable', $names);
+
+        foreach ($data['tools'] as $tool) {
+            $this->assertArrayHasKey('inputSchema', $tool, 'Tool ' . $tool['name'] . ' must expose its input schema');
+            $this->assertEquals('object', $tool['inputSchema']['type']);
+        }
+    }
+
+    public function testCallToolReturnsTextAndJsonResult(): void
+    {
+        $response = $this->controller->callToolAction($this->createRequest([
+            'tool' => 'ReadTable',
+            'arguments' => json_encode(['table' => 'pages', 'uid' => 1]),
+        ]));
+        $data = $this->decode($response);
+
+        $this->assertEquals(200, $response->getStatusCode());
+        $this->assertTrue($data['success']);
+        $this->assertFalse($data['isError']);
+        $this->assertStringContainsString('"uid":1', $data['text']);
+        $this->assertArrayHasKey('content', $data['result']);
+        $this->assertIsInt($data['duration']);
+    }
+
+    public function testCallToolReportsToolErrors(): void
+    {
+        $data = $this->decode($this->controller->callToolAction($this->createRequest([
+            'tool' => 'ReadTable',
+            'arguments' => json_encode(['table' => 'not_a_table']),
+        ])));
+
+        $this->assertTrue($data['success'], 'A tool error is a valid result, not a failed request');
+        $this->assertTrue($data['isError']);
+        $this->assertNotEmpty($data['text']);
+    }
+
+    public function testCallToolRejectsUnknownTool(): void
+    {
+        $response = $this->controller->callToolAction($this->createRequest(['tool' => 'DoesNotExist']));
+
+        $this->assertEquals(404, $response->getStatusCode());
+        $this->assertFalse($this->decode($response)['success']);
+    }
+
+    public function testCallToolRejectsInvalidArguments(): void
+    {
+        $response = $this->controller->callToolAction($this->createRequest([
+            'tool' => 'ReadTable',
+            'arguments' => 'not json',
+        ]));
+
+        $this->assertEquals(400, $response->getStatusCode());
+    }
+
+    private function createRequest(array $body): ServerRequest
+    {
+        return (new ServerRequest(new Uri('https://example.com/typo3/ajax/mcp-server/call-tool'), 'POST'))
+            ->withParsedBody($body);
+    }
+
+    private function decode(ResponseInterface $response): array
+    {
+        return json_decode((string)$response->getBody(), true);
+    }
+}
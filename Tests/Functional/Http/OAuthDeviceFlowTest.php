@@ -0,0 +1,167 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Tests\Functional\Http;
+
+use Hn\McpServer\Http\OAuthDeviceAuthorizationEndpoint;
+use Hn\McpServer\Http\OAuthTokenEndpoint;
+use Hn\McpServer\Service\DeviceAuthorizationService;
+use Hn\McpServer\Service\OAuthService;
+use Hn\McpServer\Service\TokenScopeService;
+use Hn\McpServer\Tests\Functional\AbstractFunctionalTest;
+use TYPO3\CMS\Core\Http\ServerRequest;
+use TYPO3\CMS\Core\Http\Uri;
+use TYPO3\CMS\Core\Utility\GeneralUtility;
+
+/**
+ * Tests for the OAuth device authorization grant (RFC 8628)
+ */
+class OAuthDeviceFlowTest extends AbstractFunctionalTest
+{
+    private DeviceAuthorizationService $deviceService;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->deviceService = GeneralUtility::makeInstance(DeviceAuthorizationService::class);
+    }
+
+    private function requestDeviceCode(array $params): array
+    {
+        $request = (new ServerRequest(new Uri('https://example.com/mcp_oauth/device_authorization'), 'POST'))
+            ->withParsedBody($params);
+        $response = (new OAuthDeviceAuthorizationEndpoint())($request);
+        $this->assertEquals(200, $response->getStatusCode());
+
+        return json_decode((string)$response->getBody(), true);
+    }
+
+    private function pollToken(string $deviceCode): array
+    {
+        $request = (new ServerRequest(new Uri('https://example.com/mcp_oauth/token'), 'POST'))
+            ->withParsedBody([
+                'grant_type' => DeviceAuthorizationService::GRANT_TYPE,
+                'device_code' => $deviceCode,
+                'client_id' => OAuthService::CLIENT_ID,
+            ]);
+
+        return json_decode((string)(new OAuthTokenEndpoint())($request)->getBody(), true);
+    }
+
+    public function testApprovedDeviceReceivesToken(): void
+    {
+        $authorization = $this->requestDeviceCode(['client_id' => OAuthService::CLIENT_ID, 'client_name' => 'CI Agent']);
+
+        $this->assertMatchesRegularExpression('/^[A-Z]{4}-[A-Z]{4}$/', $authorization['user_code']);
+        $this->assertEquals('https://example.com/typo3/module/user/mcp-server', $authorization['verification_uri']);
+        $this->assertArrayNotHasKey('verification_uri_complete', $authorization, 'The user has to type the code');
+
+        // The request is only found with its code, in lower case and without the dash
+        $this->assertNull($this->deviceService->findPendingAuthorization('BBBB-BBBB'));
+        $pending = $this->deviceService->findPendingAuthorization(strtolower(str_replace('-', '', $authorization['user_code'])));
+        $this->assertEquals('CI Agent', $pending['client_name']);
+        $this->assertArrayNotHasKey('user_code', $pending);
+        $this->assertSame([], $this->deviceService->getApprovedAuthorizations(1));
+
+        $this->assertEquals('authorization_pending', $this->pollToken($authorization['device_code'])['error']);
+        $this->assertEquals('slow_down', $this->pollToken($authorization['device_code'])['error']);
+
+        $this->deviceService->approve($pending['uid'], strtolower(str_replace('-', '', $authorization['user_code'])), 1);
+        $this->assertTrue($this->deviceService->getApprovedAuthorizations(1)[0]['approved']);
+        $this->assertSame([], $this->deviceService->getApprovedAuthorizations(2));
+        $this->assertNull($this->deviceService->findPendingAuthorization($authorization['user_code']), 'Approved requests are no longer pending');
+
+        $tokenData = $this->pollToken($authorization['device_code']);
+        $this->assertArrayHasKey('access_token', $tokenData);
+        $tokenInfo = GeneralUtility::makeInstance(OAuthService::class)->validateToken($tokenData['access_token']);
+        $this->assertEquals(1, $tokenInfo['be_user_uid']);
+        $this->assertEquals('CI Agent', $tokenInfo['client_name']);
+
+        // The device code can only be redeemed once
+        $this->assertEquals('invalid_grant', $this->pollToken($authorization['device_code'])['error']);
+    }
+
+    public function testWrongUserCodeIsRejected(): void
+    {
+        $authorization = $this->requestDeviceCode(['client_id' => OAuthService::CLIENT_ID]);
+        $pending = $this->deviceService->findPendingAuthorization($authorization['user_code']);
+
+        $this->expectException(\InvalidArgumentException::class);
+        $this->deviceService->approve($pending['uid'], 'BBBB-BBBB', 1);
+    }
+
+    public function testDeniedDeviceGetsAccessDenied(): void
+    {
+        $authorization = $this->requestDeviceCode(['client_id' => OAuthService::CLIENT_ID, 'scope' => TokenScopeService::READ_ONLY]);
+        $pending = $this->deviceService->findPendingAuthorization($authorization['user_code']);
+        $this->assertEquals(TokenScopeService::READ_ONLY, $pending['scope']);
+
+        try {
+            $this->deviceService->deny($pending['uid'], 'BBBB-BBBB');
+            $this->fail('Denying needs the user code');
+        } catch (\InvalidArgumentException) {
+        }
+        $this->assertEquals('authorization_pending', $this->pollToken($authorization['device_code'])['error']);
+
+        $this->deviceService->deny($pending['uid'], $authorization['user_code']);
+
+        $this->assertNull($this->deviceService->findPendingAuthorization($authorization['user_code']));
+        $this->assertEquals('access_denied', $this->pollToken($authorization['device_code'])['error']);
+    }
+
+    public function testOpenRequestsAndRequestRateArePerIp(): void
+    {
+        $createRequest = static fn(string $ip) => (new ServerRequest(new Uri('https://example.com/mcp_oauth/device_authorization'), 'POST', 'php://input', [], ['REMOTE_ADDR' => $ip]))
+            ->withParsedBody(['client_id' => OAuthService::CLIENT_ID]);
+        $request = $createRequest('192.0.2.1');
+        $endpoint = new OAuthDeviceAuthorizationEndpoint();
+
+        $userCodes = [];
+        for ($i = 0; $i < 3; $i++) {
+            $response = $endpoint($request);
+            $this->assertEquals(200, $response->getStatusCode());
+            $userCodes[] = json_decode((string)$response->getBody(), true)['user_code'];
+        }
+
+        $response = $endpoint($request);
+        $this->assertEquals(429, $response->getStatusCode());
+        $this->assertEquals('slow_down', json_decode((string)$response->getBody(), true)['error']);
+        $this->assertEquals(200, $endpoint($createRequest('192.0.2.2'))->getStatusCode(), 'Other IP addresses are not affected');
+
+        // Finished requests free their slot, until the hourly request limit is reached
+        $deny = function (string $userCode): void {
+            $this->deviceService->deny($this->deviceService->findPendingAuthorization($userCode)['uid'], $userCode);
+        };
+        for ($i = 3; $i < 10; $i++) {
+            $deny(array_shift($userCodes));
+            $response = $endpoint($request);
+            $this->assertEquals(200, $response->getStatusCode());
+            $userCodes[] = json_decode((string)$response->getBody(), true)['user_code'];
+        }
+        $deny(array_shift($userCodes));
+
+        $response = $endpoint($request);
+        $this->assertEquals(429, $response->getStatusCode());
+        $this->assertGreaterThan(0, (int)$response->getHeaderLine('Retry-After'));
+    }
+
+    public function testUnknownClientCannotRequestDeviceCode(): void
+    {
+        $request = (new ServerRequest(new Uri('https://example.com/mcp_oauth/device_authorization'), 'POST'))
+            ->withParsedBody(['client_id' => 'unknown']);
+
+        $response = (new OAuthDeviceAuthorizationEndpoint())($request);
+
+        $this->assertEquals(400, $response->getStatusCode());
+        $this->assertEquals('invalid_client', json_decode((string)$response->getBody(), true)['error']);
+    }
+
+    public function testMetadataAdvertisesDeviceFlow(): void
+    {
+        $metadata = GeneralUtility::makeInstance(OAuthService::class)->getMetadata('https://example.com');
+
+        $this->assertEquals('https://example.com/mcp_oauth/device_authorization', $metadata['device_authorization_endpoint']);
+        $this->assertContains(DeviceAuthorizationService::GRANT_TYPE, $metadata['grant_types_supported']);
+    }
+}
@@ -0,0 +1,172 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Tests\Functional\Service;
+
+use Hn\McpServer\Service\DebugCaptureService;
+use Hn\McpServer\Service\OAuthService;
+use Hn\McpServer\Tests\Functional\AbstractFunctionalTest;
+use TYPO3\CMS\Core\Http\ServerRequest;
+use TYPO3\CMS\Core\Http\Stream;
+use TYPO3\CMS\Core\Utility\GeneralUtility;
+
+/**
+ * Tests for the debug capture of the JSON-RPC traffic of a token
+ */
+class DebugCaptureTest extends AbstractFunctionalTest
+{
+    private OAuthService $oauthService;
+    private DebugCaptureService $debugCaptureService;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->oauthService = GeneralUtility::makeInstance(OAuthService::class);
+        $this->debugCaptureService = GeneralUtility::makeInstance(DebugCaptureService::class);
+    }
+
+    public function testCaptureCanBeStartedAndStopped(): void
+    {
+        $tokenUid = $this->createToken();
+        $this->assertEquals(0, $this->debugCaptureService->getCaptureUntil($tokenUid));
+
+        $until = $this->debugCaptureService->startCapture($tokenUid, 1, 15);
+        $this->assertEqualsWithDelta(time() + 900, $until, 5);
+        $this->assertEquals($until, $this->debugCaptureService->getCaptureUntil($tokenUid));
+        $this->assertEquals($until, $this->debugCaptureService->getCaptureUntil($tokenUid, 1));
+        $this->assertEquals(0, $this->debugCaptureService->getCaptureUntil($tokenUid, 2), 'Token of another user');
+
+        $this->assertTrue($this->debugCaptureService->stopCapture($tokenUid, 1));
+        $this->assertEquals(0, $this->debugCaptureService->getCaptureUntil($tokenUid));
+    }
+
+    public function testCaptureOfOtherUsersTokenCannotBeStarted(): void
+    {
+        $tokenUid = $this->createToken();
+
+        $this->assertNull($this->debugCaptureService->startCapture($tokenUid, 2, 15));
+        $this->assertEquals(0, $this->debugCaptureService->getCaptureUntil($tokenUid));
+    }
+
+    public function testCaptureDurationIsLimited(): void
+    {
+        $tokenUid = $this->createToken();
+
+        $this->expectException(\InvalidArgumentException::class);
+        $this->debugCaptureService->startCapture($tokenUid, 1, DebugCaptureService::MAX_CAPTURE_MINUTES + 1);
+    }
+
+    public function testCapturedTrafficIsRedacted(): void
+    {
+        $tokenUid = $this->createToken();
+        $request = $this->createRequest('https://example.com/mcp?token=secret-query-token', [
+            'jsonrpc' => '2.0',
+            'id' => 3,
+            'method' => 'tools/call',
+            'params' => [
+                'name' => 'WriteTable',
+                'arguments' => ['table' => 'be_users', 'data' => ['username' => 'editor', 'password' => 'hunter2']],
+            ],
+        ]);
+
+        $this->debugCaptureService->capture($tokenUid, 1, $request, '{"jsonrpc":"2.0","id":3,"result":{"content":[]}}', 200, 42);
+
+        $messages = $this->debugCaptureService->getMessages($tokenUid, 1);
+        $this->assertCount(1, $messages);
+        $message = $messages[0];
+
+        $this->assertEquals('tools/call', $message['rpc_method']);
+        $this->assertEquals('WriteTable', $message['tool']);
+        $this->assertEquals(42, $message['duration']);
+        $this->assertFalse($message['is_error']);
+        $this->assertEquals('Bearer [REDACTED]', $message['headers']['authorization']);
+        $this->assertEquals('application/json', $message['headers']['content-type']);
+        $this->assertStringContainsString('token=[REDACTED]', $message['url']);
+        $this->assertStringNotContainsString('secret-query-token', $message['url']);
+        $this->assertStringContainsString('"editor"', $message['request']);
+        $this->assertStringNotContainsString('hunter2', $message['request']);
+        $this->assertEquals('[REDACTED]', json_decode($message['request'], true)['params']['arguments']['data']['password']);
+    }
+
+    public function testEventStreamMessagesAreRedacted(): void
+    {
+        $tokenUid = $this->createToken();
+        $request = $this->createRequest('https://example.com/mcp', ['jsonrpc' => '2.0', 'id' => 1, 'method' => 'tools/call']);
+        $responseBody = ": keep-alive\n\nevent: message\nid: 7\n"
+            . 'data: {"jsonrpc":"2.0","id":1,"result":{"content":[],"api_key":"sk-live-123"}}' . "\n\n";
+
+        $this->debugCaptureService->capture($tokenUid, 1, $request, $responseBody, 200, 1);
+
+        $response = $this->debugCaptureService->getMessages($tokenUid, 1)[0]['response'];
+        $this->assertStringContainsString("event: message\nid: 7\ndata: ", $response);
+        $this->assertStringContainsString('"api_key":"[REDACTED]"', $response);
+        $this->assertStringNotContainsString('sk-live-123', $response);
+        $this->assertStringNotContainsString('keep-alive', $response);
+    }
+
+    public function testBodiesThatCannotBeRedactedAreNotStored(): void
+    {
+        $tokenUid = $this->createToken();
+        $request = $this->createRequest('https://example.com/mcp', ['jsonrpc' => '2.0', 'id' => 1, 'method' => 'ping']);
+
+        $this->debugCaptureService->capture($tokenUid, 1, $request, "data: password=hunter2\n\n", 200, 1);
+        $this->debugCaptureService->capture($tokenUid, 1, $request, '<html>secret=hunter2</html>', 500, 1);
+
+        foreach ($this->debugCaptureService->getMessages($tokenUid, 1) as $message) {
+            $this->assertStringStartsWith('[NOT STORED', $message['response']);
+            $this->assertStringNotContainsString('hunter2', $message['response']);
+        }
+    }
+
+    public function testJsonRpcErrorIsFlagged(): void
+    {
+        $tokenUid = $this->createToken();
+        $request = $this->createRequest('https://example.com/mcp', ['jsonrpc' => '2.0', 'id' => 1, 'method' => 'unknown/method']);
+
+        $this->debugCaptureService->capture($tokenUid, 1, $request, '{"jsonrpc":"2.0","id":1,"error":{"code":-32601,"message":"Method not found"}}', 200, 1);
+
+        $message = $this->debugCaptureService->getMessages($tokenUid, 1)[0];
+        $this->assertTrue($message['is_error']);
+        $this->assertEquals('', $message['tool']);
+    }
+
+    public function testMessagesAreListedIncrementallyAndPerUser(): void
+    {
+        $tokenUid = $this->createToken();
+        foreach (['initialize', 'tools/list', 'ping'] as $id => $method) {
+            $request = $this->createRequest('https://example.com/mcp', ['jsonrpc' => '2.0', 'id' => $id, 'method' => $method]);
+            $this->debugCaptureService->capture($tokenUid, 1, $request, '{"jsonrpc":"2.0","id":' . $id . ',"result":{}}', 200, 1);
+        }
+
+        $messages = $this->debugCaptureService->getMessages($tokenUid, 1);
+        $this->assertEquals(['initialize', 'tools/list', 'ping'], array_column($messages, 'rpc_method'));
+
+        $newer = $this->debugCaptureService->getMessages($tokenUid, 1, $messages[0]['uid']);
+        $this->assertEquals(['tools/list', 'ping'], array_column($newer, 'rpc_method'));
+
+        $this->assertSame([], $this->debugCaptureService->getMessages($tokenUid, 2));
+        $this->assertEquals(0, $this->debugCaptureService->clearMessages($tokenUid, 2));
+        $this->assertEquals(3, $this->debugCaptureService->clearMessages($tokenUid, 1));
+        $this->assertSame([], $this->debugCaptureService->getMessages($tokenUid, 1));
+    }
+
+    private function createToken(): int
+    {
+        $token = $this->oauthService->createDirectAccessToken(1, 'debugged-client');
+
+        return $this->oauthService->validateToken($token)['token_uid'];
+    }
+
+    private function createRequest(string $url, array $body): ServerRequest
+    {
+        $stream = new Stream('php://temp', 'rw');
+        $stream->write(json_encode($body));
+        $stream->rewind();
+
+        return new ServerRequest($url, 'POST', $stream, [
+            'Authorization' => 'Bearer secret-header-token',
+            'Content-Type' => 'application/json',
+        ]);
+    }
+}
@@ -0,0 +1,119 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Tests\Functional\Service;
+
+use Hn\McpServer\Controller\McpServerModuleController;
+use Hn\McpServer\Service\EffectivePermissionsService;
+use Hn\McpServer\Tests\Functional\AbstractFunctionalTest;
+use TYPO3\CMS\Core\Http\ServerRequest;
+use TYPO3\CMS\Core\Http\Uri;
+use TYPO3\CMS\Core\Utility\GeneralUtility;
+
+/**
+ * Tests for the effective permissions explorer
+ */
+class EffectivePermissionsServiceTest extends AbstractFunctionalTest
+{
+    private EffectivePermissionsService $service;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->service = GeneralUtility::makeInstance(EffectivePermissionsService::class);
+
+        $this->getConnectionForTable('be_groups')->insert('be_groups', [
+            'uid' => 1,
+            'pid' => 0,
+            'title' => 'Editors',
+            'tables_select' => 'pages,tt_content',
+            'tables_modify' => 'tt_content',
+            'explicit_allowdeny' => 'tt_content:CType:text',
+        ]);
+        $this->getConnectionForTable('be_users')->insert('be_users', [
+            'uid' => 2,
+            'pid' => 0,
+            'username' => 'editor',
+            'admin' => 0,
+            'usergroup' => '1',
+            'db_mountpoints' => '1',
+            'options' => 3,
+        ]);
+        $this->getConnectionForTable('sys_workspace')->insert('sys_workspace', [
+            'uid' => 50,
+            'pid' => 0,
+            'title' => 'Editor Workspace',
+            'members' => 'be_users_2',
+        ]);
+    }
+
+    public function testTablesAndHiddenFieldsOfEditor(): void
+    {
+        $permissions = $this->service->getEffectivePermissions(2);
+
+        $this->assertEquals('editor', $permissions['user']['username']);
+        $this->assertFalse($permissions['user']['admin']);
+
+        $tables = array_column($permissions['tables'], null, 'table');
+        $this->assertTrue($tables['tt_content']['readable']);
+        $this->assertTrue($tables['tt_content']['writable']);
+        $this->assertTrue($tables['pages']['readable']);
+        $this->assertFalse($tables['pages']['writable']);
+        $this->assertFalse($tables['sys_category']['readable']);
+        $this->assertNotEmpty($tables['sys_category']['reasons']);
+
+        // Exclude fields are hidden unless granted via non_exclude_fields
+        $hiddenFields = array_column($tables['tt_content']['hidden_fields'], 'reason', 'field');
+        $this->assertArrayHasKey('hidden', $hiddenFields);
+        $this->assertStringContainsString('Exclude field', $hiddenFields['hidden']);
+    }
+
+    public function testMountsContentTypesAndWorkspacesOfEditor(): void
+    {
+        $permissions = $this->service->getEffectivePermissions(2);
+
+        $this->assertFalse($permissions['pages']['all']);
+        $this->assertEquals([1], array_column($permissions['pages']['mounts'], 'uid'));
+        $this->assertFalse($permissions['file_mounts']['all']);
+        $this->assertSame([], $permissions['file_mounts']['mounts']);
+
+        $this->assertContains('text', array_column($permissions['content_types']['allowed'], 'value'));
+        $this->assertContains('header', array_column($permissions['content_types']['denied'], 'value'));
+
+        $this->assertEquals([50], array_column($permissions['workspaces'], 'uid'));
+    }
+
+    public function testEvaluationDoesNotChangeTheCurrentUser(): void
+    {
+        $currentUser = $GLOBALS['BE_USER'];
+
+        $this->service->getEffectivePermissions(2);
+
+        $this->assertSame($currentUser, $GLOBALS['BE_USER']);
+    }
+
+    public function testAdminHasAccessToAllPagesAndFiles(): void
+    {
+        $permissions = $this->service->getEffectivePermissions(1);
+
+        $this->assertTrue($permissions['user']['admin']);
+        $this->assertTrue($permissions['pages']['all']);
+        $this->assertTrue($permissions['file_mounts']['all']);
+    }
+
+    public function testOnlyAdminsCanInspectOtherUsers(): void
+    {
+        $controller = GeneralUtility::getContainer()->get(McpServerModuleController::class);
+        $request = (new ServerRequest(new Uri('https://example.com/typo3/ajax/mcp-server/get-effective-permissions'), 'POST'))
+            ->withParsedBody(['userId' => 1]);
+
+        $this->assertEquals(200, $controller->getEffectivePermissionsAction($request)->getStatusCode());
+
+        $this->setupDefaultBackendUser(2);
+        $this->assertEquals(403, $controller->getEffectivePermissionsAction($request)->getStatusCode());
+
+        $ownData = json_decode((string)$controller->getEffectivePermissionsAction($request->withParsedBody([]))->getBody(), true);
+        $this->assertEquals('editor', $ownData['user']['username']);
+    }
+}
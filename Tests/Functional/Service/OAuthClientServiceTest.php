@@ -0,0 +1,139 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Tests\Functional\Service;
+
+use Hn\McpServer\Service\OAuthClientService;
+use Hn\McpServer\Service\OAuthService;
+use Hn\McpServer\Tests\Functional\AbstractFunctionalTest;
+use TYPO3\CMS\Core\Utility\GeneralUtility;
+
+/**
+ * Tests for the management of dynamically registered OAuth clients
+ */
+class OAuthClientServiceTest extends AbstractFunctionalTest
+{
+    private OAuthService $oauthService;
+    private OAuthClientService $clientService;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->oauthService = GeneralUtility::makeInstance(OAuthService::class);
+        $this->clientService = GeneralUtility::makeInstance(OAuthClientService::class);
+    }
+
+    /**
+     * Register a client and issue a token to it through the authorization code flow
+     */
+    private function registerClientWithToken(string $clientName): array
+    {
+        $client = $this->oauthService->registerClient([
+            'client_name' => $clientName,
+            'redirect_uris' => ['http://localhost:3000/callback'],
+        ]);
+        $code = $this->oauthService->createAuthorizationCode(1, $clientName, 'http://localhost:3000/callback', '', 'S256', $client['client_id']);
+        $token = $this->oauthService->exchangeCodeForToken($code, null, null, $client['client_id']);
+        $this->assertNotNull($token);
+
+        return [$client, $token['access_token']];
+    }
+
+    public function testRegisteredClientsAreListedWithTheirTokens(): void
+    {
+        [$client] = $this->registerClientWithToken('Claude Desktop');
+
+        $clients = $this->clientService->getClients();
+
+        $this->assertCount(1, $clients);
+        $this->assertEquals($client['client_id'], $clients[0]['client_id']);
+        $this->assertEquals('Claude Desktop', $clients[0]['client_name']);
+        $this->assertEquals(['http://localhost:3000/callback'], $clients[0]['redirect_uris']);
+        $this->assertFalse($clients[0]['blocked']);
+        $this->assertCount(1, $clients[0]['tokens']);
+        $this->assertEquals('admin', $clients[0]['tokens'][0]['username']);
+    }
+
+    public function testCodeCannotBeRedeemedByAnotherClient(): void
+    {
+        $client = $this->oauthService->registerClient(['client_name' => 'Client A', 'redirect_uris' => ['http://localhost']]);
+        $code = $this->oauthService->createAuthorizationCode(1, 'Client A', '', '', 'S256', $client['client_id']);
+
+        $this->assertNull($this->oauthService->exchangeCodeForToken($code, null, null, OAuthService::CLIENT_ID));
+    }
+
+    public function testBlockingRevokesTokensAndRejectsClient(): void
+    {
+        [$client, $accessToken] = $this->registerClientWithToken('Compromised Client');
+        $clientUid = $this->clientService->getClients()[0]['uid'];
+
+        $this->assertTrue($this->clientService->isClientAllowed($client['client_id']));
+        $this->assertTrue($this->clientService->setBlocked($clientUid, true));
+
+        $this->assertFalse($this->clientService->isClientAllowed($client['client_id']));
+        $this->assertNull($this->oauthService->validateToken($accessToken));
+
+        $this->clientService->setBlocked($clientUid, false);
+        $this->assertTrue($this->clientService->isClientAllowed($client['client_id']));
+        $this->assertTrue($this->clientService->isClientAllowed(OAuthService::CLIENT_ID));
+    }
+
+    public function testDeletingCascadesToTokens(): void
+    {
+        [$client, $accessToken] = $this->registerClientWithToken('Old Client');
+        $otherToken = $this->oauthService->createDirectAccessToken(1, 'Manual token');
+
+        $revokedCount = $this->clientService->deleteClient($this->clientService->getClients()[0]['uid']);
+
+        $this->assertSame(1, $revokedCount);
+        $this->assertSame([], $this->clientService->getClients());
+        $this->assertNull($this->clientService->getClient($client['client_id']));
+        $this->assertNull($this->oauthService->validateToken($accessToken));
+        $this->assertNotNull($this->oauthService->validateToken($otherToken));
+        $this->assertNull($this->clientService->deleteClient(999));
+    }
+
+    public function testOnlyUnauthorizedDiagnosticsClientsCanBeRemoved(): void
+    {
+        $diagnosticsClient = $this->oauthService->registerClient([
+            'client_name' => OAuthClientService::DIAGNOSTICS_CLIENT_NAME,
+            'redirect_uris' => ['http://localhost/mcp-diagnostics'],
+        ]);
+        [$realClient] = $this->registerClientWithToken('Claude Desktop');
+        $this->clientService->markAuthorized($realClient['client_id']);
+
+        $this->assertFalse($this->clientService->deleteDiagnosticsClient($realClient['client_id']));
+        $this->assertTrue($this->clientService->deleteDiagnosticsClient($diagnosticsClient['client_id']));
+
+        $this->assertNull($this->clientService->getClient($diagnosticsClient['client_id']));
+        $this->assertNotNull($this->clientService->getClient($realClient['client_id']));
+    }
+
+    public function testRedirectUriPatternsRestrictRegistration(): void
+    {
+        $this->assertTrue($this->clientService->isRedirectUriAllowed('https://evil.example.com/callback'));
+
+        $this->clientService->setAllowedRedirectUriPatterns(['https://claude.ai/api/mcp/auth_callback', ' http://localhost:* ', '']);
+
+        $this->assertEquals(
+            ['https://claude.ai/api/mcp/auth_callback', 'http://localhost:*'],
+            $this->clientService->getAllowedRedirectUriPatterns()
+        );
+        $this->assertTrue($this->clientService->isRedirectUriAllowed('http://localhost:6274/oauth/callback'));
+        $this->assertTrue($this->clientService->isRedirectUriAllowed('https://claude.ai/api/mcp/auth_callback'));
+        $this->assertFalse($this->clientService->isRedirectUriAllowed('https://claude.ai.evil.example.com/api/mcp/auth_callback'));
+
+        $this->expectException(\InvalidArgumentException::class);
+        $this->oauthService->registerClient([
+            'client_name' => 'Evil Client',
+            'redirect_uris' => ['https://evil.example.com/callback'],
+        ]);
+    }
+
+    public function testPatternsMustHaveAScheme(): void
+    {
+        $this->expectException(\InvalidArgumentException::class);
+        $this->clientService->setAllowedRedirectUriPatterns(['localhost']);
+    }
+}
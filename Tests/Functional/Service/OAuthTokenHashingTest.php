@@ -52,6 +52,21 @@ class OAuthTokenHashingTest extends AbstractFunctionalTest
         $this->assertEquals(1, $result['be_user_uid']);
     }
 
+    public function testTokenUidIsFoundWithoutRecordingUsage(): void
+    {
+        $plainToken = $this->service->createDirectAccessToken(1, 'test-client');
+        $connection = GeneralUtility::makeInstance(ConnectionPool::class)
+            ->getConnectionForTable('tx_mcpserver_access_tokens');
+        $connection->update('tx_mcpserver_access_tokens', ['last_used' => 0], ['be_user_uid' => 1]);
+
+        $uid = $this->service->findTokenUid($plainToken);
+
+        $row = $connection->select(['uid', 'last_used'], 'tx_mcpserver_access_tokens', ['be_user_uid' => 1])->fetchAssociative();
+        $this->assertSame((int)$row['uid'], $uid);
+        $this->assertSame(0, (int)$row['last_used'], 'Looking up the uid must not count as usage');
+        $this->assertNull($this->service->findTokenUid('unknown'));
+    }
+
     public function testWrongTokenIsRejected(): void
     {
         $this->service->createDirectAccessToken(1, 'test-client');
@@ -0,0 +1,80 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Tests\Functional\Service;
+
+use Hn\McpServer\Service\OAuthService;
+use Hn\McpServer\Tests\Functional\AbstractFunctionalTest;
+use TYPO3\CMS\Core\Utility\GeneralUtility;
+
+/**
+ * Tests for configurable token lifetimes and token renewal
+ */
+class OAuthTokenLifetimeTest extends AbstractFunctionalTest
+{
+    protected array $configurationToUseInTestInstance = [
+        'EXTENSIONS' => [
+            'mcp_server' => [
+                'maxTokenLifetimeDays' => 90,
+            ],
+        ],
+    ];
+
+    private OAuthService $oauthService;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->oauthService = GeneralUtility::makeInstance(OAuthService::class);
+    }
+
+    public function testMaxLifetimeIsReadFromExtensionConfiguration(): void
+    {
+        $this->assertEquals(90 * 86400, $this->oauthService->getMaxTokenLifetime());
+    }
+
+    public function testTokenUsesRequestedLifetime(): void
+    {
+        $this->oauthService->createDirectAccessToken(1, 'weekly', null, 'mcp_access', 7 * 86400);
+
+        $tokens = $this->oauthService->getUserTokens(1);
+        $this->assertCount(1, $tokens);
+        $this->assertEqualsWithDelta(time() + 7 * 86400, $tokens[0]['expires'], 5);
+    }
+
+    public function testLifetimeAboveMaximumIsRejected(): void
+    {
+        $this->expectException(\InvalidArgumentException::class);
+        $this->oauthService->createDirectAccessToken(1, 'yearly', null, 'mcp_access', 365 * 86400);
+    }
+
+    public function testRenewExtendsExpiryWithoutRotatingSecret(): void
+    {
+        $plainToken = $this->oauthService->createDirectAccessToken(1, 'renewable', null, 'mcp_access', 7 * 86400);
+        $tokenUid = $this->oauthService->validateToken($plainToken)['token_uid'];
+
+        $expires = $this->oauthService->renewToken($tokenUid, 1, 90 * 86400);
+
+        $this->assertEqualsWithDelta(time() + 90 * 86400, $expires, 5);
+        $this->assertNotNull($this->oauthService->validateToken($plainToken), 'The existing secret must stay valid');
+        $this->assertEquals($expires, $this->oauthService->getUserTokens(1)[0]['expires']);
+    }
+
+    public function testRenewRequiresOwnership(): void
+    {
+        $plainToken = $this->oauthService->createDirectAccessToken(1, 'foreign');
+        $tokenUid = $this->oauthService->validateToken($plainToken)['token_uid'];
+
+        $this->assertNull($this->oauthService->renewToken($tokenUid, 2, 7 * 86400));
+    }
+
+    public function testRenewIsLimitedByMaximum(): void
+    {
+        $plainToken = $this->oauthService->createDirectAccessToken(1, 'capped');
+        $tokenUid = $this->oauthService->validateToken($plainToken)['token_uid'];
+
+        $this->expectException(\InvalidArgumentException::class);
+        $this->oauthService->renewToken($tokenUid, 1, 91 * 86400);
+    }
+}
@@ -0,0 +1,84 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Tests\Functional\Service;
+
+use Hn\McpServer\Service\OAuthService;
+use Hn\McpServer\Tests\Functional\AbstractFunctionalTest;
+use TYPO3\CMS\Core\Utility\GeneralUtility;
+
+/**
+ * Tests for rotating token secrets with a grace period for the previous secret
+ */
+class OAuthTokenRotationTest extends AbstractFunctionalTest
+{
+    private OAuthService $oauthService;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->oauthService = GeneralUtility::makeInstance(OAuthService::class);
+    }
+
+    public function testRotationIssuesNewSecretForSameRecord(): void
+    {
+        $oldToken = $this->oauthService->createDirectAccessToken(1, 'n8n');
+        $tokenUid = $this->oauthService->validateToken($oldToken)['token_uid'];
+
+        $rotated = $this->oauthService->rotateToken($tokenUid, 1);
+
+        $this->assertNotNull($rotated);
+        $this->assertNotEquals($oldToken, $rotated['access_token']);
+        $newInfo = $this->oauthService->validateToken($rotated['access_token']);
+        $this->assertEquals($tokenUid, $newInfo['token_uid']);
+        $this->assertEquals('n8n', $newInfo['client_name']);
+        $this->assertCount(1, $this->oauthService->getUserTokens(1));
+    }
+
+    public function testPreviousSecretStaysValidDuringGracePeriod(): void
+    {
+        $oldToken = $this->oauthService->createDirectAccessToken(1, 'manus');
+        $tokenUid = $this->oauthService->validateToken($oldToken)['token_uid'];
+
+        $rotated = $this->oauthService->rotateToken($tokenUid, 1);
+
+        $this->assertEqualsWithDelta(time() + 24 * 3600, $rotated['previous_valid_until'], 5);
+        $this->assertEquals($tokenUid, $this->oauthService->validateToken($oldToken)['token_uid']);
+    }
+
+    public function testPreviousSecretIsRejectedAfterGracePeriod(): void
+    {
+        $oldToken = $this->oauthService->createDirectAccessToken(1, 'expired-grace');
+        $tokenUid = $this->oauthService->validateToken($oldToken)['token_uid'];
+        $this->oauthService->rotateToken($tokenUid, 1);
+
+        $this->getConnectionForTable('tx_mcpserver_access_tokens')->update(
+            'tx_mcpserver_access_tokens',
+            ['previous_token_expires' => time() - 1],
+            ['uid' => $tokenUid]
+        );
+
+        $this->assertNull($this->oauthService->validateToken($oldToken));
+    }
+
+    public function testRevokedTokenRejectsPreviousSecret(): void
+    {
+        $oldToken = $this->oauthService->createDirectAccessToken(1, 'revoked');
+        $tokenUid = $this->oauthService->validateToken($oldToken)['token_uid'];
+        $rotated = $this->oauthService->rotateToken($tokenUid, 1);
+
+        $this->oauthService->revokeToken($tokenUid, 1);
+
+        $this->assertNull($this->oauthService->validateToken($oldToken));
+        $this->assertNull($this->oauthService->validateToken($rotated['access_token']));
+    }
+
+    public function testRotationRequiresOwnership(): void
+    {
+        $oldToken = $this->oauthService->createDirectAccessToken(1, 'foreign');
+        $tokenUid = $this->oauthService->validateToken($oldToken)['token_uid'];
+
+        $this->assertNull($this->oauthService->rotateToken($tokenUid, 2));
+    }
+}
@@ -0,0 +1,148 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Tests\Functional\Service;
+
+use Hn\McpServer\Service\PromptLibraryService;
+use Hn\McpServer\Tests\Functional\AbstractFunctionalTest;
+
+/**
+ * Tests for the prompt library served through the MCP prompts capability
+ */
+class PromptLibraryServiceTest extends AbstractFunctionalTest
+{
+    private PromptLibraryService $promptLibraryService;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->promptLibraryService = new PromptLibraryService();
+
+        $this->getConnectionForTable('be_groups')->insert('be_groups', ['uid' => 5, 'pid' => 0, 'title' => 'Editors']);
+        $this->getConnectionForTable('be_groups')->insert('be_groups', ['uid' => 6, 'pid' => 0, 'title' => 'Translators']);
+        $this->getConnectionForTable('be_users')->insert('be_users', ['uid' => 2, 'pid' => 0, 'username' => 'editor', 'admin' => 0, 'usergroup' => '5']);
+    }
+
+    public function testArgumentsFollowThePlaceholdersOfTheTemplate(): void
+    {
+        $promptUid = $this->promptLibraryService->savePrompt([
+            'name' => 'translate-page',
+            'title' => 'Translate page',
+            'template' => 'Translate page {uid} to {language}. Keep the tone of {uid}. {tone}',
+            'arguments' => [
+                ['name' => 'language', 'description' => 'Target language'],
+                ['name' => 'tone', 'required' => false],
+                ['name' => 'removed', 'description' => 'No longer in the template'],
+            ],
+        ], 0, 1);
+
+        $prompt = $this->promptLibraryService->getPrompt($promptUid);
+        $this->assertEquals([
+            ['name' => 'uid', 'description' => '', 'required' => true],
+            ['name' => 'language', 'description' => 'Target language', 'required' => true],
+            ['name' => 'tone', 'description' => '', 'required' => false],
+        ], $prompt['arguments']);
+        $this->assertEquals(1, $prompt['be_user_uid']);
+
+        $list = $this->promptLibraryService->getPromptList(null, null);
+        $this->assertEquals('translate-page', $list[0]['name']);
+        $this->assertArrayNotHasKey('description', $list[0], 'Empty values are left out');
+    }
+
+    public function testPromptIsRenderedWithArguments(): void
+    {
+        $this->promptLibraryService->savePrompt([
+            'name' => 'news-teaser',
+            'description' => 'Teaser for the news list',
+            'template' => 'Write a news teaser for page {uid} in {style} style',
+            'arguments' => [['name' => 'style', 'required' => false]],
+        ]);
+
+        $result = $this->promptLibraryService->renderPrompt('news-teaser', ['uid' => '12', 'style' => '{uid}'], null, null);
+
+        $this->assertEquals('Teaser for the news list', $result['description']);
+        $this->assertEquals('user', $result['messages'][0]['role']);
+        $this->assertEquals('Write a news teaser for page 12 in {uid} style', $result['messages'][0]['content']['text']);
+
+        $result = $this->promptLibraryService->renderPrompt('news-teaser', ['uid' => '12'], null, null);
+        $this->assertEquals('Write a news teaser for page 12 in  style', $result['messages'][0]['content']['text']);
+
+        $this->expectException(\InvalidArgumentException::class);
+        $this->promptLibraryService->renderPrompt('news-teaser', ['style' => 'short'], null, null);
+    }
+
+    public function testPromptsAreScopedToSitesAndGroups(): void
+    {
+        $this->promptLibraryService->savePrompt(['name' => 'everywhere', 'template' => 'A']);
+        $this->promptLibraryService->savePrompt(['name' => 'main-site', 'template' => 'B', 'sites' => ['main']]);
+        $this->promptLibraryService->savePrompt(['name' => 'editors', 'template' => 'C', 'be_groups' => [5]]);
+        $this->promptLibraryService->savePrompt(['name' => 'translators', 'template' => 'D', 'be_groups' => [6]]);
+        $this->promptLibraryService->savePrompt(['name' => 'disabled', 'template' => 'E', 'disabled' => true]);
+
+        $admin = $this->setupDefaultBackendUser(1);
+        $this->assertEquals(
+            ['editors', 'everywhere', 'main-site', 'translators'],
+            array_column($this->promptLibraryService->getPromptList(null, $admin), 'name')
+        );
+        $this->assertEquals(
+            ['editors', 'everywhere', 'translators'],
+            array_column($this->promptLibraryService->getPromptList(['other'], $admin), 'name')
+        );
+
+        $editor = $this->setupDefaultBackendUser(2);
+        $this->assertEquals(
+            ['editors', 'everywhere', 'main-site'],
+            array_column($this->promptLibraryService->getPromptList(['main'], $editor), 'name')
+        );
+
+        $this->expectException(\InvalidArgumentException::class);
+        $this->promptLibraryService->renderPrompt('translators', [], ['main'], $editor);
+    }
+
+    public function testModuleOnlyListsPromptsOfTheUsersGroups(): void
+    {
+        $this->promptLibraryService->savePrompt(['name' => 'everywhere', 'template' => 'A'], 0, 1);
+        $this->promptLibraryService->savePrompt(['name' => 'editors', 'template' => 'B', 'be_groups' => [5]], 0, 1);
+        $this->promptLibraryService->savePrompt(['name' => 'translators', 'template' => 'C', 'be_groups' => [6]], 0, 1);
+        $this->promptLibraryService->savePrompt(['name' => 'own-translators', 'template' => 'D', 'be_groups' => [6]], 0, 2);
+
+        $this->assertEquals(
+            ['editors', 'everywhere', 'own-translators', 'translators'],
+            array_column($this->promptLibraryService->getPromptsForUser($this->setupDefaultBackendUser(1)), 'name')
+        );
+        $this->assertEquals(
+            ['editors', 'everywhere', 'own-translators'],
+            array_column($this->promptLibraryService->getPromptsForUser($this->setupDefaultBackendUser(2)), 'name')
+        );
+    }
+
+    public function testOnlyAuthorAndAdminsCanEdit(): void
+    {
+        $prompt = $this->promptLibraryService->getPrompt(
+            $this->promptLibraryService->savePrompt(['name' => 'by-admin', 'template' => 'A'], 0, 1)
+        );
+
+        $this->assertTrue($this->promptLibraryService->canEdit($prompt, $this->setupDefaultBackendUser(1)));
+        $this->assertFalse($this->promptLibraryService->canEdit($prompt, $this->setupDefaultBackendUser(2)));
+    }
+
+    public function testInvalidPromptsAreRejected(): void
+    {
+        $this->promptLibraryService->savePrompt(['name' => 'news-teaser', 'template' => 'A']);
+
+        foreach ([
+            ['name' => 'News Teaser', 'template' => 'A'],
+            ['name' => 'news-teaser', 'template' => 'A'],
+            ['name' => 'empty', 'template' => '  '],
+            ['name' => 'too-long', 'template' => str_repeat('a', PromptLibraryService::MAX_TEMPLATE_LENGTH + 1)],
+        ] as $data) {
+            try {
+                $this->promptLibraryService->savePrompt($data);
+                $this->fail('Expected the prompt to be rejected: ' . $data['name']);
+            } catch (\InvalidArgumentException) {
+            }
+        }
+        $this->assertCount(1, $this->promptLibraryService->getPrompts());
+    }
+}
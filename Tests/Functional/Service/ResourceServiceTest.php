@@ -0,0 +1,92 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Tests\Functional\Service;
+
+use Hn\McpServer\Service\ResourceService;
+use Hn\McpServer\Service\TokenScopeService;
+use Hn\McpServer\Service\ToolSettingsService;
+use Hn\McpServer\Tests\Functional\AbstractFunctionalTest;
+use TYPO3\CMS\Core\Utility\GeneralUtility;
+
+/**
+ * Tests for the pages and backend layouts exposed as MCP resources
+ */
+class ResourceServiceTest extends AbstractFunctionalTest
+{
+    private ResourceService $resourceService;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->importCSVDataSet(__DIR__ . '/../Fixtures/backend_layout.csv');
+        $this->resourceService = GeneralUtility::makeInstance(ResourceService::class);
+    }
+
+    public function testBackendLayoutsAreListedWithTheirColumns(): void
+    {
+        $resources = array_column($this->resourceService->getResourceList(), null, 'uri');
+        $this->assertEquals('2 Column Layout', $resources['typo3://backend-layouts/1']['name']);
+        $this->assertEquals('application/json', $resources['typo3://backend-layouts/1']['mimeType']);
+
+        $content = $this->resourceService->readResource('typo3://backend-layouts/1')['contents'][0];
+        $layout = json_decode($content['text'], true);
+
+        $this->assertEquals('typo3://backend-layouts/1', $content['uri']);
+        $this->assertEquals('2 Column Layout', $layout['title']);
+        $this->assertEquals([
+            ['colPos' => 0, 'name' => 'Main Content Area'],
+            ['colPos' => 1, 'name' => 'Sidebar Content'],
+        ], $layout['columns']);
+    }
+
+    public function testPageIsReadThroughGetPage(): void
+    {
+        $content = $this->resourceService->readResource('typo3://pages/2')['contents'][0];
+
+        $this->assertEquals('text/plain', $content['mimeType']);
+        $this->assertStringContainsString('About', $content['text']);
+    }
+
+    public function testPageIsNotReadWhenGetPageIsDisabled(): void
+    {
+        (new ToolSettingsService())->setSettings(['GetPage' => ['disabled' => true]]);
+
+        $this->assertEquals([], $this->resourceService->getResourceTemplates());
+        $this->assertStringNotContainsString(ResourceService::PAGE_URI, implode(',', array_column($this->resourceService->getResourceList(), 'uri')));
+
+        $this->expectException(\InvalidArgumentException::class);
+        $this->resourceService->readResource('typo3://pages/2');
+    }
+
+    public function testPageIsOnlyReadWhenTheScopeAllowsGetPage(): void
+    {
+        $tokenScopeService = GeneralUtility::makeInstance(TokenScopeService::class);
+        $allowed = $tokenScopeService->buildScope(TokenScopeService::TYPE_TOOLS, ['GetPage']);
+        $restricted = $tokenScopeService->buildScope(TokenScopeService::TYPE_TOOLS, ['ReadTable']);
+
+        $this->assertNotEmpty($this->resourceService->readResource('typo3://pages/2', $allowed)['contents']);
+        $this->assertEquals([], $this->resourceService->getResourceTemplates($restricted));
+        $this->assertEquals(
+            ['typo3://backend-layouts/1', 'typo3://backend-layouts/2'],
+            array_column($this->resourceService->getResourceList(null, $restricted), 'uri'),
+            'Backend layouts stay available'
+        );
+
+        $this->expectException(\InvalidArgumentException::class);
+        $this->resourceService->readResource('typo3://pages/2', $restricted);
+    }
+
+    public function testUnknownResourcesAreRejected(): void
+    {
+        foreach (['typo3://pages/999', 'typo3://backend-layouts/99', 'https://example.com'] as $uri) {
+            try {
+                $this->resourceService->readResource($uri);
+                $this->fail('Expected the resource to be rejected: ' . $uri);
+            } catch (\InvalidArgumentException) {
+            }
+        }
+        $this->assertEquals('typo3://pages/{uid}', $this->resourceService->getResourceTemplates()[0]['uriTemplate']);
+    }
+}
@@ -0,0 +1,124 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Tests\Functional\Service;
+
+use Hn\McpServer\Controller\McpServerModuleController;
+use Hn\McpServer\Service\OAuthService;
+use Hn\McpServer\Service\ServiceAccountService;
+use Hn\McpServer\Tests\Functional\AbstractFunctionalTest;
+use TYPO3\CMS\Core\Http\ServerRequest;
+use TYPO3\CMS\Core\Http\Uri;
+use TYPO3\CMS\Core\Utility\GeneralUtility;
+
+/**
+ * Tests for the backend users that own the tokens of automations
+ */
+class ServiceAccountServiceTest extends AbstractFunctionalTest
+{
+    private ServiceAccountService $serviceAccountService;
+    private OAuthService $oauthService;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->serviceAccountService = new ServiceAccountService();
+        $this->oauthService = GeneralUtility::makeInstance(OAuthService::class);
+
+        $this->getConnectionForTable('be_groups')->insert('be_groups', ['uid' => 5, 'pid' => 0, 'title' => 'Automation']);
+        $this->getConnectionForTable('sys_filemounts')->insert('sys_filemounts', ['uid' => 7, 'pid' => 0, 'title' => 'Imports', 'identifier' => '1:/imports/']);
+        $this->getConnectionForTable('sys_workspace')->insert('sys_workspace', ['uid' => 3, 'pid' => 0, 'title' => 'Automation Review', 'members' => 'be_groups_5']);
+    }
+
+    public function testServiceAccountIsCreatedFromTemplate(): void
+    {
+        $userUid = $this->serviceAccountService->createServiceAccount('mcp-n8n', 'n8n automation', [5], [7], 3, 'admin');
+
+        $user = $this->getConnectionForTable('be_users')->select(['*'], 'be_users', ['uid' => $userUid])->fetchAssociative();
+        $this->assertEquals('mcp-n8n', $user['username']);
+        $this->assertEquals(1, (int)$user['tx_mcpserver_service_account']);
+        $this->assertEquals(0, (int)$user['admin']);
+        $this->assertEquals('5', $user['usergroup']);
+        $this->assertEquals('7', $user['file_mountpoints']);
+        $this->assertEquals(3, (int)$user['workspace_id']);
+        $this->assertEquals(0, (int)$user['workspace_perms'], 'Accounts bound to a workspace must not edit live');
+        $this->assertNotEmpty($user['password']);
+
+        $members = $this->getConnectionForTable('sys_workspace')->select(['members'], 'sys_workspace', ['uid' => 3])->fetchOne();
+        $this->assertEquals('be_groups_5,be_users_' . $userUid, $members);
+
+        $accounts = $this->serviceAccountService->getServiceAccounts();
+        $this->assertCount(1, $accounts, 'Regular backend users are not listed');
+        $this->assertFalse($accounts[0]['live_edit']);
+        $this->assertEquals(['Automation'], array_column($this->serviceAccountService->getTemplateOptions()['groups'], 'title'));
+    }
+
+    public function testInvalidTemplatesAreRejected(): void
+    {
+        $this->serviceAccountService->createServiceAccount('mcp-n8n', '', [], [], 0);
+
+        foreach ([
+            ['Not Valid', [], []],
+            ['mcp-n8n', [], []],
+            ['admin', [], []],
+            ['mcp-zapier', [99], []],
+            ['mcp-zapier', [], [99]],
+        ] as [$username, $groups, $fileMounts]) {
+            try {
+                $this->serviceAccountService->createServiceAccount($username, '', $groups, $fileMounts, 0);
+                $this->fail('Expected the service account to be rejected: ' . $username);
+            } catch (\InvalidArgumentException) {
+            }
+        }
+
+        $this->expectException(\InvalidArgumentException::class);
+        $this->serviceAccountService->createServiceAccount('mcp-zapier', '', [], [], 99);
+    }
+
+    public function testServiceAccountTokensAreListedSeparately(): void
+    {
+        $userUid = $this->serviceAccountService->createServiceAccount('mcp-n8n', '', [5], [], 0);
+        $this->oauthService->createDirectAccessToken($userUid, 'n8n');
+        $this->oauthService->createDirectAccessToken(1, 'Claude Desktop');
+
+        $this->assertEquals(['n8n'], array_column($this->oauthService->getAllTokens('', 'created', 'DESC', 'service'), 'client_name'));
+        $this->assertEquals(['Claude Desktop'], array_column($this->oauthService->getAllTokens('', 'created', 'DESC', 'personal'), 'client_name'));
+        $this->assertCount(2, $this->oauthService->getAllTokens());
+    }
+
+    public function testTokenIsBoundToTheWorkspaceOfTheAccount(): void
+    {
+        $userUid = $this->serviceAccountService->createServiceAccount('mcp-n8n', '', [5], [], 3);
+        $controller = GeneralUtility::getContainer()->get(McpServerModuleController::class);
+
+        $response = $controller->createServiceAccountTokenAction($this->createRequest(['userId' => $userUid, 'clientName' => 'n8n', 'scope' => 'read_only']));
+        $data = json_decode((string)$response->getBody(), true);
+
+        $this->assertTrue($data['success']);
+        $tokenData = $this->oauthService->validateToken($data['token']);
+        $this->assertEquals($userUid, (int)$tokenData['be_user_uid']);
+        $this->assertEquals(3, (int)$tokenData['workspace_uid']);
+        $this->assertEquals(['n8n'], array_column($data['accounts'][0]['tokens'], 'client_name'));
+        $this->assertTrue($data['accounts'][0]['tokens'][0]['service_account']);
+    }
+
+    public function testDisabledAccountGetsNoNewTokens(): void
+    {
+        $userUid = $this->serviceAccountService->createServiceAccount('mcp-n8n', '', [5], [], 0);
+        $this->assertTrue($this->serviceAccountService->setDisabled($userUid, true));
+        $this->assertFalse($this->serviceAccountService->setDisabled(1, true), 'Regular users are not touched');
+
+        $controller = GeneralUtility::getContainer()->get(McpServerModuleController::class);
+        $response = $controller->createServiceAccountTokenAction($this->createRequest(['userId' => $userUid, 'clientName' => 'n8n']));
+
+        $this->assertEquals(404, $response->getStatusCode());
+        $this->assertNull($this->serviceAccountService->getActiveServiceAccount($userUid));
+    }
+
+    private function createRequest(array $body): ServerRequest
+    {
+        return (new ServerRequest(new Uri('https://example.com/typo3/ajax/mcp-server/create-service-account-token'), 'POST'))
+            ->withParsedBody($body);
+    }
+}
@@ -0,0 +1,181 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Tests\Functional\Service;
+
+use Hn\McpServer\MCP\Tool\Record\WriteTableTool;
+use Hn\McpServer\Service\OAuthService;
+use Hn\McpServer\Service\RecordingExportService;
+use Hn\McpServer\Service\SessionRecordingService;
+use Hn\McpServer\Service\TokenContextService;
+use Hn\McpServer\Tests\Functional\AbstractFunctionalTest;
+use Mcp\Types\CallToolResult;
+use Mcp\Types\TextContent;
+use TYPO3\CMS\Core\Utility\GeneralUtility;
+
+/**
+ * Tests for recording MCP sessions and exporting them as LLM tests
+ */
+class SessionRecordingTest extends AbstractFunctionalTest
+{
+    private OAuthService $oauthService;
+    private SessionRecordingService $recordingService;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->oauthService = GeneralUtility::makeInstance(OAuthService::class);
+        $this->recordingService = GeneralUtility::makeInstance(SessionRecordingService::class);
+    }
+
+    public function testRecordingOfOtherUsersTokenCannotBeStarted(): void
+    {
+        $tokenUid = $this->createToken();
+
+        $this->assertNull($this->recordingService->startRecording($tokenUid, 2, 'Foreign'));
+        $this->assertEquals(0, $this->recordingService->getRunningRecordingUid($tokenUid));
+    }
+
+    public function testRecordingNeedsTitle(): void
+    {
+        $tokenUid = $this->createToken();
+
+        $this->expectException(\InvalidArgumentException::class);
+        $this->recordingService->startRecording($tokenUid, 1, '  ');
+    }
+
+    public function testOnlyOneRecordingPerTokenCanRun(): void
+    {
+        $tokenUid = $this->createToken();
+        $this->recordingService->startRecording($tokenUid, 1, 'First');
+
+        $this->expectException(\InvalidArgumentException::class);
+        $this->recordingService->startRecording($tokenUid, 1, 'Second');
+    }
+
+    public function testWritesAreRecordedWithRecordsAsTheyWereBefore(): void
+    {
+        $tokenUid = $this->createToken();
+        $recordingUid = $this->recordingService->startRecording($tokenUid, 1, 'Rename team header', 'Rename the team header to "Our Team"');
+
+        $arguments = ['action' => 'update', 'table' => 'tt_content', 'uid' => 102, 'data' => ['header' => 'Our Team']];
+        $result = $this->writeWithToken($tokenUid, $arguments);
+
+        $recording = $this->recordingService->getRecording($recordingUid, 1);
+        $this->assertNotNull($recording);
+        $this->assertEquals(['write', 'tool'], array_column($recording['steps'], 'type'));
+        $this->assertEquals('tt_content', $recording['steps'][0]['table']);
+        $this->assertEquals(102, $recording['steps'][0]['uid']);
+        $this->assertEquals('update', $recording['steps'][0]['action']);
+        $this->assertEquals('WriteTable', $recording['steps'][1]['tool']);
+        $this->assertEquals($arguments, $recording['steps'][1]['arguments']);
+        $this->assertEquals($result->isError, $recording['steps'][1]['is_error']);
+
+        $snapshots = [];
+        foreach ($recording['records'] as $record) {
+            $snapshots[$record['table'] . ':' . $record['uid']] = $record['data'];
+        }
+        $this->assertEquals(['tt_content:102', 'pages:2', 'pages:1'], array_keys($snapshots), 'Record and its rootline');
+        $this->assertEquals('Team Introduction', $snapshots['tt_content:102']['header']);
+    }
+
+    public function testNothingIsRecordedAfterStopping(): void
+    {
+        $tokenUid = $this->createToken();
+        $recordingUid = $this->recordingService->startRecording($tokenUid, 1, 'Stopped early');
+        $this->assertTrue($this->recordingService->stopRecording($recordingUid, 1));
+        $this->assertFalse($this->recordingService->stopRecording($recordingUid, 1), 'Already stopped');
+
+        $this->writeWithToken($tokenUid, ['action' => 'update', 'table' => 'tt_content', 'uid' => 102, 'data' => ['header' => 'Our Team']]);
+
+        $recording = $this->recordingService->getRecording($recordingUid, 1);
+        $this->assertSame([], $recording['steps']);
+        $this->assertSame([], $recording['records']);
+    }
+
+    public function testRecordingsAreListedPerUser(): void
+    {
+        $tokenUid = $this->createToken();
+        $recordingUid = $this->recordingService->startRecording($tokenUid, 1, 'Listed');
+        $this->recordingService->recordToolCall($tokenUid, 'GetPage', ['uid' => 2], new CallToolResult([new TextContent('{}')]));
+
+        $recordings = $this->recordingService->getRecordings(1);
+        $this->assertCount(1, $recordings);
+        $this->assertEquals($recordingUid, $recordings[0]['uid']);
+        $this->assertEquals('recorded-agent', $recordings[0]['client_name']);
+        $this->assertEquals(1, $recordings[0]['tool_calls']);
+        $this->assertEquals(0, $recordings[0]['writes']);
+        $this->assertSame([], $this->recordingService->getRecordings(2));
+        $this->assertNull($this->recordingService->getRecording($recordingUid, 2));
+
+        $this->assertFalse($this->recordingService->deleteRecording($recordingUid, 2));
+        $this->assertTrue($this->recordingService->deleteRecording($recordingUid, 1));
+        $this->assertSame([], $this->recordingService->getRecordings(1));
+        $this->assertEquals(0, $this->recordingService->getRunningRecordingUid($tokenUid));
+    }
+
+    public function testExportBuildsLlmTestWithFixtures(): void
+    {
+        $tokenUid = $this->createToken();
+        $recordingUid = $this->recordingService->startRecording($tokenUid, 1, 'Rename team header', 'Rename the team header to "Our Team"');
+        $this->recordingService->recordToolCall($tokenUid, 'GetPage', ['uid' => 2], new CallToolResult([new TextContent('{}')]));
+        $this->writeWithToken($tokenUid, ['action' => 'update', 'table' => 'tt_content', 'uid' => 102, 'data' => ['header' => 'Our Team']]);
+
+        $files = GeneralUtility::makeInstance(RecordingExportService::class)
+            ->export($this->recordingService->getRecording($recordingUid, 1));
+
+        $this->assertEquals([
+            'Tests/Llm/RecordedRenameTeamHeaderTest.php',
+            'Tests/Llm/Fixtures/recorded_rename_team_header_pages.csv',
+            'Tests/Llm/Fixtures/recorded_rename_team_header_tt_content.csv',
+        ], array_keys($files));
+
+        $test = $files['Tests/Llm/RecordedRenameTeamHeaderTest.php'];
+        $this->assertStringContainsString('class RecordedRenameTeamHeaderTest extends LlmTestCase', $test);
+        $this->assertStringContainsString('$prompt = \'Rename the team header to "Our Team"\';', $test);
+        $this->assertStringContainsString("__DIR__ . '/Fixtures/recorded_rename_team_header_tt_content.csv'", $test);
+        $this->assertStringContainsString("// 1. GetPage {\"uid\":2}", $test);
+        $this->assertStringContainsString("\$this->assertToolCalled(\$response, 'WriteTable', [", $test);
+        $this->assertStringContainsString("'header' => 'Our Team',", $test);
+
+        $pages = $files['Tests/Llm/Fixtures/recorded_rename_team_header_pages.csv'];
+        $this->assertStringStartsWith("\"pages\"\n,\"uid\",\"pid\",", $pages);
+        $this->assertMatchesRegularExpression('/^,1,0,.*"Home"/m', $pages);
+        $this->assertMatchesRegularExpression('/^,2,1,.*"About"/m', $pages);
+
+        $content = $files['Tests/Llm/Fixtures/recorded_rename_team_header_tt_content.csv'];
+        $this->assertStringContainsString('"Team Introduction"', $content, 'Fixture holds the state before the session');
+        $this->assertStringNotContainsString('t3ver_wsid', $content);
+        $this->assertStringNotContainsString('Our Team', $content);
+    }
+
+    public function testClassNameIsDerivedFromTitle(): void
+    {
+        $exportService = GeneralUtility::makeInstance(RecordingExportService::class);
+
+        $this->assertEquals('RecordedFixHeaderTypoTest', $exportService->getClassName('fix header-typo!'));
+        $this->assertEquals('RecordedSessionTest', $exportService->getClassName('???'));
+    }
+
+    private function createToken(): int
+    {
+        $token = $this->oauthService->createDirectAccessToken(1, 'recorded-agent');
+
+        return $this->oauthService->validateToken($token)['token_uid'];
+    }
+
+    /**
+     * Write through WriteTable as the MCP endpoint does for a token
+     */
+    private function writeWithToken(int $tokenUid, array $arguments): CallToolResult
+    {
+        GeneralUtility::getContainer()->get(TokenContextService::class)->setCurrentToken($tokenUid, 'recorded-agent');
+
+        $result = GeneralUtility::makeInstance(WriteTableTool::class)->execute($arguments);
+        $this->assertFalse($result->isError, json_encode($result->jsonSerialize()));
+        $this->recordingService->recordToolCall($tokenUid, 'WriteTable', $arguments, $result);
+
+        return $result;
+    }
+}
@@ -0,0 +1,77 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Tests\Functional\Service;
+
+use Hn\McpServer\Service\SiteInformationService;
+use Hn\McpServer\Tests\Functional\AbstractFunctionalTest;
+use Symfony\Component\Yaml\Yaml;
+use TYPO3\CMS\Core\Cache\CacheManager;
+use TYPO3\CMS\Core\Utility\GeneralUtility;
+
+/**
+ * Tests for the site bases offered by the site selector of the backend module
+ */
+class SiteInformationServiceTest extends AbstractFunctionalTest
+{
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->createSite('main', 1, 'https://example.com/', 'Main Site');
+        $this->createSite('main-en', 2, 'https://example.com/en/', 'English Site');
+        $this->createSite('shop', 3, 'https://shop.example.org:8443/', 'Shop');
+        $this->createSite('relative', 4, '/', '');
+
+        $cacheManager = GeneralUtility::makeInstance(CacheManager::class);
+        foreach (['core', 'runtime'] as $cache) {
+            if ($cacheManager->hasCache($cache)) {
+                $cacheManager->getCache($cache)->remove('sites-configuration');
+            }
+        }
+    }
+
+    public function testSiteBasesAreGroupedByDomain(): void
+    {
+        $siteBases = (new SiteInformationService())->getSiteBases();
+
+        $this->assertEquals([
+            [
+                'base' => 'https://example.com',
+                'title' => 'Main Site, English Site',
+                'sites' => ['main', 'main-en'],
+            ],
+            [
+                'base' => 'https://shop.example.org:8443',
+                'title' => 'Shop',
+                'sites' => ['shop'],
+            ],
+        ], $siteBases, 'Paths are dropped, ports kept and sites without a domain skipped');
+    }
+
+    private function createSite(string $identifier, int $rootPageId, string $base, string $websiteTitle): void
+    {
+        $siteDir = $this->instancePath . '/typo3conf/sites/' . $identifier;
+        GeneralUtility::mkdir_deep($siteDir);
+
+        $configuration = [
+            'rootPageId' => $rootPageId,
+            'base' => $base,
+            'languages' => [
+                0 => [
+                    'title' => 'English',
+                    'enabled' => true,
+                    'languageId' => 0,
+                    'base' => '/',
+                    'locale' => 'en_US.UTF-8',
+                ],
+            ],
+        ];
+        if ($websiteTitle !== '') {
+            $configuration['websiteTitle'] = $websiteTitle;
+        }
+
+        GeneralUtility::writeFile($siteDir . '/config.yaml', Yaml::dump($configuration, 99, 2), true);
+    }
+}
@@ -0,0 +1,100 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Tests\Functional\Service;
+
+use Hn\McpServer\Service\TokenActivityService;
+use Hn\McpServer\Tests\Functional\AbstractFunctionalTest;
+use Mcp\Types\CallToolResult;
+use Mcp\Types\TextContent;
+use TYPO3\CMS\Core\Utility\GeneralUtility;
+
+/**
+ * Tests for the per-token tool call activity log
+ */
+class TokenActivityTest extends AbstractFunctionalTest
+{
+    private TokenActivityService $activityService;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->activityService = GeneralUtility::makeInstance(TokenActivityService::class);
+    }
+
+    public function testToolCallIsRecordedWithRecordAndOutcome(): void
+    {
+        $this->activityService->logToolCall(
+            5,
+            1,
+            'ReadTable',
+            ['table' => 'pages', 'uid' => 1],
+            new CallToolResult([new TextContent('{}')]),
+            12,
+            '203.0.113.7'
+        );
+
+        $entries = $this->activityService->getActivity(5, 1);
+
+        $this->assertCount(1, $entries);
+        $this->assertEquals('ReadTable', $entries[0]['tool']);
+        $this->assertEquals('pages', $entries[0]['record_table']);
+        $this->assertEquals(1, (int)$entries[0]['record_uid']);
+        $this->assertEquals(1, (int)$entries[0]['success']);
+        $this->assertEquals(12, (int)$entries[0]['duration']);
+        $this->assertEquals('203.0.113.7', $entries[0]['ip']);
+    }
+
+    public function testFailedToolCallStoresErrorMessage(): void
+    {
+        $this->activityService->logToolCall(
+            5,
+            1,
+            'WriteTable',
+            ['table' => 'tt_content', 'action' => 'create'],
+            new CallToolResult([new TextContent('Table not writable')], true),
+            3
+        );
+
+        $entry = $this->activityService->getActivity(5, 1)[0];
+
+        $this->assertEquals(0, (int)$entry['success']);
+        $this->assertEquals('Table not writable', $entry['error_message']);
+        $this->assertEquals(0, (int)$entry['record_uid']);
+    }
+
+    public function testActivityCanBeFilteredByTool(): void
+    {
+        $this->logSuccessfulCall('ReadTable');
+        $this->logSuccessfulCall('Search');
+        $this->logSuccessfulCall('Search');
+
+        $this->assertCount(2, $this->activityService->getActivity(5, 1, 'Search'));
+        $this->assertEquals(['ReadTable', 'Search'], $this->activityService->getUsedToolNames(5, 1));
+    }
+
+    public function testActivityIsOnlyVisibleToTokenOwner(): void
+    {
+        $this->logSuccessfulCall('ReadTable');
+
+        $this->assertCount(0, $this->activityService->getActivity(5, 2));
+    }
+
+    public function testCallsPerDayIncludesEmptyDays(): void
+    {
+        $this->logSuccessfulCall('ReadTable');
+        $this->activityService->logToolCall(5, 1, 'ReadTable', [], new CallToolResult([new TextContent('error')], true), 1);
+
+        $perDay = $this->activityService->getCallsPerDay(5, 1, 7);
+
+        $this->assertCount(7, $perDay);
+        $this->assertEquals(['calls' => 2, 'errors' => 1], $perDay[date('Y-m-d')]);
+        $this->assertEquals(['calls' => 0, 'errors' => 0], $perDay[date('Y-m-d', strtotime('-6 days'))]);
+    }
+
+    private function logSuccessfulCall(string $toolName): void
+    {
+        $this->activityService->logToolCall(5, 1, $toolName, [], new CallToolResult([new TextContent('ok')]), 1);
+    }
+}
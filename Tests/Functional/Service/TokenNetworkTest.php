@@ -0,0 +1,137 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Tests\Functional\Service;
+
+use Hn\McpServer\Service\OAuthService;
+use Hn\McpServer\Service\TokenNetworkService;
+use Hn\McpServer\Tests\Functional\AbstractFunctionalTest;
+use TYPO3\CMS\Core\Http\ServerRequest;
+use TYPO3\CMS\Core\Utility\GeneralUtility;
+
+/**
+ * Tests for per-token IP allowlists and warnings about tokens used from new networks
+ */
+class TokenNetworkTest extends AbstractFunctionalTest
+{
+    private OAuthService $oauthService;
+    private TokenNetworkService $networkService;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->oauthService = GeneralUtility::makeInstance(OAuthService::class);
+        $this->networkService = GeneralUtility::makeInstance(TokenNetworkService::class);
+    }
+
+    public function testParseAllowlistNormalizesRanges(): void
+    {
+        $ranges = $this->networkService->parseAllowlist("10.0.0.5/8, 203.0.113.7\n2001:db8::1/32");
+
+        $this->assertEquals(['10.0.0.0/8', '203.0.113.7/32', '2001:db8::/32'], $ranges);
+    }
+
+    public function testParseAllowlistRejectsInvalidEntries(): void
+    {
+        $this->expectException(\InvalidArgumentException::class);
+        $this->networkService->parseAllowlist('10.0.0.0/8, not-an-ip');
+    }
+
+    public function testParseAllowlistRejectsInvalidPrefixLength(): void
+    {
+        $this->expectException(\InvalidArgumentException::class);
+        $this->networkService->parseAllowlist('10.0.0.0/33');
+    }
+
+    public function testIsIpAllowed(): void
+    {
+        $this->assertTrue($this->networkService->isIpAllowed('198.51.100.1', []));
+        $this->assertTrue($this->networkService->isIpAllowed('10.1.2.3', ['10.0.0.0/8']));
+        $this->assertFalse($this->networkService->isIpAllowed('11.1.2.3', ['10.0.0.0/8']));
+        $this->assertTrue($this->networkService->isIpAllowed('2001:db8:1::5', ['2001:db8::/32']));
+        $this->assertFalse($this->networkService->isIpAllowed('10.1.2.3', ['2001:db8::/32']));
+        $this->assertFalse($this->networkService->isIpAllowed('', ['10.0.0.0/8']));
+    }
+
+    public function testTokenWithAllowlistOnlyWorksFromAllowedRanges(): void
+    {
+        $token = $this->oauthService->createDirectAccessToken(1, 'ci-runner');
+        $tokenUid = $this->oauthService->validateToken($token)['token_uid'];
+
+        $this->assertTrue($this->oauthService->setTokenIpAllowlist($tokenUid, 1, ['203.0.113.0/24']));
+
+        $this->assertNotNull($this->oauthService->validateToken($token, $this->createRequest('203.0.113.50')));
+        $this->assertNull($this->oauthService->validateToken($token, $this->createRequest('198.51.100.1')));
+        $this->assertNull($this->oauthService->validateToken($token), 'Without a request the IP is unknown');
+    }
+
+    public function testAllowlistOfOtherUsersTokenCannotBeChanged(): void
+    {
+        $token = $this->oauthService->createDirectAccessToken(1, 'own');
+        $tokenUid = $this->oauthService->validateToken($token)['token_uid'];
+
+        $this->assertFalse($this->oauthService->setTokenIpAllowlist($tokenUid, 2, ['203.0.113.0/24']));
+        $this->assertNotNull($this->oauthService->validateToken($token, $this->createRequest('198.51.100.1')));
+    }
+
+    public function testUseFromNewNetworkIsFlagged(): void
+    {
+        $token = $this->oauthService->createDirectAccessToken(1, 'laptop');
+
+        $this->oauthService->validateToken($token, $this->createRequest('203.0.113.10'));
+        $this->oauthService->validateToken($token, $this->createRequest('203.0.113.99'));
+        $this->assertEquals('', $this->getUserToken()['new_network_ip'], 'Same /24 network is not flagged');
+
+        $this->oauthService->validateToken($token, $this->createRequest('198.51.100.7'));
+        $record = $this->getUserToken();
+        $this->assertEquals('198.51.100.7', $record['new_network_ip']);
+        $this->assertGreaterThan(0, (int)$record['new_network_seen']);
+    }
+
+    public function testDismissedNetworkIsNotFlaggedAgain(): void
+    {
+        $token = $this->oauthService->createDirectAccessToken(1, 'laptop');
+        $this->oauthService->validateToken($token, $this->createRequest('203.0.113.10'));
+        $this->oauthService->validateToken($token, $this->createRequest('198.51.100.7'));
+        $tokenUid = (int)$this->getUserToken()['uid'];
+
+        $this->assertTrue($this->oauthService->dismissNewNetwork($tokenUid, 1));
+        $this->assertEquals('', $this->getUserToken()['new_network_ip']);
+
+        $this->oauthService->validateToken($token, $this->createRequest('198.51.100.8'));
+        $this->assertEquals('', $this->getUserToken()['new_network_ip']);
+    }
+
+    public function testClientIpIsForwardedByConfiguredReverseProxy(): void
+    {
+        $GLOBALS['TYPO3_CONF_VARS']['SYS']['reverseProxyIP'] = '10.0.0.1';
+        $GLOBALS['TYPO3_CONF_VARS']['SYS']['reverseProxyHeaderMultiValue'] = 'last';
+        $token = $this->oauthService->createDirectAccessToken(1, 'ci-runner');
+        $tokenUid = $this->oauthService->validateToken($token)['token_uid'];
+        $this->oauthService->setTokenIpAllowlist($tokenUid, 1, ['203.0.113.0/24']);
+
+        $proxied = static fn(string $ip) => new ServerRequest('https://example.com/mcp', 'POST', 'php://input', [], [
+            'REMOTE_ADDR' => '10.0.0.1',
+            'HTTP_X_FORWARDED_FOR' => $ip,
+        ]);
+
+        $this->assertEquals('203.0.113.50', $this->networkService->getClientIp($proxied('203.0.113.50')));
+        $this->assertNotNull($this->oauthService->validateToken($token, $proxied('203.0.113.50')));
+        $this->assertNull($this->oauthService->validateToken($token, $proxied('198.51.100.1')));
+        $this->assertNull($this->oauthService->validateToken($token, $this->createRequest('10.0.0.1')));
+    }
+
+    private function createRequest(string $ip): ServerRequest
+    {
+        return new ServerRequest('https://example.com/mcp', 'POST', 'php://input', [], ['REMOTE_ADDR' => $ip]);
+    }
+
+    private function getUserToken(): array
+    {
+        $tokens = $this->oauthService->getUserTokens(1);
+        $this->assertCount(1, $tokens);
+
+        return $tokens[0];
+    }
+}
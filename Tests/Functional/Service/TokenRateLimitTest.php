@@ -0,0 +1,195 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Tests\Functional\Service;
+
+use Hn\McpServer\MCP\Tool\Record\WriteTableTool;
+use Hn\McpServer\Service\OAuthService;
+use Hn\McpServer\Service\TokenContextService;
+use Hn\McpServer\Service\TokenRateLimitService;
+use Hn\McpServer\Tests\Functional\AbstractFunctionalTest;
+use TYPO3\CMS\Core\Utility\GeneralUtility;
+
+/**
+ * Tests for the rate limits and write quotas of access tokens
+ */
+class TokenRateLimitTest extends AbstractFunctionalTest
+{
+    private OAuthService $oauthService;
+    private TokenRateLimitService $rateLimitService;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->oauthService = GeneralUtility::makeInstance(OAuthService::class);
+        $this->rateLimitService = GeneralUtility::makeInstance(TokenRateLimitService::class);
+    }
+
+    public function testTokenWithoutLimitsIsNeverThrottled(): void
+    {
+        $tokenUid = $this->createToken();
+
+        for ($i = 0; $i < 20; $i++) {
+            $this->assertNull($this->rateLimitService->consumeRequest($tokenUid, 1));
+        }
+        $this->assertSame([], $this->rateLimitService->getUsage($this->getTokenRecord($tokenUid)));
+    }
+
+    public function testRequestsPerMinuteAreLimited(): void
+    {
+        $tokenUid = $this->createToken([TokenRateLimitService::LIMIT_REQUESTS => 2]);
+
+        $this->assertNull($this->rateLimitService->consumeRequest($tokenUid, 0));
+        $this->assertNull($this->rateLimitService->consumeRequest($tokenUid, 0));
+        $exceeded = $this->rateLimitService->consumeRequest($tokenUid, 0);
+
+        $this->assertNotNull($exceeded);
+        $this->assertEquals(TokenRateLimitService::LIMIT_REQUESTS, $exceeded['limit']);
+        $this->assertEquals(2, $exceeded['max']);
+        $this->assertGreaterThanOrEqual(1, $exceeded['retry_after']);
+        $this->assertLessThanOrEqual(60, $exceeded['retry_after']);
+    }
+
+    public function testEveryMessageOfABatchCountsAsRequest(): void
+    {
+        $tokenUid = $this->createToken([TokenRateLimitService::LIMIT_REQUESTS => 5]);
+
+        $this->assertNull($this->rateLimitService->consumeRequest($tokenUid, 0, 3));
+        $this->assertEquals(
+            TokenRateLimitService::LIMIT_REQUESTS,
+            $this->rateLimitService->consumeRequest($tokenUid, 0, 3)['limit'] ?? null,
+            'A batch exceeding the remaining requests is rejected as a whole'
+        );
+        $this->assertNull($this->rateLimitService->consumeRequest($tokenUid, 0, 2));
+        $this->assertNotNull($this->rateLimitService->consumeRequest($tokenUid, 0));
+    }
+
+    public function testWritesPerHourOnlyLimitWriteCalls(): void
+    {
+        $tokenUid = $this->createToken([TokenRateLimitService::LIMIT_WRITES => 1]);
+
+        $this->assertNull($this->rateLimitService->consumeRequest($tokenUid, 1));
+        $this->assertEquals(
+            TokenRateLimitService::LIMIT_WRITES,
+            $this->rateLimitService->consumeRequest($tokenUid, 1)['limit'] ?? null
+        );
+        $this->assertNull($this->rateLimitService->consumeRequest($tokenUid, 0), 'Reads are not affected by the write quota');
+    }
+
+    public function testEveryWriteCallOfABatchCountsAsWrite(): void
+    {
+        $tokenUid = $this->createToken([TokenRateLimitService::LIMIT_WRITES => 3]);
+
+        $this->assertEquals(
+            TokenRateLimitService::LIMIT_WRITES,
+            $this->rateLimitService->consumeRequest($tokenUid, 5, 5)['limit'] ?? null,
+            'A batch with more writes than the limit is rejected'
+        );
+        $this->assertNull($this->rateLimitService->consumeRequest($tokenUid, 2, 3));
+        $this->assertNotNull($this->rateLimitService->consumeRequest($tokenUid, 2, 2));
+        $this->assertNull($this->rateLimitService->consumeRequest($tokenUid, 1, 1));
+        $this->assertNotNull($this->rateLimitService->consumeRequest($tokenUid, 1));
+    }
+
+    public function testRecordsPerDayBlockFurtherWrites(): void
+    {
+        $tokenUid = $this->createToken([TokenRateLimitService::LIMIT_RECORDS => 3]);
+
+        $this->rateLimitService->consumeRecords($tokenUid, 3);
+
+        $this->assertEquals(
+            TokenRateLimitService::LIMIT_RECORDS,
+            $this->rateLimitService->consumeRequest($tokenUid, 1)['limit'] ?? null
+        );
+        $this->assertNull($this->rateLimitService->consumeRequest($tokenUid, 0));
+    }
+
+    public function testRecordsWrittenThroughMcpAreCounted(): void
+    {
+        $tokenUid = $this->createToken([TokenRateLimitService::LIMIT_RECORDS => 10]);
+        GeneralUtility::getContainer()->get(TokenContextService::class)->setCurrentToken($tokenUid, 'runaway-agent');
+
+        $result = GeneralUtility::makeInstance(WriteTableTool::class)->execute([
+            'action' => 'update',
+            'table' => 'pages',
+            'uid' => 2,
+            'data' => ['title' => 'Changed by agent'],
+        ]);
+        $this->assertFalse($result->isError, json_encode($result->jsonSerialize()));
+
+        $usage = $this->rateLimitService->getUsage($this->getTokenRecord($tokenUid));
+        $this->assertCount(1, $usage);
+        $this->assertEquals(TokenRateLimitService::LIMIT_RECORDS, $usage[0]['limit']);
+        $this->assertEquals(1, $usage[0]['used']);
+        $this->assertEquals(10, $usage[0]['percent']);
+    }
+
+    public function testWritesStopWhenTheRecordQuotaIsUsedUpDuringARequest(): void
+    {
+        $tokenUid = $this->createToken([TokenRateLimitService::LIMIT_RECORDS => 1]);
+        GeneralUtility::getContainer()->get(TokenContextService::class)->setCurrentToken($tokenUid, 'runaway-agent');
+        $this->assertNull($this->rateLimitService->consumeRequest($tokenUid, 2, 2));
+
+        $writeTableTool = GeneralUtility::makeInstance(WriteTableTool::class);
+        $first = $writeTableTool->execute(['action' => 'update', 'table' => 'pages', 'uid' => 2, 'data' => ['title' => 'First']]);
+        $second = $writeTableTool->execute(['action' => 'update', 'table' => 'pages', 'uid' => 2, 'data' => ['title' => 'Second']]);
+
+        $this->assertFalse($first->isError, json_encode($first->jsonSerialize()));
+        $this->assertTrue($second->isError);
+        $this->assertStringContainsString('1 records per day', $second->content[0]->text);
+        $this->assertEquals(1, $this->rateLimitService->getUsage($this->getTokenRecord($tokenUid))[0]['used']);
+    }
+
+    public function testUsageListsConfiguredLimits(): void
+    {
+        $tokenUid = $this->createToken([
+            TokenRateLimitService::LIMIT_REQUESTS => 4,
+            TokenRateLimitService::LIMIT_WRITES => 10,
+        ]);
+        $this->rateLimitService->consumeRequest($tokenUid, 1);
+
+        $usage = $this->rateLimitService->getUsage($this->getTokenRecord($tokenUid));
+
+        $this->assertEquals(['requests', 'writes'], array_column($usage, 'limit'));
+        $this->assertEquals([1, 1], array_column($usage, 'used'));
+        $this->assertEquals([25, 10], array_column($usage, 'percent'));
+    }
+
+    public function testLimitsOfOtherUsersTokenCannotBeChanged(): void
+    {
+        $tokenUid = $this->createToken();
+
+        $this->assertFalse($this->rateLimitService->setLimits($tokenUid, 2, [TokenRateLimitService::LIMIT_REQUESTS => 1]));
+        $this->assertEquals(0, $this->rateLimitService->getLimits($tokenUid)[TokenRateLimitService::LIMIT_REQUESTS]);
+    }
+
+    public function testNegativeLimitIsRejected(): void
+    {
+        $tokenUid = $this->createToken();
+
+        $this->expectException(\InvalidArgumentException::class);
+        $this->rateLimitService->setLimits($tokenUid, 1, [TokenRateLimitService::LIMIT_WRITES => -1]);
+    }
+
+    private function createToken(array $limits = []): int
+    {
+        $token = $this->oauthService->createDirectAccessToken(1, 'rate-limited');
+        $tokenUid = $this->oauthService->validateToken($token)['token_uid'];
+        if ($limits !== []) {
+            $this->assertTrue($this->rateLimitService->setLimits($tokenUid, 1, $limits));
+        }
+
+        return $tokenUid;
+    }
+
+    private function getTokenRecord(int $tokenUid): array
+    {
+        $tokens = array_filter(
+            $this->oauthService->getUserTokens(1),
+            static fn(array $token) => (int)$token['uid'] === $tokenUid
+        );
+
+        return reset($tokens);
+    }
+}
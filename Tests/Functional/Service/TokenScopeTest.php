@@ -0,0 +1,99 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Tests\Functional\Service;
+
+use Hn\McpServer\MCP\ToolRegistry;
+use Hn\McpServer\Service\OAuthService;
+use Hn\McpServer\Service\TokenScopeService;
+use Hn\McpServer\Tests\Functional\AbstractFunctionalTest;
+use TYPO3\CMS\Core\Utility\GeneralUtility;
+
+/**
+ * Tests for read-only and tool-allowlist token scopes
+ */
+class TokenScopeTest extends AbstractFunctionalTest
+{
+    private OAuthService $oauthService;
+    private TokenScopeService $scopeService;
+    private ToolRegistry $toolRegistry;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->oauthService = GeneralUtility::makeInstance(OAuthService::class);
+        $this->scopeService = GeneralUtility::makeInstance(TokenScopeService::class);
+        $this->toolRegistry = GeneralUtility::getContainer()->get(ToolRegistry::class);
+    }
+
+    public function testValidatedTokenCarriesItsScope(): void
+    {
+        $scope = $this->scopeService->buildScope(TokenScopeService::TYPE_READ_ONLY);
+        $plainToken = $this->oauthService->createDirectAccessToken(1, 'reader', null, $scope);
+
+        $result = $this->oauthService->validateToken($plainToken);
+
+        $this->assertNotNull($result);
+        $this->assertEquals(TokenScopeService::READ_ONLY, $result['scope']);
+    }
+
+    public function testTokensDefaultToFullAccess(): void
+    {
+        $plainToken = $this->oauthService->createDirectAccessToken(1, 'full');
+        $result = $this->oauthService->validateToken($plainToken);
+
+        $this->assertEquals(TokenScopeService::TYPE_FULL, $this->scopeService->parseScope($result['scope'])['type']);
+        $this->assertCount(
+            count($this->toolRegistry->getTools()),
+            $this->scopeService->filterTools($this->toolRegistry->getTools(), $result['scope'])
+        );
+    }
+
+    public function testLegacyEmptyScopeGrantsFullAccess(): void
+    {
+        $this->assertEquals(TokenScopeService::TYPE_FULL, $this->scopeService->parseScope('')['type']);
+        $this->assertTrue($this->scopeService->isToolAllowed('', $this->toolRegistry->getTool('WriteTable')));
+    }
+
+    public function testReadOnlyScopeExcludesWriteTools(): void
+    {
+        $scope = $this->scopeService->buildScope(TokenScopeService::TYPE_READ_ONLY);
+        $allowed = array_keys($this->scopeService->filterTools($this->toolRegistry->getTools(), $scope));
+
+        $this->assertContains('ReadTable', $allowed);
+        $this->assertContains('Search', $allowed);
+        $this->assertNotContains('WriteTable', $allowed);
+    }
+
+    public function testToolAllowlistOnlyAllowsListedTools(): void
+    {
+        $scope = $this->scopeService->buildScope(TokenScopeService::TYPE_TOOLS, ['Search', 'ReadTable']);
+        $allowed = array_keys($this->scopeService->filterTools($this->toolRegistry->getTools(), $scope));
+        sort($allowed);
+
+        $this->assertEquals(['ReadTable', 'Search'], $allowed);
+        $this->assertEquals('Tools: Search, ReadTable', $this->scopeService->getScopeLabel($scope));
+    }
+
+    public function testToolAllowlistRequiresAtLeastOneTool(): void
+    {
+        $this->expectException(\InvalidArgumentException::class);
+        $this->scopeService->buildScope(TokenScopeService::TYPE_TOOLS, []);
+    }
+
+    public function testToolAllowlistRejectsValuesThatAreNoToolNames(): void
+    {
+        foreach ([[['Search']], [42], ['Search ReadTable']] as $toolNames) {
+            try {
+                $this->scopeService->buildScope(TokenScopeService::TYPE_TOOLS, $toolNames);
+                $this->fail('Expected the tools to be rejected: ' . json_encode($toolNames));
+            } catch (\InvalidArgumentException) {
+            }
+        }
+        $this->assertSame(
+            TokenScopeService::TOOL_PREFIX . 'Search',
+            $this->scopeService->buildScope(TokenScopeService::TYPE_TOOLS, [' Search '])
+        );
+    }
+}
@@ -0,0 +1,77 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Tests\Functional\Service;
+
+use Hn\McpServer\MCP\McpServerFactory;
+use Hn\McpServer\MCP\ToolRegistry;
+use Hn\McpServer\Service\ToolSettingsService;
+use Hn\McpServer\Tests\Functional\AbstractFunctionalTest;
+use TYPO3\CMS\Core\Registry;
+use TYPO3\CMS\Core\Utility\GeneralUtility;
+
+/**
+ * Tests for the site-wide tool settings made by admins
+ */
+class ToolSettingsTest extends AbstractFunctionalTest
+{
+    private ToolSettingsService $toolSettingsService;
+    private ToolRegistry $toolRegistry;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->toolSettingsService = new ToolSettingsService();
+        $this->toolRegistry = GeneralUtility::getContainer()->get(ToolRegistry::class);
+    }
+
+    public function testDisabledToolIsHiddenFromClients(): void
+    {
+        $this->toolSettingsService->setSettings(['WriteTable' => ['disabled' => true]]);
+
+        $this->assertTrue($this->toolRegistry->isToolDisabled('WriteTable'));
+        $this->assertArrayNotHasKey('WriteTable', $this->toolRegistry->getTools());
+        $this->assertNull($this->toolRegistry->getTool('WriteTable'));
+        $this->assertArrayHasKey('WriteTable', $this->toolRegistry->getAllTools(), 'Admins still configure disabled tools');
+        $this->assertNotNull($this->toolRegistry->getTool('ReadTable'));
+
+        $names = array_column(GeneralUtility::getContainer()->get(McpServerFactory::class)->getToolList(), 'name');
+        $this->assertNotContains('WriteTable', $names);
+        $this->assertContains('ReadTable', $names);
+    }
+
+    public function testGuidanceIsAppendedToDescription(): void
+    {
+        $originalDescription = $this->toolRegistry->getTool('ReadTable')->getSchema()['description'];
+        $this->toolSettingsService->setSettings(['ReadTable' => ['guidance' => '  News records are stored on page 42.  ']]);
+
+        $tools = array_column(GeneralUtility::getContainer()->get(McpServerFactory::class)->getToolList(), null, 'name');
+        $this->assertEquals(rtrim($originalDescription) . "\n\nNews records are stored on page 42.", $tools['ReadTable']['description']);
+        $this->assertStringNotContainsString('page 42', $tools['WriteTable']['description']);
+    }
+
+    public function testOnlyDeviationsFromDefaultsAreStored(): void
+    {
+        $this->toolSettingsService->setSettings([
+            'ReadTable' => ['disabled' => false, 'guidance' => 'Prefer the search tool.'],
+            'WriteTable' => ['disabled' => true, 'guidance' => ''],
+            'Search' => ['disabled' => false, 'guidance' => '  '],
+        ]);
+        $this->assertEquals(['ReadTable', 'WriteTable'], array_keys($this->toolSettingsService->getSettings()));
+
+        // Re-enabling a tool without guidance removes its entry
+        $this->toolSettingsService->setSettings(['WriteTable' => ['disabled' => false]]);
+        $stored = GeneralUtility::makeInstance(Registry::class)->get('tx_mcpserver', 'toolSettings');
+        $this->assertEquals(['ReadTable' => ['disabled' => false, 'guidance' => 'Prefer the search tool.']], $stored);
+        $this->assertFalse($this->toolRegistry->isToolDisabled('WriteTable'));
+    }
+
+    public function testTooLongGuidanceIsRejected(): void
+    {
+        $this->expectException(\InvalidArgumentException::class);
+        $this->toolSettingsService->setSettings([
+            'ReadTable' => ['guidance' => str_repeat('x', ToolSettingsService::MAX_GUIDANCE_LENGTH + 1)],
+        ]);
+    }
+}
@@ -0,0 +1,241 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Tests\Functional\Service;
+
+use Hn\McpServer\Service\WebhookService;
+use Hn\McpServer\Service\WorkspaceContextService;
+use Hn\McpServer\Tests\Functional\AbstractFunctionalTest;
+use TYPO3\CMS\Core\Http\HtmlResponse;
+use TYPO3\CMS\Core\Http\RequestFactory;
+
+/**
+ * Tests for the outgoing webhooks about records written through MCP
+ */
+class WebhookServiceTest extends AbstractFunctionalTest
+{
+    private WebhookService $webhookService;
+
+    /**
+     * Requests sent to the mocked HTTP client
+     *
+     * @var array<int, array{url: string, options: array}>
+     */
+    private array $sentRequests = [];
+
+    /**
+     * Status codes the mocked HTTP client answers with, in order; 200 when empty
+     *
+     * @var int[]
+     */
+    private array $responseCodes = [];
+
+    /**
+     * Called by the mocked HTTP client while a request is sent
+     */
+    private ?\Closure $onSend = null;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $requestFactory = $this->createMock(RequestFactory::class);
+        $requestFactory->method('request')->willReturnCallback(function (string $url, string $method, array $options) {
+            $this->sentRequests[] = ['url' => $url, 'options' => $options];
+            if ($this->onSend !== null) {
+                $onSend = $this->onSend;
+                $this->onSend = null;
+                $onSend();
+            }
+            return new HtmlResponse('received', array_shift($this->responseCodes) ?? 200);
+        });
+
+        $this->webhookService = new WebhookService($requestFactory, new WorkspaceContextService());
+    }
+
+    public function testMatchingWebhooksReceiveSignedPayload(): void
+    {
+        $webhookUid = $this->webhookService->saveWebhook([
+            'url' => 'https://example.com/hook',
+            'secret' => 'top-secret',
+            'tables' => ['tt_content'],
+            'actions' => ['update'],
+        ]);
+
+        $this->webhookService->dispatchRecordWrite('tt_content', 'update', 5, ['header' => 'New', 'bodytext' => 'Text'], null, 0, 7, 'Claude Desktop', 'admin');
+        $this->assertCount(0, $this->sentRequests, 'Deliveries are sent after the response, not during the write');
+        $this->assertEquals(WebhookService::STATUS_PENDING, $this->webhookService->getDeliveries($webhookUid)[0]['status']);
+
+        $this->webhookService->deliverQueued();
+
+        $this->assertCount(1, $this->sentRequests);
+        $request = $this->sentRequests[0];
+        $this->assertEquals('https://example.com/hook', $request['url']);
+
+        $headers = $request['options']['headers'];
+        $this->assertEquals(
+            'sha256=' . hash_hmac('sha256', $headers['X-Mcp-Timestamp'] . '.' . $request['options']['body'], 'top-secret'),
+            $headers['X-Mcp-Signature']
+        );
+        $this->assertEquals('record.update', $headers['X-Mcp-Event']);
+
+        $payload = json_decode($request['options']['body'], true);
+        $this->assertEquals(['table' => 'tt_content', 'uid' => 5, 'pid' => null, 'action' => 'update'], $payload['record']);
+        $this->assertEquals(['uid' => 0, 'title' => 'Live'], $payload['workspace']);
+        $this->assertEquals(['header', 'bodytext'], $payload['fields'], 'Only field names are sent, never their values');
+        $this->assertEquals(['name' => 'Claude Desktop', 'token_uid' => 7], $payload['client']);
+
+        $delivery = $this->webhookService->getDeliveries($webhookUid)[0];
+        $this->assertEquals(WebhookService::STATUS_DELIVERED, $delivery['status']);
+        $this->assertEquals(200, $delivery['response_code']);
+    }
+
+    public function testFiltersSkipNonMatchingWrites(): void
+    {
+        $this->webhookService->saveWebhook(['url' => 'https://example.com/pages', 'tables' => ['pages']]);
+        $this->webhookService->saveWebhook(['url' => 'https://example.com/deletes', 'actions' => ['delete']]);
+        $this->webhookService->saveWebhook(['url' => 'https://example.com/token', 'token_uids' => [3]]);
+        $this->webhookService->saveWebhook(['url' => 'https://example.com/disabled', 'disabled' => true]);
+        $this->webhookService->saveWebhook(['url' => 'https://example.com/all']);
+
+        $this->webhookService->dispatchRecordWrite('tt_content', 'create', 1, [], 1, 0, 3, 'client');
+        $this->webhookService->deliverQueued();
+        $this->assertEquals(
+            ['https://example.com/token', 'https://example.com/all'],
+            array_column($this->sentRequests, 'url')
+        );
+
+        $this->sentRequests = [];
+        $this->webhookService->dispatchRecordWrite('pages', 'delete', 1, [], null, 0, 4, 'other client');
+        $this->webhookService->deliverQueued();
+        $this->assertEquals(
+            ['https://example.com/pages', 'https://example.com/deletes', 'https://example.com/all'],
+            array_column($this->sentRequests, 'url')
+        );
+    }
+
+    public function testDeliveryIsSentOnceWhenTheDeliverCommandOverlapsTheRequest(): void
+    {
+        $webhookUid = $this->webhookService->saveWebhook(['url' => 'https://example.com/hook']);
+        $this->webhookService->dispatchRecordWrite('tt_content', 'update', 1, [], null, 0, 0, '');
+
+        $this->assertEquals(
+            ['delivered' => 0, 'failed' => 0, 'pending' => 0],
+            $this->webhookService->deliverDue(),
+            'Queued deliveries are left to the request that queued them'
+        );
+
+        // The deliver command runs while the request is sending the delivery
+        $this->getConnectionForTable('tx_mcpserver_webhook_deliveries')
+            ->update('tx_mcpserver_webhook_deliveries', ['next_attempt' => time() - 1], ['webhook_uid' => $webhookUid]);
+        $this->onSend = fn() => $this->webhookService->deliverDue();
+        $this->webhookService->deliverQueued();
+
+        $this->assertCount(1, $this->sentRequests);
+        $this->assertNotSame('', $this->sentRequests[0]['options']['body']);
+        $this->assertEquals(WebhookService::STATUS_DELIVERED, $this->webhookService->getDeliveries($webhookUid)[0]['status']);
+    }
+
+    public function testFailedDeliveryIsRetriedWithBackoff(): void
+    {
+        $webhookUid = $this->webhookService->saveWebhook(['url' => 'https://example.com/hook']);
+        $this->responseCodes = [500];
+
+        $before = time();
+        $this->webhookService->dispatchRecordWrite('tt_content', 'update', 1, [], null, 0, 0, '');
+        $this->webhookService->deliverQueued();
+
+        $delivery = $this->webhookService->getDeliveries($webhookUid)[0];
+        $this->assertEquals(WebhookService::STATUS_PENDING, $delivery['status']);
+        $this->assertEquals(1, $delivery['attempts']);
+        $this->assertEquals('HTTP 500', $delivery['error']);
+        $this->assertGreaterThanOrEqual($before + 60, $delivery['next_attempt']);
+
+        // Not due yet
+        $this->assertEquals(['delivered' => 0, 'failed' => 0, 'pending' => 0], $this->webhookService->deliverDue());
+
+        $this->getConnectionForTable('tx_mcpserver_webhook_deliveries')
+            ->update('tx_mcpserver_webhook_deliveries', ['next_attempt' => time() - 1], ['uid' => $delivery['uid']]);
+        $this->assertEquals(['delivered' => 1, 'failed' => 0, 'pending' => 0], $this->webhookService->deliverDue());
+
+        $delivery = $this->webhookService->getDeliveries($webhookUid)[0];
+        $this->assertEquals(WebhookService::STATUS_DELIVERED, $delivery['status']);
+        $this->assertEquals(2, $delivery['attempts']);
+        $this->assertCount(2, $this->sentRequests);
+        $this->assertSame(
+            $this->sentRequests[0]['options']['body'],
+            $this->sentRequests[1]['options']['body'],
+            'Retries send the same payload'
+        );
+    }
+
+    public function testDeliveryFailsAfterMaxAttempts(): void
+    {
+        $webhookUid = $this->webhookService->saveWebhook(['url' => 'https://example.com/hook']);
+        $this->responseCodes = array_fill(0, WebhookService::MAX_ATTEMPTS, 503);
+
+        $this->webhookService->dispatchRecordWrite('tt_content', 'update', 1, [], null, 0, 0, '');
+        $this->webhookService->deliverQueued();
+        $deliveryUid = $this->webhookService->getDeliveries($webhookUid)[0]['uid'];
+        for ($attempt = 2; $attempt <= WebhookService::MAX_ATTEMPTS; $attempt++) {
+            $delivery = $this->webhookService->deliver($deliveryUid);
+        }
+
+        $this->assertEquals(WebhookService::STATUS_FAILED, $delivery['status']);
+        $this->assertEquals(0, $delivery['next_attempt']);
+        $this->assertCount(WebhookService::MAX_ATTEMPTS, $this->sentRequests);
+    }
+
+    public function testTestEventIgnoresFiltersAndIsNotRetried(): void
+    {
+        $webhookUid = $this->webhookService->saveWebhook([
+            'url' => 'https://example.com/hook',
+            'tables' => ['pages'],
+            'disabled' => true,
+        ]);
+        $this->responseCodes = [404];
+
+        $delivery = $this->webhookService->sendTestEvent($webhookUid, 'admin');
+
+        $this->assertCount(1, $this->sentRequests);
+        $this->assertEquals(WebhookService::TEST_EVENT, json_decode($this->sentRequests[0]['options']['body'], true)['event']);
+        $this->assertEquals(WebhookService::STATUS_FAILED, $delivery['status']);
+        $this->assertEquals(404, $delivery['response_code']);
+        $this->assertNull($this->webhookService->sendTestEvent(999));
+    }
+
+    public function testSecretIsGeneratedAndKeptOnUpdate(): void
+    {
+        $webhookUid = $this->webhookService->saveWebhook(['url' => 'https://example.com/hook']);
+        $secret = $this->webhookService->getWebhook($webhookUid)['secret'];
+        $this->assertEquals(64, strlen($secret));
+
+        $this->webhookService->saveWebhook(['url' => 'https://example.com/other', 'secret' => ''], $webhookUid);
+        $webhook = $this->webhookService->getWebhook($webhookUid);
+        $this->assertEquals($secret, $webhook['secret']);
+        $this->assertEquals('https://example.com/other', $webhook['url']);
+    }
+
+    public function testInvalidWebhooksAreRejected(): void
+    {
+        foreach ([['url' => 'ftp://example.com'], ['url' => '/relative'], ['url' => 'https://example.com', 'actions' => ['publish']]] as $data) {
+            try {
+                $this->webhookService->saveWebhook($data);
+                $this->fail('Expected the webhook to be rejected: ' . json_encode($data));
+            } catch (\InvalidArgumentException) {
+            }
+        }
+        $this->assertEquals([], $this->webhookService->getWebhooks());
+    }
+
+    public function testDeletingWebhookRemovesItsDeliveries(): void
+    {
+        $webhookUid = $this->webhookService->saveWebhook(['url' => 'https://example.com/hook']);
+        $this->webhookService->sendTestEvent($webhookUid);
+
+        $this->assertTrue($this->webhookService->deleteWebhook($webhookUid));
+        $this->assertEquals([], $this->webhookService->getDeliveries());
+        $this->assertFalse($this->webhookService->deleteWebhook($webhookUid));
+    }
+}
@@ -0,0 +1,118 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Tests\Functional\Workspace;
+
+use Hn\McpServer\MCP\Tool\Record\WriteTableTool;
+use Hn\McpServer\Service\PendingChangesService;
+use Hn\McpServer\Service\TokenContextService;
+use Hn\McpServer\Tests\Functional\AbstractFunctionalTest;
+use TYPO3\CMS\Backend\Utility\BackendUtility;
+use TYPO3\CMS\Core\Utility\GeneralUtility;
+
+/**
+ * Tests for the review of workspace changes made through MCP
+ */
+class PendingChangesTest extends AbstractFunctionalTest
+{
+    private PendingChangesService $pendingChangesService;
+    private WriteTableTool $writeTool;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->pendingChangesService = GeneralUtility::makeInstance(PendingChangesService::class);
+        $this->writeTool = GeneralUtility::makeInstance(WriteTableTool::class);
+        GeneralUtility::getContainer()->get(TokenContextService::class)->setCurrentToken(7, 'Claude Desktop');
+    }
+
+    public function testUpdateIsListedWithFieldDiffGroupedByClientAndPage(): void
+    {
+        $this->updatePageTitle(2, 'About the Company');
+
+        $groups = $this->pendingChangesService->getPendingChanges(1);
+
+        $this->assertCount(1, $groups);
+        $this->assertEquals(7, $groups[0]['token_uid']);
+        $this->assertEquals('Claude Desktop', $groups[0]['client_name']);
+        $this->assertEquals(2, $groups[0]['pages'][0]['uid']);
+
+        $change = $groups[0]['pages'][0]['changes'][0];
+        $this->assertEquals('pages', $change['table']);
+        $this->assertEquals(2, $change['uid']);
+        $this->assertEquals('modified', $change['state']);
+
+        $titleChange = array_values(array_filter($change['fields'], static fn(array $field) => $field['field'] === 'title'));
+        $this->assertCount(1, $titleChange);
+        $this->assertEquals('About', $titleChange[0]['live']);
+        $this->assertEquals('About the Company', $titleChange[0]['workspace']);
+    }
+
+    public function testRepeatedWritesToSameRecordAreListedOnce(): void
+    {
+        $this->updatePageTitle(2, 'First draft');
+        $this->updatePageTitle(2, 'Second draft');
+
+        $changes = $this->pendingChangesService->getPendingChanges(1)[0]['pages'][0]['changes'];
+
+        $this->assertCount(1, $changes);
+    }
+
+    public function testNewRecordIsListedOnItsPage(): void
+    {
+        $result = $this->writeTool->execute([
+            'action' => 'create',
+            'table' => 'tt_content',
+            'pid' => 1,
+            'data' => ['CType' => 'text', 'header' => 'Written by AI'],
+        ]);
+        $this->assertFalse($result->isError, json_encode($result->jsonSerialize()));
+
+        $page = $this->pendingChangesService->getPendingChanges(1)[0]['pages'][0];
+
+        $this->assertEquals(1, $page['uid']);
+        $this->assertEquals('new', $page['changes'][0]['state']);
+        $this->assertContains('header', array_column($page['changes'][0]['fields'], 'field'));
+    }
+
+    public function testDiscardRemovesWorkspaceVersion(): void
+    {
+        $this->updatePageTitle(2, 'Discard me');
+        $change = $this->pendingChangesService->getPendingChanges(1)[0]['pages'][0]['changes'][0];
+
+        $this->pendingChangesService->discardChange($change['id'], $GLOBALS['BE_USER']);
+
+        $this->assertSame([], $this->pendingChangesService->getPendingChanges(1));
+        $this->assertEquals('About', BackendUtility::getRecord('pages', 2)['title']);
+    }
+
+    public function testPublishUpdatesLiveRecord(): void
+    {
+        $this->updatePageTitle(2, 'Published title');
+        $change = $this->pendingChangesService->getPendingChanges(1)[0]['pages'][0]['changes'][0];
+
+        $this->pendingChangesService->publishChange($change['id'], $GLOBALS['BE_USER']);
+
+        $this->assertSame([], $this->pendingChangesService->getPendingChanges(1));
+        $this->assertEquals('Published title', BackendUtility::getRecord('pages', 2)['title']);
+    }
+
+    public function testChangesAreOnlyVisibleToTheirOwner(): void
+    {
+        $this->updatePageTitle(2, 'Private draft');
+
+        $this->assertSame([], $this->pendingChangesService->getPendingChanges(2));
+    }
+
+    private function updatePageTitle(int $uid, string $title): void
+    {
+        $result = $this->writeTool->execute([
+            'action' => 'update',
+            'table' => 'pages',
+            'uid' => $uid,
+            'data' => ['title' => $title],
+        ]);
+        $this->assertFalse($result->isError, json_encode($result->jsonSerialize()));
+    }
+}
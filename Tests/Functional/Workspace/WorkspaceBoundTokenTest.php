@@ -0,0 +1,86 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Hn\McpServer\Tests\Functional\Workspace;
+
+use Hn\McpServer\Controller\McpServerModuleController;
+use Hn\McpServer\Exception\AccessDeniedException;
+use Hn\McpServer\Service\OAuthService;
+use Hn\McpServer\Service\WorkspaceContextService;
+use Hn\McpServer\Tests\Functional\AbstractFunctionalTest;
+use TYPO3\CMS\Core\Http\ServerRequest;
+use TYPO3\CMS\Core\Http\Uri;
+use TYPO3\CMS\Core\Utility\GeneralUtility;
+
+/**
+ * Tests for access tokens bound to a specific workspace
+ */
+class WorkspaceBoundTokenTest extends AbstractFunctionalTest
+{
+    private OAuthService $oauthService;
+    private WorkspaceContextService $workspaceContextService;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->importCSVDataSet(__DIR__ . '/../Fixtures/sys_workspace.csv');
+        $this->oauthService = GeneralUtility::makeInstance(OAuthService::class);
+        $this->workspaceContextService = GeneralUtility::makeInstance(WorkspaceContextService::class);
+    }
+
+    public function testTokenCarriesBoundWorkspace(): void
+    {
+        $plainToken = $this->oauthService->createDirectAccessToken(1, 'translation', null, 'mcp_access', null, 2);
+
+        $this->assertEquals(2, $this->oauthService->validateToken($plainToken)['workspace_uid']);
+    }
+
+    public function testTokensAreNotBoundByDefault(): void
+    {
+        $plainToken = $this->oauthService->createDirectAccessToken(1, 'automatic');
+
+        $this->assertEquals(0, $this->oauthService->validateToken($plainToken)['workspace_uid']);
+    }
+
+    public function testSwitchToBoundWorkspaceUsesExactlyThatWorkspace(): void
+    {
+        $workspaceId = $this->workspaceContextService->switchToBoundWorkspace($GLOBALS['BE_USER'], 2);
+
+        $this->assertEquals(2, $workspaceId);
+        $this->assertEquals(2, $this->workspaceContextService->getCurrentWorkspace());
+    }
+
+    public function testSwitchToInaccessibleWorkspaceIsDenied(): void
+    {
+        $this->getConnectionForTable('be_users')->insert('be_users', [
+            'uid' => 2,
+            'pid' => 0,
+            'username' => 'editor',
+            'admin' => 0,
+        ]);
+        $editor = $this->setupDefaultBackendUser(2);
+
+        $this->expectException(AccessDeniedException::class);
+        $this->workspaceContextService->switchToBoundWorkspace($editor, 1);
+    }
+
+    public function testWritableWorkspacesAreOfferedForSelection(): void
+    {
+        $workspaces = $this->workspaceContextService->getWritableWorkspaces($GLOBALS['BE_USER']);
+
+        $this->assertEquals([1 => 'Test Workspace', 2 => 'Test Workspace 2'], $workspaces);
+    }
+
+    public function testCreateTokenRejectsUnknownWorkspace(): void
+    {
+        $controller = GeneralUtility::getContainer()->get(McpServerModuleController::class);
+        $request = (new ServerRequest(new Uri('https://example.com/typo3/ajax/mcp-server/create-token'), 'POST'))
+            ->withParsedBody(['clientName' => 'drafts', 'workspace' => '99']);
+
+        $response = $controller->createTokenAction($request);
+
+        $this->assertEquals(400, $response->getStatusCode());
+        $this->assertCount(0, $this->oauthService->getUserTokens(1));
+    }
+}
@@ -15,6 +15,7 @@ CREATE TABLE tx_mcpserver_oauth_codes (
 	pkce_challenge_method varchar(10) DEFAULT 'S256' NOT NULL,
 	redirect_uri text,
 	expires int(11) unsigned DEFAULT '0' NOT NULL,
+	client_id varchar(255) DEFAULT '' NOT NULL,
 	
 	PRIMARY KEY (uid),
 	KEY parent (pid),
@@ -36,15 +37,288 @@ CREATE TABLE tx_mcpserver_access_tokens (
 	token varchar(255) DEFAULT '' NOT NULL,
 	be_user_uid int(11) unsigned DEFAULT '0' NOT NULL,
 	client_name varchar(255) DEFAULT '' NOT NULL,
+	client_id varchar(255) DEFAULT '' NOT NULL,
 	expires int(11) unsigned DEFAULT '0' NOT NULL,
 	last_used int(11) unsigned DEFAULT '0' NOT NULL,
 	created_ip varchar(45) DEFAULT '' NOT NULL,
 	last_used_ip varchar(45) DEFAULT '' NOT NULL,
 	token_version tinyint(1) DEFAULT '0' NOT NULL,
+	scope varchar(1024) DEFAULT '' NOT NULL,
+	previous_token varchar(255) DEFAULT '' NOT NULL,
+	previous_token_expires int(11) unsigned DEFAULT '0' NOT NULL,
+	workspace_uid int(11) unsigned DEFAULT '0' NOT NULL,
+	ip_allowlist varchar(1024) DEFAULT '' NOT NULL,
+	known_networks text,
+	new_network_ip varchar(45) DEFAULT '' NOT NULL,
+	new_network_seen int(11) unsigned DEFAULT '0' NOT NULL,
+	rate_limit_requests int(11) unsigned DEFAULT '0' NOT NULL,
+	rate_limit_writes int(11) unsigned DEFAULT '0' NOT NULL,
+	rate_limit_records int(11) unsigned DEFAULT '0' NOT NULL,
+	debug_capture_until int(11) unsigned DEFAULT '0' NOT NULL,
 
 	PRIMARY KEY (uid),
 	KEY parent (pid),
 	KEY token (token),
+	KEY previous_token (previous_token),
 	KEY be_user_uid (be_user_uid),
+	KEY client_id (client_id),
 	KEY expires (expires)
-);
\ No newline at end of file
+);
+#
+# Clients registered through OAuth dynamic client registration (RFC 7591)
+#
+CREATE TABLE tx_mcpserver_oauth_clients (
+	uid int(11) NOT NULL auto_increment,
+	pid int(11) DEFAULT '0' NOT NULL,
+	tstamp int(11) unsigned DEFAULT '0' NOT NULL,
+	crdate int(11) unsigned DEFAULT '0' NOT NULL,
+	deleted tinyint(4) unsigned DEFAULT '0' NOT NULL,
+
+	client_id varchar(255) DEFAULT '' NOT NULL,
+	client_secret varchar(255) DEFAULT '' NOT NULL,
+	client_name varchar(255) DEFAULT '' NOT NULL,
+	redirect_uris text,
+	grant_types text,
+	scope varchar(255) DEFAULT '' NOT NULL,
+	blocked tinyint(1) unsigned DEFAULT '0' NOT NULL,
+	last_authorized int(11) unsigned DEFAULT '0' NOT NULL,
+
+	PRIMARY KEY (uid),
+	KEY parent (pid),
+	KEY client_id (client_id)
+);
+#
+# Device authorization requests of headless clients (RFC 8628)
+#
+CREATE TABLE tx_mcpserver_device_codes (
+	uid int(11) NOT NULL auto_increment,
+	pid int(11) DEFAULT '0' NOT NULL,
+	tstamp int(11) unsigned DEFAULT '0' NOT NULL,
+	crdate int(11) unsigned DEFAULT '0' NOT NULL,
+
+	device_code varchar(255) DEFAULT '' NOT NULL,
+	user_code varchar(20) DEFAULT '' NOT NULL,
+	client_id varchar(255) DEFAULT '' NOT NULL,
+	client_name varchar(255) DEFAULT '' NOT NULL,
+	scope varchar(1024) DEFAULT '' NOT NULL,
+	ip varchar(45) DEFAULT '' NOT NULL,
+	status varchar(20) DEFAULT 'pending' NOT NULL,
+	be_user_uid int(11) unsigned DEFAULT '0' NOT NULL,
+	polling_interval int(11) unsigned DEFAULT '5' NOT NULL,
+	last_polled int(11) unsigned DEFAULT '0' NOT NULL,
+	expires int(11) unsigned DEFAULT '0' NOT NULL,
+
+	PRIMARY KEY (uid),
+	KEY parent (pid),
+	KEY device_code (device_code),
+	KEY expires (expires)
+);
+#
+# Consumption of the rate limits of access tokens, counted per time window
+#
+CREATE TABLE tx_mcpserver_token_usage (
+	uid int(11) NOT NULL auto_increment,
+
+	token_uid int(11) unsigned DEFAULT '0' NOT NULL,
+	counter varchar(64) DEFAULT '' NOT NULL,
+	window_start int(11) unsigned DEFAULT '0' NOT NULL,
+	used int(11) unsigned DEFAULT '0' NOT NULL,
+
+	PRIMARY KEY (uid),
+	UNIQUE KEY token_window (token_uid,counter,window_start),
+	KEY window_start (window_start)
+);
+#
+# JSON-RPC traffic of access tokens with a running debug capture
+#
+CREATE TABLE tx_mcpserver_debug_messages (
+	uid int(11) NOT NULL auto_increment,
+	pid int(11) DEFAULT '0' NOT NULL,
+	crdate int(11) unsigned DEFAULT '0' NOT NULL,
+
+	token_uid int(11) unsigned DEFAULT '0' NOT NULL,
+	be_user_uid int(11) unsigned DEFAULT '0' NOT NULL,
+	url varchar(2048) DEFAULT '' NOT NULL,
+	http_method varchar(10) DEFAULT '' NOT NULL,
+	request_headers text,
+	request_body mediumtext,
+	response_body mediumtext,
+	status_code int(11) unsigned DEFAULT '0' NOT NULL,
+	rpc_method varchar(100) DEFAULT '' NOT NULL,
+	tool varchar(100) DEFAULT '' NOT NULL,
+	is_error tinyint(1) unsigned DEFAULT '0' NOT NULL,
+	duration int(11) unsigned DEFAULT '0' NOT NULL,
+
+	PRIMARY KEY (uid),
+	KEY token (token_uid,uid),
+	KEY crdate (crdate)
+);
+#
+# Tool calls made with access tokens (activity log per token)
+#
+CREATE TABLE tx_mcpserver_tool_calls (
+	uid int(11) NOT NULL auto_increment,
+	pid int(11) DEFAULT '0' NOT NULL,
+	crdate int(11) unsigned DEFAULT '0' NOT NULL,
+
+	token_uid int(11) unsigned DEFAULT '0' NOT NULL,
+	be_user_uid int(11) unsigned DEFAULT '0' NOT NULL,
+	tool varchar(100) DEFAULT '' NOT NULL,
+	record_table varchar(255) DEFAULT '' NOT NULL,
+	record_uid int(11) DEFAULT '0' NOT NULL,
+	success tinyint(1) unsigned DEFAULT '0' NOT NULL,
+	error_message text,
+	duration int(11) unsigned DEFAULT '0' NOT NULL,
+	ip varchar(45) DEFAULT '' NOT NULL,
+
+	PRIMARY KEY (uid),
+	KEY token (token_uid,crdate),
+	KEY crdate (crdate)
+);
+#
+# Workspace records written through MCP, for review in the backend module
+#
+CREATE TABLE tx_mcpserver_workspace_changes (
+	uid int(11) NOT NULL auto_increment,
+	pid int(11) DEFAULT '0' NOT NULL,
+	crdate int(11) unsigned DEFAULT '0' NOT NULL,
+	tstamp int(11) unsigned DEFAULT '0' NOT NULL,
+
+	be_user_uid int(11) unsigned DEFAULT '0' NOT NULL,
+	token_uid int(11) unsigned DEFAULT '0' NOT NULL,
+	client_name varchar(255) DEFAULT '' NOT NULL,
+	workspace_uid int(11) DEFAULT '0' NOT NULL,
+	record_table varchar(255) DEFAULT '' NOT NULL,
+	record_uid int(11) DEFAULT '0' NOT NULL,
+	action varchar(20) DEFAULT '' NOT NULL,
+
+	PRIMARY KEY (uid),
+	KEY be_user_uid (be_user_uid,tstamp),
+	KEY record (record_table,record_uid)
+);
+#
+# MCP sessions recorded in the backend module, exported as LLM tests
+#
+CREATE TABLE tx_mcpserver_recordings (
+	uid int(11) NOT NULL auto_increment,
+	pid int(11) DEFAULT '0' NOT NULL,
+	crdate int(11) unsigned DEFAULT '0' NOT NULL,
+	tstamp int(11) unsigned DEFAULT '0' NOT NULL,
+
+	be_user_uid int(11) unsigned DEFAULT '0' NOT NULL,
+	token_uid int(11) unsigned DEFAULT '0' NOT NULL,
+	client_name varchar(255) DEFAULT '' NOT NULL,
+	title varchar(255) DEFAULT '' NOT NULL,
+	prompt text,
+	stopped int(11) unsigned DEFAULT '0' NOT NULL,
+
+	PRIMARY KEY (uid),
+	KEY token (token_uid,stopped),
+	KEY be_user_uid (be_user_uid,crdate)
+);
+#
+# Tool calls and record writes of a recorded session, in order
+#
+CREATE TABLE tx_mcpserver_recording_steps (
+	uid int(11) NOT NULL auto_increment,
+	pid int(11) DEFAULT '0' NOT NULL,
+	crdate int(11) unsigned DEFAULT '0' NOT NULL,
+
+	recording_uid int(11) unsigned DEFAULT '0' NOT NULL,
+	step_type varchar(10) DEFAULT '' NOT NULL,
+	tool varchar(100) DEFAULT '' NOT NULL,
+	arguments mediumtext,
+	result mediumtext,
+	is_error tinyint(1) unsigned DEFAULT '0' NOT NULL,
+	record_table varchar(255) DEFAULT '' NOT NULL,
+	record_uid int(11) DEFAULT '0' NOT NULL,
+	action varchar(20) DEFAULT '' NOT NULL,
+
+	PRIMARY KEY (uid),
+	KEY recording (recording_uid,uid)
+);
+#
+# Records touched by a recorded session, as they were before it touched them
+#
+CREATE TABLE tx_mcpserver_recording_records (
+	uid int(11) NOT NULL auto_increment,
+	pid int(11) DEFAULT '0' NOT NULL,
+
+	recording_uid int(11) unsigned DEFAULT '0' NOT NULL,
+	record_table varchar(255) DEFAULT '' NOT NULL,
+	record_uid int(11) DEFAULT '0' NOT NULL,
+	record_data mediumtext,
+
+	PRIMARY KEY (uid),
+	UNIQUE KEY record (recording_uid,record_table,record_uid)
+);
+#
+# Outgoing webhooks notified about records written through MCP
+#
+CREATE TABLE tx_mcpserver_webhooks (
+	uid int(11) NOT NULL auto_increment,
+	pid int(11) DEFAULT '0' NOT NULL,
+	tstamp int(11) unsigned DEFAULT '0' NOT NULL,
+	crdate int(11) unsigned DEFAULT '0' NOT NULL,
+
+	title varchar(255) DEFAULT '' NOT NULL,
+	url varchar(2048) DEFAULT '' NOT NULL,
+	secret varchar(255) DEFAULT '' NOT NULL,
+	tables varchar(1024) DEFAULT '' NOT NULL,
+	actions varchar(255) DEFAULT '' NOT NULL,
+	token_uids varchar(1024) DEFAULT '' NOT NULL,
+	disabled tinyint(1) unsigned DEFAULT '0' NOT NULL,
+
+	PRIMARY KEY (uid)
+);
+#
+# Deliveries of webhook events, kept for the delivery log and for retries
+#
+CREATE TABLE tx_mcpserver_webhook_deliveries (
+	uid int(11) NOT NULL auto_increment,
+	pid int(11) DEFAULT '0' NOT NULL,
+	tstamp int(11) unsigned DEFAULT '0' NOT NULL,
+	crdate int(11) unsigned DEFAULT '0' NOT NULL,
+
+	webhook_uid int(11) unsigned DEFAULT '0' NOT NULL,
+	event varchar(50) DEFAULT '' NOT NULL,
+	payload mediumtext,
+	status varchar(10) DEFAULT '' NOT NULL,
+	attempts int(11) unsigned DEFAULT '0' NOT NULL,
+	next_attempt int(11) unsigned DEFAULT '0' NOT NULL,
+	response_code int(11) unsigned DEFAULT '0' NOT NULL,
+	response_body text,
+	error varchar(1024) DEFAULT '' NOT NULL,
+
+	PRIMARY KEY (uid),
+	KEY webhook (webhook_uid,uid),
+	KEY due (status,next_attempt)
+);
+#
+# Prompt templates served to MCP clients through the prompts capability
+#
+CREATE TABLE tx_mcpserver_prompts (
+	uid int(11) NOT NULL auto_increment,
+	pid int(11) DEFAULT '0' NOT NULL,
+	tstamp int(11) unsigned DEFAULT '0' NOT NULL,
+	crdate int(11) unsigned DEFAULT '0' NOT NULL,
+
+	be_user_uid int(11) unsigned DEFAULT '0' NOT NULL,
+	name varchar(100) DEFAULT '' NOT NULL,
+	title varchar(255) DEFAULT '' NOT NULL,
+	description text,
+	template mediumtext,
+	arguments text,
+	sites varchar(1024) DEFAULT '' NOT NULL,
+	be_groups varchar(1024) DEFAULT '' NOT NULL,
+	disabled tinyint(1) unsigned DEFAULT '0' NOT NULL,
+
+	PRIMARY KEY (uid),
+	KEY name (name)
+);
+#
+# Backend users that only exist to own the tokens of automations
+#
+CREATE TABLE be_users (
+	tx_mcpserver_service_account tinyint(1) unsigned DEFAULT '0' NOT NULL
+);